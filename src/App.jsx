@@ -6,10 +6,14 @@ import { ProtectedRoute } from "./components/ProtectedRoute";
 import AuthPage from "./auth/AuthPage";
 import DevicesPage from "./devices/DevicesPage";
 import DeviceDetailPage from "./devices/DeviceDetailPage";
+import DashboardPage from "./dashboard/DashboardPage";
+import ExpiryReportPage from "./dashboard/ExpiryReportPage";
+import CatalogPage from "./catalog/CatalogPage";
 
 import { useEffect } from "react";
 import { useQueryClient } from "@tanstack/react-query";
 import { isAuthed } from "./utils/token";
+import { clearQueryCache } from "./offline/queryPersist";
 
 export default function App() {
   const qc = useQueryClient();
@@ -18,7 +22,7 @@ export default function App() {
     // Если пользователь считается не авториз 
     if (!isAuthed()) {
       // Очистка всех кешированных серверных данных
-      qc.clear();
+      clearQueryCache(qc);
     }
   }, [qc]);
   return (
@@ -34,6 +38,30 @@ export default function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/dashboard"
+          element={
+            <ProtectedRoute>
+              <DashboardPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/report"
+          element={
+            <ProtectedRoute>
+              <ExpiryReportPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/catalog"
+          element={
+            <ProtectedRoute>
+              <CatalogPage />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/devices/:id"
           element={
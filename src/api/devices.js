@@ -1,5 +1,8 @@
 import { http } from "./http";
 
+// Проверка связи должна отвечать быстрее, чем обычные запросы к весам
+const STATUS_TIMEOUT = 5000;
+
 export async function listDevices() {
   const resp = await http.get("/devices");
   return resp.data;
@@ -25,8 +28,12 @@ export async function deleteDevice(deviceId) {
   return true;
 }
 
-export async function fetchProducts(deviceId) {
-  const resp = await http.get(`/devices/${deviceId}/products`);
+/**
+ * Выгрузка с весов одним блокирующим запросом.
+ * config — дополнительные параметры axios (signal, timeout).
+ */
+export async function fetchProducts(deviceId, config) {
+  const resp = await http.get(`/devices/${deviceId}/products`, config);
   return resp.data;
 }
 
@@ -43,8 +50,33 @@ export async function patchProductByPlu(deviceId, plu, fields) {
   return resp.data;
 }
 
-export async function uploadCache(deviceId) {
-  const resp = await http.post(`/devices/${deviceId}/upload`);
+/**
+ * Загрузка в весы одним блокирующим запросом (config — как у fetchProducts).
+ */
+export async function uploadCache(deviceId, config) {
+  const resp = await http.post(`/devices/${deviceId}/upload`, null, config);
+  return resp.data;
+}
+
+/**
+ * Фоновая задача обмена с весами: kind = "fetch" | "upload".
+ * Ответ (202): { id, device_id, kind, status, done, total, started_at, finished_at, error };
+ * status: "queued" | "running" | "done" | "failed" | "canceled".
+ */
+export async function startDeviceJob(deviceId, kind) {
+  const resp = await http.post(`/devices/${deviceId}/jobs`, { kind });
+  return resp.data;
+}
+
+export async function getDeviceJob(deviceId, jobId) {
+  const resp = await http.get(`/devices/${deviceId}/jobs/${encodeURIComponent(jobId)}`);
+  return resp.data;
+}
+
+export async function cancelDeviceJob(deviceId, jobId) {
+  const resp = await http.post(
+    `/devices/${deviceId}/jobs/${encodeURIComponent(jobId)}/cancel`
+  );
   return resp.data;
 }
 
@@ -57,3 +89,11 @@ export async function setAutoUpdate(deviceId, payload) {
   const resp = await http.put(`/devices/${deviceId}/auto-update`, payload);
   return resp.data;
 }
+
+/**
+ * Проверка связи backend с весами: { online, latency_ms? }.
+ */
+export async function getDeviceStatus(deviceId) {
+  const resp = await http.get(`/devices/${deviceId}/status`, { timeout: STATUS_TIMEOUT });
+  return resp.data;
+}
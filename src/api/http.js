@@ -1,5 +1,8 @@
 import axios from "axios";
 import { getToken, clearToken } from "../utils/token";
+import { notifyUnauthorized } from "../auth/session";
+import { isNetworkError, setOnline } from "../offline/connection";
+import { mockAdapter } from "../mock/mockAdapter";
 
 /**
  * Единая точка конфигурации baseURL для всего frontend.
@@ -10,12 +13,19 @@ export const API_BASE_URL =
 export const CONNECTION_TIMEOUT =
   import.meta.env.VITE_CONNECTION_TIMEOUT || 15000;
 
+/**
+ * VITE_MOCK_API=1 — backend не нужен: запросы обрабатывает mock API в браузере
+ * (src/mock/), сценарии ошибок переключаются в панели на странице.
+ */
+export const USE_MOCK_API = import.meta.env.VITE_MOCK_API === "1";
+
 /**
  * Общий HTTP-клиент обрабатывающий все запросы к backend.
  */
 export const http = axios.create({
   baseURL: API_BASE_URL,
   timeout: CONNECTION_TIMEOUT, 
+  adapter: USE_MOCK_API ? mockAdapter : undefined,
 });
 
 /**
@@ -38,14 +48,28 @@ http.interceptors.request.use((config) => {
  *
  * На 401:
  * - чистим токен,
+ * - сообщаем SessionManager (очистка кэша и редирект на /auth с возвратом),
  * - дальше ошибка прокидывается в UI.
+ *
+ * Запросы /auth/* не трогаем: 401 при входе — это неверный пароль, а не истёкшая сессия.
+ *
+ * Заодно отмечаем, есть ли связь с backend (offline/connection.js):
+ * любой ответ сервера — есть, запрос без ответа — нет.
  */
 http.interceptors.response.use(
-  (resp) => resp,
+  (resp) => {
+    setOnline(true);
+    return resp;
+  },
   (error) => {
+    if (isNetworkError(error)) setOnline(false);
+    else if (error?.response) setOnline(true);
+
     const status = error?.response?.status;
-    if (status === 401) {
+    const url = String(error?.config?.url || "");
+    if (status === 401 && !url.startsWith("/auth/")) {
       clearToken();
+      notifyUnauthorized();
     }
     return Promise.reject(error);
   }
@@ -2,7 +2,9 @@ import React, { useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { registerUser, loginUser } from "../api/auth";
 import { setToken } from "../utils/token";
-import { Toast } from "../components/Toast";
+import { useNotify } from "../components/notify";
+import { consumeReturnTo } from "./session";
+import { t as tr, useI18n } from "../i18n";
 
 /**
  * Проверка email на базовую валидность.
@@ -46,21 +48,21 @@ function validatePassword(pw, { mode }) {
   const p = String(pw || "");
 
   // Минимальная длина по символам (UI-правило)
-  if (p.length < 8) return "Пароль должен быть не короче 8 символов";
+  if (p.length < 8) return tr("auth.pwTooShort");
 
   // Ограничение bcrypt по байтам
   const bytes = utf8ByteLen(p);
   if (bytes > 72) {
-    return "Пароль слишком длинный. Сделайте пароль короче.";
+    return tr("auth.pwTooLong");
   }
 
-  if (/\s/.test(p)) return "Пароль не должен содержать пробелы";
+  if (/\s/.test(p)) return tr("auth.pwSpaces");
 
   // Для регистрации: требуем «буквы + цифры»
   const hasLetter = /[A-Za-zА-Яа-я]/.test(p);
   const hasDigit = /\d/.test(p);
   if (mode === "register" && !(hasLetter && hasDigit)) {
-    return "Пароль должен содержать буквы и цифры";
+    return tr("auth.pwLettersDigits");
   }
 
   return "";
@@ -113,6 +115,7 @@ function PasswordField({
   onToggle,
   autoComplete,
 }) {
+  const { t } = useI18n();
   return (
     <div className="field">
       <div className="label">{label}</div>
@@ -133,8 +136,8 @@ function PasswordField({
           type="button"
           className="icon-btn"
           onClick={onToggle}
-          aria-label={show ? "Скрыть пароль" : "Показать пароль"}
-          title={show ? "Скрыть" : "Показать"}
+          aria-label={show ? t("auth.hidePassword") : t("auth.showPassword")}
+          title={show ? t("common.hide") : t("common.show")}
         >
           <EyeIcon open={show} />
         </button>
@@ -154,10 +157,12 @@ function PasswordField({
  * Главная страница авторизации/регистрации.
  * - mode = login|register переключает табы и набор полей
  * - при логине получаем access_token, сохраняем и редиректим на /devices
+ *   (или на сохранённый URL возврата)
  * - при регистрации создаём пользователя и переводим в режим login
  */
 export default function AuthPage() {
   const nav = useNavigate();
+  const { t } = useI18n();
 
   // определяет какая форма активна
   const [mode, setMode] = useState("login");
@@ -171,26 +176,21 @@ export default function AuthPage() {
   const [showPw, setShowPw] = useState(false);
   const [showPw2, setShowPw2] = useState(false);
 
-  // уведомления об успехе/ошибке
-  const [toast, setToast] = useState({ message: "", type: "info" });
-
   // loading — блокирует кнопку submit во время запроса
   const [loading, setLoading] = useState(false);
 
-  // хелпер для показа сообщений
-  function show(message, type = "info") {
-    setToast({ message, type });
-  }
+  // уведомления об успехе/ошибке (центр уведомлений приложения)
+  const show = useNotify();
 
   /**
    * Валидация email:
    * - useMemo чтобы не пересчитывать на каждый ререндер без изменений email
    */
   const emailErr = useMemo(() => {
-    if (!email.trim()) return "Введите email";
-    if (!isValidEmail(email)) return "Некорректный email";
+    if (!email.trim()) return t("auth.enterEmail");
+    if (!isValidEmail(email)) return t("auth.invalidEmail");
     return "";
-  }, [email]);
+  }, [email, t]);
 
   /**
    * Валидация пароля:
@@ -198,19 +198,19 @@ export default function AuthPage() {
    * - дальше применяем validatePassword()
    */
   const pwErr = useMemo(() => {
-    if (!password) return "Введите пароль";
+    if (!password) return t("auth.enterPassword");
     return validatePassword(password, { mode });
-  }, [password, mode]);
+  }, [password, mode, t]);
 
   /**
    * Валидация повторного пароля (только для register)
    */
   const pw2Err = useMemo(() => {
     if (mode !== "register") return "";
-    if (!password2) return "Повторите пароль";
-    if (password2 !== password) return "Пароли не совпадают";
+    if (!password2) return t("auth.repeatPassword");
+    if (password2 !== password) return t("auth.passwordsMismatch");
     return "";
-  }, [mode, password, password2]);
+  }, [mode, password, password2, t]);
 
   /**
    * canSubmit: можно ли отправлять форму
@@ -233,7 +233,7 @@ export default function AuthPage() {
    * login:
    *    - отправляем loginUser
    *    - сохраняем access_token
-   *    - редирект на /devices
+   *    - редирект на страницу, с которой увела истёкшая сессия, иначе на /devices
    * обработка ошибок:
    *    - поддержка axios-like структуры err.response.data.detail
    */
@@ -241,7 +241,7 @@ export default function AuthPage() {
     e.preventDefault();
 
     if (!canSubmit) {
-      show("Проверьте поля формы", "error");
+      show(t("auth.checkForm"), "error");
       return;
     }
 
@@ -252,7 +252,7 @@ export default function AuthPage() {
       if (mode === "register") {
         await registerUser({ email: cleanEmail, password });
 
-        show("Регистрация успешна. Теперь выполните вход.", "success");
+        show(t("auth.registered"), "success");
 
         // Переводим пользователя в режим входа после успешной регистрации
         setMode("login");
@@ -264,14 +264,14 @@ export default function AuthPage() {
         // Сохраняем токен 
         setToken(data.access_token);
 
-        // Переходим к списку устройств
-        nav("/devices");
+        // Возвращаемся туда, откуда увела истёкшая сессия, иначе — к списку устройств
+        nav(consumeReturnTo() || "/devices", { replace: true });
       }
     } catch (err) {
       // Пытаемся вытащить читаемое сообщение от backend
       const detail = err?.response?.data?.detail;
       const msg =
-        typeof detail === "string" ? detail : (err?.message || "Ошибка запроса");
+        typeof detail === "string" ? detail : (err?.message || t("errors.request"));
 
       show(msg, "error");
     } finally {
@@ -290,7 +290,7 @@ export default function AuthPage() {
     <div className="auth-wrap">
       <div className="auth-card auth-card--light">
         <h2 className="auth-title">
-          {mode === "login" ? "Войдите в аккаунт" : "Создайте аккаунт"}
+          {mode === "login" ? t("auth.loginTitle") : t("auth.registerTitle")}
         </h2>
 
         {/* Табы переключают режим формы */}
@@ -304,7 +304,7 @@ export default function AuthPage() {
               setPassword2("");
             }}
           >
-            Вход
+            {t("auth.login")}
           </button>
 
           <button
@@ -312,7 +312,7 @@ export default function AuthPage() {
             className={`tab ${mode === "register" ? "active" : ""}`}
             onClick={() => setMode("register")}
           >
-            Регистрация
+            {t("auth.register")}
           </button>
         </div>
 
@@ -334,14 +334,14 @@ export default function AuthPage() {
 
           {/* Пароль */}
           <PasswordField
-            label="Пароль"
+            label={t("auth.password")}
             value={password}
             onChange={(e) => setPassword(e.target.value)}
-            placeholder={mode === "register" ? "Минимум 8 символов" : ""}
+            placeholder={mode === "register" ? t("auth.pwPlaceholder") : ""}
             error={pwErr}
             help={
               mode === "register" && !pwErr
-                ? "Буквы и цифры. Максимум 72 символа. Без пробелов."
+                ? t("auth.pwHelp")
                 : ""
             }
             show={showPw}
@@ -352,10 +352,10 @@ export default function AuthPage() {
           {/* Повтор пароля — только при регистрации */}
           {mode === "register" ? (
             <PasswordField
-              label="Повтор пароля"
+              label={t("auth.password2")}
               value={password2}
               onChange={(e) => setPassword2(e.target.value)}
-              placeholder="Повторите пароль"
+              placeholder={t("auth.repeatPassword")}
               error={pw2Err}
               help=""
               show={showPw2}
@@ -370,18 +370,10 @@ export default function AuthPage() {
             disabled={loading || !canSubmit}
             type="submit"
           >
-            {loading ? "..." : mode === "login" ? "Далее" : "Создать аккаунт"}
+            {loading ? "..." : mode === "login" ? t("auth.next") : t("auth.createAccount")}
           </button>
         </form>
       </div>
-
-      {/* Toast показывает ошибки/успехи.
-          onClose очищает сообщение, чтобы скрыть toast */}
-      <Toast
-        message={toast.message}
-        type={toast.type}
-        onClose={() => setToast({ message: "" })}
-      />
     </div>
   );
 }
@@ -0,0 +1,90 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { useQueryClient } from "@tanstack/react-query";
+import { clearToken, getToken, getTokenExpiresAt } from "../utils/token";
+import { useNotify } from "../components/notify";
+import { useI18n } from "../i18n";
+import { saveReturnTo, setUnauthorizedHandler } from "./session";
+import { clearQueryCache } from "../offline/queryPersist";
+
+// За сколько до истечения токена показываем предупреждение
+const WARN_BEFORE_MS = 5 * 60 * 1000;
+const TICK_MS = 15 * 1000;
+
+/**
+ * Следит за сессией:
+ * - на любой 401 (через http.js) и по истечении exp чистит токен и кэш React Query,
+ *   запоминает текущую страницу и уводит на /auth;
+ * - за несколько минут до истечения показывает предупреждение.
+ */
+export function SessionManager() {
+  const nav = useNavigate();
+  const location = useLocation();
+  const qc = useQueryClient();
+  const notify = useNotify();
+  const { t } = useI18n();
+
+  const [now, setNow] = useState(() => Date.now());
+
+  // Актуальный путь для обработчика, который вызывается вне рендера
+  const pathRef = useRef("");
+  // Защита от повторной обработки, когда разом падает несколько запросов с 401
+  const expiringRef = useRef(false);
+  useEffect(() => {
+    pathRef.current = `${location.pathname}${location.search}`;
+    if (!location.pathname.startsWith("/auth")) expiringRef.current = false;
+  }, [location]);
+
+  const expireRef = useRef(null);
+  useEffect(() => {
+    function expire() {
+      if (expiringRef.current) return;
+      expiringRef.current = true;
+
+      clearToken();
+      clearQueryCache(qc);
+
+      if (pathRef.current.startsWith("/auth")) return;
+      saveReturnTo(pathRef.current);
+      notify(t("session.expired"), "error");
+      nav("/auth", { replace: true });
+    }
+
+    expireRef.current = expire;
+    return setUnauthorizedHandler(expire);
+  }, [nav, qc, notify, t]);
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const ts = Date.now();
+      setNow(ts);
+
+      const expiresAt = getTokenExpiresAt();
+      if (getToken() && expiresAt !== null && expiresAt <= ts) expireRef.current?.();
+    }, TICK_MS);
+
+    return () => clearInterval(timer);
+  }, []);
+
+  const expiresAt = getToken() ? getTokenExpiresAt() : null;
+  const left = expiresAt === null ? null : expiresAt - now;
+
+  if (left === null || left > WARN_BEFORE_MS || left <= 0) return null;
+
+  const minutes = Math.max(1, Math.ceil(left / 60000));
+
+  return (
+    <div className="notice-bar session-bar">
+      <div className="notice-left">
+        <span className="badge-dot" />
+        <span className="notice-title">{t("session.expiringTitle")}</span>
+        <span className="notice-desc">
+          {t("session.expiringDesc", { count: minutes })}
+        </span>
+      </div>
+      <button className="btn-warn" type="button" onClick={() => expireRef.current?.()}>
+        {t("session.relogin")}
+      </button>
+    </div>
+  );
+}
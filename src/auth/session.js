@@ -0,0 +1,38 @@
+/**
+ * Управление сессией вне React:
+ * - обработчик 401, который регистрирует SessionManager (http.js его вызывает);
+ * - URL для возврата после повторного входа.
+ *
+ * URL возврата хранится в sessionStorage: он должен пережить
+ * перезагрузку страницы входа, но не попадать в другие вкладки.
+ */
+
+const RETURN_TO_KEY = "auth_return_to";
+
+let unauthorizedHandler = null;
+
+export function setUnauthorizedHandler(fn) {
+  unauthorizedHandler = fn;
+  return () => {
+    if (unauthorizedHandler === fn) unauthorizedHandler = null;
+  };
+}
+
+export function notifyUnauthorized() {
+  unauthorizedHandler?.();
+}
+
+export function saveReturnTo(path) {
+  if (!path || path.startsWith("/auth")) return;
+  sessionStorage.setItem(RETURN_TO_KEY, path);
+}
+
+/**
+ * Забрать URL возврата (одноразово). Принимаем только относительные пути приложения.
+ */
+export function consumeReturnTo() {
+  const path = sessionStorage.getItem(RETURN_TO_KEY);
+  sessionStorage.removeItem(RETURN_TO_KEY);
+  if (!path || !path.startsWith("/") || path.startsWith("//")) return null;
+  return path;
+}
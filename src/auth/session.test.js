@@ -0,0 +1,28 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { consumeReturnTo, saveReturnTo } from "./session";
+
+beforeEach(() => {
+  sessionStorage.clear();
+});
+
+describe("return-to URL", () => {
+  it("is returned once", () => {
+    saveReturnTo("/devices/5?status=expired");
+
+    expect(consumeReturnTo()).toBe("/devices/5?status=expired");
+    expect(consumeReturnTo()).toBeNull();
+  });
+
+  it("is not saved for the login page itself", () => {
+    saveReturnTo("/auth");
+
+    expect(consumeReturnTo()).toBeNull();
+  });
+
+  it("accepts only app-relative paths", () => {
+    for (const path of ["//evil.example/", "https://evil.example/"]) {
+      saveReturnTo(path);
+      expect(consumeReturnTo()).toBeNull();
+    }
+  });
+});
@@ -0,0 +1,328 @@
+import React, { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { listDevices } from "../api/devices";
+import { qk } from "../query/keys";
+import { useNotify } from "../components/notify";
+import { utcToLocal } from "../utils/datetime";
+import { formatPrice, formatProductDate } from "../utils/format";
+import { useI18n } from "../i18n";
+import { deviceDisplayName, normalizeDevices } from "../devices/deviceList";
+import {
+  removeCatalogProduct,
+  setCatalogDevices,
+  upsertCatalogProduct,
+  useCatalog,
+} from "./catalogStore";
+import { publishCatalog } from "./publishCatalog";
+import { CatalogProductModal } from "./CatalogProductModal";
+
+const RESULT_PILL = { ok: "status-ok", partial: "status-warn", failed: "status-bad" };
+
+/**
+ * Мастер-каталог: общий список товаров, назначенные устройства и публикация.
+ * Публикация приводит кэш каждого назначенного устройства к каталогу
+ * (новые PLU и отличающиеся поля) и по желанию загружает его в весы.
+ */
+export default function CatalogPage() {
+  const qc = useQueryClient();
+  const show = useNotify();
+  const { t } = useI18n();
+  const catalog = useCatalog();
+
+  // undefined — модалка закрыта, null — новый товар
+  const [editing, setEditing] = useState(undefined);
+  const [upload, setUpload] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+  // [{ device, status: "pending" | "running" | "ok" | "partial" | "failed", ... }]
+  const [results, setResults] = useState([]);
+
+  const devicesQ = useQuery({
+    queryKey: qk.devices(),
+    queryFn: listDevices,
+  });
+
+  const devices = useMemo(() => normalizeDevices(devicesQ.data), [devicesQ.data]);
+  const assigned = useMemo(() => new Set(catalog.deviceIds), [catalog.deviceIds]);
+  const targets = devices.filter((d) => assigned.has(Number(d.id)));
+  const existingPlus = useMemo(
+    () => new Set(catalog.products.map((p) => p.pluNumber)),
+    [catalog.products]
+  );
+
+  // Запись в localStorage может упасть (переполнение) — сообщаем, а не теряем молча
+  function persist(fn) {
+    try {
+      fn();
+      return true;
+    } catch {
+      show(t("catalog.saveError"), "error");
+      return false;
+    }
+  }
+
+  function toggleDevice(id) {
+    const next = new Set(assigned);
+    if (next.has(Number(id))) next.delete(Number(id));
+    else next.add(Number(id));
+    persist(() => setCatalogDevices([...next]));
+  }
+
+  async function publish() {
+    if (!window.confirm(t("catalog.publishConfirm", { count: targets.length }))) return;
+
+    setPublishing(true);
+    setResults(targets.map((device) => ({ device, status: "pending" })));
+
+    const done = await publishCatalog(qc, targets, catalog.products, {
+      upload,
+      onDevice: (i, result) => {
+        setResults((prev) =>
+          prev.map((r, j) => (j === i ? result || { ...r, status: "running" } : r))
+        );
+      },
+    });
+    setPublishing(false);
+
+    const bad = done.filter((r) => r.status !== "ok").length;
+    if (bad) {
+      show(t("catalog.publishPartial", { bad, total: done.length }), "error");
+    } else {
+      show(t("catalog.published", { count: done.length }), "success");
+    }
+  }
+
+  return (
+    <div className="stack">
+      <div className="card solid">
+        <div className="h2">{t("catalog.title")}</div>
+        <div className="sub">
+          {catalog.updatedAt
+            ? t("catalog.updatedAt", { at: utcToLocal(catalog.updatedAt) })
+            : t("catalog.subtitle")}
+        </div>
+      </div>
+
+      <div className="card">
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            gap: 12,
+            flexWrap: "wrap",
+          }}
+        >
+          <div className="card-title" style={{ margin: 0 }}>
+            {t("catalog.products", { count: catalog.products.length })}
+          </div>
+          <button className="btn" type="button" onClick={() => setEditing(null)}>
+            {t("catalog.addProduct")}
+          </button>
+        </div>
+
+        {catalog.products.length === 0 ? (
+          <div className="sub" style={{ marginTop: 12 }}>
+            {t("catalog.empty")}
+          </div>
+        ) : (
+          <div className="table-wrap" style={{ marginTop: 12 }}>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>PLU</th>
+                  <th>{t("product.field.name")}</th>
+                  <th>{t("product.field.price")}</th>
+                  <th>{t("product.field.shelfLife")}</th>
+                  <th>{t("product.field.manufactureDate")}</th>
+                  <th>{t("product.field.sellByDate")}</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {catalog.products.map((p) => (
+                  <tr key={p.pluNumber}>
+                    <td>{p.pluNumber}</td>
+                    <td>{p.name || t("product.noName")}</td>
+                    <td>{formatPrice(p.price)}</td>
+                    <td>{p.shelfLife}</td>
+                    <td>{formatProductDate(p.manufactureDate)}</td>
+                    <td>{formatProductDate(p.sellByDate)}</td>
+                    <td style={{ whiteSpace: "nowrap" }}>
+                      <button
+                        className="btn-ghost"
+                        type="button"
+                        onClick={() => setEditing(p)}
+                        disabled={publishing}
+                      >
+                        {t("catalog.edit")}
+                      </button>
+                      <button
+                        className="btn-ghost"
+                        type="button"
+                        disabled={publishing}
+                        onClick={() => {
+                          if (window.confirm(t("catalog.removeConfirm", { plu: p.pluNumber }))) {
+                            persist(() => removeCatalogProduct(p.pluNumber));
+                          }
+                        }}
+                      >
+                        {t("common.delete")}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-title">
+          {t("catalog.devices", { selected: targets.length, total: devices.length })}
+        </div>
+
+        {devicesQ.isLoading ? (
+          <div className="sub">{t("common.loading")}</div>
+        ) : devicesQ.isError ? (
+          <div style={{ color: "#b42318" }}>
+            {devicesQ.error?.message || t("devices.loadError")}
+          </div>
+        ) : devices.length === 0 ? (
+          <div className="sub">{t("devices.empty")}</div>
+        ) : (
+          <div className="catalog-devices">
+            {devices.map((d) => (
+              <label key={d.id} className="check-row">
+                <input
+                  type="checkbox"
+                  checked={assigned.has(Number(d.id))}
+                  disabled={publishing}
+                  onChange={() => toggleDevice(d.id)}
+                />
+                {deviceDisplayName(d)}
+                <span className="sub">
+                  {d.ip}:{d.port}
+                </span>
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-title">{t("catalog.publish")}</div>
+
+        <div className="form">
+          <label className="check-row">
+            <input
+              type="checkbox"
+              checked={upload}
+              disabled={publishing}
+              onChange={(e) => setUpload(e.target.checked)}
+            />
+            {t("catalog.uploadAfter")}
+          </label>
+
+          <div className="sub">{t("catalog.publishHint")}</div>
+
+          <div>
+            <button
+              className="btn primary"
+              type="button"
+              onClick={publish}
+              disabled={publishing || !catalog.products.length || !targets.length}
+            >
+              {publishing ? "..." : t("catalog.publishTo", { count: targets.length })}
+            </button>
+          </div>
+
+          {results.length ? (
+            <div className="table-wrap">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>{t("dashboard.col.device")}</th>
+                    <th>{t("catalog.col.result")}</th>
+                    <th>{t("catalog.col.changes")}</th>
+                    <th>{t("catalog.col.upload")}</th>
+                    <th>{t("catalog.col.errors")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.map((r) => (
+                    <tr key={String(r.device.id)}>
+                      <td>
+                        <Link to={`/devices/${r.device.id}`}>
+                          <b>{deviceDisplayName(r.device)}</b>
+                        </Link>
+                      </td>
+                      <td>
+                        {RESULT_PILL[r.status] ? (
+                          <span className={`status-pill ${RESULT_PILL[r.status]}`}>
+                            {t(`catalog.status.${r.status}`)}
+                          </span>
+                        ) : (
+                          <span className="sub">{t(`batch.status.${r.status}`)}</span>
+                        )}
+                      </td>
+                      <td>
+                        {RESULT_PILL[r.status] && !r.error
+                          ? r.planned
+                            ? t(r.queued ? "catalog.appliedQueued" : "catalog.applied", {
+                                done: r.planned - r.failed - r.queued,
+                                total: r.planned,
+                                queued: r.queued,
+                              })
+                            : t("catalog.upToDate")
+                          : "—"}
+                      </td>
+                      <td>
+                        {r.uploaded
+                          ? t("catalog.uploaded")
+                          : r.uploadError
+                            ? <span className="field-error">{r.uploadError}</span>
+                            : r.uploadSkipped
+                              ? <span className="sub">
+                                  {t(
+                                    r.failed ? "catalog.uploadSkipped" : "catalog.uploadSkippedQueued"
+                                  )}
+                                </span>
+                              : "—"}
+                      </td>
+                      <td>
+                        {r.error ? (
+                          <span className="field-error">{r.error}</span>
+                        ) : r.errors?.length ? (
+                          <span className="field-error">
+                            {r.errors.map((e) => (
+                              <div key={e}>{e}</div>
+                            ))}
+                          </span>
+                        ) : (
+                          "—"
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : null}
+        </div>
+      </div>
+
+      {editing !== undefined ? (
+        <CatalogProductModal
+          product={editing}
+          existingPlus={existingPlus}
+          onClose={() => setEditing(undefined)}
+          onSave={(product) => {
+            if (persist(() => upsertCatalogProduct(product))) setEditing(undefined);
+          }}
+        />
+      ) : null}
+    </div>
+  );
+}
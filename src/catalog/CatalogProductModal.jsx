@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+import { Modal } from "../components/Modal";
+import { useI18n } from "../i18n";
+import { maskDDMMYY, productFieldLabel } from "../devices/productUtils";
+import {
+  EMPTY_CATALOG_ERRORS,
+  EMPTY_CATALOG_FORM,
+  catalogFormToProduct,
+  catalogProductToForm,
+  hasCatalogErrors,
+  validateCatalogForm,
+} from "./catalogForm";
+
+/**
+ * Добавление / редактирование товара мастер-каталога.
+ * product — редактируемый товар или null для нового; PLU существующего товара не меняется.
+ */
+export function CatalogProductModal({ product, existingPlus, onClose, onSave }) {
+  const { t } = useI18n();
+  const isNew = !product;
+
+  const [form, setForm] = useState(() =>
+    product ? catalogProductToForm(product) : EMPTY_CATALOG_FORM
+  );
+  const [errors, setErrors] = useState(EMPTY_CATALOG_ERRORS);
+
+  function setField(key, value) {
+    setForm((p) => ({ ...p, [key]: value }));
+    setErrors((p) => ({ ...p, [key]: "" }));
+  }
+
+  function save() {
+    const e = validateCatalogForm(form, { isNew, existingPlus });
+    setErrors(e);
+    if (hasCatalogErrors(e)) return;
+    onSave(catalogFormToProduct(form));
+  }
+
+  function input(key, props = {}) {
+    return (
+      <div className="field">
+        <div className="label">{productFieldLabel(key === "plu" ? "pluNumber" : key)}</div>
+        <input
+          className={`input ${errors[key] ? "error" : ""}`}
+          value={form[key]}
+          onChange={(e) => setField(key, e.target.value)}
+          {...props}
+        />
+        {errors[key] ? <div className="field-error">{errors[key]}</div> : null}
+      </div>
+    );
+  }
+
+  const dateProps = (key) => ({
+    onChange: (e) => setField(key, maskDDMMYY(e.target.value)),
+    placeholder: "01-01-26",
+    inputMode: "numeric",
+    maxLength: 8,
+  });
+
+  return (
+    <Modal
+      open
+      title={isNew ? t("catalog.addProduct") : t("catalog.editProduct", { plu: product.pluNumber })}
+      onClose={onClose}
+      footer={
+        <>
+          <button className="btn" type="button" onClick={onClose}>
+            {t("common.cancel")}
+          </button>
+          <button className="btn primary" type="button" onClick={save}>
+            {t("common.save")}
+          </button>
+        </>
+      }
+    >
+      <div className="form">
+        <div className="mapping-grid">
+          {input("plu", { inputMode: "numeric", disabled: !isNew, autoFocus: isNew })}
+          {input("name", { autoFocus: !isNew })}
+          {input("price", { inputMode: "decimal" })}
+          {input("shelfLife", { inputMode: "numeric" })}
+          {input("manufactureDate", dateProps("manufactureDate"))}
+          {input("sellByDate", dateProps("sellByDate"))}
+        </div>
+
+        <div className="sub">{t("catalog.productHint")}</div>
+      </div>
+    </Modal>
+  );
+}
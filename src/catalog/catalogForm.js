@@ -0,0 +1,80 @@
+import { t } from "../i18n";
+import { dateErrorText } from "../devices/productUtils";
+
+/**
+ * Форма товара мастер-каталога (добавление и редактирование).
+ */
+
+export const EMPTY_CATALOG_FORM = {
+  plu: "",
+  name: "",
+  price: "",
+  shelfLife: "",
+  manufactureDate: "",
+  sellByDate: "",
+};
+
+export const EMPTY_CATALOG_ERRORS = {
+  plu: "",
+  price: "",
+  shelfLife: "",
+  manufactureDate: "",
+  sellByDate: "",
+};
+
+export function catalogProductToForm(p) {
+  return {
+    plu: String(p.pluNumber),
+    name: p.name,
+    price: String(p.price),
+    shelfLife: String(p.shelfLife),
+    manufactureDate: p.manufactureDate,
+    sellByDate: p.sellByDate,
+  };
+}
+
+function numberError(raw, { integer = false } = {}) {
+  const s = String(raw ?? "").trim();
+  if (!s) return "";
+  const n = Number(s.replace(",", "."));
+  if (!Number.isFinite(n) || n < 0) return t("bulk.err.number");
+  if (integer && !Number.isInteger(n)) return t("bulk.err.shelfLife");
+  return "";
+}
+
+/**
+ * Проверка формы. existingPlus — PLU, уже занятые в каталоге
+ * (для нового товара повтор PLU — ошибка).
+ */
+export function validateCatalogForm(form, { isNew, existingPlus }) {
+  const e = { ...EMPTY_CATALOG_ERRORS };
+
+  const plu = Number(String(form.plu).trim());
+  if (!Number.isInteger(plu) || plu <= 0) e.plu = t("detail.invalidPlu");
+  else if (isNew && existingPlus.has(plu)) e.plu = t("catalog.err.pluExists");
+
+  e.price = numberError(form.price);
+  e.shelfLife = numberError(form.shelfLife, { integer: true });
+  e.manufactureDate = dateErrorText(form.manufactureDate);
+  e.sellByDate = dateErrorText(form.sellByDate);
+
+  return e;
+}
+
+export function hasCatalogErrors(e) {
+  return Object.values(e).some(Boolean);
+}
+
+/**
+ * Товар для upsertCatalogProduct из значений формы.
+ */
+export function catalogFormToProduct(form) {
+  return {
+    pluNumber: Number(String(form.plu).trim()),
+    name: String(form.name || "").trim(),
+    price: String(form.price ?? "").trim().replace(",", "."),
+    shelfLife: String(form.shelfLife ?? "").trim(),
+    manufactureDate: form.manufactureDate,
+    sellByDate: form.sellByDate,
+  };
+}
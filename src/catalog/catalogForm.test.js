@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { catalogFormToProduct, hasCatalogErrors, validateCatalogForm } from "./catalogForm";
+
+const form = (patch) => ({
+  plu: "5",
+  name: "Сыр",
+  price: "350,50",
+  shelfLife: "30",
+  manufactureDate: "",
+  sellByDate: "31-12-26",
+  ...patch,
+});
+
+describe("validateCatalogForm", () => {
+  it("accepts a valid product with a comma decimal price", () => {
+    expect(hasCatalogErrors(validateCatalogForm(form(), { isNew: true, existingPlus: new Set() }))).toBe(
+      false
+    );
+  });
+
+  it("rejects a taken PLU only for new products", () => {
+    const existingPlus = new Set([5]);
+
+    expect(validateCatalogForm(form(), { isNew: true, existingPlus }).plu).not.toBe("");
+    expect(validateCatalogForm(form(), { isNew: false, existingPlus }).plu).toBe("");
+  });
+
+  it("checks PLU, numbers and dates", () => {
+    const e = validateCatalogForm(
+      form({ plu: "0", price: "-1", shelfLife: "1.5", sellByDate: "2026-12-31" }),
+      { isNew: true, existingPlus: new Set() }
+    );
+
+    expect(e.plu).not.toBe("");
+    expect(e.price).not.toBe("");
+    expect(e.shelfLife).not.toBe("");
+    expect(e.sellByDate).not.toBe("");
+  });
+});
+
+describe("catalogFormToProduct", () => {
+  it("trims values and normalizes the decimal separator", () => {
+    expect(catalogFormToProduct(form({ plu: " 5 ", name: " Сыр " }))).toEqual({
+      pluNumber: 5,
+      name: "Сыр",
+      price: "350.50",
+      shelfLife: "30",
+      manufactureDate: "",
+      sellByDate: "31-12-26",
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import { PRODUCT_FIELDS, getPlu, productFieldValue } from "../devices/productUtils";
+import { createPersistentStore, usePersistentStore } from "../utils/persistentStore";
+
+/**
+ * Мастер-каталог: общий список товаров и набор устройств, на которые он публикуется.
+ * - товары хранятся в нормализованном виде: { pluNumber, name, price, shelfLife, ... };
+ * - backend каталогов не знает, поэтому всё хранится в localStorage;
+ * - хук useCatalog обновляется при любой записи, в том числе из другой вкладки.
+ */
+
+const STORAGE_KEY = "master_catalog";
+
+const EMPTY = { products: [], deviceIds: [], updatedAt: null };
+
+function normalizeCatalog(data) {
+  if (!data || !Array.isArray(data.products)) return null;
+  return {
+    products: data.products,
+    deviceIds: Array.isArray(data.deviceIds) ? data.deviceIds.map(Number) : [],
+    updatedAt: data.updatedAt || null,
+  };
+}
+
+const store = createPersistentStore(STORAGE_KEY, EMPTY, normalizeCatalog);
+const read = store.get;
+
+function write(patch) {
+  // Каталог — основные данные, а не вспомогательные: ошибку записи
+  // (переполнение localStorage) не глотаем, её показывает вызывающий код.
+  const next = { ...read(), ...patch, updatedAt: new Date().toISOString() };
+  store.set(next);
+}
+
+export function getCatalog() {
+  return read();
+}
+
+/**
+ * Товар каталога из произвольного товара (формы, кэша устройства).
+ */
+export function normalizeCatalogProduct(product) {
+  return {
+    pluNumber: Number(getPlu(product)),
+    ...Object.fromEntries(
+      PRODUCT_FIELDS.map(({ key }) => [key, productFieldValue(product, key)])
+    ),
+  };
+}
+
+/**
+ * Добавить товар или заменить товар с тем же PLU.
+ */
+export function upsertCatalogProduct(product) {
+  const item = normalizeCatalogProduct(product);
+  const rest = read().products.filter((p) => p.pluNumber !== item.pluNumber);
+  write({
+    products: [...rest, item].sort((a, b) => a.pluNumber - b.pluNumber),
+  });
+}
+
+export function removeCatalogProduct(plu) {
+  write({ products: read().products.filter((p) => p.pluNumber !== Number(plu)) });
+}
+
+export function setCatalogDevices(deviceIds) {
+  write({ deviceIds: [...new Set(deviceIds.map(Number))] });
+}
+
+/**
+ * Хук: текущий каталог { products, deviceIds, updatedAt }.
+ */
+export function useCatalog() {
+  return usePersistentStore(store);
+}
@@ -0,0 +1,122 @@
+import { getCachedProducts } from "../api/devices";
+import { runDeviceJob } from "../jobs/deviceJobs";
+import { qk } from "../query/keys";
+import { invalidateDeviceProducts } from "../query/invalidate";
+import { extractErrorMessage } from "../utils/errors";
+import { runSequential } from "../utils/batch";
+import { cachedProductsList } from "../devices/productUtils";
+import { buildCopyPlan } from "../devices/productCopy";
+import { isQueuedResult, patchProductTracked } from "../devices/changeJournal";
+import { saveDeviceSnapshot } from "../devices/deviceSnapshot";
+
+/**
+ * Публикация мастер-каталога на устройства.
+ * Для каждого устройства:
+ *  1) читается свежий кэш (getCachedProducts);
+ *  2) считается разница с каталогом: новые PLU и отличающиеся поля;
+ *  3) разница записывается через patchProductByPlu (с записью в журнал);
+ *  4) при upload, если всё записано (без ошибок и без изменений, лишь поставленных
+ *     в очередь из-за отсутствия связи), запускается задача загрузки в весы (runDeviceJob).
+ *
+ * Устройства обрабатываются по одному: весы/backend не любят параллельные записи.
+ * Товары устройства, которых нет в каталоге, не трогаются.
+ */
+
+/**
+ * Итог по устройству:
+ * - ok      — все изменения записаны (и загружены в весы, если просили);
+ * - partial — часть товаров не записалась (или ждёт связи в очереди) либо не удалась загрузка в весы;
+ * - failed  — не удалось прочитать кэш или не записалось ни одного изменения.
+ */
+function resultStatus({ error, planned, failed, queued, uploadError }) {
+  if (error) return "failed";
+  if (planned && failed === planned) return "failed";
+  if (failed || queued || uploadError) return "partial";
+  return "ok";
+}
+
+async function publishToDevice(qc, device, products, { upload }) {
+  const id = Number(device.id);
+  const result = {
+    device,
+    planned: 0,
+    failed: 0,
+    queued: 0,
+    errors: [],
+    uploaded: false,
+    uploadSkipped: false,
+    uploadError: "",
+    error: "",
+  };
+
+  let cached;
+  try {
+    cached = cachedProductsList(await getCachedProducts(id));
+  } catch (err) {
+    result.error = extractErrorMessage(err).message;
+    return { ...result, status: resultStatus(result) };
+  }
+
+  const plan = buildCopyPlan(products, cached, { overwrite: true }).filter(
+    (x) => x.kind === "added" || x.kind === "changed"
+  );
+  result.planned = plan.length;
+
+  const results = await runSequential(plan, (x) =>
+    patchProductTracked(id, x.plu, x.patch, x.before, "catalog")
+  );
+  const failed = results.filter((r) => !r.ok);
+  result.failed = failed.length;
+  result.errors = failed.map(
+    (r) => `PLU ${r.item.plu}: ${extractErrorMessage(r.error).message}`
+  );
+
+  result.queued = results.filter((r) => r.ok && isQueuedResult(r.result)).length;
+
+  // Не загружаем частично применённый каталог: устройство остаётся «грязным» до повтора.
+  // Изменения в очереди тоже не применены — загрузка отправила бы на весы старый кэш.
+  const applied = !failed.length && !result.queued;
+  if (upload && !applied) result.uploadSkipped = true;
+
+  if (upload && applied) {
+    try {
+      await runDeviceJob(id, "upload");
+      result.uploaded = true;
+    } catch (err) {
+      result.uploadError = extractErrorMessage(err).message;
+    }
+  }
+
+  // Снимок для проверки перед следующей загрузкой — как после «Загрузить в весы».
+  // Ошибка чтения здесь не влияет на итог: загрузка уже прошла.
+  if (result.uploaded) {
+    try {
+      const fresh = await getCachedProducts(id);
+      qc.setQueryData(qk.productsCached(id), fresh);
+      saveDeviceSnapshot(id, cachedProductsList(fresh));
+    } catch {
+      // снимок обновится при следующей выгрузке/загрузке
+    }
+  }
+
+  await invalidateDeviceProducts(qc, id);
+  return { ...result, status: resultStatus(result) };
+}
+
+/**
+ * Опубликовать каталог на устройства.
+ * onDevice(index, result | null) вызывается при старте (null) и завершении устройства.
+ * Возвращает массив итогов в порядке devices.
+ */
+export async function publishCatalog(qc, devices, products, { upload = false, onDevice } = {}) {
+  const results = [];
+
+  for (let i = 0; i < devices.length; i++) {
+    onDevice?.(i, null);
+    const result = await publishToDevice(qc, devices[i], products, { upload });
+    results.push(result);
+    onDevice?.(i, result);
+  }
+
+  return results;
+}
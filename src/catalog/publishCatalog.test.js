@@ -0,0 +1,67 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { getCachedProducts, patchProductByPlu } from "../api/devices";
+import { runDeviceJob } from "../jobs/deviceJobs";
+import { publishCatalog } from "./publishCatalog";
+
+vi.mock("../api/devices", () => ({
+  getCachedProducts: vi.fn(),
+  patchProductByPlu: vi.fn(),
+}));
+vi.mock("../jobs/deviceJobs", () => ({ runDeviceJob: vi.fn() }));
+
+const qc = { setQueryData: vi.fn(), invalidateQueries: async () => {} };
+
+const catalog = [
+  { pluNumber: 1, name: "Хлеб", price: 55, shelfLife: 3 },
+  { pluNumber: 2, name: "Молоко", price: 90, shelfLife: 7 },
+];
+
+beforeEach(() => {
+  localStorage.clear();
+  vi.clearAllMocks();
+  getCachedProducts.mockResolvedValue({
+    products: { products: [{ pluNumber: 1, name: "Хлеб", price: 50, shelfLife: 3 }] },
+  });
+  patchProductByPlu.mockResolvedValue({});
+  runDeviceJob.mockResolvedValue({ status: "done" });
+});
+
+describe("publishCatalog", () => {
+  it("writes only the differences and uploads when everything was applied", async () => {
+    const [result] = await publishCatalog(qc, [{ id: 1 }], catalog, { upload: true });
+
+    expect(patchProductByPlu.mock.calls).toEqual([
+      [1, 1, { price: 55 }],
+      [1, 2, expect.objectContaining({ name: "Молоко", price: 90 })],
+    ]);
+    expect(runDeviceJob).toHaveBeenCalledWith(1, "upload");
+    expect(result).toMatchObject({ status: "ok", planned: 2, uploaded: true });
+  });
+
+  it("skips the upload when a product was rejected", async () => {
+    patchProductByPlu.mockRejectedValueOnce({ response: { status: 422, data: {} } });
+
+    const [result] = await publishCatalog(qc, [{ id: 1 }], catalog, { upload: true });
+
+    expect(runDeviceJob).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ status: "partial", failed: 1, uploadSkipped: true });
+  });
+
+  it("skips the upload when changes were only queued offline", async () => {
+    patchProductByPlu.mockRejectedValue(new Error("Network Error"));
+
+    const [result] = await publishCatalog(qc, [{ id: 1 }], catalog, { upload: true });
+
+    expect(runDeviceJob).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ status: "partial", queued: 2, uploadSkipped: true });
+  });
+
+  it("fails the device when its cache cannot be read", async () => {
+    getCachedProducts.mockRejectedValue({ response: { status: 500, data: { detail: "boom" } } });
+
+    const [result] = await publishCatalog(qc, [{ id: 1 }], catalog);
+
+    expect(result.status).toBe("failed");
+    expect(patchProductByPlu).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,45 @@
+import React from "react";
+import { useI18n } from "../i18n";
+
+/**
+ * Прогресс пакетной операции по товарам.
+ * items: [{ key, plu, name, status: "pending" | "running" | "ok" | "queued" | "error", message? }]
+ * queued — без связи изменение только встало в очередь: считается отдельно от готовых.
+ */
+export function BatchProgress({ items }) {
+  const { t } = useI18n();
+  const total = items.length;
+  const done = items.filter((x) => x.status === "ok").length;
+  const failed = items.filter((x) => x.status === "error").length;
+  const queued = items.filter((x) => x.status === "queued").length;
+
+  return (
+    <div className="form">
+      <div className="sub">
+        {t("batch.done", { done, total })}
+        {queued ? ` · ${t("batch.queued", { count: queued })}` : ""}
+        {failed ? ` · ${t("batch.failed", { count: failed })}` : ""}
+      </div>
+
+      <div className="progress">
+        <div
+          className="progress-bar"
+          style={{ width: `${total ? (done / total) * 100 : 0}%` }}
+        />
+      </div>
+
+      <div className="batch-list">
+        {items.map((x) => (
+          <div key={x.key} className={`batch-row batch-${x.status}`}>
+            <span className="pill pill-strong">PLU: {x.plu}</span>
+            <span className="batch-name">{x.name || t("product.noName")}</span>
+            <span className="batch-status" title={x.message || ""}>
+              {t(`batch.status.${x.status}`)}
+              {x.message ? `: ${x.message}` : ""}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
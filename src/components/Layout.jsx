@@ -1,16 +1,27 @@
 import React from "react";
-import { Link, useLocation, useNavigate } from "react-router-dom";
+import { Link, NavLink, useLocation, useNavigate } from "react-router-dom";
+import { useQueryClient } from "@tanstack/react-query";
 import { clearToken, isAuthed } from "../utils/token";
+import { SessionManager } from "../auth/SessionManager";
+import { NotificationBell } from "./NotificationBell";
+import { OfflineSync } from "../offline/OfflineSync";
+import { clearQueryCache } from "../offline/queryPersist";
+import { USE_MOCK_API } from "../api/http";
+import { MockScenarioPanel } from "../mock/MockScenarioPanel";
+import { LOCALES, useI18n } from "../i18n";
 
 export function Layout({ children }) {
   const nav = useNavigate();
   const location = useLocation();
+  const qc = useQueryClient();
+  const { t, locale, setLocale } = useI18n();
 
   const authed = isAuthed();
   const isAuthPage = location.pathname.startsWith("/auth");
 
   function logout() {
     clearToken();
+    clearQueryCache(qc);
     nav("/auth");
   }
 
@@ -23,21 +34,60 @@ export function Layout({ children }) {
             Web Scales Manager
           </Link>
 
+          {authed ? (
+            <nav className="header-nav">
+              <NavLink to="/devices" end className="nav-link">
+                {t("nav.devices")}
+              </NavLink>
+              <NavLink to="/dashboard" className="nav-link">
+                {t("nav.dashboard")}
+              </NavLink>
+              <NavLink to="/report" className="nav-link">
+                {t("nav.report")}
+              </NavLink>
+              <NavLink to="/catalog" className="nav-link">
+                {t("nav.catalog")}
+              </NavLink>
+            </nav>
+          ) : null}
+
           <div className="header-actions">
+            <div className="lang-switch" role="group" aria-label={t("layout.language")}>
+              {LOCALES.map((l) => (
+                <button
+                  key={l.value}
+                  type="button"
+                  className={`lang-btn ${locale === l.value ? "active" : ""}`}
+                  onClick={() => setLocale(l.value)}
+                >
+                  {l.label}
+                </button>
+              ))}
+            </div>
+
             {authed ? (
-              <button className="btn" onClick={logout} type="button">
-                Выйти
-              </button>
+              <>
+                <NotificationBell />
+                <button className="btn" onClick={logout} type="button">
+                  {t("layout.logout")}
+                </button>
+              </>
             ) : !isAuthPage ? (
               <Link to="/auth" className="btn">
-                Вход
+                {t("auth.login")}
               </Link>
             ) : null}
           </div>
         </div>
       </header>
 
-      <main className="main">{children}</main>
+      <main className="main">
+        <SessionManager />
+        {authed ? <OfflineSync /> : null}
+        {children}
+      </main>
+
+      {USE_MOCK_API ? <MockScenarioPanel /> : null}
     </div>
   );
 }
@@ -1,6 +1,9 @@
 import React, { useEffect } from "react";
+import { useI18n } from "../i18n";
+
+export function Modal({ open, title, subtitle, onClose, children, footer, wide = false }) {
+  const { t } = useI18n();
 
-export function Modal({ open, title, subtitle, onClose, children, footer }) {
   useEffect(() => {
     if (!open) return;
 
@@ -30,14 +33,14 @@ export function Modal({ open, title, subtitle, onClose, children, footer }) {
       role="dialog"
       aria-modal="true"
     >
-      <div className="modal">
+      <div className={`modal ${wide ? "modal-wide" : ""}`}>
         <div className="modal-header">
           <div>
             <div className="modal-title">{title}</div>
             {subtitle ? <div className="modal-subtitle">{subtitle}</div> : null}
           </div>
           <button className="modal-close" type="button" onClick={onClose}>
-            Закрыть
+            {t("common.close")}
           </button>
         </div>
 
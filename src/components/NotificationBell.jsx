@@ -0,0 +1,78 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useNotificationHistory } from "./notify";
+import { utcToLocal } from "../utils/datetime";
+import { useI18n } from "../i18n";
+
+function BellIcon() {
+  return (
+    <svg width="18" height="18" viewBox="0 0 24 24" aria-hidden="true">
+      <path
+        fill="currentColor"
+        d="M12 22a2.5 2.5 0 0 0 2.45-2h-4.9A2.5 2.5 0 0 0 12 22Zm7-6V11a7 7 0 0 0-5.5-6.84V3.5a1.5 1.5 0 0 0-3 0v.66A7 7 0 0 0 5 11v5l-2 2v1h18v-1l-2-2Zm-2 1H7v-6a5 5 0 0 1 10 0v6Z"
+      />
+    </svg>
+  );
+}
+
+/**
+ * Колокольчик в шапке: последние уведомления текущей сессии.
+ */
+export function NotificationBell() {
+  const { t } = useI18n();
+  const { items, unread, markRead, clear } = useNotificationHistory();
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  // Закрытие по клику вне панели
+  useEffect(() => {
+    if (!open) return;
+    function onDown(e) {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    }
+    document.addEventListener("mousedown", onDown);
+    return () => document.removeEventListener("mousedown", onDown);
+  }, [open]);
+
+  return (
+    <div className="bell" ref={rootRef}>
+      <button
+        className="btn bell-btn"
+        type="button"
+        aria-label={t("notifications.title")}
+        onClick={() => {
+          setOpen((v) => !v);
+          markRead();
+        }}
+      >
+        <BellIcon />
+        {unread ? <span className="bell-count">{unread}</span> : null}
+      </button>
+
+      {open ? (
+        <div className="bell-panel">
+          <div className="bell-head">
+            <b>{t("notifications.title")}</b>
+            {items.length ? (
+              <button className="btn-ghost" type="button" onClick={clear}>
+                {t("common.clear")}
+              </button>
+            ) : null}
+          </div>
+
+          {items.length === 0 ? (
+            <div className="sub">{t("notifications.empty")}</div>
+          ) : (
+            <div className="bell-list">
+              {items.map((n) => (
+                <div key={n.id} className={`bell-item bell-${n.type}`}>
+                  <div className="bell-time">{utcToLocal(n.at)}</div>
+                  <div>{n.message}</div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
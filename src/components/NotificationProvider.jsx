@@ -0,0 +1,112 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Toast } from "./Toast";
+import { NotificationHistoryContext, NotifyContext } from "./notify";
+import { t as tr } from "../i18n";
+
+// Время показа по типу уведомления (мс); с кнопкой действия даём больше времени
+const DURATION = { success: 3000, info: 4000, error: 8000 };
+const ACTION_DURATION = 12000;
+
+const MAX_VISIBLE = 5;
+const HISTORY_LIMIT = 30;
+
+let seq = 0;
+
+/**
+ * Превращаем что угодно в строку, чтобы React не пытался отрендерить объект.
+ */
+function toMessage(message) {
+  if (typeof message === "string") return message;
+  try {
+    return JSON.stringify(message);
+  } catch {
+    return tr("errors.unknown");
+  }
+}
+
+/**
+ * Центр уведомлений приложения:
+ * - стек тостов с автоскрытием по типу;
+ * - необязательная кнопка действия (например, «Повторить»);
+ * - история последних уведомлений сессии для колокольчика в шапке.
+ * Живёт над роутером, поэтому уведомления переживают навигацию.
+ */
+export function NotificationProvider({ children }) {
+  const [toasts, setToasts] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const timers = useRef(new Map());
+
+  const dismiss = useCallback((id) => {
+    const t = timers.current.get(id);
+    if (t) clearTimeout(t);
+    timers.current.delete(id);
+    setToasts((prev) => prev.filter((x) => x.id !== id));
+  }, []);
+
+  const notify = useCallback(
+    (message, type = "info", { action } = {}) => {
+      const item = {
+        id: ++seq,
+        message: toMessage(message),
+        type,
+        action: action || null,
+        at: new Date().toISOString(),
+      };
+
+      setToasts((prev) => [...prev, item].slice(-MAX_VISIBLE));
+      setHistory((prev) => [item, ...prev].slice(0, HISTORY_LIMIT));
+      setUnread((n) => Math.min(n + 1, HISTORY_LIMIT));
+
+      const ms = action ? ACTION_DURATION : DURATION[type] || DURATION.info;
+      timers.current.set(
+        item.id,
+        setTimeout(() => dismiss(item.id), ms)
+      );
+
+      return item.id;
+    },
+    [dismiss]
+  );
+
+  useEffect(() => {
+    const map = timers.current;
+    return () => {
+      map.forEach((t) => clearTimeout(t));
+      map.clear();
+    };
+  }, []);
+
+  const historyValue = useMemo(
+    () => ({
+      items: history,
+      unread,
+      markRead: () => setUnread(0),
+      clear: () => {
+        setHistory([]);
+        setUnread(0);
+      },
+    }),
+    [history, unread]
+  );
+
+  return (
+    <NotifyContext.Provider value={notify}>
+      <NotificationHistoryContext.Provider value={historyValue}>
+        {children}
+
+        <div className="toast-stack">
+          {toasts.map((t) => (
+            <Toast
+              key={t.id}
+              message={t.message}
+              type={t.type}
+              action={t.action}
+              onClose={() => dismiss(t.id)}
+            />
+          ))}
+        </div>
+      </NotificationHistoryContext.Provider>
+    </NotifyContext.Provider>
+  );
+}
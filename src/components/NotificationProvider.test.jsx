@@ -0,0 +1,78 @@
+import React, { act, useEffect } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { NotificationProvider } from "./NotificationProvider";
+import { useNotificationHistory, useNotify } from "./notify";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+let container;
+let root;
+let api;
+
+// Отдаёт тесту notify() и историю после каждого рендера
+function Probe({ onRender }) {
+  const notify = useNotify();
+  const history = useNotificationHistory();
+  useEffect(() => onRender({ notify, history }));
+  return null;
+}
+
+const toasts = () => [...container.querySelectorAll(".toast-body")].map((el) => el.textContent);
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  container = document.createElement("div");
+  root = createRoot(container);
+  act(() =>
+    root.render(
+      <NotificationProvider>
+        <Probe
+          onRender={(value) => {
+            api = value;
+          }}
+        />
+      </NotificationProvider>
+    )
+  );
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  vi.useRealTimers();
+});
+
+describe("NotificationProvider", () => {
+  it("hides toasts after a delay but keeps them in the history", () => {
+    act(() => api.notify("Сохранено", "success"));
+    expect(toasts()).toEqual(["Сохранено"]);
+
+    act(() => vi.advanceTimersByTime(3000));
+    expect(toasts()).toEqual([]);
+    expect(api.history.items.map((x) => x.message)).toEqual(["Сохранено"]);
+    expect(api.history.unread).toBe(1);
+  });
+
+  it("keeps toasts with an action longer and runs the action once", () => {
+    const onClick = vi.fn();
+    act(() => api.notify("Нет связи", "error", { action: { label: "Повторить", onClick } }));
+
+    act(() => vi.advanceTimersByTime(8000));
+    expect(toasts()).toEqual(["Нет связи"]);
+
+    act(() => container.querySelector(".btn-warn").click());
+    expect(onClick).toHaveBeenCalledTimes(1);
+    expect(toasts()).toEqual([]);
+  });
+
+  it("shows at most five toasts and clears the history on request", () => {
+    act(() => {
+      for (let i = 1; i <= 7; i++) api.notify(`#${i}`);
+    });
+    expect(toasts()).toEqual(["#3", "#4", "#5", "#6", "#7"]);
+
+    act(() => api.history.clear());
+    expect(api.history.items).toEqual([]);
+    expect(api.history.unread).toBe(0);
+  });
+});
@@ -1,8 +1,26 @@
-import React from "react";
-import { Navigate } from "react-router-dom";
+import React, { useEffect } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
 import { isAuthed } from "../utils/token";
+import { saveReturnTo } from "../auth/session";
+
+// Переход на вход: запрошенную страницу запоминаем в эффекте, а не во время рендера
+function LoginRedirect({ returnTo }) {
+  const nav = useNavigate();
+
+  useEffect(() => {
+    saveReturnTo(returnTo);
+    nav("/auth", { replace: true });
+  }, [returnTo, nav]);
+
+  return null;
+}
 
 export function ProtectedRoute({ children }) {
-  if (!isAuthed()) return <Navigate to="/auth" replace />;
+  const location = useLocation();
+
+  if (!isAuthed()) {
+    // После входа вернём пользователя на запрошенную страницу
+    return <LoginRedirect returnTo={`${location.pathname}${location.search}`} />;
+  }
   return children;
 }
@@ -1,11 +1,23 @@
 import React from "react";
 
-export function Toast({ message, type = "info", onClose }) {
+export function Toast({ message, type = "info", onClose, action }) {
   if (!message) return null;
 
   return (
-    <div className={`toast toast-${type}`}>
+    <div className={`toast toast-${type}`} role={type === "error" ? "alert" : "status"}>
       <div className="toast-body">{message}</div>
+      {action ? (
+        <button
+          className="btn-warn"
+          type="button"
+          onClick={() => {
+            action.onClick();
+            onClose?.();
+          }}
+        >
+          {action.label}
+        </button>
+      ) : null}
       <button className="toast-close" onClick={onClose} type="button">
         ×
       </button>
@@ -0,0 +1,23 @@
+import { createContext, useContext } from "react";
+
+/**
+ * Контексты центра уведомлений (провайдер — NotificationProvider.jsx).
+ * Разделены, чтобы страницы, которым нужен только notify(),
+ * не перерисовывались при каждом новом уведомлении.
+ */
+export const NotifyContext = createContext(null);
+export const NotificationHistoryContext = createContext(null);
+
+/**
+ * notify(message, type = "info", { action: { label, onClick } })
+ * type: "info" | "success" | "error"
+ */
+export function useNotify() {
+  const notify = useContext(NotifyContext);
+  if (!notify) throw new Error("useNotify: нет NotificationProvider выше по дереву");
+  return notify;
+}
+
+export function useNotificationHistory() {
+  return useContext(NotificationHistoryContext);
+}
@@ -0,0 +1,193 @@
+import React, { useMemo } from "react";
+import { Link } from "react-router-dom";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { qk } from "../query/keys";
+import { utcToLocal } from "../utils/datetime";
+import { formatNumber } from "../utils/format";
+import { useI18n } from "../i18n";
+import { deviceDisplayName } from "../devices/deviceList";
+import { fleetTotals, loadFleetSummary } from "./fleetSummary";
+
+const STATUS_PILL = { expired: "status-bad", soon: "status-warn", ok: "status-ok" };
+
+/**
+ * Счётчик со ссылкой на страницу устройства с фильтром по статусу.
+ * Нулевые значения не ссылаются — показывать там нечего.
+ */
+function StatusCounter({ deviceId, kind, value }) {
+  if (!value) return <span className="sub">0</span>;
+  return (
+    <Link className={`status-pill ${STATUS_PILL[kind]}`} to={`/devices/${deviceId}?status=${kind}`}>
+      {formatNumber(value)}
+    </Link>
+  );
+}
+
+/**
+ * Сводка по всем весам: статусы сроков годности, количество товаров,
+ * незагруженные изменения и последний запуск автообновления.
+ */
+export default function DashboardPage() {
+  const qc = useQueryClient();
+  const { t } = useI18n();
+
+  const fleetQ = useQuery({
+    queryKey: qk.fleetSummary(),
+    queryFn: () => loadFleetSummary(qc),
+  });
+
+  const rows = useMemo(() => fleetQ.data?.rows ?? [], [fleetQ.data]);
+  const totals = useMemo(() => fleetTotals(rows), [rows]);
+
+  return (
+    <div className="stack">
+      <div className="card solid">
+        <div
+          style={{
+            display: "flex",
+            alignItems: "baseline",
+            justifyContent: "space-between",
+            gap: 12,
+            flexWrap: "wrap",
+          }}
+        >
+          <div>
+            <div className="h2">{t("dashboard.title")}</div>
+            <div className="sub">
+              {fleetQ.data
+                ? t("dashboard.loadedAt", { at: utcToLocal(fleetQ.data.loadedAt) })
+                : t("dashboard.subtitle")}
+            </div>
+          </div>
+
+          <button
+            className="btn"
+            type="button"
+            onClick={() => fleetQ.refetch()}
+            disabled={fleetQ.isFetching}
+          >
+            {fleetQ.isFetching ? "..." : t("dashboard.refresh")}
+          </button>
+        </div>
+
+        {fleetQ.isSuccess ? (
+          <div className="fleet-totals">
+            <div className="kpi">
+              <div className="kpi-label">{t("dashboard.devices")}</div>
+              <div className="kpi-value">{formatNumber(totals.devices)}</div>
+            </div>
+            <div className="kpi">
+              <div className="kpi-label">{t("dashboard.products")}</div>
+              <div className="kpi-value">{formatNumber(totals.products)}</div>
+            </div>
+            <div className="kpi">
+              <div className="kpi-label">{t("status.expired")}</div>
+              <div className="kpi-value fleet-bad">{formatNumber(totals.expired)}</div>
+            </div>
+            <div className="kpi">
+              <div className="kpi-label">{t("dashboard.soon")}</div>
+              <div className="kpi-value fleet-warn">{formatNumber(totals.soon)}</div>
+            </div>
+            <div className="kpi">
+              <div className="kpi-label">{t("status.ok")}</div>
+              <div className="kpi-value">{formatNumber(totals.ok)}</div>
+            </div>
+            <div className="kpi">
+              <div className="kpi-label">{t("dashboard.dirty")}</div>
+              <div className="kpi-value">{formatNumber(totals.dirty)}</div>
+            </div>
+          </div>
+        ) : null}
+      </div>
+
+      <div className="card">
+        <div className="card-title">{t("dashboard.byDevice")}</div>
+
+        {fleetQ.isLoading ? (
+          <div className="sub">{t("dashboard.loading")}</div>
+        ) : fleetQ.isError ? (
+          <div style={{ color: "#b42318" }}>
+            {fleetQ.error?.message || t("devices.loadError")}
+          </div>
+        ) : rows.length === 0 ? (
+          <div className="sub">{t("devices.empty")}</div>
+        ) : (
+          <div className="table-wrap fleet-table">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>{t("dashboard.col.device")}</th>
+                  <th>{t("dashboard.products")}</th>
+                  <th>{t("status.expired")}</th>
+                  <th>{t("dashboard.soon")}</th>
+                  <th>{t("status.ok")}</th>
+                  <th>{t("dashboard.col.sync")}</th>
+                  <th>{t("dashboard.col.lastRun")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(({ device, summary, error }) => (
+                  <tr key={String(device.id)}>
+                    <td>
+                      <Link to={`/devices/${device.id}`}>
+                        <b>{deviceDisplayName(device)}</b>
+                      </Link>
+                      <div className="sub">
+                        {device.ip}:{device.port}
+                      </div>
+                    </td>
+
+                    {summary ? (
+                      <>
+                        <td>
+                          <Link to={`/devices/${device.id}`}>{formatNumber(summary.total)}</Link>
+                        </td>
+                        {["expired", "soon", "ok"].map((kind) => (
+                          <td key={kind}>
+                            <StatusCounter
+                              deviceId={device.id}
+                              kind={kind}
+                              value={summary.counts[kind]}
+                            />
+                          </td>
+                        ))}
+                      </>
+                    ) : (
+                      <td colSpan={4}>
+                        <span className="field-error">
+                          {error || t("detail.cacheError")}
+                        </span>
+                      </td>
+                    )}
+
+                    <td>
+                      {device.cached_dirty ? (
+                        <span className="badge" title={t("detail.dirtyHint")}>
+                          <span className="badge-dot" />
+                          <span className="badge-text">{t("device.dirty")}</span>
+                        </span>
+                      ) : (
+                        <span className="sub">{t("detail.synced")}</span>
+                      )}
+                    </td>
+
+                    <td>
+                      {summary?.lastRunUtc ? (
+                        utcToLocal(summary.lastRunUtc)
+                      ) : (
+                        <span className="sub">—</span>
+                      )}
+                      {summary && summary.autoEnabled === false ? (
+                        <div className="sub">{t("dashboard.autoOff")}</div>
+                      ) : null}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
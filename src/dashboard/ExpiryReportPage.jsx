@@ -0,0 +1,189 @@
+import React, { useMemo } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { qk } from "../query/keys";
+import { utcToLocal } from "../utils/datetime";
+import { formatPrice, formatProductDate } from "../utils/format";
+import { downloadBlob } from "../utils/download";
+import { useI18n } from "../i18n";
+import { deviceDisplayName } from "../devices/deviceList";
+import { loadFleet } from "./fleetSummary";
+import {
+  buildExpiryCsv,
+  buildExpiryReport,
+  daysLeftText,
+  parseReportDays,
+} from "./expiryReport";
+
+/**
+ * Отчёт по срокам годности по всем весам: что просрочено или истекает
+ * в ближайшие N дней. Порог и флаг просроченных хранятся в URL,
+ * чтобы отчёт можно было добавить в закладки. Есть печатная версия и CSV.
+ */
+export default function ExpiryReportPage() {
+  const qc = useQueryClient();
+  const { t } = useI18n();
+
+  const [searchParams, setSearchParams] = useSearchParams();
+  const days = parseReportDays(searchParams.get("days"));
+  const includeExpired = searchParams.get("expired") !== "0";
+
+  function setParam(key, value) {
+    setSearchParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        if (value === null) next.delete(key);
+        else next.set(key, value);
+        return next;
+      },
+      { replace: true }
+    );
+  }
+
+  const fleetQ = useQuery({
+    queryKey: qk.fleetProducts(),
+    queryFn: () => loadFleet(qc),
+  });
+
+  const groups = useMemo(
+    () => (fleetQ.data ? buildExpiryReport(fleetQ.data.rows, { days, includeExpired }) : []),
+    [fleetQ.data, days, includeExpired]
+  );
+
+  const itemsCount = groups.reduce((sum, g) => sum + g.items.length, 0);
+
+  return (
+    <div className="stack report">
+      <div className="card solid">
+        <div
+          style={{
+            display: "flex",
+            alignItems: "baseline",
+            justifyContent: "space-between",
+            gap: 12,
+            flexWrap: "wrap",
+          }}
+        >
+          <div>
+            <div className="h2">{t("report.title")}</div>
+            <div className="sub">
+              {t("report.subtitle", { count: days })}
+              {fleetQ.data ? ` · ${t("dashboard.loadedAt", { at: utcToLocal(fleetQ.data.loadedAt) })}` : ""}
+            </div>
+          </div>
+
+          <div className="no-print" style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+            <button
+              className="btn"
+              type="button"
+              onClick={() => fleetQ.refetch()}
+              disabled={fleetQ.isFetching}
+            >
+              {fleetQ.isFetching ? "..." : t("dashboard.refresh")}
+            </button>
+            <button
+              className="btn"
+              type="button"
+              onClick={() => {
+                const { blob, fileName } = buildExpiryCsv(groups);
+                downloadBlob(blob, fileName);
+              }}
+              disabled={itemsCount === 0}
+            >
+              {t("report.csv")}
+            </button>
+            <button
+              className="btn primary"
+              type="button"
+              onClick={() => window.print()}
+              disabled={!fleetQ.isSuccess}
+            >
+              {t("report.print")}
+            </button>
+          </div>
+        </div>
+
+        <div className="report-controls no-print">
+          <div className="field" style={{ maxWidth: 220 }}>
+            <div className="label">{t("report.days")}</div>
+            <input
+              className="input"
+              type="number"
+              min={0}
+              max={365}
+              value={days}
+              onChange={(e) => setParam("days", String(parseReportDays(e.target.value, 0)))}
+            />
+          </div>
+
+          <label className="check-row">
+            <input
+              type="checkbox"
+              checked={includeExpired}
+              onChange={(e) => setParam("expired", e.target.checked ? null : "0")}
+            />
+            {t("report.includeExpired")}
+          </label>
+        </div>
+      </div>
+
+      {fleetQ.isLoading ? (
+        <div className="card">
+          <div className="sub">{t("dashboard.loading")}</div>
+        </div>
+      ) : fleetQ.isError ? (
+        <div className="card">
+          <div style={{ color: "#b42318" }}>
+            {fleetQ.error?.message || t("devices.loadError")}
+          </div>
+        </div>
+      ) : groups.length === 0 ? (
+        <div className="card">
+          <div className="sub">{t("report.empty")}</div>
+        </div>
+      ) : (
+        groups.map(({ device, error, items }) => (
+          <div className="card report-group" key={String(device.id)}>
+            <div className="history-session-head">
+              <Link to={`/devices/${device.id}`} className="card-title" style={{ margin: 0 }}>
+                {deviceDisplayName(device)}
+              </Link>
+              <span className="sub">
+                {error ? "" : t("report.items", { count: items.length })}
+              </span>
+            </div>
+
+            {error ? (
+              <div className="field-error">{error}</div>
+            ) : (
+              <div className="table-wrap report-table">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>PLU</th>
+                      <th>{t("product.field.name")}</th>
+                      <th>{t("product.field.sellByDate")}</th>
+                      <th>{t("report.col.daysLeft")}</th>
+                      <th>{t("product.field.price")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {items.map((x) => (
+                      <tr key={String(x.plu)} className={x.daysLeft < 0 ? "row-invalid" : "row-changed"}>
+                        <td>{x.plu ?? "—"}</td>
+                        <td>{x.name || t("product.noName")}</td>
+                        <td>{formatProductDate(x.sellByDate)}</td>
+                        <td>{daysLeftText(x.daysLeft)}</td>
+                        <td>{formatPrice(x.price)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import { t } from "../i18n";
+import { toCsv } from "../utils/csv";
+import { fileTimestamp } from "../utils/download";
+import { deviceDisplayName } from "../devices/deviceList";
+import {
+  daysUntil,
+  getPlu,
+  maskDDMMYY,
+  parseDDMMYY,
+  toNum,
+} from "../devices/productUtils";
+
+export const DEFAULT_REPORT_DAYS = 3;
+
+/**
+ * Порог «истекает в течение N дней» из строки (URL/поле ввода).
+ */
+export function parseReportDays(v, fallback = DEFAULT_REPORT_DAYS) {
+  const n = Number(v);
+  if (v === null || v === "" || !Number.isInteger(n) || n < 0) return fallback;
+  return Math.min(n, 365);
+}
+
+/**
+ * Отчёт по срокам годности: товары, у которых до «Годен до» осталось не больше days дней.
+ * - товары без даты «Годен до» в отчёт не попадают;
+ * - includeExpired=false отбрасывает уже просроченные;
+ * - группы по устройствам, внутри — по возрастанию оставшихся дней.
+ *
+ * rows — результат loadFleet: [{ device, products | null, error }].
+ * Возвращает [{ device, error, items: [{ plu, name, sellByDate, price, daysLeft }] }];
+ * устройства без подходящих товаров и без ошибок опускаются.
+ */
+export function buildExpiryReport(rows, { days, includeExpired = true }) {
+  const groups = [];
+
+  for (const { device, products, error } of rows) {
+    if (!products) {
+      groups.push({ device, error, items: [] });
+      continue;
+    }
+
+    const items = [];
+    for (const p of products) {
+      const daysLeft = daysUntil(parseDDMMYY(p?.sellByDate));
+      if (daysLeft === null || daysLeft > days) continue;
+      if (!includeExpired && daysLeft < 0) continue;
+
+      items.push({
+        plu: getPlu(p),
+        name: p?.name || "",
+        sellByDate: maskDDMMYY(p?.sellByDate || ""),
+        price: toNum(p?.price, 0),
+        daysLeft,
+      });
+    }
+
+    items.sort((a, b) => a.daysLeft - b.daysLeft || Number(a.plu) - Number(b.plu));
+    if (items.length) groups.push({ device, error: "", items });
+  }
+
+  return groups;
+}
+
+/**
+ * Текст «осталось дней» для отчёта и CSV.
+ */
+export function daysLeftText(daysLeft) {
+  if (daysLeft < 0) return t("report.expiredFor", { count: -daysLeft });
+  if (daysLeft === 0) return t("report.today");
+  return t("report.daysLeft", { count: daysLeft });
+}
+
+/**
+ * CSV отчёта (UTF-8 BOM, разделитель «;» — открывается в Excel как есть).
+ */
+export function buildExpiryCsv(groups) {
+  const header = [
+    t("report.col.device"),
+    t("product.field.pluNumber"),
+    t("product.field.name"),
+    t("product.field.sellByDate"),
+    t("report.col.daysLeftNum"),
+    t("product.field.price"),
+  ];
+
+  const rows = [];
+  for (const g of groups) {
+    for (const x of g.items) {
+      rows.push([deviceDisplayName(g.device), x.plu ?? "", x.name, x.sellByDate, x.daysLeft, x.price]);
+    }
+  }
+
+  return {
+    blob: new Blob([`\uFEFF${toCsv([header, ...rows])}`], { type: "text/csv;charset=utf-8" }),
+    fileName: `expiry_report_${fileTimestamp()}.csv`,
+  };
+}
@@ -0,0 +1,59 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { buildExpiryReport, parseReportDays } from "./expiryReport";
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(new Date(Date.UTC(2026, 9, 19, 12)));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("parseReportDays", () => {
+  it("falls back for empty or invalid values and caps at a year", () => {
+    expect(parseReportDays("7")).toBe(7);
+    expect(parseReportDays("0")).toBe(0);
+    expect(parseReportDays("")).toBe(3);
+    expect(parseReportDays(null)).toBe(3);
+    expect(parseReportDays("-1")).toBe(3);
+    expect(parseReportDays("2.5")).toBe(3);
+    expect(parseReportDays("1000")).toBe(365);
+  });
+});
+
+describe("buildExpiryReport", () => {
+  const rows = [
+    {
+      device: { id: 1, name: "Гастрономия" },
+      products: [
+        { pluNumber: 5, name: "Сыр", sellByDate: "21-10-26" },
+        { pluNumber: 3, name: "Хлеб", sellByDate: "19-10-26" },
+        { pluNumber: 4, name: "Молоко", sellByDate: "17-10-26" },
+        { pluNumber: 6, name: "Кефир", sellByDate: "30-10-26" },
+        { pluNumber: 7, name: "Без даты", sellByDate: "" },
+      ],
+      error: "",
+    },
+    { device: { id: 2, name: "Овощи" }, products: [{ pluNumber: 1, sellByDate: "30-11-26" }], error: "" },
+    { device: { id: 3, name: "Рыба" }, products: null, error: "Нет связи" },
+  ];
+
+  it("lists products expiring within the threshold, soonest first", () => {
+    const [group] = buildExpiryReport(rows, { days: 3 });
+
+    expect(group.items.map((x) => [x.plu, x.daysLeft])).toEqual([
+      [4, -2],
+      [3, 0],
+      [5, 2],
+    ]);
+  });
+
+  it("drops expired products on request and devices with nothing to report", () => {
+    const groups = buildExpiryReport(rows, { days: 3, includeExpired: false });
+
+    expect(groups.map((g) => g.device.id)).toEqual([1, 3]);
+    expect(groups[0].items.map((x) => x.plu)).toEqual([3, 5]);
+    expect(groups[1]).toEqual({ device: rows[2].device, error: "Нет связи", items: [] });
+  });
+});
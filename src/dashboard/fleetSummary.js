@@ -0,0 +1,98 @@
+import { listDevices, getCachedProducts, getAutoUpdate } from "../api/devices";
+import { qk } from "../query/keys";
+import { runParallel } from "../utils/batch";
+import { extractErrorMessage } from "../utils/errors";
+import { normalizeDevices } from "../devices/deviceList";
+import { cachedProductsList, countByStatus } from "../devices/productUtils";
+
+// Сколько устройств опрашиваем одновременно: backend ходит на весы не всегда,
+// но кэши читаются из его БД — несколько параллельных запросов безопасны.
+export const FLEET_CONCURRENCY = 4;
+
+/**
+ * Кэш товаров (и при необходимости автообновление) одного устройства.
+ * Ошибка автообновления не считается ошибкой устройства — auto остаётся null.
+ */
+async function loadDeviceData(qc, device, { autoUpdate }) {
+  const id = Number(device.id);
+
+  const cached = await getCachedProducts(id);
+  // Кладём в кэш React Query: переход на страницу устройства будет мгновенным
+  qc.setQueryData(qk.productsCached(id), cached);
+
+  let auto = null;
+  if (autoUpdate) {
+    try {
+      auto = await getAutoUpdate(id);
+      qc.setQueryData(qk.autoUpdate(id), auto);
+    } catch {
+      // не критично для сводки
+    }
+  }
+
+  return { products: cachedProductsList(cached), auto };
+}
+
+/**
+ * Список устройств + кэш товаров каждого (с ограничением параллельности).
+ * Возвращает { loadedAt, rows: [{ device, products | null, auto, error }] }.
+ */
+export async function loadFleet(qc, { autoUpdate = false } = {}) {
+  const devices = normalizeDevices(
+    await qc.fetchQuery({ queryKey: qk.devices(), queryFn: listDevices })
+  );
+
+  const results = await runParallel(devices, (d) => loadDeviceData(qc, d, { autoUpdate }), {
+    concurrency: FLEET_CONCURRENCY,
+  });
+
+  return {
+    loadedAt: new Date().toISOString(),
+    rows: results.map((r) => ({
+      device: r.item,
+      products: r.ok ? r.result.products : null,
+      auto: r.ok ? r.result.auto : null,
+      error: r.ok ? "" : extractErrorMessage(r.error).message,
+    })),
+  };
+}
+
+/**
+ * queryFn для qk.fleetSummary(): счётчики статусов и автообновление по устройствам.
+ * Возвращает { loadedAt, rows: [{ device, summary | null, error }] }.
+ */
+export async function loadFleetSummary(qc) {
+  const { loadedAt, rows } = await loadFleet(qc, { autoUpdate: true });
+
+  return {
+    loadedAt,
+    rows: rows.map(({ device, products, auto, error }) => ({
+      device,
+      error,
+      summary: products
+        ? {
+            total: products.length,
+            counts: countByStatus(products),
+            lastRunUtc: auto?.last_run_utc || null,
+            autoEnabled: auto ? !!auto.enabled : null,
+          }
+        : null,
+    })),
+  };
+}
+
+/**
+ * Итоги по всем устройствам, загруженным без ошибок.
+ */
+export function fleetTotals(rows) {
+  const totals = { devices: rows.length, products: 0, expired: 0, soon: 0, ok: 0, dirty: 0 };
+  for (const r of rows) {
+    if (r.device?.cached_dirty) totals.dirty++;
+    if (!r.summary) continue;
+    totals.products += r.summary.total;
+    totals.expired += r.summary.counts.expired;
+    totals.soon += r.summary.counts.soon;
+    totals.ok += r.summary.counts.ok;
+  }
+  return totals;
+}
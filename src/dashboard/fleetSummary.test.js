@@ -0,0 +1,47 @@
+import { describe, expect, it, vi } from "vitest";
+import { getAutoUpdate, getCachedProducts, listDevices } from "../api/devices";
+import { fleetTotals, loadFleet } from "./fleetSummary";
+
+vi.mock("../api/devices", () => ({
+  getAutoUpdate: vi.fn(),
+  getCachedProducts: vi.fn(),
+  listDevices: vi.fn(),
+}));
+
+function fakeQueryClient() {
+  return {
+    fetchQuery: ({ queryFn }) => queryFn(),
+    setQueryData: vi.fn(),
+  };
+}
+
+describe("loadFleet", () => {
+  it("keeps failed devices as rows with an error and tolerates a failed auto-update", async () => {
+    listDevices.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+    getCachedProducts.mockImplementation(async (id) => {
+      if (id === 2) throw { response: { status: 500, data: { detail: "нет связи" } } };
+      return { products: { products: [{ pluNumber: 1 }] } };
+    });
+    getAutoUpdate.mockRejectedValue(new Error("404"));
+
+    const { rows } = await loadFleet(fakeQueryClient(), { autoUpdate: true });
+
+    expect(rows[0]).toMatchObject({ products: [{ pluNumber: 1 }], auto: null, error: "" });
+    expect(rows[1]).toMatchObject({ products: null, auto: null });
+    expect(rows[1].error).not.toBe("");
+  });
+});
+
+describe("fleetTotals", () => {
+  it("sums loaded devices and counts unsynced ones even when loading failed", () => {
+    const summary = (total, expired, soon, ok) => ({ total, counts: { expired, soon, ok } });
+
+    expect(
+      fleetTotals([
+        { device: { cached_dirty: true }, summary: summary(10, 1, 2, 7) },
+        { device: { cached_dirty: false }, summary: summary(5, 0, 1, 4) },
+        { device: { cached_dirty: true }, summary: null },
+      ])
+    ).toEqual({ devices: 3, products: 15, expired: 1, soon: 3, ok: 11, dirty: 2 });
+  });
+});
@@ -0,0 +1,260 @@
+import React, { useMemo, useState } from "react";
+import { useI18n } from "../i18n";
+import { formatScheduleTime, utcToLocal } from "../utils/datetime";
+import {
+  AUTO_MAX_INTERVAL,
+  AUTO_MODES,
+  EMPTY_AUTO_ERRORS,
+  autoFormToPayload,
+  autoUpdateToForm,
+  hasAutoErrors,
+  nextAutoRuns,
+  validateAutoForm,
+  weekdayLabels,
+} from "./autoSchedule";
+
+function YesNoToggle({ value, onChange, disabled = false }) {
+  const { t } = useI18n();
+  const isOn = !!value;
+
+  return (
+    <div
+      className={`yn-toggle ${isOn ? "on" : "off"} ${
+        disabled ? "is-disabled" : ""
+      }`}
+      role="group"
+      aria-label={t("common.yesNoToggle")}
+    >
+      <button
+        type="button"
+        className={`yn-opt ${!isOn ? "active" : ""}`}
+        onClick={() => !disabled && onChange(false)}
+        disabled={disabled}
+        aria-pressed={!isOn ? "true" : "false"}
+      >
+        {t("common.no")}
+      </button>
+
+      <button
+        type="button"
+        className={`yn-opt ${isOn ? "active" : ""}`}
+        onClick={() => !disabled && onChange(true)}
+        disabled={disabled}
+        aria-pressed={isOn ? "true" : "false"}
+      >
+        {t("common.yes")}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Редактор расписания автообновления.
+ * value — ответ getAutoUpdate; изменения копятся в черновике и уходят в onSave
+ * (должен вернуть промис) только по кнопке «Сохранить». «Отмена» возвращает сохранённое расписание.
+ */
+export function AutoUpdateEditor({ value, saving, onSave }) {
+  const { t } = useI18n();
+
+  const saved = useMemo(() => autoUpdateToForm(value), [value]);
+  // null — черновика нет, показываем сохранённое расписание
+  const [draft, setDraft] = useState(null);
+  const [errors, setErrors] = useState(EMPTY_AUTO_ERRORS);
+
+  const form = draft || saved;
+  const payload = autoFormToPayload(form);
+  const dirty = !!draft && JSON.stringify(payload) !== JSON.stringify(autoFormToPayload(saved));
+  const valid = !hasAutoErrors(validateAutoForm(form));
+
+  const runs = valid && payload.enabled ? nextAutoRuns(payload, value?.last_run_utc) : [];
+  const days = weekdayLabels();
+
+  function setField(key, v) {
+    setDraft((p) => ({ ...(p || saved), [key]: v }));
+    setErrors((p) => ({ ...p, [key]: "" }));
+  }
+
+  function setTime(i, v) {
+    setField(
+      "times",
+      form.times.map((s, j) => (j === i ? v : s))
+    );
+  }
+
+  function toggleDay(d) {
+    setField(
+      "days",
+      form.days.includes(d) ? form.days.filter((x) => x !== d) : [...form.days, d]
+    );
+  }
+
+  function cancel() {
+    setDraft(null);
+    setErrors(EMPTY_AUTO_ERRORS);
+  }
+
+  async function save() {
+    const e = validateAutoForm(form);
+    setErrors(e);
+    if (hasAutoErrors(e)) return;
+
+    try {
+      await onSave(payload);
+      setDraft(null);
+    } catch {
+      // ошибку показывает мутация; черновик остаётся для повторной попытки
+    }
+  }
+
+  return (
+    <div className="form">
+      <div
+        style={{
+          display: "grid",
+          gap: 12,
+          gridTemplateColumns: "repeat(3, minmax(0, 1fr))",
+        }}
+      >
+        <div className="field">
+          <div className="label">{t("auto.enabled")}</div>
+          <YesNoToggle
+            value={form.enabled}
+            disabled={saving}
+            onChange={(enabled) => setField("enabled", enabled)}
+          />
+        </div>
+
+        <div className="field">
+          <div className="label">{t("auto.mode")}</div>
+          <div className="tabs" role="group" aria-label={t("auto.mode")}>
+            {AUTO_MODES.map((mode) => (
+              <button
+                key={mode}
+                type="button"
+                className={`tab ${form.mode === mode ? "active" : ""}`}
+                aria-pressed={form.mode === mode ? "true" : "false"}
+                disabled={saving}
+                onClick={() => setField("mode", mode)}
+              >
+                {t(`auto.mode.${mode}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="field">
+          <div className="label">{t("auto.lastRun")}</div>
+          <input
+            className="input"
+            value={utcToLocal(value?.last_run_utc) || t("auto.never")}
+            readOnly
+          />
+        </div>
+      </div>
+
+      {form.mode === "interval" ? (
+        <div className="field" style={{ maxWidth: 240 }}>
+          <div className="label">{t("auto.interval")}</div>
+          <input
+            className={`input ${errors.interval ? "error" : ""}`}
+            type="number"
+            min={1}
+            max={AUTO_MAX_INTERVAL}
+            step={1}
+            inputMode="numeric"
+            value={form.interval}
+            disabled={saving}
+            onChange={(e) => setField("interval", e.target.value)}
+          />
+          {errors.interval ? <div className="field-error">{errors.interval}</div> : null}
+        </div>
+      ) : (
+        <div className="field">
+          <div className="label">{t("auto.times")}</div>
+          <div className="auto-times">
+            {form.times.map((time, i) => (
+              <div key={i} className="auto-time">
+                <input
+                  className={`input ${errors.times ? "error" : ""}`}
+                  type="time"
+                  value={time}
+                  disabled={saving}
+                  aria-label={t("auto.timeN", { n: i + 1 })}
+                  onChange={(e) => setTime(i, e.target.value)}
+                />
+                <button
+                  className="btn-ghost"
+                  type="button"
+                  disabled={saving || form.times.length === 1}
+                  title={t("auto.removeTime")}
+                  aria-label={t("auto.removeTime")}
+                  onClick={() => setField("times", form.times.filter((_, j) => j !== i))}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            <button
+              className="btn-ghost"
+              type="button"
+              disabled={saving}
+              onClick={() => setField("times", [...form.times, ""])}
+            >
+              {t("auto.addTime")}
+            </button>
+          </div>
+          {errors.times ? <div className="field-error">{errors.times}</div> : null}
+        </div>
+      )}
+
+      {form.mode === "weekly" ? (
+        <div className="field">
+          <div className="label">{t("auto.days")}</div>
+          <div className="auto-days">
+            {days.map((label, d) => (
+              <label key={d} className="check-row">
+                <input
+                  type="checkbox"
+                  checked={form.days.includes(d)}
+                  disabled={saving}
+                  onChange={() => toggleDay(d)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          {errors.days ? <div className="field-error">{errors.days}</div> : null}
+        </div>
+      ) : null}
+
+      <div className="field">
+        <div className="label">{t("auto.nextRuns")}</div>
+        {!form.enabled ? (
+          <div className="sub">{t("auto.preview.disabled")}</div>
+        ) : !valid ? (
+          <div className="sub">{t("auto.preview.invalid")}</div>
+        ) : (
+          <ol className="auto-runs">
+            {runs.map((r) => (
+              <li key={r.at.getTime()}>
+                {r.overdue ? t("auto.preview.overdue") : formatScheduleTime(r.at)}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+
+      {dirty ? (
+        <div className="auto-actions">
+          <span className="sub">{t("auto.unsaved")}</span>
+          <button className="btn" type="button" onClick={cancel} disabled={saving}>
+            {t("common.cancel")}
+          </button>
+          <button className="btn primary" type="button" onClick={save} disabled={saving}>
+            {t("common.save")}
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
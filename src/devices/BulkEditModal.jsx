@@ -0,0 +1,163 @@
+import React, { useState } from "react";
+import { Modal } from "../components/Modal";
+import { BatchProgress } from "../components/BatchProgress";
+import { useI18n } from "../i18n";
+import { getPlu, maskDDMMYY, productFieldLabel } from "./productUtils";
+import { patchProductTracked } from "./changeJournal";
+import { useBatchRun } from "./useBatchRun";
+import {
+  BULK_FIELDS,
+  BULK_MODES,
+  buildBulkFields,
+  validateBulkOp,
+} from "./bulkEdit";
+
+/**
+ * Массовое редактирование выбранных товаров.
+ * - товары патчатся по одному через patchProductByPlu;
+ * - прогресс показывается по каждому PLU;
+ * - неудачные PLU собираются в отчёт и могут быть повторены;
+ * - инвалидация кэша выполняется один раз в конце прогона.
+ *
+ * Работаем со снимком выбранных товаров на момент открытия модалки:
+ * повтор считается от того же снимка, поэтому изменение цены на
+ * сумму/процент не применяется дважды.
+ */
+export function BulkEditModal({ deviceId, products: initialProducts, onClose, onFinished }) {
+  const { t } = useI18n();
+
+  // Снимок: после инвалидации кэша родитель передаст уже обновлённые товары.
+  const [products] = useState(initialProducts);
+
+  const [op, setOp] = useState({ mode: "set", field: "price", value: "" });
+  const [opError, setOpError] = useState("");
+
+  const batch = useBatchRun(deviceId, {
+    task: (p) => patchProductTracked(deviceId, getPlu(p), buildBulkFields(p, op), p, "bulk"),
+    keyOf: (p) => String(getPlu(p)),
+    onFinished,
+  });
+  const { running, started, failedCount } = batch;
+
+  const isDateField =
+    op.mode === "set" && (op.field === "manufactureDate" || op.field === "sellByDate");
+
+  function start() {
+    const err = validateBulkOp(op);
+    setOpError(err);
+    if (err) return;
+    batch.run(products);
+  }
+
+  function close() {
+    if (!running) onClose();
+  }
+
+  return (
+    <Modal
+      open
+      title={t("bulk.title")}
+      subtitle={t("bulk.subtitle", { count: products.length })}
+      onClose={close}
+      footer={
+        <>
+          <button className="btn" type="button" onClick={close} disabled={running}>
+            {started ? t("common.close") : t("common.cancel")}
+          </button>
+          {started && failedCount > 0 ? (
+            <button className="btn" type="button" onClick={() => batch.retryFailed(products)} disabled={running}>
+              {t("batch.retryFailed", { count: failedCount })}
+            </button>
+          ) : null}
+          {!started ? (
+            <button className="btn primary" type="button" onClick={start} disabled={running}>
+              {t("common.apply")}
+            </button>
+          ) : null}
+        </>
+      }
+    >
+      {!started ? (
+        <div className="form">
+          <div className="field">
+            <div className="label">{t("bulk.operation")}</div>
+            <select
+              className="select"
+              value={op.mode}
+              onChange={(e) => {
+                setOp((p) => ({ ...p, mode: e.target.value, value: "" }));
+                setOpError("");
+              }}
+            >
+              {BULK_MODES.map((m) => (
+                <option key={m.value} value={m.value}>
+                  {t(m.labelKey)}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {op.mode === "set" ? (
+            <div className="field">
+              <div className="label">{t("bulk.field")}</div>
+              <select
+                className="select"
+                value={op.field}
+                onChange={(e) => {
+                  setOp((p) => ({ ...p, field: e.target.value, value: "" }));
+                  setOpError("");
+                }}
+              >
+                {BULK_FIELDS.map((f) => (
+                  <option key={f.value} value={f.value}>
+                    {productFieldLabel(f.value)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ) : null}
+
+          <div className="field">
+            <div className="label">
+              {op.mode === "set"
+                ? isDateField
+                  ? t("bulk.valueDate")
+                  : t("bulk.value")
+                : op.mode === "priceAbs"
+                  ? t("bulk.deltaAbs")
+                  : t("bulk.deltaPct")}
+            </div>
+            <input
+              className={`input ${opError ? "error" : ""}`}
+              value={op.value}
+              onChange={(e) => {
+                const v = isDateField ? maskDDMMYY(e.target.value) : e.target.value;
+                setOp((p) => ({ ...p, value: v }));
+                setOpError("");
+              }}
+              placeholder={isDateField ? "01-01-26" : ""}
+              inputMode={isDateField ? "numeric" : "decimal"}
+              autoFocus
+            />
+            {opError ? (
+              <div className="field-error">{opError}</div>
+            ) : isDateField ? (
+              <div className="help">{t("bulk.clearDateHelp")}</div>
+            ) : null}
+          </div>
+
+          <div className="sub">
+            {t("edit.cacheHint")}
+          </div>
+        </div>
+      ) : (
+        <BatchProgress
+          items={products.map((p) => {
+            const plu = String(getPlu(p));
+            return { key: plu, plu, name: p?.name, ...batch.rowOf(p) };
+          })}
+        />
+      )}
+    </Modal>
+  );
+}
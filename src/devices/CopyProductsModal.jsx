@@ -0,0 +1,247 @@
+import React, { useMemo, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { Modal } from "../components/Modal";
+import { BatchProgress } from "../components/BatchProgress";
+import { listDevices, getCachedProducts } from "../api/devices";
+import { qk } from "../query/keys";
+import { extractErrorMessage } from "../utils/errors";
+import { useI18n } from "../i18n";
+import { cachedProductsList } from "./productUtils";
+import { deviceDisplayName, normalizeDevices } from "./deviceList";
+import { buildCopyPlan, countCopyPlan } from "./productCopy";
+import { patchProductTracked } from "./changeJournal";
+import { useBatchRun } from "./useBatchRun";
+
+/**
+ * Копирование товаров с другого устройства в кэш текущего.
+ * Шаги:
+ *  1) select — выбор устройства-источника, PLU и режима перезаписи;
+ *  2) apply  — запись через patchProductByPlu с прогрессом по каждому PLU.
+ *
+ * Источник читается из его кэша (getCachedProducts), поэтому копируется
+ * то, что сейчас в кэше источника, включая ещё не загруженные в весы правки.
+ * Запись помечает кэш текущего устройства «грязным» до загрузки в весы.
+ */
+export function CopyProductsModal({ deviceId, products, onClose, onFinished }) {
+  const { t } = useI18n();
+
+  const [step, setStep] = useState("select");
+  const [sourceId, setSourceId] = useState("");
+  const [overwrite, setOverwrite] = useState(false);
+  // Снятые с выбора PLU: по умолчанию копируется всё
+  const [unchecked, setUnchecked] = useState(() => new Set());
+
+  const [toApply, setToApply] = useState([]);
+  const batch = useBatchRun(deviceId, {
+    task: (x) => patchProductTracked(deviceId, x.plu, x.patch, x.before, "copy"),
+    keyOf: (x) => x.plu,
+    onFinished,
+  });
+  const { running, failedCount } = batch;
+
+  const devicesQ = useQuery({
+    queryKey: qk.devices(),
+    queryFn: listDevices,
+  });
+
+  const sources = useMemo(
+    () =>
+      normalizeDevices(devicesQ.data).filter((d) => Number(d.id) !== Number(deviceId)),
+    [devicesQ.data, deviceId]
+  );
+
+  const sourceQ = useQuery({
+    queryKey: qk.productsCached(Number(sourceId)),
+    queryFn: () => getCachedProducts(Number(sourceId)),
+    enabled: sourceId !== "",
+  });
+
+  const plan = useMemo(
+    () =>
+      sourceQ.data
+        ? buildCopyPlan(cachedProductsList(sourceQ.data), products, { overwrite })
+        : [],
+    [sourceQ.data, products, overwrite]
+  );
+
+  const chosen = plan.filter((x) => !unchecked.has(x.plu));
+  const targets = chosen.filter((x) => x.kind === "added" || x.kind === "changed");
+  const counts = countCopyPlan(chosen);
+
+  function toggle(plu) {
+    setUnchecked((prev) => {
+      const next = new Set(prev);
+      if (next.has(plu)) next.delete(plu);
+      else next.add(plu);
+      return next;
+    });
+  }
+
+  function apply() {
+    // Снимок фиксируется: после записи кэш обновится и план пересчитается
+    setToApply(targets);
+    setStep("apply");
+    batch.run(targets);
+  }
+
+  function close() {
+    if (!running) onClose();
+  }
+
+  const footer =
+    step === "select" ? (
+      <>
+        <button className="btn" type="button" onClick={close}>
+          {t("common.cancel")}
+        </button>
+        <button
+          className="btn primary"
+          type="button"
+          onClick={apply}
+          disabled={targets.length === 0}
+        >
+          {t("copy.apply", { count: targets.length })}
+        </button>
+      </>
+    ) : (
+      <>
+        {failedCount > 0 ? (
+          <button className="btn" type="button" onClick={() => batch.retryFailed(toApply)} disabled={running}>
+            {t("batch.retryFailed", { count: failedCount })}
+          </button>
+        ) : null}
+        <button className="btn primary" type="button" onClick={close} disabled={running}>
+          {t("common.close")}
+        </button>
+      </>
+    );
+
+  return (
+    <Modal
+      open
+      wide
+      title={t("copy.title")}
+      subtitle={t("copy.subtitle")}
+      onClose={close}
+      footer={footer}
+    >
+      {step === "select" ? (
+        <div className="form">
+          <div className="mapping-grid">
+            <div className="field">
+              <div className="label">{t("copy.source")}</div>
+              <select
+                className="select"
+                value={sourceId}
+                disabled={devicesQ.isLoading}
+                onChange={(e) => {
+                  setSourceId(e.target.value);
+                  setUnchecked(new Set());
+                }}
+              >
+                <option value="">{t("copy.sourcePlaceholder")}</option>
+                {sources.map((d) => (
+                  <option key={d.id} value={d.id}>
+                    {deviceDisplayName(d)}
+                  </option>
+                ))}
+              </select>
+              {devicesQ.isError ? (
+                <div className="field-error">
+                  {extractErrorMessage(devicesQ.error).message}
+                </div>
+              ) : null}
+            </div>
+          </div>
+
+          <label className="check-row">
+            <input
+              type="checkbox"
+              checked={overwrite}
+              onChange={(e) => setOverwrite(e.target.checked)}
+            />
+            {t("copy.overwrite")}
+          </label>
+
+          {sourceId === "" ? null : sourceQ.isLoading ? (
+            <div className="sub">{t("common.loading")}</div>
+          ) : sourceQ.isError ? (
+            <div className="field-error">{extractErrorMessage(sourceQ.error).message}</div>
+          ) : plan.length === 0 ? (
+            <div className="sub">{t("copy.sourceEmpty")}</div>
+          ) : (
+            <>
+              <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+                <span className="sub">
+                  {t("copy.summary", {
+                    selected: chosen.length,
+                    total: plan.length,
+                    added: counts.added,
+                    changed: counts.changed,
+                    skipped: counts.skipped + counts.unchanged,
+                  })}
+                </span>
+                <button
+                  className="btn-ghost"
+                  type="button"
+                  onClick={() => setUnchecked(new Set())}
+                >
+                  {t("copy.checkAll")}
+                </button>
+                <button
+                  className="btn-ghost"
+                  type="button"
+                  onClick={() => setUnchecked(new Set(plan.map((x) => x.plu)))}
+                >
+                  {t("selection.clear")}
+                </button>
+              </div>
+
+              <div className="table-wrap">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th />
+                      <th>PLU</th>
+                      <th>{t("product.field.name")}</th>
+                      <th>{t("copy.col.result")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {plan.map((x) => (
+                      <tr key={x.plu} className={`row-${x.kind}`}>
+                        <td>
+                          <input
+                            type="checkbox"
+                            className="product-check"
+                            checked={!unchecked.has(x.plu)}
+                            onChange={() => toggle(x.plu)}
+                            aria-label={t("selection.select", { plu: x.plu })}
+                          />
+                        </td>
+                        <td>{x.plu}</td>
+                        <td>{x.name || t("product.noName")}</td>
+                        <td>{t(`copy.kind.${x.kind}`)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          <div className="sub">{t("edit.cacheHint")}</div>
+        </div>
+      ) : (
+        <BatchProgress
+          items={toApply.map((x) => ({
+            key: String(x.plu),
+            plu: x.plu,
+            name: x.name,
+            ...batch.rowOf(x),
+          }))}
+        />
+      )}
+    </Modal>
+  );
+}
@@ -1,243 +1,65 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { useParams } from "react-router-dom";
+import React, { useDeferredValue, useEffect, useMemo, useRef, useState } from "react";
+import { useParams, useSearchParams } from "react-router-dom";
 import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import {
   getDevice,
-  fetchProducts,
+  updateDevice,
   getCachedProducts,
-  patchProductByPlu,
-  uploadCache,
   getAutoUpdate,
   setAutoUpdate,
 } from "../api/devices";
-import { Toast } from "../components/Toast";
+import { useNotify } from "../components/notify";
 import { Modal } from "../components/Modal";
-import { utcToLocal } from "../utils/datetime";
+import { DeviceSettingsModal } from "./DeviceSettingsModal";
+import { BulkEditModal } from "./BulkEditModal";
+import { ImportWizardModal } from "./ImportWizardModal";
+import { CopyProductsModal } from "./CopyProductsModal";
+import { ExportModal } from "./ExportModal";
+import { UploadReviewModal } from "./UploadReviewModal";
+import { loadDeviceSnapshot, saveDeviceSnapshot } from "./deviceSnapshot";
+import { patchProductTracked } from "./changeJournal";
+import { HistoryPanel } from "./HistoryPanel";
+import { AutoUpdateEditor } from "./AutoUpdateEditor";
+import { ProductCards } from "./ProductCards";
+import { ProductTable } from "./ProductTable";
+import { PRODUCT_SORT_KEYS, PRODUCT_VIEWS, sortProducts } from "./productList";
+import { ProductFiltersPanel } from "./ProductFiltersPanel";
+import {
+  PRODUCT_STATUS_FILTERS,
+  countByStatusFilter,
+  filterProducts,
+  productFiltersFromParams,
+  productFiltersToParams,
+} from "./productFilters";
+import { HealthBadge } from "../health/HealthBadge";
+import { OutageHistory } from "../health/OutageHistory";
+import { LabelPreview } from "../labels/LabelPreview";
+import { useLabelSettings } from "../labels/labelSettings";
+import { decodeScannedCode, useBarcodeScanner } from "../labels/barcodeScanner";
+import { useOnline } from "../offline/connection";
+import { applyQueuedPatches, usePatchQueue } from "../offline/patchQueue";
+import { StaleDataBanner } from "../offline/StaleDataBanner";
+import { PatchQueuePanel } from "../offline/PatchQueuePanel";
+import { useDeviceJob } from "../jobs/useDeviceJob";
+import { DeviceJobStatus } from "../jobs/DeviceJobStatus";
+import { useI18n } from "../i18n";
 import { qk } from "../query/keys";
+import { extractErrorMessage } from "../utils/errors";
+import {
+  cachedProductsList,
+  toNum,
+  maskDDMMYY,
+  dateErrorText,
+  getPlu,
+  getShelfLifeDays,
+} from "./productUtils";
+import { optimisticPatchProduct, rollbackProducts } from "../query/optimistic";
 import {
+  invalidateDeviceAll,
   invalidateDeviceProducts,
   invalidateDeviceAutoUpdate,
 } from "../query/invalidate";
 
-function safeArray(v) {
-  return Array.isArray(v) ? v : [];
-}
-
-function fmtDate(v) {
-  if (!v) return "—";
-  return String(v);
-}
-
-function toNum(v, def = 0) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : def;
-}
-
-/**
- * Приведение интервала автообновления к int >= 1.
- * FastAPI обычно ожидает именно int, иначе получим 422.
- */
-function normalizeIntervalMinutes(v, fallback = 60) {
-  const n = Number(v);
-  if (!Number.isFinite(n)) return fallback;
-  const intN = Math.trunc(n);
-  if (intN <= 0) return fallback;
-  return intN;
-}
-
-/**
- * Извлечь человекочитаемую строку ошибки из axios/FastAPI.
- * Важно: возвращаем СТРОКУ, чтобы React не пытался отрендерить объект.
- */
-function extractErrorMessage(err) {
-  const status = err?.response?.status;
-  const data = err?.response?.data;
-  const detail = data?.detail;
-
-  if (typeof detail === "string" && detail.trim()) {
-    return { status, message: detail.trim() };
-  }
-
-  // FastAPI 422: detail = [{loc, msg, type, ...}, ...]
-  if (Array.isArray(detail) && detail.length) {
-    const parts = detail
-      .map((x) => {
-        const loc = Array.isArray(x?.loc) ? x.loc.join(".") : "";
-        const msg = x?.msg ? String(x.msg) : "";
-        if (loc && msg) return `${loc}: ${msg}`;
-        return msg || "";
-      })
-      .filter(Boolean);
-
-    if (parts.length) return { status, message: parts.join("; ") };
-
-    try {
-      return { status, message: JSON.stringify(detail) };
-    } catch {
-      return { status, message: "Ошибка валидации данных" };
-    }
-  }
-
-  if (detail && typeof detail === "object") {
-    try {
-      return { status, message: JSON.stringify(detail) };
-    } catch {
-      // ignore
-    }
-  }
-
-  if (typeof data === "string" && data.trim()) {
-    return { status, message: data.trim() };
-  }
-
-  if (err?.message) return { status, message: String(err.message) };
-
-  return { status, message: "Неизвестная ошибка" };
-}
-
-/**
- * Ожидаемый формат: DD-MM-YY (например 01-01-26)
- * Маска: берём только цифры, вставляем дефисы после 2 и 4.
- */
-function maskDDMMYY(raw) {
-  const digits = String(raw || "")
-    .replace(/\D/g, "")
-    .slice(0, 6);
-  const dd = digits.slice(0, 2);
-  const mm = digits.slice(2, 4);
-  const yy = digits.slice(4, 6);
-
-  if (digits.length <= 2) return dd;
-  if (digits.length <= 4) return `${dd}-${mm}`;
-  return `${dd}-${mm}-${yy}`;
-}
-
-function parseDDMMYY(s) {
-  if (!s) return null;
-  const str = String(s).trim();
-  const m = str.match(/^(\d{2})-(\d{2})-(\d{2})$/);
-  if (!m) return null;
-
-  const dd = Number(m[1]);
-  const mm = Number(m[2]);
-  const yy = Number(m[3]) + 2000;
-
-  const d = new Date(Date.UTC(yy, mm - 1, dd, 0, 0, 0));
-  if (Number.isNaN(d.getTime())) return null;
-
-  // защита от "переползания" даты (31-02-26 и т.п.)
-  if (
-    d.getUTCFullYear() !== yy ||
-    d.getUTCMonth() !== mm - 1 ||
-    d.getUTCDate() !== dd
-  ) {
-    return null;
-  }
-  return d;
-}
-
-function isDDMMYY(s) {
-  if (!s) return true; // пустое допускаем
-  return parseDDMMYY(s) !== null;
-}
-
-function dateErrorText(s) {
-  if (!s) return "";
-  return isDDMMYY(s) ? "" : "Формат даты: DD-MM-YY, например 01-01-26";
-}
-
-function daysUntil(dateUtc) {
-  if (!dateUtc) return null;
-  const now = new Date();
-  const nowUtc = new Date(
-    Date.UTC(
-      now.getUTCFullYear(),
-      now.getUTCMonth(),
-      now.getUTCDate(),
-      0,
-      0,
-      0
-    )
-  );
-  const diffMs = dateUtc.getTime() - nowUtc.getTime();
-  return Math.floor(diffMs / (24 * 3600 * 1000));
-}
-
-function YesNoToggle({ value, onChange, disabled = false }) {
-  const isOn = !!value;
-
-  return (
-    <div
-      className={`yn-toggle ${isOn ? "on" : "off"} ${
-        disabled ? "is-disabled" : ""
-      }`}
-      role="group"
-      aria-label="Переключатель Да/Нет"
-    >
-      <button
-        type="button"
-        className={`yn-opt ${!isOn ? "active" : ""}`}
-        onClick={() => !disabled && onChange(false)}
-        disabled={disabled}
-        aria-pressed={!isOn ? "true" : "false"}
-      >
-        Нет
-      </button>
-
-      <button
-        type="button"
-        className={`yn-opt ${isOn ? "active" : ""}`}
-        onClick={() => !disabled && onChange(true)}
-        disabled={disabled}
-        aria-pressed={isOn ? "true" : "false"}
-      >
-        Да
-      </button>
-    </div>
-  );
-}
-
-function computeStatus(p) {
-  const sellBy = parseDDMMYY(p?.sellByDate);
-  const d = daysUntil(sellBy);
-  if (d === null) return { cls: "status-ok", label: "OK" };
-  if (d < 0) return { cls: "status-bad", label: "Просрочен" };
-  if (d <= 2) return { cls: "status-warn", label: `Скоро (${d}д)` };
-  return { cls: "status-ok", label: "OK" };
-}
-
-/**
- * В вашем JSON: PLU = pluNumber
- * На всякий случай оставляем fallback'и для совместимости
- */
-function getPlu(product) {
-  const candidates = [
-    product?.pluNumber, // <-- ГЛАВНОЕ
-    product?.plu,
-    product?.product_key,
-    product?.productKey,
-    product?.code,
-    product?.id,
-  ];
-  const found = candidates.find(
-    (x) => x !== undefined && x !== null && String(x).trim() !== ""
-  );
-  return found ?? null;
-}
-
-/**
- * У вас срок годности: shelfLife (а не shelfLifeInDays)
- * Оставим функцию для нормализации.
- */
-function getShelfLifeDays(p) {
-  const candidates = [
-    p?.shelfLife, // <-- ГЛАВНОЕ
-    p?.shelfLifeInDays,
-  ];
-  const found = candidates.find((x) => x !== undefined && x !== null && x !== "");
-  return toNum(found, 0);
-}
-
 export default function DeviceDetailPage() {
   const { id } = useParams();
   const deviceId = Number(id);
@@ -245,20 +67,8 @@ export default function DeviceDetailPage() {
 
   const isValidDeviceId = Number.isFinite(deviceId) && deviceId > 0;
 
-  const [toast, setToast] = useState({ message: "", type: "info" });
-  function show(message, type = "info") {
-    const safeMsg =
-      typeof message === "string"
-        ? message
-        : (() => {
-            try {
-              return JSON.stringify(message);
-            } catch {
-              return "Неизвестная ошибка";
-            }
-          })();
-    setToast({ message: safeMsg, type });
-  }
+  const show = useNotify();
+  const { t } = useI18n();
 
   // Показываем "Синхронизировано" на короткое время после успешной загрузки в весы.
   const [syncedFlash, setSyncedFlash] = useState(false);
@@ -301,73 +111,254 @@ export default function DeviceDetailPage() {
     enabled: isValidDeviceId,
   });
 
-  const fetchM = useMutation({
-    mutationFn: () => fetchProducts(deviceId),
-    onSuccess: async () => {
+  // После «Выгрузить» и «Загрузить в весы» кэш совпадает с содержимым весов —
+  // запоминаем его как снимок для проверки перед следующей загрузкой.
+  function rememberDeviceSnapshot() {
+    saveDeviceSnapshot(
+      deviceId,
+      cachedProductsList(qc.getQueryData(qk.productsCached(deviceId)))
+    );
+  }
+
+  // Итог пакетной записи (массовое редактирование, импорт, копирование):
+  // ключи <prefix>.done и <prefix>.partial; поставленные в очередь — не «готово»
+  function showBatchResult(prefix, { total, failed, queued = 0 }) {
+    const done = total - failed - queued;
+    if (failed) {
+      show(t(`${prefix}.partial`, { done, total, failed }), "error");
+    } else if (queued) {
+      show(t("batch.queuedResult", { done, total, queued }), "info");
+    } else {
+      show(t(`${prefix}.done`, { count: total }), "success");
+    }
+  }
+
+  // «Выгрузить» и «Загрузить в весы» — фоновые задачи с прогрессом и отменой;
+  // незавершённая задача подхватывается после перезагрузки страницы.
+  const deviceJob = useDeviceJob(deviceId, {
+    onFinished: async (job) => {
       await invalidateDeviceProducts(qc, deviceId);
-      show("Товары выгружены", "success");
-    },
-    onError: (err) => {
-      const { message } = extractErrorMessage(err);
-      show(message || "Ошибка выгрузки", "error");
+
+      if (job.status === "done") {
+        rememberDeviceSnapshot();
+        if (job.kind === "upload") {
+          show(t("detail.uploaded"), "success");
+          flashSynced();
+        } else {
+          show(t("detail.fetched"), "success");
+        }
+        return;
+      }
+
+      if (job.status === "canceled") {
+        show(t("jobs.canceled"), "info");
+        return;
+      }
+
+      showJobError(job.kind, job.error);
     },
+    onError: (err, kind) => showJobError(kind, extractErrorMessage(err).message),
   });
 
-  const uploadM = useMutation({
-    mutationFn: () => uploadCache(deviceId),
-    onSuccess: async () => {
-      await invalidateDeviceProducts(qc, deviceId);
-      show("Товары загружены в весы", "success");
-      flashSynced();
+  function showJobError(kind, message) {
+    const fallback = kind === "upload" ? t("detail.uploadError") : t("detail.fetchError");
+    show(message || fallback, "error", {
+      action: { label: t("common.retry"), onClick: () => deviceJob.start(kind) },
+    });
+  }
+
+  // Оптимистичное обновление: карточка сразу показывает новые значения,
+  // при ошибке возвращаем снимок кэша и заново открываем модалку с вводом пользователя.
+  const patchM = useMutation({
+    mutationFn: ({ plu, fields, before }) =>
+      patchProductTracked(deviceId, plu, fields, before, "edit"),
+    onMutate: async ({ plu, fields }) => {
+      const previous = await optimisticPatchProduct(qc, deviceId, plu, fields);
+      return { previous };
     },
-    onError: (err) => {
+    onSuccess: (result) => {
+      if (result?.queued) show(t("offline.queued"), "info");
+      else show(t("detail.productSaved"), "success");
+    },
+    onError: (err, { draft }, context) => {
+      if (context?.previous !== undefined) {
+        rollbackProducts(qc, deviceId, context.previous);
+      }
+
       const { message } = extractErrorMessage(err);
-      show(message || "Ошибка загрузки", "error");
+      show(message || t("detail.productSaveError"), "error");
+
+      setEdit(draft);
+      setEditErrors({
+        manufactureDate: dateErrorText(draft.manufactureDate),
+        sellByDate: dateErrorText(draft.sellByDate),
+      });
+      setEditOpen(true);
+    },
+    onSettled: async () => {
+      await invalidateDeviceProducts(qc, deviceId);
     },
   });
 
-  const patchM = useMutation({
-    mutationFn: ({ plu, fields }) => patchProductByPlu(deviceId, plu, fields),
+  const autoM = useMutation({
+    mutationFn: (payload) => setAutoUpdate(deviceId, payload),
     onSuccess: async () => {
-      await invalidateDeviceProducts(qc, deviceId);
-      show("Товар обновлён (кэш)", "success");
+      await invalidateDeviceAutoUpdate(qc, deviceId);
+      show(t("detail.autoSaved"), "success");
     },
     onError: (err) => {
       const { message } = extractErrorMessage(err);
-      show(message || "Ошибка обновления товара", "error");
+      show(message || t("detail.autoSaveError"), "error");
     },
   });
 
-  const autoM = useMutation({
-    mutationFn: (payload) => setAutoUpdate(deviceId, payload),
+  // ===== проверка перед загрузкой в весы =====
+  // null — диалог закрыт; false — снимка нет; объект — снимок содержимого весов
+  const [reviewSnapshot, setReviewSnapshot] = useState(null);
+
+  // ===== настройки устройства =====
+  const [settingsOpen, setSettingsOpen] = useState(false);
+
+  const settingsM = useMutation({
+    mutationFn: (payload) => updateDevice(deviceId, payload),
     onSuccess: async () => {
-      await invalidateDeviceAutoUpdate(qc, deviceId);
-      show("Настройки автообновления сохранены", "success");
+      await invalidateDeviceAll(qc, deviceId);
+      show(t("settings.saved"), "success");
+      setSettingsOpen(false);
     },
     onError: (err) => {
       const { message } = extractErrorMessage(err);
-      show(message || "Ошибка настройки автообновления", "error");
+      show(message || t("settings.saveError"), "error");
     },
   });
 
-  const products = useMemo(() => {
-    const raw = cachedQ.data?.products || {};
-    return safeArray(raw.products);
-  }, [cachedQ.data]);
+  // ===== без связи =====
+  // Данные (в том числе восстановленные из IndexedDB) показываем и при ошибке запроса;
+  // неотправленные изменения накладываем поверх кэша.
+  const online = useOnline();
+  const queue = usePatchQueue();
+  const deviceQueue = useMemo(
+    () => queue.filter((e) => e.deviceId === deviceId),
+    [queue, deviceId]
+  );
+  const pendingCount = deviceQueue.filter((e) => e.status === "pending").length;
+  const cacheReady = cachedQ.data !== undefined;
+  const stale =
+    !online || (cachedQ.isError && cacheReady) || (deviceQ.isError && !!deviceQ.data);
+
+  // serverProducts — кэш на сервере (его и загрузит «Загрузить в весы»),
+  // products — он же с наложенными неотправленными изменениями
+  const serverProducts = useMemo(() => cachedProductsList(cachedQ.data), [cachedQ.data]);
+  const products = useMemo(
+    () => applyQueuedPatches(serverProducts, deviceQueue),
+    [serverProducts, deviceQueue]
+  );
 
   const [query, setQuery] = useState("");
 
+  // Фильтры живут в URL (?status=expired&price_min=…), чтобы на отфильтрованную
+  // страницу можно было сослаться со сводки.
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => productFiltersFromParams(searchParams), [searchParams]);
+
+  // Вид списка и сортировка — тоже в URL: по умолчанию карточки в порядке кэша
+  const viewParam = searchParams.get("view");
+  const view = PRODUCT_VIEWS.includes(viewParam) ? viewParam : "cards";
+  const sortParam = searchParams.get("sort");
+  const sortKey = PRODUCT_SORT_KEYS.includes(sortParam) ? sortParam : null;
+  const sortDir = searchParams.get("dir") === "desc" ? "desc" : "asc";
+  const sort = useMemo(() => ({ key: sortKey, dir: sortDir }), [sortKey, sortDir]);
+
+  function setParams(values) {
+    setSearchParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        for (const [k, v] of Object.entries(values)) {
+          if (v == null) next.delete(k);
+          else next.set(k, v);
+        }
+        return next;
+      },
+      { replace: true }
+    );
+  }
+
+  function setFilters(patch) {
+    setParams(productFiltersToParams({ ...filters, ...patch }));
+  }
+
+  function replaceFilters(next) {
+    setParams(productFiltersToParams(next));
+  }
+
+  function setView(value) {
+    setParams({ view: value === "cards" ? null : value });
+  }
+
+  // Повторный клик по колонке меняет направление
+  function toggleSort(key) {
+    const dir = sort.key === key && sort.dir === "asc" ? "desc" : "asc";
+    setParams({ sort: key, dir: dir === "asc" ? null : dir });
+  }
+
+  // Фильтрация 10 000 товаров не должна задерживать ввод в поле поиска и в фильтрах
+  const deferredQuery = useDeferredValue(query);
+  const deferredFilters = useDeferredValue(filters);
+
   const filtered = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    if (!q) return products;
+    const q = deferredQuery.trim().toLowerCase();
+    const list = filterProducts(products, deferredFilters);
+    if (!q) return list;
 
-    return products.filter((p) => {
+    return list.filter((p) => {
       const plu = getPlu(p);
       const pluStr = plu != null ? String(plu).toLowerCase() : "";
       const name = p?.name ? String(p.name).toLowerCase() : "";
       return pluStr.includes(q) || name.includes(q);
     });
-  }, [products, query]);
+  }, [products, deferredQuery, deferredFilters]);
+
+  const statusCounts = useMemo(() => countByStatusFilter(products), [products]);
+
+  const sorted = useMemo(() => sortProducts(filtered, sort), [filtered, sort]);
+
+  // ===== выбор товаров для массового изменения =====
+  // Храним PLU строками, чтобы выбор переживал перезагрузку кэша.
+  const [selected, setSelected] = useState(() => new Set());
+  const [bulkOpen, setBulkOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
+  const [copyOpen, setCopyOpen] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+
+  const selectedProducts = useMemo(
+    () => products.filter((p) => selected.has(String(getPlu(p)))),
+    [products, selected]
+  );
+
+  function toggleSelected(plu) {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      const key = String(plu);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  }
+
+  function selectAllFiltered() {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      for (const p of filtered) {
+        const plu = getPlu(p);
+        if (plu != null) next.add(String(plu));
+      }
+      return next;
+    });
+  }
+
+  function clearSelected() {
+    setSelected(new Set());
+  }
 
   // ===== modal state =====
   const [editOpen, setEditOpen] = useState(false);
@@ -385,7 +376,10 @@ export default function DeviceDetailPage() {
     sellByDate: "",
   });
 
-  function openEdit(p) {
+  // Товар, которого нет в кэше (открыт сканером): сохранение формы создаёт его
+  const [editIsNew, setEditIsNew] = useState(false);
+
+  function openEdit(p, { isNew = false } = {}) {
     const plu = getPlu(p);
     const mfg = maskDDMMYY(p?.manufactureDate || "");
     const sell = maskDDMMYY(p?.sellByDate || "");
@@ -404,6 +398,7 @@ export default function DeviceDetailPage() {
       sellByDate: dateErrorText(sell),
     });
 
+    setEditIsNew(isNew);
     setEditOpen(true);
   }
 
@@ -411,6 +406,37 @@ export default function DeviceDetailPage() {
     setEditOpen(false);
   }
 
+  // ===== сканер штрихкодов =====
+  const labelSettings = useLabelSettings(deviceId);
+  const modalOpen =
+    editOpen ||
+    bulkOpen ||
+    importOpen ||
+    copyOpen ||
+    exportOpen ||
+    settingsOpen ||
+    reviewSnapshot !== null;
+
+  function handleScan(code) {
+    const decoded = decodeScannedCode(code, { prefix: labelSettings.prefix });
+    if (!decoded) {
+      show(t("scan.unknown", { code }), "error");
+      return;
+    }
+
+    const product = products.find((p) => Number(getPlu(p)) === decoded.plu);
+    if (product) {
+      openEdit(product);
+      return;
+    }
+
+    if (window.confirm(t("scan.createConfirm", { plu: decoded.plu }))) {
+      openEdit({ pluNumber: decoded.plu }, { isNew: true });
+    }
+  }
+
+  useBarcodeScanner(handleScan, { enabled: cacheReady && !modalOpen });
+
   function validateDatesOrStop() {
     const mfgErr = dateErrorText(edit.manufactureDate);
     const sellErr = dateErrorText(edit.sellByDate);
@@ -420,7 +446,7 @@ export default function DeviceDetailPage() {
         manufactureDate: mfgErr,
         sellByDate: sellErr,
       });
-      show("Исправьте даты перед сохранением", "error");
+      show(t("detail.fixDates"), "error");
       return false;
     }
 
@@ -431,7 +457,7 @@ export default function DeviceDetailPage() {
   function saveEdit() {
     const pluNum = Number(edit.plu);
     if (!Number.isFinite(pluNum) || pluNum <= 0) {
-      show("Некорректный PLU", "error");
+      show(t("detail.invalidPlu"), "error");
       return;
     }
 
@@ -439,6 +465,8 @@ export default function DeviceDetailPage() {
 
     patchM.mutate({
       plu: pluNum,
+      before: products.find((p) => Number(getPlu(p)) === pluNum),
+      draft: edit,
       fields: {
         name: String(edit.name),
         price: toNum(edit.price, 0),
@@ -451,11 +479,13 @@ export default function DeviceDetailPage() {
     setEditOpen(false);
   }
 
-  if (deviceQ.isLoading) return <div className="sub">Загрузка...</div>;
-  if (deviceQ.isError)
+  // Без связи и без сохранённых данных запрос стоит на паузе (isPending, но не isLoading)
+  if (deviceQ.isPending)
+    return <div className="sub">{online ? t("common.loading") : t("offline.noData")}</div>;
+  if (deviceQ.isError && !deviceQ.data)
     return (
       <div style={{ color: "#b42318" }}>
-        {deviceQ.error?.response?.data?.detail || "Device error"}
+        {deviceQ.error?.response?.data?.detail || t("detail.deviceError")}
       </div>
     );
 
@@ -463,6 +493,13 @@ export default function DeviceDetailPage() {
 
   return (
     <div className="stack">
+      {stale ? (
+        <StaleDataBanner
+          updatedAt={cachedQ.dataUpdatedAt || deviceQ.dataUpdatedAt}
+          queued={pendingCount}
+        />
+      ) : null}
+
       <div className="card solid">
         <div
           style={{
@@ -480,15 +517,17 @@ export default function DeviceDetailPage() {
               {device.ip}:{device.port} · {device.protocol}
             </span>
 
+            <HealthBadge deviceId={deviceId} />
+
             {syncedFlash ? (
-              <span className="badge badge-success" title="Изменения применены на устройство">
+              <span className="badge badge-success" title={t("detail.syncedHint")}>
                 <span className="badge-dot badge-dot-success" />
-                <span className="badge-text">Синхронизировано</span>
+                <span className="badge-text">{t("detail.synced")}</span>
               </span>
             ) : device.cached_dirty ? (
-              <span className="badge" title="В кэше есть изменения, которые ещё не применены на устройстве">
+              <span className="badge" title={t("detail.dirtyHint")}>
                 <span className="badge-dot" />
-                <span className="badge-text">Есть незагруженные изменения</span>
+                <span className="badge-text">{t("detail.dirty")}</span>
               </span>
             ) : null}
           </div>
@@ -497,81 +536,53 @@ export default function DeviceDetailPage() {
             <button
               className="btn"
               type="button"
-              onClick={() => fetchM.mutate()}
-              disabled={fetchM.isPending}
+              onClick={() => setSettingsOpen(true)}
             >
-              {fetchM.isPending ? "..." : "Выгрузить"}
+              {t("detail.settings")}
+            </button>
+            <button
+              className="btn"
+              type="button"
+              onClick={() => deviceJob.start("fetch")}
+              disabled={!!deviceJob.job || deviceJob.starting}
+            >
+              {deviceJob.job?.kind === "fetch" ? "..." : t("detail.fetch")}
             </button>
             <button
               className="btn primary"
               type="button"
-              onClick={() => uploadM.mutate()}
-              disabled={uploadM.isPending}
+              onClick={() => setReviewSnapshot(loadDeviceSnapshot(deviceId) ?? false)}
+              disabled={!!deviceJob.job || deviceJob.starting || cachedQ.isLoading}
             >
-              {uploadM.isPending ? "..." : "Загрузить в весы"}
+              {deviceJob.job?.kind === "upload" ? "..." : t("detail.upload")}
             </button>
           </div>
         </div>
+
+        {deviceJob.job ? (
+          <DeviceJobStatus
+            job={deviceJob.job}
+            startedAt={deviceJob.startedAt}
+            canceling={deviceJob.canceling}
+            onCancel={deviceJob.cancel}
+          />
+        ) : null}
       </div>
 
       <div className="card">
-        <div className="card-title">Автообновление сроков годности</div>
+        <div className="card-title">{t("auto.title")}</div>
         {autoQ.isLoading ? (
-          <div className="sub">Загрузка...</div>
+          <div className="sub">{t("common.loading")}</div>
         ) : autoQ.isError ? (
           <div style={{ color: "#b42318" }}>
-            {autoQ.error?.response?.data?.detail || "Ошибка автообновления"}
+            {autoQ.error?.response?.data?.detail || t("auto.error")}
           </div>
         ) : (
-          <div
-            style={{
-              display: "grid",
-              gap: 12,
-              gridTemplateColumns: "repeat(3, minmax(0, 1fr))",
-            }}
-          >
-            <div className="field">
-              <div className="label">Включено</div>
-
-              <YesNoToggle
-                value={!!autoQ.data.enabled}
-                disabled={autoM.isPending}
-                onChange={(enabled) => {
-                  autoM.mutate({
-                    enabled,
-                    interval_minutes: normalizeIntervalMinutes(
-                      autoQ.data.interval_minutes,
-                      60
-                    ),
-                  });
-                }}
-              />
-            </div>
-
-            <div className="field">
-              <div className="label">Интервал (мин)</div>
-              <input
-                className="input"
-                type="number"
-                value={autoQ.data.interval_minutes}
-                onChange={(e) =>
-                  autoM.mutate({
-                    enabled: !!autoQ.data.enabled,
-                    interval_minutes: normalizeIntervalMinutes(e.target.value, 60),
-                  })
-                }
-              />
-            </div>
-
-            <div className="field">
-              <div className="label">Последний запуск</div>
-              <input
-                className="input"
-                value={utcToLocal(autoQ.data.last_run_utc)}
-                readOnly
-              />
-            </div>
-          </div>
+          <AutoUpdateEditor
+            value={autoQ.data}
+            saving={autoM.isPending}
+            onSave={(payload) => autoM.mutateAsync(payload)}
+          />
         )}
       </div>
 
@@ -585,103 +596,171 @@ export default function DeviceDetailPage() {
             flexWrap: "wrap",
           }}
         >
-          <div className="card-title" style={{ margin: 0 }}>
-            Товары
+          <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+            <div className="card-title" style={{ margin: 0 }}>
+              {t("detail.products")}
+            </div>
+            <button
+              className="btn-ghost"
+              type="button"
+              onClick={() => setImportOpen(true)}
+              disabled={!cacheReady}
+            >
+              {t("detail.import")}
+            </button>
+            <button
+              className="btn-ghost"
+              type="button"
+              onClick={() => setCopyOpen(true)}
+              disabled={!cacheReady}
+            >
+              {t("copy.open")}
+            </button>
+            <button
+              className="btn-ghost"
+              type="button"
+              onClick={() => setExportOpen(true)}
+              disabled={!cacheReady || products.length === 0}
+            >
+              {t("detail.export")}
+            </button>
           </div>
 
-          <div style={{ minWidth: 280, flex: "1 1 320px" }}>
-            <div className="label">Поиск (PLU /  Название)</div>
-            <input
-              className="input"
-              value={query}
-              onChange={(e) => setQuery(e.target.value)}
-            />
+          <div style={{ display: "flex", gap: 10, flex: "1 1 420px" }}>
+            <div style={{ minWidth: 200, flex: "1 1 auto" }}>
+              <div className="label">{t("detail.search")}</div>
+              <input
+                className="input"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+              />
+            </div>
+
+            <div style={{ minWidth: 140 }}>
+              <div className="label">{t("detail.statusFilter")}</div>
+              <select
+                className="select"
+                value={filters.status}
+                onChange={(e) => setFilters({ status: e.target.value })}
+              >
+                <option value="all">
+                  {t("detail.statusAll")} ({products.length})
+                </option>
+                {PRODUCT_STATUS_FILTERS.map((k) => (
+                  <option key={k} value={k}>
+                    {t(`statusKind.${k}`)} ({statusCounts[k]})
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <div className="label">{t("detail.view")}</div>
+              <div className="tabs" role="group" aria-label={t("detail.view")}>
+                {PRODUCT_VIEWS.map((v) => (
+                  <button
+                    key={v}
+                    type="button"
+                    className={`tab ${view === v ? "active" : ""}`}
+                    aria-pressed={view === v ? "true" : "false"}
+                    onClick={() => setView(v)}
+                  >
+                    {t(`detail.view.${v}`)}
+                  </button>
+                ))}
+              </div>
+            </div>
           </div>
         </div>
 
+        {cacheReady ? (
+          <ProductFiltersPanel
+            deviceId={deviceId}
+            products={products}
+            filters={filters}
+            resultCount={filtered.length}
+            onChange={setFilters}
+            onReplace={replaceFilters}
+          />
+        ) : null}
+
+        <div className="selection-bar">
+          <span className="sub">{t("selection.count", { count: selectedProducts.length })}</span>
+          <button
+            className="btn-ghost"
+            type="button"
+            onClick={selectAllFiltered}
+            disabled={filtered.length === 0}
+          >
+            {t("selection.all", { count: filtered.length })}
+          </button>
+          <button
+            className="btn-ghost"
+            type="button"
+            onClick={clearSelected}
+            disabled={selected.size === 0}
+          >
+            {t("selection.clear")}
+          </button>
+          <button
+            className="btn primary"
+            type="button"
+            onClick={() => setBulkOpen(true)}
+            disabled={selectedProducts.length === 0}
+          >
+            {t("selection.edit")}
+          </button>
+          <span className="sub scan-hint">{t("scan.hint")}</span>
+        </div>
+
         <div style={{ marginTop: 12 }}>
-          {cachedQ.isLoading ? (
-            <div className="sub">Загрузка кэша...</div>
-          ) : cachedQ.isError ? (
+          {cachedQ.isPending ? (
+            <div className="sub">{online ? t("detail.cacheLoading") : t("offline.noData")}</div>
+          ) : cachedQ.isError && !cacheReady ? (
             <div style={{ color: "#b42318" }}>
-              {cachedQ.error?.response?.data?.detail || "Ошибка кэша"}
+              {cachedQ.error?.response?.data?.detail || t("detail.cacheError")}
             </div>
+          ) : filtered.length === 0 ? (
+            <div className="sub">{t("detail.noProducts")}</div>
+          ) : view === "table" ? (
+            <ProductTable
+              products={sorted}
+              selected={selected}
+              onToggle={toggleSelected}
+              onOpen={openEdit}
+              sort={sort}
+              onSort={toggleSort}
+            />
           ) : (
-            <div className="products-grid">
-              {filtered.length === 0 ? (
-                <div className="sub">Нет товаров</div>
-              ) : (
-                filtered.map((p) => {
-                  const plu = getPlu(p);
-                  const status = computeStatus(p);
-
-                  return (
-                    <div
-                      className="product-card"
-                      key={String(plu ?? p?.id ?? p?.code ?? p?.name ?? Math.random())}
-                      role="button"
-                      tabIndex={0}
-                      onClick={() => openEdit(p)}
-                      onKeyDown={(e) => {
-                        if (e.key === "Enter" || e.key === " ") {
-                          e.preventDefault();
-                          openEdit(p);
-                        }
-                      }}
-                    >
-                      <div className="product-top">
-                        <div>
-                          <div className="product-title">
-                            {p?.name || "(без названия)"}
-                          </div>
-                          <div className="product-subtitle">
-                            <span className="pill pill-strong">
-                              PLU: {plu ?? "—"}
-                            </span>{" "}
-                            <span className={`status-pill ${status.cls}`}>
-                              {status.label}
-                            </span>
-                          </div>
-                        </div>
-                      </div>
-
-                      <div className="kpi-row">
-                        <div className="kpi">
-                          <div className="kpi-label">Цена</div>
-                          <div className="kpi-value">{toNum(p?.price, 0)}</div>
-                        </div>
-                        <div className="kpi">
-                          <div className="kpi-label">Срок годности (дн)</div>
-                          <div className="kpi-value">{getShelfLifeDays(p)}</div>
-                        </div>
-                      </div>
-
-                      <div className="meta-row">
-                        <div className="meta-item">
-                          <div className="meta-key">Дата изготовления</div>
-                          <div className="meta-val">
-                            {fmtDate(maskDDMMYY(p?.manufactureDate || ""))}
-                          </div>
-                        </div>
-                        <div className="meta-item">
-                          <div className="meta-key">Годен до</div>
-                          <div className="meta-val">
-                            {fmtDate(maskDDMMYY(p?.sellByDate || ""))}
-                          </div>
-                        </div>
-                      </div>
-                    </div>
-                  );
-                })
-              )}
-            </div>
+            <ProductCards
+              resetKey={`${deferredQuery}|${searchParams}`}
+              products={sorted}
+              selected={selected}
+              onToggle={toggleSelected}
+              onOpen={openEdit}
+            />
           )}
         </div>
       </div>
 
+      <PatchQueuePanel entries={deviceQueue} />
+
+      <HistoryPanel
+        deviceId={deviceId}
+        products={products}
+        onReverted={({ total, failed, queued }) => {
+          const done = total - failed - queued;
+          if (failed) show(t("history.revertPartial", { done, total, failed }), "error");
+          else if (queued) show(t("batch.queuedResult", { done, total, queued }), "info");
+          else show(t("history.reverted"), "success");
+        }}
+      />
+
+      <OutageHistory deviceId={deviceId} />
+
       <Modal
         open={editOpen}
-        title="Редактирование товара"
+        title={editIsNew ? t("edit.newTitle") : t("edit.title")}
         subtitle={edit.plu ? `PLU: ${edit.plu}` : ""}
         onClose={closeEdit}
         footer={
@@ -692,7 +771,7 @@ export default function DeviceDetailPage() {
               onClick={closeEdit}
               disabled={patchM.isPending}
             >
-              Отмена
+              {t("common.cancel")}
             </button>
             <button
               className="btn primary"
@@ -700,7 +779,7 @@ export default function DeviceDetailPage() {
               onClick={saveEdit}
               disabled={patchM.isPending}
             >
-              {patchM.isPending ? "..." : "Сохранить"}
+              {patchM.isPending ? "..." : t("common.save")}
             </button>
           </>
         }
@@ -714,7 +793,7 @@ export default function DeviceDetailPage() {
             }}
           >
             <div className="field">
-              <div className="label">Название</div>
+              <div className="label">{t("product.field.name")}</div>
               <input
                 className="input"
                 value={edit.name}
@@ -724,7 +803,7 @@ export default function DeviceDetailPage() {
             </div>
 
             <div className="field">
-              <div className="label">Цена</div>
+              <div className="label">{t("product.field.price")}</div>
               <input
                 className="input"
                 value={edit.price}
@@ -736,7 +815,7 @@ export default function DeviceDetailPage() {
             </div>
 
             <div className="field">
-              <div className="label">Срок годности (дн)</div>
+              <div className="label">{t("product.field.shelfLife")}</div>
               <input
                 className="input"
                 value={edit.shelfLife}
@@ -747,12 +826,12 @@ export default function DeviceDetailPage() {
               />
               {/* Пустая подсказка для визуального выравнивания с полем даты */}
               <div className="help" style={{ visibility: "hidden" }}>
-                Введите 6 цифр — дефисы подставятся автоматически
+                {t("edit.dateHelp")}
               </div>
             </div>
 
             <div className="field">
-              <div className="label">Дата изготовления (DD-MM-YY)</div>
+              <div className="label">{t("edit.manufactureDate")}</div>
               <input
                 className={`input ${editErrors.manufactureDate ? "error" : ""}`}
                 value={edit.manufactureDate}
@@ -781,13 +860,13 @@ export default function DeviceDetailPage() {
                 <div className="field-error">{editErrors.manufactureDate}</div>
               ) : (
                 <div className="help">
-                  Введите 6 цифр — дефисы подставятся автоматически
+                  {t("edit.dateHelp")}
                 </div>
               )}
             </div>
 
             <div className="field" style={{ gridColumn: "span 2" }}>
-              <div className="label">Годен до (DD-MM-YY)</div>
+              <div className="label">{t("edit.sellByDate")}</div>
               <input
                 className={`input ${editErrors.sellByDate ? "error" : ""}`}
                 value={edit.sellByDate}
@@ -816,24 +895,84 @@ export default function DeviceDetailPage() {
                 <div className="field-error">{editErrors.sellByDate}</div>
               ) : (
                 <div className="help">
-                  Введите 6 цифр — дефисы подставятся автоматически
+                  {t("edit.dateHelp")}
                 </div>
               )}
             </div>
           </div>
 
+          <div className="field">
+            <div className="label">{t("label.title")}</div>
+            <LabelPreview deviceId={deviceId} values={edit} />
+          </div>
+
           <div className="sub">
-            Изменения сохраняются в кэш. Чтобы применить их на устройство,
-            нажмите “Загрузить в весы”.
+            {t("edit.cacheHint")}
           </div>
         </div>
       </Modal>
 
-      <Toast
-        message={toast.message}
-        type={toast.type}
-        onClose={() => setToast({ message: "" })}
-      />
+      {bulkOpen ? (
+        <BulkEditModal
+          deviceId={deviceId}
+          products={selectedProducts}
+          onClose={() => setBulkOpen(false)}
+          onFinished={(result) => showBatchResult("bulk", result)}
+        />
+      ) : null}
+
+      {importOpen ? (
+        <ImportWizardModal
+          deviceId={deviceId}
+          products={products}
+          onClose={() => setImportOpen(false)}
+          onFinished={(result) => showBatchResult("import", result)}
+        />
+      ) : null}
+
+      {copyOpen ? (
+        <CopyProductsModal
+          deviceId={deviceId}
+          products={products}
+          onClose={() => setCopyOpen(false)}
+          onFinished={(result) => showBatchResult("copy", result)}
+        />
+      ) : null}
+
+      {exportOpen ? (
+        <ExportModal
+          deviceName={device.name || `device-${deviceId}`}
+          scopes={{ all: products, filtered, selected: selectedProducts }}
+          onClose={() => setExportOpen(false)}
+          onError={(message) => show(message, "error")}
+        />
+      ) : null}
+
+      {reviewSnapshot !== null ? (
+        <UploadReviewModal
+          deviceId={deviceId}
+          products={serverProducts}
+          snapshot={reviewSnapshot || null}
+          onClose={() => setReviewSnapshot(null)}
+          onConfirm={() => {
+            setReviewSnapshot(null);
+            deviceJob.start("upload");
+          }}
+        />
+      ) : null}
+
+      {settingsOpen ? (
+        <DeviceSettingsModal
+          device={device}
+          pending={settingsM.isPending}
+          onClose={() => setSettingsOpen(false)}
+          onSave={(payload) => settingsM.mutate(payload)}
+          onNoChanges={() => {
+            show(t("common.noChanges"), "info");
+            setSettingsOpen(false);
+          }}
+        />
+      ) : null}
     </div>
   );
 }
@@ -0,0 +1,87 @@
+import React from "react";
+import { useI18n } from "../i18n";
+
+/**
+ * Поля формы устройства (имя, описание, IP/порт/протокол, пароль).
+ * Состояние формы и ошибки хранит родитель.
+ */
+export function DeviceFormFields({ form, setForm, errors, descriptionHelp, passwordHelp }) {
+  const { t } = useI18n();
+  return (
+    <>
+      <div className="field">
+        <div className="label">{t("device.field.name")}</div>
+        <input
+          className={`input ${errors.name ? "error" : ""}`}
+          value={form.name}
+          onChange={(e) => setForm((p) => ({ ...p, name: e.target.value }))}
+          autoFocus
+        />
+        {errors.name ? <div className="field-error">{errors.name}</div> : null}
+      </div>
+
+      <div className="field">
+        <div className="label">{t("device.field.description")}</div>
+        <input
+          className="input"
+          value={form.description}
+          onChange={(e) => setForm((p) => ({ ...p, description: e.target.value }))}
+        />
+        {descriptionHelp ? <div className="help">{descriptionHelp}</div> : null}
+      </div>
+
+      <div className="modal-grid-3">
+        <div className="field">
+          <div className="label">{t("device.field.ip")}</div>
+          <input
+            className={`input ${errors.ip ? "error" : ""}`}
+            value={form.ip}
+            onChange={(e) => setForm((p) => ({ ...p, ip: e.target.value }))}
+            placeholder="10.35.150.14"
+          />
+          {errors.ip ? <div className="field-error">{errors.ip}</div> : null}
+        </div>
+
+        <div className="field">
+          <div className="label">{t("device.field.port")}</div>
+          <input
+            className={`input ${errors.port ? "error" : ""}`}
+            type="number"
+            value={form.port}
+            onChange={(e) => setForm((p) => ({ ...p, port: e.target.value }))}
+            placeholder="1111"
+          />
+          {errors.port ? <div className="field-error">{errors.port}</div> : null}
+        </div>
+
+        <div className="field">
+          <div className="label">{t("device.field.protocol")}</div>
+          <select
+            className="select"
+            value={form.protocol}
+            onChange={(e) => setForm((p) => ({ ...p, protocol: e.target.value }))}
+          >
+            <option value="TCP">TCP</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="field">
+        <div className="label">{t("device.field.password")}</div>
+        <input
+          className={`input ${errors.password ? "error" : ""}`}
+          value={form.password}
+          onChange={(e) => setForm((p) => ({ ...p, password: e.target.value }))}
+          type="password"
+          placeholder={passwordHelp ? "" : "1234"}
+          autoComplete="new-password"
+        />
+        {errors.password ? (
+          <div className="field-error">{errors.password}</div>
+        ) : (
+          <div className="help">{passwordHelp || t("device.passwordHelp")}</div>
+        )}
+      </div>
+    </>
+  );
+}
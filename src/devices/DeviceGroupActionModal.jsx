@@ -0,0 +1,153 @@
+import React, { useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { Modal } from "../components/Modal";
+import { extractErrorMessage } from "../utils/errors";
+import { downloadBlob } from "../utils/download";
+import { useI18n } from "../i18n";
+import { deviceDisplayName } from "./deviceList";
+import { buildDevicesExport } from "./productExport";
+import { loadGroupProducts, runGroupSync } from "./groupActions";
+
+/**
+ * Действие над группой устройств с прогрессом по каждому устройству.
+ * action: "fetch" | "upload" | "export"; groupName — подпись группы для заголовка и имени файла.
+ * Неудачные устройства можно повторить; экспорт собирает файл из успешно прочитанных кэшей.
+ */
+export function DeviceGroupActionModal({ action, groupName, devices, onClose, onFinished }) {
+  const qc = useQueryClient();
+  const { t } = useI18n();
+
+  const [format, setFormat] = useState("csv");
+  // { [deviceId]: { status, message } }
+  const [rows, setRows] = useState({});
+  const [running, setRunning] = useState(false);
+  const [exportError, setExportError] = useState("");
+  const started = Object.keys(rows).length > 0;
+
+  async function run(targets) {
+    setRunning(true);
+    setExportError("");
+    setRows((prev) => {
+      const next = { ...prev };
+      for (const d of targets) next[d.id] = { status: "pending", message: "" };
+      return next;
+    });
+
+    const onItem = (i, state) => {
+      const id = targets[i].id;
+      setRows((prev) => ({
+        ...prev,
+        [id]: {
+          status: state.status,
+          message: state.error ? extractErrorMessage(state.error).message : "",
+        },
+      }));
+    };
+
+    let results;
+    if (action === "export") {
+      results = await loadGroupProducts(targets, { onItem });
+      const ok = results.filter((r) => r.ok);
+      if (ok.length) {
+        try {
+          const { blob, fileName } = await buildDevicesExport(
+            ok.map((r) => ({ device: r.item, products: r.result })),
+            { format, groupName }
+          );
+          downloadBlob(blob, fileName);
+        } catch (err) {
+          setExportError(err?.message || t("export.error"));
+        }
+      }
+    } else {
+      results = await runGroupSync(qc, action, targets, { onItem });
+    }
+
+    setRunning(false);
+    onFinished?.({ total: results.length, failed: results.filter((r) => !r.ok).length });
+  }
+
+  function retryFailed() {
+    const failed = devices.filter((d) => rows[d.id]?.status === "error");
+    if (failed.length) run(failed);
+  }
+
+  const failedCount = Object.values(rows).filter((r) => r.status === "error").length;
+  const done = Object.values(rows).filter((r) => r.status === "ok").length;
+
+  function close() {
+    if (!running) onClose();
+  }
+
+  return (
+    <Modal
+      open
+      title={t(`groups.action.${action}`)}
+      subtitle={t("groups.actionSubtitle", { group: groupName, count: devices.length })}
+      onClose={close}
+      footer={
+        <>
+          <button className="btn" type="button" onClick={close} disabled={running}>
+            {started ? t("common.close") : t("common.cancel")}
+          </button>
+          {started && failedCount > 0 && action !== "export" ? (
+            <button className="btn" type="button" onClick={retryFailed} disabled={running}>
+              {t("batch.retryFailed", { count: failedCount })}
+            </button>
+          ) : null}
+          {!started ? (
+            <button className="btn primary" type="button" onClick={() => run(devices)}>
+              {t("groups.run")}
+            </button>
+          ) : null}
+        </>
+      }
+    >
+      <div className="form">
+        {!started ? (
+          <>
+            <div className="sub">{t(`groups.hint.${action}`)}</div>
+            {action === "export" ? (
+              <div className="field">
+                <div className="label">{t("export.format")}</div>
+                <select
+                  className="select"
+                  value={format}
+                  onChange={(e) => setFormat(e.target.value)}
+                >
+                  <option value="csv">CSV</option>
+                  <option value="xlsx">XLSX</option>
+                </select>
+              </div>
+            ) : null}
+          </>
+        ) : (
+          <div className="sub">
+            {t("batch.done", { done, total: devices.length })}
+            {failedCount ? ` · ${t("batch.failed", { count: failedCount })}` : ""}
+          </div>
+        )}
+
+        {exportError ? <div className="field-error">{exportError}</div> : null}
+
+        <div className="batch-list">
+          {devices.map((d) => {
+            const row = rows[d.id] || { status: "pending" };
+            return (
+              <div key={d.id} className={`batch-row batch-${row.status}`}>
+                <span className="batch-name">{deviceDisplayName(d)}</span>
+                <span className="sub">
+                  {d.ip}:{d.port}
+                </span>
+                <span className="batch-status" title={row.message || ""}>
+                  {started ? t(`batch.status.${row.status}`) : ""}
+                  {row.message ? `: ${row.message}` : ""}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </Modal>
+  );
+}
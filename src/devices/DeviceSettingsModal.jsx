@@ -0,0 +1,72 @@
+import React, { useState } from "react";
+import { Modal } from "../components/Modal";
+import { useI18n } from "../i18n";
+import { DeviceFormFields } from "./DeviceFormFields";
+import { deviceDisplayName } from "./deviceList";
+import {
+  EMPTY_DEVICE_ERRORS,
+  deviceToForm,
+  diffDevicePayload,
+  hasDeviceErrors,
+  validateDeviceForm,
+} from "./deviceForm";
+
+/**
+ * Модалка редактирования настроек устройства.
+ * - форма инициализируется из текущего устройства при монтировании
+ *   (родитель монтирует модалку только пока она открыта);
+ * - валидация общая с формой создания, но пароль можно оставить пустым — тогда он не меняется;
+ * - в onSave уходят только изменённые поля.
+ */
+export function DeviceSettingsModal({ device, onClose, onSave, pending, onNoChanges }) {
+  const { t } = useI18n();
+  const [form, setForm] = useState(() => deviceToForm(device));
+  const [errors, setErrors] = useState(EMPTY_DEVICE_ERRORS);
+
+  function submit() {
+    const e = validateDeviceForm(form, { passwordOptional: true });
+    setErrors(e);
+    if (hasDeviceErrors(e)) return;
+
+    const patch = diffDevicePayload(device, form);
+    if (Object.keys(patch).length === 0) {
+      onNoChanges?.();
+      return;
+    }
+
+    onSave(patch);
+  }
+
+  return (
+    <Modal
+      open
+      title={t("settings.title")}
+      subtitle={deviceDisplayName(device)}
+      onClose={onClose}
+      footer={
+        <>
+          <button className="btn" type="button" onClick={onClose} disabled={pending}>
+            {t("common.cancel")}
+          </button>
+          <button className="btn primary" type="button" onClick={submit} disabled={pending}>
+            {pending ? "..." : t("common.save")}
+          </button>
+        </>
+      }
+    >
+      <div className="modal-form">
+        <DeviceFormFields
+          form={form}
+          setForm={setForm}
+          errors={errors}
+          descriptionHelp={t("settings.descriptionHelp")}
+          passwordHelp={t("settings.passwordHelp")}
+        />
+
+        <div className="sub" style={{ marginTop: 6 }}>
+          {t("settings.onlyChanged")}
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { Modal } from "../components/Modal";
+import { useI18n } from "../i18n";
+import { deviceDisplayName } from "./deviceList";
+import { getDeviceTags, parseTagsInput, saveDeviceTags } from "./deviceTags";
+
+/**
+ * Магазин, отдел и свободные теги устройства.
+ * known: { stores, departments, tags } — уже используемые значения для подсказок.
+ */
+export function DeviceTagsModal({ device, known, onClose, onSaved, onError }) {
+  const { t } = useI18n();
+  const [form, setForm] = useState(() => {
+    const x = getDeviceTags(device.id);
+    return { store: x.store, department: x.department, tags: x.tags.join(", ") };
+  });
+
+  function save() {
+    try {
+      saveDeviceTags(device.id, {
+        store: form.store,
+        department: form.department,
+        tags: parseTagsInput(form.tags),
+      });
+    } catch {
+      onError?.(t("tags.saveError"));
+      return;
+    }
+    onSaved?.();
+  }
+
+  return (
+    <Modal
+      open
+      title={t("tags.title")}
+      subtitle={deviceDisplayName(device)}
+      onClose={onClose}
+      footer={
+        <>
+          <button className="btn" type="button" onClick={onClose}>
+            {t("common.cancel")}
+          </button>
+          <button className="btn primary" type="button" onClick={save}>
+            {t("common.save")}
+          </button>
+        </>
+      }
+    >
+      <div className="modal-form">
+        <div className="field">
+          <div className="label">{t("tags.store")}</div>
+          <input
+            className="input"
+            list="device-tags-stores"
+            value={form.store}
+            onChange={(e) => setForm((p) => ({ ...p, store: e.target.value }))}
+            autoFocus
+          />
+          <datalist id="device-tags-stores">
+            {known.stores.map((x) => (
+              <option key={x} value={x} />
+            ))}
+          </datalist>
+        </div>
+
+        <div className="field">
+          <div className="label">{t("tags.department")}</div>
+          <input
+            className="input"
+            list="device-tags-departments"
+            value={form.department}
+            onChange={(e) => setForm((p) => ({ ...p, department: e.target.value }))}
+          />
+          <datalist id="device-tags-departments">
+            {known.departments.map((x) => (
+              <option key={x} value={x} />
+            ))}
+          </datalist>
+        </div>
+
+        <div className="field">
+          <div className="label">{t("tags.tags")}</div>
+          <input
+            className="input"
+            value={form.tags}
+            onChange={(e) => setForm((p) => ({ ...p, tags: e.target.value }))}
+          />
+          <div className="help">
+            {known.tags.length
+              ? t("tags.tagsHelpKnown", { tags: known.tags.join(", ") })
+              : t("tags.tagsHelp")}
+          </div>
+        </div>
+
+        <div className="sub" style={{ marginTop: 6 }}>
+          {t("tags.localHint")}
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -1,133 +1,125 @@
 import React, { useMemo, useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { Modal } from "../components/Modal";
-import { Toast } from "../components/Toast";
+import { useNotify } from "../components/notify";
 import { qk } from "../query/keys";
 import { invalidateDevicesList } from "../query/invalidate";
+import { extractErrorMessage } from "../utils/errors";
+import { useI18n } from "../i18n";
 
 // API-слой (axios через src/api/http.js)
 import { listDevices, createDevice, deleteDevice } from "../api/devices";
+import { DeviceFormFields } from "./DeviceFormFields";
+import {
+  DEVICE_SORTS,
+  deviceDisplayName,
+  normalizeDevices,
+  searchDevices,
+  sortDevices,
+} from "./deviceList";
+import { DeviceTagsModal } from "./DeviceTagsModal";
+import { HealthBadge } from "../health/HealthBadge";
+import { useOnline } from "../offline/connection";
+import { usePatchQueue } from "../offline/patchQueue";
+import { StaleDataBanner } from "../offline/StaleDataBanner";
+import { DeviceGroupActionModal } from "./DeviceGroupActionModal";
+import { GROUP_ACTIONS } from "./groupActions";
+import {
+  DEVICE_GROUP_BY,
+  collectTagValues,
+  filterDevicesByTags,
+  getDeviceTags,
+  groupDevices,
+  removeDeviceTags,
+  useDeviceTags,
+} from "./deviceTags";
+import {
+  DEFAULT_DEVICE_FORM,
+  EMPTY_DEVICE_ERRORS,
+  validateDeviceForm,
+  hasDeviceErrors,
+  normalizeDeviceForm,
+} from "./deviceForm";
 
 /**
- * Валидируем IPv4.
+ * Магазин, отдел и теги устройства на карточке.
  */
-function isValidIp(ip) {
-  const s = String(ip || "").trim();
-  const ipv4 =
-    /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/;
-  return ipv4.test(s);
-}
-
-/**
- * Привести port к целому числу.
- */
-function parsePort(v) {
-  const n = Number(v);
-  if (!Number.isFinite(n)) return NaN;
-  return Math.trunc(n);
-}
-
-/**
- * Извлечь человекочитаемую ошибку из ответа axios/FastAPI.
- */
-function extractErrorMessage(err) {
-  const status = err?.response?.status;
-  const data = err?.response?.data;
-  const detail = data?.detail;
-
-  if (typeof detail === "string" && detail.trim()) {
-    return { status, message: detail.trim() };
-  }
-
-  if (Array.isArray(detail) && detail.length) {
-    const parts = detail
-      .map((x) => {
-        const loc = Array.isArray(x?.loc) ? x.loc.join(".") : "";
-        const msg = x?.msg ? String(x.msg) : "";
-        if (loc && msg) return `${loc}: ${msg}`;
-        return msg || "";
-      })
-      .filter(Boolean);
-
-    if (parts.length) return { status, message: parts.join("; ") };
-
-    try {
-      return { status, message: JSON.stringify(detail) };
-    } catch {
-      // ignore
-    }
-  }
-
-  if (detail && typeof detail === "object") {
-    try {
-      return { status, message: JSON.stringify(detail) };
-    } catch {
-      // ignore
-    }
-  }
-
-  if (err?.message) return { status, message: String(err.message) };
-
-  return { status, message: "Неизвестная ошибка" };
+function DeviceTagPills({ tags }) {
+  if (!tags.store && !tags.department && !tags.tags.length) return null;
+  return (
+    <div className="device-tags">
+      {tags.store ? <span className="pill pill-strong">{tags.store}</span> : null}
+      {tags.department ? <span className="pill pill-strong">{tags.department}</span> : null}
+      {tags.tags.map((tag) => (
+        <span key={tag} className="pill">
+          {tag}
+        </span>
+      ))}
+    </div>
+  );
 }
 
 export default function DevicesPage() {
   const qc = useQueryClient();
   const navigate = useNavigate();
 
-  const [toast, setToast] = useState({ message: "", type: "info" });
-  function show(message, type = "info") {
-    const safeMsg =
-      typeof message === "string"
-        ? message
-        : (() => {
-            try {
-              return JSON.stringify(message);
-            } catch {
-              return "Неизвестная ошибка";
-            }
-          })();
-    setToast({ message: safeMsg, type });
+  const show = useNotify();
+  const { t } = useI18n();
+
+  // Поиск, сортировка, группировка и фильтры — в URL:
+  // отфильтрованный список можно добавить в закладки или переслать ссылкой
+  const [searchParams, setSearchParams] = useSearchParams();
+  const groupByParam = searchParams.get("group");
+  const groupBy = DEVICE_GROUP_BY.includes(groupByParam) ? groupByParam : "none";
+  const storeFilter = searchParams.get("store") || "";
+  const departmentFilter = searchParams.get("dept") || "";
+  const tagFilter = searchParams.get("tag") || "";
+  const query = searchParams.get("q") || "";
+  const sortParam = searchParams.get("sort");
+  const sort = DEVICE_SORTS.includes(sortParam) ? sortParam : "name";
+  const dirtyOnly = searchParams.get("dirty") === "1";
+
+  function setParam(name, value) {
+    setSearchParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        if (value) next.set(name, value);
+        else next.delete(name);
+        return next;
+      },
+      { replace: true }
+    );
   }
 
+  const allTags = useDeviceTags();
+  const [tagsDevice, setTagsDevice] = useState(null);
+  // { action, groupName, devices } | null
+  const [groupAction, setGroupAction] = useState(null);
+
   const devicesQ = useQuery({
     queryKey: qk.devices(),
     queryFn: listDevices,
   });
 
+  // Без связи показываем список из сохранённого кэша (offline/queryPersist.js) с плашкой
+  const online = useOnline();
+  const pendingCount = usePatchQueue().filter((e) => e.status === "pending").length;
+  const stale = !!devicesQ.data && (!online || devicesQ.isError);
+
   // СОСТОЯНИЕ МОДАЛКИ
   const [modalOpen, setModalOpen] = useState(false);
 
   // СОСТОЯНИЕ ФОРМЫ
   // Пароль обязателен, по умолчанию "1234"
-  const [form, setForm] = useState({
-    name: "",
-    description: "",
-    ip: "",
-    port: 1111,
-    protocol: "TCP",
-    password: "1234",
-  });
+  const [form, setForm] = useState(DEFAULT_DEVICE_FORM);
 
   // Ошибки валидации формы
-  const [errors, setErrors] = useState({
-    name: "",
-    ip: "",
-    port: "",
-    password: "",
-  });
+  const [errors, setErrors] = useState(EMPTY_DEVICE_ERRORS);
 
   function resetForm() {
-    setForm({
-      name: "",
-      description: "",
-      ip: "",
-      port: 1111,
-      protocol: "TCP",
-      password: "1234",
-    });
-    setErrors({ name: "", ip: "", port: "", password: "" });
+    setForm(DEFAULT_DEVICE_FORM);
+    setErrors(EMPTY_DEVICE_ERRORS);
   }
 
   function openModal() {
@@ -141,23 +133,9 @@ export default function DevicesPage() {
 
   // ВАЛИДАЦИЯ ФОРМЫ
   function validate() {
-    const e = { name: "", ip: "", port: "", password: "" };
-
-    if (!String(form.name || "").trim()) e.name = "Укажите имя устройства";
-
-    if (!String(form.ip || "").trim()) e.ip = "Укажите IP-адрес (IPv4)";
-    else if (!isValidIp(form.ip)) e.ip = "Некорректный IPv4-адрес";
-
-    const portNum = parsePort(form.port);
-    if (!Number.isFinite(portNum) || portNum <= 0 || portNum > 65535) {
-      e.port = "Порт должен быть в диапазоне 1..65535";
-    }
-
-    const pwd = String(form.password || "").trim();
-    if (!pwd) e.password = "Пароль обязателен (по умолчанию 1234)";
-
+    const e = validateDeviceForm(form);
     setErrors(e);
-    return !e.name && !e.ip && !e.port && !e.password;
+    return !hasDeviceErrors(e);
   }
 
   // СОЗДАНИЕ УСТРОЙСТВА
@@ -165,24 +143,8 @@ export default function DevicesPage() {
     mutationFn: async () => {
       if (!validate()) throw new Error("validation");
 
-      const name = String(form.name || "").trim();
-      const ip = String(form.ip || "").trim();
-      const port = parsePort(form.port);
-      const protocol = String(form.protocol || "TCP");
-      const password = String(form.password || "").trim();
-
-
       // backend ожидает строку для description. Если поле пустое — НЕ отправляем его вообще.
-      const descriptionTrimmed = String(form.description || "").trim();
-
-      const payload = {
-        name,
-        ip,
-        port,
-        protocol,
-        password,
-        description: descriptionTrimmed ? descriptionTrimmed : undefined,
-      };
+      const payload = normalizeDeviceForm(form);
 
       if (!Number.isFinite(payload.port)) throw new Error("validation");
       if (!payload.password) throw new Error("validation");
@@ -191,58 +153,87 @@ export default function DevicesPage() {
     },
     onSuccess: async () => {
       await invalidateDevicesList(qc);
-      show("Устройство добавлено", "success");
+      show(t("devices.added"), "success");
       closeModal();
     },
     onError: (err) => {
       if (err?.message === "validation") return;
 
+      // 401 обрабатывает SessionManager (редирект на /auth)
       const { status, message } = extractErrorMessage(err);
-
-      if (status === 401) {
-        show("Сессия истекла. Войдите снова.", "error");
-        navigate("/auth", { replace: true });
-        return;
-      }
+      if (status === 401) return;
 
       if (status === 422) {
-        show(message || "Ошибка валидации данных", "error");
+        show(message || t("errors.validation"), "error");
         return;
       }
 
-      show(message || "Ошибка добавления устройства", "error");
+      show(message || t("devices.addError"), "error");
     },
   });
 
   // УДАЛЕНИЕ УСТРОЙСТВА
   const deleteM = useMutation({
     mutationFn: (deviceId) => deleteDevice(deviceId),
-    onSuccess: async () => {
+    onSuccess: async (_, deviceId) => {
+      try {
+        removeDeviceTags(deviceId);
+      } catch {
+        // теги вспомогательные: устройство уже удалено
+      }
       await invalidateDevicesList(qc);
-      show("Устройство удалено", "success");
+      show(t("devices.deleted"), "success");
     },
     onError: (err) => {
+      // 401 обрабатывает SessionManager (редирект на /auth)
       const { status, message } = extractErrorMessage(err);
+      if (status === 401) return;
 
-      if (status === 401) {
-        show("Сессия истекла. Войдите снова.", "error");
-        navigate("/auth", { replace: true });
-        return;
-      }
-
-      show(message || "Ошибка удаления", "error");
+      show(message || t("devices.deleteError"), "error");
     },
   });
 
   // НОРМАЛИЗАЦИЯ ДАННЫХ
-  const devices = useMemo(() => {
-    if (Array.isArray(devicesQ.data)) return devicesQ.data;
-    if (Array.isArray(devicesQ.data?.devices)) return devicesQ.data.devices;
-    return [];
-  }, [devicesQ.data]);
+  const devices = useMemo(() => normalizeDevices(devicesQ.data), [devicesQ.data]);
+
+  const known = useMemo(() => collectTagValues(devices, allTags), [devices, allTags]);
+  const groups = useMemo(() => {
+    const found = searchDevices(devices, query, { dirtyOnly });
+    const filtered = filterDevicesByTags(found, allTags, {
+      store: storeFilter,
+      department: departmentFilter,
+      tag: tagFilter,
+    });
+    return groupDevices(sortDevices(filtered, sort), allTags, groupBy);
+  }, [
+    devices,
+    allTags,
+    query,
+    dirtyOnly,
+    sort,
+    groupBy,
+    storeFilter,
+    departmentFilter,
+    tagFilter,
+  ]);
+
+  const filters = [
+    { param: "store", value: storeFilter, values: known.stores, label: "tags.store" },
+    { param: "dept", value: departmentFilter, values: known.departments, label: "tags.department" },
+    { param: "tag", value: tagFilter, values: known.tags, label: "tags.tag" },
+  ];
+
+  function groupName(key) {
+    if (groupBy === "none") return t("groups.all");
+    return key || t("groups.empty");
+  }
 
   return (
     <div className="stack">
+      {stale ? (
+        <StaleDataBanner updatedAt={devicesQ.dataUpdatedAt} queued={pendingCount} />
+      ) : null}
+
       <div className="card solid">
         <div
           style={{
@@ -254,186 +245,272 @@ export default function DevicesPage() {
           }}
         >
           <div>
-            <div className="h2">Мои устройства</div>
-            <div className="sub">Устройства доступны только владельцу аккаунта</div>
+            <div className="h2">{t("devices.title")}</div>
+            <div className="sub">{t("devices.subtitle")}</div>
           </div>
 
           <button className="btn primary" type="button" onClick={openModal}>
-            Добавить устройство
+            {t("devices.add")}
           </button>
         </div>
       </div>
 
       <div className="card">
-        <div className="card-title">Список устройств</div>
+        <div className="card-title">{t("devices.list")}</div>
 
-        {devicesQ.isLoading ? (
-          <div className="sub">Загрузка...</div>
-        ) : devicesQ.isError ? (
+        {devicesQ.isPending ? (
+          <div className="sub">{online ? t("common.loading") : t("offline.noData")}</div>
+        ) : devicesQ.isError && !devicesQ.data ? (
           <div style={{ color: "#b42318" }}>
-            {devicesQ.error?.message || "Ошибка загрузки устройств"}
+            {devicesQ.error?.message || t("devices.loadError")}
           </div>
         ) : devices.length === 0 ? (
-          <div className="sub">Устройств пока нет. Нажмите “Добавить устройство”.</div>
+          <div className="sub">{t("devices.empty")}</div>
         ) : (
-          <div className="devices-grid">
-            {devices.map((d) => (
-              <div
-                key={String(d.id)}
-                className="device-card"
-                role="button"
-                tabIndex={0}
-                onClick={() => navigate(`/devices/${d.id}`)}
-                onKeyDown={(e) => {
-                  if (e.key === "Enter") navigate(`/devices/${d.id}`);
-                }}
-              >
-                <div className="device-card-top">
-                  <div className="device-title">{d.name || `Device #${d.id}`}</div>
-
-                  <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
-                    {d.cached_dirty ? (
-                      <span className="badge" title="В кэше есть изменения">
-                        <span className="badge-dot" />
-                        <span className="badge-text">Есть изменения</span>
-                      </span>
-                    ) : null}
+          <>
+            <div className="devices-toolbar">
+              <div className="field devices-search">
+                <div className="label">{t("devices.search")}</div>
+                <input
+                  className="input"
+                  type="search"
+                  value={query}
+                  onChange={(e) => setParam("q", e.target.value)}
+                  placeholder={t("devices.searchPlaceholder")}
+                />
+              </div>
 
-                    <button
-                      className="btn-danger"
-                      type="button"
-                      title="Удалить устройство"
-                      onClick={(e) => {
-                        e.preventDefault();
-                        e.stopPropagation();
-
-                        const ok = window.confirm(
-                          `Удалить устройство "${d.name || d.id}"?`
-                        );
-                        if (!ok) return;
-
-                        deleteM.mutate(Number(d.id));
-                      }}
-                      disabled={deleteM.isPending}
-                    >
-                      Удалить
-                    </button>
-                  </div>
-                </div>
+              <div className="field">
+                <div className="label">{t("devices.sort")}</div>
+                <select
+                  className="select"
+                  value={sort}
+                  onChange={(e) => setParam("sort", e.target.value === "name" ? "" : e.target.value)}
+                >
+                  {DEVICE_SORTS.map((x) => (
+                    <option key={x} value={x}>
+                      {t(`devices.sort.${x}`)}
+                    </option>
+                  ))}
+                </select>
+              </div>
 
-                <div className="sub">
-                  {d.ip}:{d.port} · {d.protocol || "TCP"}
+              <label className="check-row devices-dirty-only">
+                <input
+                  type="checkbox"
+                  checked={dirtyOnly}
+                  onChange={(e) => setParam("dirty", e.target.checked ? "1" : "")}
+                />
+                {t("devices.dirtyOnly")}
+              </label>
+
+              <div className="field">
+                <div className="label">{t("groups.groupBy")}</div>
+                <select
+                  className="select"
+                  value={groupBy}
+                  onChange={(e) => setParam("group", e.target.value === "none" ? "" : e.target.value)}
+                >
+                  {DEVICE_GROUP_BY.map((by) => (
+                    <option key={by} value={by}>
+                      {t(`groups.by.${by}`)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {filters.map((f) => (
+                <div className="field" key={f.param}>
+                  <div className="label">{t(f.label)}</div>
+                  <select
+                    className="select"
+                    value={f.value}
+                    onChange={(e) => setParam(f.param, e.target.value)}
+                  >
+                    <option value="">{t("groups.any")}</option>
+                    {/* Значение из ссылки могло исчезнуть из тегов — оставляем его выбранным */}
+                    {f.value && !f.values.includes(f.value) ? (
+                      <option value={f.value}>{f.value}</option>
+                    ) : null}
+                    {f.values.map((v) => (
+                      <option key={v} value={v}>
+                        {v}
+                      </option>
+                    ))}
+                  </select>
                 </div>
+              ))}
+            </div>
+
+            {groups.every((g) => g.devices.length === 0) ? (
+              <div className="sub">{t("groups.nothingFound")}</div>
+            ) : (
+              groups.map((g) => (
+                <div key={g.key || "__none"} className="device-group">
+                  <div className="device-group-head">
+                    <div>
+                      <b>{groupName(g.key)}</b>
+                      <span className="sub"> · {t("groups.count", { count: g.devices.length })}</span>
+                    </div>
+
+                    <div className="device-group-actions">
+                      {GROUP_ACTIONS.map((action) => (
+                        <button
+                          key={action}
+                          className="btn-ghost"
+                          type="button"
+                          onClick={() =>
+                            setGroupAction({
+                              action,
+                              groupName: groupName(g.key),
+                              devices: g.devices,
+                            })
+                          }
+                        >
+                          {t(`groups.action.${action}`)}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
 
-                {d.description ? (
-                  <div className="sub" style={{ marginTop: 8 }}>
-                    {d.description}
+                  <div className="devices-grid">
+                    {g.devices.map((d) => (
+                      <div
+                        key={String(d.id)}
+                        className="device-card"
+                        role="button"
+                        tabIndex={0}
+                        onClick={() => navigate(`/devices/${d.id}`)}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") navigate(`/devices/${d.id}`);
+                        }}
+                      >
+                        <div className="device-card-top">
+                          <div className="device-title">{deviceDisplayName(d)}</div>
+
+                          <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                            {d.cached_dirty ? (
+                              <span className="badge" title={t("device.dirtyHint")}>
+                                <span className="badge-dot" />
+                                <span className="badge-text">{t("device.dirty")}</span>
+                              </span>
+                            ) : null}
+
+                            <button
+                              className="btn-ghost"
+                              type="button"
+                              title={t("tags.title")}
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                setTagsDevice(d);
+                              }}
+                            >
+                              {t("tags.edit")}
+                            </button>
+
+                            <button
+                              className="btn-danger"
+                              type="button"
+                              title={t("devices.deleteTitle")}
+                              onClick={(e) => {
+                                e.preventDefault();
+                                e.stopPropagation();
+
+                                const ok = window.confirm(
+                                  t("devices.deleteConfirm", { name: d.name || d.id })
+                                );
+                                if (!ok) return;
+
+                                deleteM.mutate(Number(d.id));
+                              }}
+                              disabled={deleteM.isPending}
+                            >
+                              {t("common.delete")}
+                            </button>
+                          </div>
+                        </div>
+
+                        <div className="sub">
+                          {d.ip}:{d.port} · {d.protocol || "TCP"}
+                        </div>
+
+                        <div style={{ marginTop: 8 }}>
+                          <HealthBadge deviceId={d.id} />
+                        </div>
+
+                        {d.description ? (
+                          <div className="sub" style={{ marginTop: 8 }}>
+                            {d.description}
+                          </div>
+                        ) : null}
+
+                        <DeviceTagPills tags={getDeviceTags(d.id, allTags)} />
+                      </div>
+                    ))}
                   </div>
-                ) : null}
-              </div>
-            ))}
-          </div>
+                </div>
+              ))
+            )}
+          </>
         )}
       </div>
 
       <Modal
         open={modalOpen}
-        title="Добавить устройство"
+        title={t("devices.add")}
         subtitle=""
         onClose={closeModal}
         footer={
           <>
             <button className="btn" type="button" onClick={closeModal} disabled={createM.isPending}>
-              Отмена
+              {t("common.cancel")}
             </button>
             <button className="btn primary" type="button" onClick={() => createM.mutate()} disabled={createM.isPending}>
-              {createM.isPending ? "..." : "Добавить"}
+              {createM.isPending ? "..." : t("common.add")}
             </button>
           </>
         }
       >
         <div className="modal-form">
-          <div className="field">
-            <div className="label">Имя</div>
-            <input
-              className={`input ${errors.name ? "error" : ""}`}
-              value={form.name}
-              onChange={(e) => setForm((p) => ({ ...p, name: e.target.value }))}
-              autoFocus
-            />
-            {errors.name ? <div className="field-error">{errors.name}</div> : null}
-          </div>
-
-          <div className="field">
-            <div className="label">Описание</div>
-            <input
-              className="input"
-              value={form.description}
-              onChange={(e) => setForm((p) => ({ ...p, description: e.target.value }))}
-            />
-            <div className="help">Можно оставить пустым — поле не будет отправлено на backend.</div>
-          </div>
-
-          <div className="modal-grid-3">
-            <div className="field">
-              <div className="label">IP</div>
-              <input
-                className={`input ${errors.ip ? "error" : ""}`}
-                value={form.ip}
-                onChange={(e) => setForm((p) => ({ ...p, ip: e.target.value }))}
-                placeholder="10.35.150.14"
-              />
-              {errors.ip ? <div className="field-error">{errors.ip}</div> : null}
-            </div>
-
-            <div className="field">
-              <div className="label">Port</div>
-              <input
-                className={`input ${errors.port ? "error" : ""}`}
-                type="number"
-                value={form.port}
-                onChange={(e) => setForm((p) => ({ ...p, port: e.target.value }))}
-                placeholder="1111"
-              />
-              {errors.port ? <div className="field-error">{errors.port}</div> : null}
-            </div>
-
-            <div className="field">
-              <div className="label">Protocol</div>
-              <select
-                className="select"
-                value={form.protocol}
-                onChange={(e) => setForm((p) => ({ ...p, protocol: e.target.value }))}
-              >
-                <option value="TCP">TCP</option>
-              </select>
-            </div>
-          </div>
-
-          <div className="field">
-            <div className="label">Пароль</div>
-            <input
-              className={`input ${errors.password ? "error" : ""}`}
-              value={form.password}
-              onChange={(e) => setForm((p) => ({ ...p, password: e.target.value }))}
-              type="password"
-              placeholder="1234"
-              autoComplete="new-password"
-            />
-            {errors.password ? (
-              <div className="field-error">{errors.password}</div>
-            ) : (
-              <div className="help">Пароль обязателен. По умолчанию: 1234</div>
-            )}
-          </div>
+          <DeviceFormFields
+            form={form}
+            setForm={setForm}
+            errors={errors}
+            descriptionHelp={t("devices.descriptionHelp")}
+          />
 
           <div className="sub" style={{ marginTop: 6 }}>
-            Устройство будет доступно только вашему аккаунту.
+            {t("devices.ownerHint")}
           </div>
         </div>
       </Modal>
 
-      <Toast message={toast.message} type={toast.type} onClose={() => setToast({ message: "" })} />
+      {tagsDevice ? (
+        <DeviceTagsModal
+          device={tagsDevice}
+          known={known}
+          onClose={() => setTagsDevice(null)}
+          onSaved={() => {
+            setTagsDevice(null);
+            show(t("tags.saved"), "success");
+          }}
+          onError={(message) => show(message, "error")}
+        />
+      ) : null}
+
+      {groupAction ? (
+        <DeviceGroupActionModal
+          {...groupAction}
+          onClose={() => setGroupAction(null)}
+          onFinished={({ total, failed }) => {
+            if (failed) {
+              show(t("groups.partial", { done: total - failed, total, failed }), "error");
+            } else {
+              show(t("groups.done", { count: total }), "success");
+            }
+          }}
+        />
+      ) : null}
     </div>
   );
 }
@@ -0,0 +1,152 @@
+import React, { useState } from "react";
+import { Modal } from "../components/Modal";
+import { downloadBlob } from "../utils/download";
+import { useI18n } from "../i18n";
+import {
+  CSV_SEPARATORS,
+  DATE_FORMATS,
+  EXPORT_FORMATS,
+  buildProductsExport,
+} from "./productExport";
+
+/**
+ * Экспорт товаров устройства в CSV / XLSX / JSON.
+ * scopes: { all, filtered, selected } — готовые списки товаров.
+ */
+export function ExportModal({ deviceName, scopes, onClose, onError }) {
+  const { t } = useI18n();
+  const [opts, setOpts] = useState({
+    scope: "all",
+    format: "csv",
+    separator: ";",
+    bom: true,
+    dateFormat: "ddmmyy",
+  });
+  const [busy, setBusy] = useState(false);
+
+  const scopeOptions = [
+    { value: "all", label: t("export.scope.all", { count: scopes.all.length }) },
+    { value: "filtered", label: t("export.scope.filtered", { count: scopes.filtered.length }) },
+    { value: "selected", label: t("export.scope.selected", { count: scopes.selected.length }) },
+  ];
+
+  const items = scopes[opts.scope] || [];
+
+  async function doExport() {
+    setBusy(true);
+    try {
+      const { blob, fileName } = await buildProductsExport(items, { ...opts, deviceName });
+      downloadBlob(blob, fileName);
+      onClose();
+    } catch (err) {
+      onError?.(err?.message || t("export.error"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Modal
+      open
+      title={t("export.title")}
+      subtitle={deviceName}
+      onClose={onClose}
+      footer={
+        <>
+          <button className="btn" type="button" onClick={onClose} disabled={busy}>
+            {t("common.cancel")}
+          </button>
+          <button
+            className="btn primary"
+            type="button"
+            onClick={doExport}
+            disabled={busy || items.length === 0}
+          >
+            {busy ? "..." : t("export.download")}
+          </button>
+        </>
+      }
+    >
+      <div className="form">
+        <div className="mapping-grid">
+          <div className="field">
+            <div className="label">{t("export.scope")}</div>
+            <select
+              className="select"
+              value={opts.scope}
+              onChange={(e) => setOpts((p) => ({ ...p, scope: e.target.value }))}
+            >
+              {scopeOptions.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="field">
+            <div className="label">{t("export.format")}</div>
+            <select
+              className="select"
+              value={opts.format}
+              onChange={(e) => setOpts((p) => ({ ...p, format: e.target.value }))}
+            >
+              {EXPORT_FORMATS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="field">
+            <div className="label">{t("export.dateFormat")}</div>
+            <select
+              className="select"
+              value={opts.dateFormat}
+              onChange={(e) => setOpts((p) => ({ ...p, dateFormat: e.target.value }))}
+            >
+              {DATE_FORMATS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {opts.format === "csv" ? (
+            <div className="field">
+              <div className="label">{t("export.separator")}</div>
+              <select
+                className="select"
+                value={opts.separator}
+                onChange={(e) => setOpts((p) => ({ ...p, separator: e.target.value }))}
+              >
+                {CSV_SEPARATORS.map((o) => (
+                  <option key={o.labelKey} value={o.value}>
+                    {t(o.labelKey)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ) : null}
+        </div>
+
+        {opts.format === "csv" ? (
+          <label className="check-row">
+            <input
+              type="checkbox"
+              checked={opts.bom}
+              onChange={(e) => setOpts((p) => ({ ...p, bom: e.target.checked }))}
+            />
+            {t("export.bom")}
+          </label>
+        ) : null}
+
+        {items.length === 0 ? (
+          <div className="field-error">{t("export.empty")}</div>
+        ) : null}
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,192 @@
+import React, { useMemo, useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { invalidateDeviceProducts } from "../query/invalidate";
+import { utcToLocal } from "../utils/datetime";
+import { runSequential } from "../utils/batch";
+import { useI18n } from "../i18n";
+import { getPlu, productFieldLabel } from "./productUtils";
+import {
+  SESSION_ID,
+  buildRevertPlan,
+  clearJournal,
+  isQueuedResult,
+  patchProductTracked,
+  useChangeJournal,
+} from "./changeJournal";
+
+function fmtValue(v) {
+  if (v === "" || v === null || v === undefined) return "—";
+  return String(v);
+}
+
+/**
+ * История изменений товаров устройства с откатом записей и сессий.
+ * Откат отправляет старые значения через patchProductByPlu и сам попадает в журнал.
+ */
+export function HistoryPanel({ deviceId, products, onReverted }) {
+  const qc = useQueryClient();
+  const { t } = useI18n();
+  const entries = useChangeJournal(deviceId);
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  // Сессии: новые сверху, внутри сессии записи тоже от новых к старым
+  const sessions = useMemo(() => {
+    const map = new Map();
+    for (const e of entries) {
+      if (!map.has(e.sessionId)) map.set(e.sessionId, []);
+      map.get(e.sessionId).push(e);
+    }
+    return [...map.entries()]
+      .map(([id, list]) => ({
+        id,
+        startedAt: list[0].at,
+        entries: [...list].reverse(),
+      }))
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }, [entries]);
+
+  async function revert(list) {
+    const plan = buildRevertPlan(list);
+    if (!plan.length) return;
+
+    const byPlu = new Map(products.map((p) => [Number(getPlu(p)), p]));
+
+    setBusy(true);
+    const results = await runSequential(plan, (x) =>
+      patchProductTracked(deviceId, x.plu, x.fields, byPlu.get(x.plu), "revert")
+    );
+    await invalidateDeviceProducts(qc, deviceId);
+    setBusy(false);
+
+    onReverted?.({
+      total: results.length,
+      failed: results.filter((r) => !r.ok).length,
+      queued: results.filter((r) => r.ok && isQueuedResult(r.result)).length,
+    });
+  }
+
+  return (
+    <div className="card">
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          gap: 12,
+          flexWrap: "wrap",
+        }}
+      >
+        <div className="card-title" style={{ margin: 0 }}>
+          {t("history.title")}
+        </div>
+
+        <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+          <span className="sub">{t("history.entries", { count: entries.length })}</span>
+          {open && entries.length ? (
+            <button
+              className="btn-ghost"
+              type="button"
+              disabled={busy}
+              onClick={() => {
+                if (window.confirm(t("history.clearConfirm"))) {
+                  clearJournal(deviceId);
+                }
+              }}
+            >
+              {t("common.clear")}
+            </button>
+          ) : null}
+          <button className="btn-ghost" type="button" onClick={() => setOpen((v) => !v)}>
+            {open ? t("common.hide") : t("common.show")}
+          </button>
+        </div>
+      </div>
+
+      {open ? (
+        <div className="stack" style={{ marginTop: 12 }}>
+          {sessions.length === 0 ? (
+            <div className="sub">{t("history.empty")}</div>
+          ) : (
+            sessions.map((s) => (
+              <div key={s.id} className="history-session">
+                <div className="history-session-head">
+                  <div>
+                    <b>{t("history.session", { at: utcToLocal(s.startedAt) })}</b>
+                    {s.id === SESSION_ID ? ` ${t("history.current")}` : ""}
+                    <span className="sub">
+                      {" · "}
+                      {t("history.changes", { count: s.entries.length })}
+                    </span>
+                  </div>
+                  <button
+                    className="btn-warn"
+                    type="button"
+                    disabled={busy}
+                    onClick={() => {
+                      if (window.confirm(t("history.revertSessionConfirm"))) {
+                        revert(s.entries);
+                      }
+                    }}
+                  >
+                    {t("history.revertSession")}
+                  </button>
+                </div>
+
+                <div className="table-wrap">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>{t("history.col.time")}</th>
+                        <th>{t("history.col.user")}</th>
+                        <th>PLU</th>
+                        <th>{t("history.col.field")}</th>
+                        <th>{t("history.col.change")}</th>
+                        <th>{t("history.col.source")}</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {s.entries.map((e) => (
+                        <tr key={e.id}>
+                          <td>{utcToLocal(e.at)}</td>
+                          <td>{e.user || "—"}</td>
+                          <td>{e.plu}</td>
+                          <td>{productFieldLabel(e.field)}</td>
+                          <td>
+                            {e.before === null ? (
+                              <span className="sub">{t("history.newProduct")}</span>
+                            ) : (
+                              <span className="diff-before">{fmtValue(e.before)}</span>
+                            )}{" "}
+                            → <span className="diff-after">{fmtValue(e.after)}</span>
+                          </td>
+                          <td>{t(`history.source.${e.source}`)}</td>
+                          <td>
+                            <button
+                              className="btn-ghost"
+                              type="button"
+                              disabled={busy || e.before === null}
+                              title={
+                                e.before === null
+                                  ? t("history.createdLocked")
+                                  : ""
+                              }
+                              onClick={() => revert([e])}
+                            >
+                              {t("history.revert")}
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
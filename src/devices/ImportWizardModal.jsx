@@ -0,0 +1,281 @@
+import React, { useMemo, useState } from "react";
+import { Modal } from "../components/Modal";
+import { BatchProgress } from "../components/BatchProgress";
+import { readSpreadsheetFile } from "../utils/spreadsheet";
+import { IMPORT_FIELDS, diffImport, guessMapping, mapImportRows } from "./productImport";
+import { patchProductTracked } from "./changeJournal";
+import { useBatchRun } from "./useBatchRun";
+import { productFieldLabel } from "./productUtils";
+import { useI18n } from "../i18n";
+
+function fmtValue(v) {
+  if (v === "" || v === null || v === undefined) return "—";
+  return String(v);
+}
+
+/**
+ * Мастер импорта товаров из CSV/XLSX в кэш устройства.
+ * Шаги:
+ *  1) file    — выбор и разбор файла;
+ *  2) mapping — сопоставление колонок с полями товара;
+ *  3) preview — валидация и сравнение с текущим кэшем;
+ *  4) apply   — запись новых/изменённых строк через patchProductByPlu.
+ */
+export function ImportWizardModal({ deviceId, products, onClose, onFinished }) {
+  const { t } = useI18n();
+
+  const [step, setStep] = useState("file");
+  const [fileName, setFileName] = useState("");
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [fileError, setFileError] = useState("");
+  const [reading, setReading] = useState(false);
+  const [kindFilter, setKindFilter] = useState("all");
+
+  async function onFile(file) {
+    if (!file) return;
+    setReading(true);
+    setFileError("");
+    try {
+      const parsed = await readSpreadsheetFile(file);
+      setTable(parsed);
+      setFileName(file.name);
+      setMapping(guessMapping(parsed.headers));
+      setStep("mapping");
+    } catch (err) {
+      setFileError(err?.message || t("import.readError"));
+    } finally {
+      setReading(false);
+    }
+  }
+
+  const diff = useMemo(() => {
+    if (step !== "preview") return [];
+    return diffImport(mapImportRows(table.rows, mapping), products);
+  }, [step, table, mapping, products]);
+
+  const counts = useMemo(() => {
+    const c = { added: 0, changed: 0, unchanged: 0, invalid: 0 };
+    for (const r of diff) c[r.kind]++;
+    return c;
+  }, [diff]);
+
+  // Снимок строк к применению фиксируется при переходе к шагу apply,
+  // чтобы обновление кэша после записи не пересчитало diff.
+  const [toApply, setToApply] = useState([]);
+
+  const visible =
+    kindFilter === "all" ? diff : diff.filter((r) => r.kind === kindFilter);
+
+  const batch = useBatchRun(deviceId, {
+    task: (r) => patchProductTracked(deviceId, r.plu, r.patch, r.before, "import"),
+    keyOf: (r) => r.plu,
+    onFinished,
+  });
+  const { running, failedCount } = batch;
+
+  function apply() {
+    const targets = diff.filter((r) => r.kind === "added" || r.kind === "changed");
+    setToApply(targets);
+    setStep("apply");
+    batch.run(targets);
+  }
+
+  const pluMapped = mapping.pluNumber !== "" && mapping.pluNumber !== undefined;
+
+  function close() {
+    if (!running) onClose();
+  }
+
+  let footer;
+  if (step === "mapping") {
+    footer = (
+      <>
+        <button className="btn" type="button" onClick={() => setStep("file")}>
+          {t("common.back")}
+        </button>
+        <button
+          className="btn primary"
+          type="button"
+          onClick={() => setStep("preview")}
+          disabled={!pluMapped}
+        >
+          {t("import.check")}
+        </button>
+      </>
+    );
+  } else if (step === "preview") {
+    footer = (
+      <>
+        <button className="btn" type="button" onClick={() => setStep("mapping")}>
+          {t("common.back")}
+        </button>
+        <button
+          className="btn primary"
+          type="button"
+          onClick={apply}
+          disabled={counts.added + counts.changed === 0}
+        >
+          {t("import.apply", { count: counts.added + counts.changed })}
+        </button>
+      </>
+    );
+  } else if (step === "apply") {
+    footer = (
+      <>
+        {failedCount > 0 ? (
+          <button className="btn" type="button" onClick={() => batch.retryFailed(toApply)} disabled={running}>
+            {t("batch.retryFailed", { count: failedCount })}
+          </button>
+        ) : null}
+        <button className="btn primary" type="button" onClick={close} disabled={running}>
+          {t("common.close")}
+        </button>
+      </>
+    );
+  }
+
+  return (
+    <Modal
+      open
+      wide
+      title={t("import.title")}
+      subtitle={fileName || t("import.subtitle")}
+      onClose={close}
+      footer={footer}
+    >
+      {step === "file" ? (
+        <div className="form">
+          <div className="field">
+            <div className="label">{t("import.file")}</div>
+            <input
+              className="input"
+              type="file"
+              accept=".csv,.txt,.xlsx"
+              disabled={reading}
+              onChange={(e) => onFile(e.target.files?.[0])}
+            />
+            {fileError ? (
+              <div className="field-error">{fileError}</div>
+            ) : (
+              <div className="help">
+                {t("import.fileHelp")}
+              </div>
+            )}
+          </div>
+          {reading ? <div className="sub">{t("import.reading")}</div> : null}
+        </div>
+      ) : null}
+
+      {step === "mapping" ? (
+        <div className="form">
+          <div className="sub">
+            {t("import.mappingHint", { count: table.rows.length })}
+          </div>
+
+          <div className="mapping-grid">
+            {IMPORT_FIELDS.map((f) => (
+              <div className="field" key={f.key}>
+                <div className="label">
+                  {productFieldLabel(f.key)}
+                  {f.required ? " *" : ""}
+                </div>
+                <select
+                  className="select"
+                  value={mapping[f.key]}
+                  onChange={(e) =>
+                    setMapping((p) => ({ ...p, [f.key]: e.target.value }))
+                  }
+                >
+                  <option value="">{t("import.skipColumn")}</option>
+                  {table.headers.map((h, i) => (
+                    <option key={i} value={i}>
+                      {h}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {!pluMapped ? (
+            <div className="field-error">{t("import.pluRequired")}</div>
+          ) : null}
+        </div>
+      ) : null}
+
+      {step === "preview" ? (
+        <div className="form">
+          <div className="tabs">
+            {["all", "added", "changed", "unchanged", "invalid"].map((k) => (
+              <button
+                key={k}
+                type="button"
+                className={`tab ${kindFilter === k ? "active" : ""}`}
+                onClick={() => setKindFilter(k)}
+              >
+                {k === "all"
+                  ? t("import.kind.allCount", { count: diff.length })
+                  : `${t(`import.kind.${k}`)} (${counts[k]})`}
+              </button>
+            ))}
+          </div>
+
+          <div className="table-wrap">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>{t("import.col.row")}</th>
+                  <th>PLU</th>
+                  <th>{t("import.col.status")}</th>
+                  <th>{t("import.col.data")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map((r) => (
+                  <tr key={r.rowNumber} className={`row-${r.kind}`}>
+                    <td>{r.rowNumber}</td>
+                    <td>{r.plu ?? "—"}</td>
+                    <td>{t(`import.kind.${r.kind}`)}</td>
+                    <td>
+                      {r.kind === "invalid" ? (
+                        <span className="field-error">{r.errors.join("; ")}</span>
+                      ) : r.kind === "changed" ? (
+                        Object.entries(r.changes).map(([k, c]) => (
+                          <div key={k}>
+                            {productFieldLabel(k)}:{" "}
+                            <span className="diff-before">{fmtValue(c.before)}</span>{" "}
+                            → <span className="diff-after">{fmtValue(c.after)}</span>
+                          </div>
+                        ))
+                      ) : (
+                        Object.entries(r.fields)
+                          .map(([k, v]) => `${productFieldLabel(k)}: ${fmtValue(v)}`)
+                          .join(" · ")
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="sub">
+            {t("import.previewHint")}
+          </div>
+        </div>
+      ) : null}
+
+      {step === "apply" ? (
+        <BatchProgress
+          items={toApply.map((r) => ({
+            key: String(r.plu),
+            plu: r.plu,
+            name: r.fields.name ?? r.before?.name,
+            ...batch.rowOf(r),
+          }))}
+        />
+      ) : null}
+    </Modal>
+  );
+}
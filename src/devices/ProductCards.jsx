@@ -0,0 +1,108 @@
+import React, { useState } from "react";
+import { useI18n } from "../i18n";
+import { formatPrice, formatProductDate } from "../utils/format";
+import { computeStatus, getPlu, getShelfLifeDays, maskDDMMYY, toNum } from "./productUtils";
+import { productKey } from "./productList";
+
+// Карточки тяжелее строк таблицы — рисуем порциями
+const CARDS_PAGE = 120;
+
+/**
+ * Товары карточками. Показывается первая порция, остальные — по кнопке
+ * (для больших каталогов удобнее таблица). При смене resetKey (поиск, фильтры)
+ * снова показывается только первая порция; сами карточки не пересоздаются.
+ */
+export function ProductCards({ products, selected, onToggle, onOpen, resetKey }) {
+  const { t } = useI18n();
+  // Порция запоминается вместе с resetKey: для другого ключа действует первая порция
+  const [page, setPage] = useState({ resetKey, limit: CARDS_PAGE });
+  const limit = page.resetKey === resetKey ? page.limit : CARDS_PAGE;
+
+  const visible = products.slice(0, limit);
+  const rest = products.length - visible.length;
+
+  return (
+    <>
+      <div className="products-grid">
+        {visible.map((p) => {
+          const plu = getPlu(p);
+          const status = computeStatus(p);
+          const isSelected = plu != null && selected.has(String(plu));
+
+          return (
+            <div
+              className={`product-card ${isSelected ? "is-selected" : ""}`}
+              key={productKey(p)}
+              role="button"
+              tabIndex={0}
+              onClick={() => onOpen(p)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" || e.key === " ") {
+                  e.preventDefault();
+                  onOpen(p);
+                }
+              }}
+            >
+              <div className="product-top">
+                <div>
+                  <div className="product-title">{p?.name || t("product.noName")}</div>
+                  <div className="product-subtitle">
+                    <span className="pill pill-strong">PLU: {plu ?? "—"}</span>{" "}
+                    <span className={`status-pill ${status.cls}`}>{status.label}</span>
+                  </div>
+                </div>
+
+                {plu != null ? (
+                  <input
+                    className="product-check"
+                    type="checkbox"
+                    checked={isSelected}
+                    onChange={() => onToggle(plu)}
+                    onClick={(e) => e.stopPropagation()}
+                    onKeyDown={(e) => e.stopPropagation()}
+                    aria-label={t("selection.select", { plu })}
+                  />
+                ) : null}
+              </div>
+
+              <div className="kpi-row">
+                <div className="kpi">
+                  <div className="kpi-label">{t("product.field.price")}</div>
+                  <div className="kpi-value">{formatPrice(toNum(p?.price, 0))}</div>
+                </div>
+                <div className="kpi">
+                  <div className="kpi-label">{t("product.field.shelfLife")}</div>
+                  <div className="kpi-value">{getShelfLifeDays(p)}</div>
+                </div>
+              </div>
+
+              <div className="meta-row">
+                <div className="meta-item">
+                  <div className="meta-key">{t("product.field.manufactureDate")}</div>
+                  <div className="meta-val">
+                    {formatProductDate(maskDDMMYY(p?.manufactureDate || ""))}
+                  </div>
+                </div>
+                <div className="meta-item">
+                  <div className="meta-key">{t("product.field.sellByDate")}</div>
+                  <div className="meta-val">
+                    {formatProductDate(maskDDMMYY(p?.sellByDate || ""))}
+                  </div>
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {rest > 0 ? (
+        <div className="products-more">
+          <button className="btn" type="button" onClick={() => setPage({ resetKey, limit: limit + CARDS_PAGE })}>
+            {t("detail.showMore", { count: Math.min(rest, CARDS_PAGE) })}
+          </button>
+          <span className="sub">{t("detail.hiddenCount", { count: rest })}</span>
+        </div>
+      ) : null}
+    </>
+  );
+}
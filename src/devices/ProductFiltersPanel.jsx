@@ -0,0 +1,201 @@
+import React, { useMemo, useState } from "react";
+import { useNotify } from "../components/notify";
+import { useI18n } from "../i18n";
+import { maskDDMMYY, productFieldLabel } from "./productUtils";
+import {
+  EMPTY_PRODUCT_FILTERS,
+  PRODUCT_FILTER_DEFS,
+  activeProductFilters,
+  clearProductFilter,
+  countPerProductFilter,
+  filterBoundError,
+  productFilterLabel,
+} from "./productFilters";
+import { removeFilterPreset, saveFilterPreset, useFilterPresets } from "./filterPresets";
+
+const RANGE_DEFS = PRODUCT_FILTER_DEFS.filter((def) => def.kind);
+
+/**
+ * Расширенные фильтры товаров: диапазоны, «пустые» поля, чипы активных фильтров
+ * с количеством подходящих товаров и наборы фильтров устройства.
+ * filters — текущие значения (из URL); resultCount — сколько товаров показано с учётом поиска;
+ * onChange(patch) — изменить часть фильтров, onReplace(filters) — заменить все (набор, сброс).
+ */
+export function ProductFiltersPanel({ deviceId, products, filters, resultCount, onChange, onReplace }) {
+  const { t } = useI18n();
+  const show = useNotify();
+  const presets = useFilterPresets(deviceId);
+
+  const active = activeProductFilters(filters);
+  const [open, setOpen] = useState(() => active.some((def) => def.id !== "status"));
+  const [presetName, setPresetName] = useState("");
+
+  const counts = useMemo(() => countPerProductFilter(products, filters), [products, filters]);
+  // «Пустые» поля считаем всегда — подсказка ещё до включения фильтра
+  const missingCounts = useMemo(
+    () => countPerProductFilter(products, { ...EMPTY_PRODUCT_FILTERS, noName: true, zeroPrice: true }),
+    [products]
+  );
+
+  function savePreset() {
+    const name = presetName.trim();
+    if (!name) return;
+    try {
+      saveFilterPreset(deviceId, name, filters);
+      setPresetName("");
+      show(t("filters.presetSaved", { name }), "success");
+    } catch {
+      show(t("filters.presetSaveError"), "error");
+    }
+  }
+
+  function rangeField(def) {
+    const [minKey, maxKey] = def.keys;
+    const isDate = def.kind === "date";
+    const inputProps = isDate ? { inputMode: "numeric", maxLength: 8 } : { inputMode: "decimal" };
+    const set = (key, v) => onChange({ [key]: isDate ? maskDDMMYY(v) : v });
+    const error = filterBoundError(filters[minKey], def.kind) || filterBoundError(filters[maxKey], def.kind);
+
+    return (
+      <div key={def.id} className="field">
+        <div className="label">{productFieldLabel(def.id)}</div>
+        <div className="range-inputs">
+          <input
+            className={`input ${filterBoundError(filters[minKey], def.kind) ? "error" : ""}`}
+            value={filters[minKey]}
+            aria-label={`${productFieldLabel(def.id)}: ${t("filters.min")}`}
+            onChange={(e) => set(minKey, e.target.value)}
+            {...inputProps}
+            placeholder={isDate ? "01-01-26" : t("filters.min")}
+          />
+          <span className="sub">—</span>
+          <input
+            className={`input ${filterBoundError(filters[maxKey], def.kind) ? "error" : ""}`}
+            value={filters[maxKey]}
+            aria-label={`${productFieldLabel(def.id)}: ${t("filters.max")}`}
+            onChange={(e) => set(maxKey, e.target.value)}
+            {...inputProps}
+            placeholder={isDate ? "01-01-26" : t("filters.max")}
+          />
+        </div>
+        {error ? <div className="field-error">{error}</div> : null}
+      </div>
+    );
+  }
+
+  return (
+    <div className="product-filters">
+      <div className="filter-chips">
+        <button className="btn-ghost" type="button" onClick={() => setOpen((v) => !v)}>
+          {open ? t("filters.hide") : t("filters.show")}
+        </button>
+
+        {active.map((def) => (
+          <span key={def.id} className="pill filter-chip">
+            {productFilterLabel(def, filters)}
+            <span className="filter-chip-count">{counts[def.id]}</span>
+            <button
+              type="button"
+              className="filter-chip-remove"
+              aria-label={t("filters.remove", { name: productFilterLabel(def, filters) })}
+              onClick={() => onChange(clearProductFilter(def))}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+
+        {active.length > 1 ? (
+          <button className="btn-ghost" type="button" onClick={() => onReplace(EMPTY_PRODUCT_FILTERS)}>
+            {t("filters.clearAll")}
+          </button>
+        ) : null}
+
+        <span className="sub filter-chips-total">
+          {t("filters.found", { count: resultCount, total: products.length })}
+        </span>
+      </div>
+
+      {open ? (
+        <div className="form" style={{ marginTop: 12 }}>
+          <div className="filters-grid">{RANGE_DEFS.map(rangeField)}</div>
+
+          <div className="filters-missing">
+            <span className="label" style={{ margin: 0 }}>{t("filters.missing")}</span>
+            {["noName", "zeroPrice"].map((id) => (
+              <label key={id} className="check-row">
+                <input
+                  type="checkbox"
+                  checked={filters[id]}
+                  onChange={(e) => onChange({ [id]: e.target.checked })}
+                />
+                {t(`filters.${id}`)} ({missingCounts[id]})
+              </label>
+            ))}
+          </div>
+
+          <div className="filters-presets">
+            <select
+              className="select"
+              value=""
+              disabled={presets.length === 0}
+              aria-label={t("filters.presets")}
+              onChange={(e) => {
+                const preset = presets.find((p) => p.name === e.target.value);
+                if (preset) onReplace(preset.filters);
+              }}
+            >
+              <option value="">
+                {presets.length ? t("filters.applyPreset") : t("filters.noPresets")}
+              </option>
+              {presets.map((p) => (
+                <option key={p.name} value={p.name}>
+                  {p.name}
+                </option>
+              ))}
+            </select>
+
+            <input
+              className="input"
+              value={presetName}
+              placeholder={t("filters.presetName")}
+              aria-label={t("filters.presetName")}
+              list={`filter-presets-${deviceId}`}
+              onChange={(e) => setPresetName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" && active.length) savePreset();
+              }}
+            />
+            <datalist id={`filter-presets-${deviceId}`}>
+              {presets.map((p) => (
+                <option key={p.name} value={p.name} />
+              ))}
+            </datalist>
+
+            <button
+              className="btn"
+              type="button"
+              disabled={!presetName.trim() || active.length === 0}
+              onClick={savePreset}
+            >
+              {t("filters.savePreset")}
+            </button>
+
+            {presets.some((p) => p.name === presetName.trim()) ? (
+              <button
+                className="btn-ghost"
+                type="button"
+                onClick={() => {
+                  removeFilterPreset(deviceId, presetName.trim());
+                  setPresetName("");
+                }}
+              >
+                {t("filters.deletePreset")}
+              </button>
+            ) : null}
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useI18n } from "../i18n";
+import { formatPrice, formatProductDate } from "../utils/format";
+import {
+  computeStatus,
+  getPlu,
+  getShelfLifeDays,
+  maskDDMMYY,
+  productFieldLabel,
+  toNum,
+} from "./productUtils";
+import { PRODUCT_SORT_KEYS, productKey } from "./productList";
+
+// Высота строки должна совпадать с .product-table td в index.css
+const ROW_HEIGHT = 40;
+// Строки сверх видимой области — чтобы при быстрой прокрутке не мелькали пустоты
+const OVERSCAN = 10;
+
+function columnLabel(key, t) {
+  return key === "status" ? t("detail.statusFilter") : productFieldLabel(key);
+}
+
+/**
+ * Таблица товаров с виртуальной прокруткой: в DOM только видимые строки,
+ * поэтому 10 000 PLU не тормозят ни прокрутку, ни ввод в поиске.
+ * sort — { key, dir }; onSort(key) — клик по заголовку колонки.
+ */
+export function ProductTable({ products, selected, onToggle, onOpen, sort, onSort }) {
+  const { t } = useI18n();
+  const wrapRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewport, setViewport] = useState(560);
+
+  useEffect(() => {
+    const el = wrapRef.current;
+    if (!el) return undefined;
+
+    const measure = () => setViewport(el.clientHeight || 560);
+    measure();
+
+    const ro = new ResizeObserver(measure);
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  // Список стал короче (фильтр) — не оставляем прокрутку за его концом
+  const maxScroll = Math.max(0, products.length * ROW_HEIGHT - viewport);
+  const top = Math.min(scrollTop, maxScroll);
+
+  const start = Math.max(0, Math.floor(top / ROW_HEIGHT) - OVERSCAN);
+  const end = Math.min(products.length, Math.ceil((top + viewport) / ROW_HEIGHT) + OVERSCAN);
+  const rows = products.slice(start, end);
+
+  const colSpan = PRODUCT_SORT_KEYS.length + 1;
+
+  return (
+    <div
+      ref={wrapRef}
+      className="table-wrap product-table-wrap"
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <table className="data-table product-table">
+        <thead>
+          <tr>
+            <th className="product-table-check" aria-label={t("selection.count", { count: selected.size })} />
+            {PRODUCT_SORT_KEYS.map((key) => {
+              const active = sort.key === key;
+              return (
+                <th
+                  key={key}
+                  aria-sort={active ? (sort.dir === "desc" ? "descending" : "ascending") : "none"}
+                >
+                  <button type="button" className="th-sort" onClick={() => onSort(key)}>
+                    {columnLabel(key, t)}
+                    <span className="th-sort-arrow" aria-hidden="true">
+                      {active ? (sort.dir === "desc" ? "↓" : "↑") : ""}
+                    </span>
+                  </button>
+                </th>
+              );
+            })}
+          </tr>
+        </thead>
+
+        <tbody>
+          {start > 0 ? (
+            <tr className="product-table-spacer" aria-hidden="true">
+              <td colSpan={colSpan} style={{ height: start * ROW_HEIGHT }} />
+            </tr>
+          ) : null}
+
+          {rows.map((p) => {
+            const plu = getPlu(p);
+            const status = computeStatus(p);
+            const isSelected = plu != null && selected.has(String(plu));
+
+            return (
+              <tr
+                key={productKey(p)}
+                className={`product-row ${isSelected ? "is-selected" : ""}`}
+                tabIndex={0}
+                onClick={() => onOpen(p)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") {
+                    e.preventDefault();
+                    onOpen(p);
+                  }
+                }}
+              >
+                <td className="product-table-check">
+                  {plu != null ? (
+                    <input
+                      className="product-check"
+                      type="checkbox"
+                      checked={isSelected}
+                      onChange={() => onToggle(plu)}
+                      onClick={(e) => e.stopPropagation()}
+                      onKeyDown={(e) => e.stopPropagation()}
+                      aria-label={t("selection.select", { plu })}
+                    />
+                  ) : null}
+                </td>
+                <td>{plu ?? "—"}</td>
+                <td title={p?.name || ""}>{p?.name || t("product.noName")}</td>
+                <td>{formatPrice(toNum(p?.price, 0))}</td>
+                <td>{getShelfLifeDays(p)}</td>
+                <td>{formatProductDate(maskDDMMYY(p?.manufactureDate || ""))}</td>
+                <td>{formatProductDate(maskDDMMYY(p?.sellByDate || ""))}</td>
+                <td>
+                  <span className={`status-pill ${status.cls}`}>{status.label}</span>
+                </td>
+              </tr>
+            );
+          })}
+
+          {end < products.length ? (
+            <tr className="product-table-spacer" aria-hidden="true">
+              <td colSpan={colSpan} style={{ height: (products.length - end) * ROW_HEIGHT }} />
+            </tr>
+          ) : null}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,239 @@
+import React, { useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { Modal } from "../components/Modal";
+import { invalidateDeviceProducts } from "../query/invalidate";
+import { extractErrorMessage } from "../utils/errors";
+import { utcToLocal } from "../utils/datetime";
+import { runSequential } from "../utils/batch";
+import { useI18n } from "../i18n";
+import {
+  PRODUCT_FIELDS,
+  diffProducts,
+  productFieldLabel,
+  productFieldValue,
+} from "./productUtils";
+import { isQueuedResult, patchProductTracked } from "./changeJournal";
+import { usePatchQueue } from "../offline/patchQueue";
+
+function fmtValue(v) {
+  if (v === "" || v === null || v === undefined) return "—";
+  return String(v);
+}
+
+/**
+ * Поля для возврата товара к состоянию на весах.
+ * modified — только изменённые поля, removed — товар целиком.
+ */
+function revertFields(change) {
+  if (change.kind === "modified") {
+    return Object.fromEntries(
+      Object.entries(change.fields).map(([k, v]) => [k, v.before])
+    );
+  }
+  return Object.fromEntries(
+    PRODUCT_FIELDS.map(({ key }) => [key, productFieldValue(change.before, key)])
+  );
+}
+
+/**
+ * Проверка перед «Загрузить в весы»: сравнение кэша на сервере (products — без
+ * неотправленных изменений) с последним известным содержимым весов (снимок из deviceSnapshot).
+ *
+ * Исключённые изменения перед загрузкой откатываются в кэше
+ * через patchProductByPlu (с записью в журнал). Новые PLU исключить нельзя:
+ * API не умеет удалять товар из кэша.
+ *
+ * Пока в очереди без связи есть изменения устройства (правки, импорт, каталог или
+ * откат отсюда), загрузка заблокирована: на весы ушёл бы кэш сервера без них,
+ * а исключённые изменения — без отката.
+ */
+export function UploadReviewModal({ deviceId, products, snapshot, onClose, onConfirm }) {
+  const qc = useQueryClient();
+  const { t } = useI18n();
+
+  // Diff фиксируется при открытии: кэш может обновиться, пока открыт диалог
+  const [diff] = useState(() =>
+    snapshot ? diffProducts(snapshot.products, products) : null
+  );
+  const [excluded, setExcluded] = useState(() => new Set());
+  const [busy, setBusy] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  // Любой статус очереди (ждёт, конфликт, ошибка) — изменение ещё не на сервере
+  const queuedPlus = [
+    ...new Set(
+      usePatchQueue()
+        .filter((e) => e.deviceId === Number(deviceId))
+        .map((e) => e.plu)
+    ),
+  ];
+  const blocked = queuedPlus.length > 0;
+
+  const changes = diff
+    ? [
+        ...diff.added.map((c) => ({ ...c, kind: "added" })),
+        ...diff.removed.map((c) => ({ ...c, kind: "removed" })),
+        ...diff.modified.map((c) => ({ ...c, kind: "modified" })),
+      ]
+    : [];
+
+  function toggle(plu) {
+    setExcluded((prev) => {
+      const next = new Set(prev);
+      if (next.has(plu)) next.delete(plu);
+      else next.add(plu);
+      return next;
+    });
+  }
+
+  async function confirm() {
+    const toRevert = changes.filter((c) => c.kind !== "added" && excluded.has(c.plu));
+
+    if (toRevert.length) {
+      setBusy(true);
+      setErrors([]);
+
+      const results = await runSequential(toRevert, (c) =>
+        patchProductTracked(deviceId, Number(c.plu), revertFields(c), c.after, "upload")
+      );
+      await invalidateDeviceProducts(qc, deviceId);
+      setBusy(false);
+
+      const failed = results.filter((r) => !r.ok);
+      setErrors(failed.map((r) => `PLU ${r.item.plu}: ${extractErrorMessage(r.error).message}`));
+
+      // Загрузку не запускаем: на весы ушли бы изменения, которые пользователь исключил.
+      // Откат, вставший в очередь, тоже не применён — блокировку покажет queuedPlus.
+      if (failed.length || results.some((r) => r.ok && isQueuedResult(r.result))) return;
+    }
+
+    onConfirm();
+  }
+
+  const total = changes.length;
+  const included = changes.filter((c) => !excluded.has(c.plu)).length;
+
+  return (
+    <Modal
+      open
+      wide
+      title={t("review.title")}
+      subtitle={
+        snapshot
+          ? t("review.subtitle", { at: utcToLocal(snapshot.savedAt) })
+          : t("review.noSnapshotTitle")
+      }
+      onClose={() => !busy && onClose()}
+      footer={
+        <>
+          <button className="btn" type="button" onClick={onClose} disabled={busy}>
+            {t("common.cancel")}
+          </button>
+          <button
+            className="btn primary"
+            type="button"
+            onClick={confirm}
+            disabled={busy || blocked}
+          >
+            {busy
+              ? "..."
+              : excluded.size
+                ? t("review.excludeAndUpload", { count: excluded.size })
+                : t("detail.upload")}
+          </button>
+        </>
+      }
+    >
+      <div className="form">
+        {!diff ? (
+          <div className="sub">
+            {t("review.noSnapshot")}
+          </div>
+        ) : total === 0 ? (
+          <div className="sub">
+            {t("review.noChanges")}
+          </div>
+        ) : (
+          <>
+            <div className="sub">
+              {t("review.summary", {
+                added: diff.added.length,
+                removed: diff.removed.length,
+                modified: diff.modified.length,
+                included,
+                total,
+              })}
+            </div>
+
+            <div className="table-wrap">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>{t("review.col.include")}</th>
+                    <th>PLU</th>
+                    <th>{t("review.col.change")}</th>
+                    <th>{t("review.col.fields")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {changes.map((c) => (
+                    <tr key={`${c.kind}-${c.plu}`} className={`row-${c.kind}`}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          className="product-check"
+                          checked={!excluded.has(c.plu)}
+                          disabled={c.kind === "added" || busy}
+                          title={
+                            c.kind === "added"
+                              ? t("review.addedLocked")
+                              : ""
+                          }
+                          onChange={() => toggle(c.plu)}
+                        />
+                      </td>
+                      <td>{c.plu}</td>
+                      <td>
+                        {t(`review.kind.${c.kind}`)}
+                      </td>
+                      <td>
+                        {c.kind === "modified"
+                          ? Object.entries(c.fields).map(([k, v]) => (
+                              <div key={k}>
+                                {productFieldLabel(k)}:{" "}
+                                <span className="diff-before">{fmtValue(v.before)}</span> →{" "}
+                                <span className="diff-after">{fmtValue(v.after)}</span>
+                              </div>
+                            ))
+                          : (c.after || c.before)?.name || t("product.noName")}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="help">
+              {t("review.excludedHint")}
+            </div>
+          </>
+        )}
+
+        {blocked ? (
+          <div className="field-error">
+            {t("review.queuePending", { plus: queuedPlus.join(", ") })}
+          </div>
+        ) : null}
+
+        {errors.length ? (
+          <div className="field-error">
+            {t("review.revertFailed")}
+            {errors.map((e) => (
+              <div key={e}>{e}</div>
+            ))}
+          </div>
+        ) : null}
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,176 @@
+import { getIntlLocale, t } from "../i18n";
+
+/**
+ * Расписание автообновления сроков годности.
+ * - mode "interval" — каждые interval_minutes минут от последнего запуска;
+ * - mode "daily"    — каждый день в указанное время (times: ["HH:MM"]);
+ * - mode "weekly"   — в указанное время по выбранным дням (days: 0 = пн … 6 = вс).
+ * Время суток — локальное время магазина (совпадает с часовым поясом браузера).
+ * interval_minutes отправляется всегда: backend без поддержки режимов продолжит
+ * работать по интервалу.
+ */
+
+export const AUTO_MODES = ["interval", "daily", "weekly"];
+export const AUTO_DEFAULT_INTERVAL = 60;
+export const AUTO_MAX_INTERVAL = 7 * 24 * 60;
+export const AUTO_PREVIEW_COUNT = 5;
+
+const DEFAULT_TIMES = ["06:00"];
+const DEFAULT_DAYS = [0, 1, 2, 3, 4];
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Приведение интервала к int >= 1.
+ * FastAPI обычно ожидает именно int, иначе получим 422.
+ */
+export function normalizeIntervalMinutes(v, fallback = AUTO_DEFAULT_INTERVAL) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return fallback;
+  const intN = Math.trunc(n);
+  if (intN <= 0) return fallback;
+  return intN;
+}
+
+function normalizeTimes(times) {
+  return [...new Set(times.map((s) => String(s).trim()))].sort();
+}
+
+function normalizeDays(days) {
+  return [...new Set(days.map(Number))]
+    .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Ответ getAutoUpdate -> черновик формы. Поля, которых backend не вернул,
+ * получают значения по умолчанию.
+ */
+export function autoUpdateToForm(data) {
+  const times = Array.isArray(data?.times) ? data.times.filter((s) => TIME_RE.test(s)) : [];
+  const days = Array.isArray(data?.days) ? normalizeDays(data.days) : [];
+
+  return {
+    enabled: !!data?.enabled,
+    mode: AUTO_MODES.includes(data?.mode) ? data.mode : "interval",
+    interval: String(normalizeIntervalMinutes(data?.interval_minutes)),
+    times: times.length ? normalizeTimes(times) : [...DEFAULT_TIMES],
+    days: days.length ? days : [...DEFAULT_DAYS],
+  };
+}
+
+export const EMPTY_AUTO_ERRORS = { interval: "", times: "", days: "" };
+
+/**
+ * Проверка черновика перед setAutoUpdate.
+ * Выключенное автообновление тоже проверяется — иначе при включении
+ * сохранится заведомо неверное расписание.
+ */
+export function validateAutoForm(form) {
+  const e = { ...EMPTY_AUTO_ERRORS };
+
+  const raw = String(form.interval ?? "").trim();
+  const n = Number(raw);
+  if (!raw || !Number.isInteger(n) || n < 1 || n > AUTO_MAX_INTERVAL) {
+    e.interval = t("auto.err.interval", { max: AUTO_MAX_INTERVAL });
+  }
+
+  if (form.mode !== "interval") {
+    const times = form.times.map((s) => String(s).trim());
+    if (!times.length) e.times = t("auto.err.noTimes");
+    else if (times.some((s) => !TIME_RE.test(s))) e.times = t("auto.err.time");
+    else if (new Set(times).size !== times.length) e.times = t("auto.err.duplicateTime");
+  }
+
+  if (form.mode === "weekly" && !normalizeDays(form.days).length) {
+    e.days = t("auto.err.noDays");
+  }
+
+  return e;
+}
+
+export function hasAutoErrors(e) {
+  return Object.values(e).some(Boolean);
+}
+
+/**
+ * Черновик -> payload для setAutoUpdate.
+ */
+export function autoFormToPayload(form) {
+  const payload = {
+    enabled: !!form.enabled,
+    mode: form.mode,
+    interval_minutes: normalizeIntervalMinutes(form.interval),
+  };
+  if (form.mode !== "interval") payload.times = normalizeTimes(form.times);
+  if (form.mode === "weekly") payload.days = normalizeDays(form.days);
+  return payload;
+}
+
+/**
+ * День недели даты: 0 = пн … 6 = вс.
+ */
+function weekday(date) {
+  return (date.getDay() + 6) % 7;
+}
+
+/**
+ * Ближайший запуск по времени суток строго после after
+ * (просматривается неделя вперёд — этого хватает для любого набора дней).
+ */
+function nextTimeOfDayRun(payload, after) {
+  const days = payload.mode === "weekly" ? new Set(payload.days) : null;
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(after.getFullYear(), after.getMonth(), after.getDate() + offset);
+    if (days && !days.has(weekday(day))) continue;
+
+    for (const time of payload.times) {
+      const [h, m] = time.split(":").map(Number);
+      const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m);
+      if (at > after) return at;
+    }
+  }
+  return null;
+}
+
+function nextRunAfter(payload, after) {
+  if (payload.mode === "interval") {
+    return new Date(after.getTime() + payload.interval_minutes * 60000);
+  }
+  return nextTimeOfDayRun(payload, after);
+}
+
+/**
+ * Ближайшие запуски по расписанию (payload из autoFormToPayload), отсчёт — от last_run_utc.
+ * Если по расписанию запуск уже должен был случиться, первым идёт «сейчас» (overdue: true).
+ * Без last_run_utc отсчёт идёт от текущего момента.
+ * Результат: [{ at: Date, overdue }].
+ */
+export function nextAutoRuns(payload, lastRunUtc, { now = new Date(), count = AUTO_PREVIEW_COUNT } = {}) {
+  const last = lastRunUtc ? new Date(lastRunUtc) : null;
+  const from = last && !Number.isNaN(last.getTime()) ? last : now;
+
+  const runs = [];
+  let at = nextRunAfter(payload, from);
+
+  if (at && at <= now) {
+    runs.push({ at: now, overdue: true });
+    at = nextRunAfter(payload, now);
+  }
+
+  while (at && runs.length < count) {
+    runs.push({ at, overdue: false });
+    at = nextRunAfter(payload, at);
+  }
+
+  return runs;
+}
+
+/**
+ * Короткие названия дней недели (пн … вс) на текущем языке.
+ */
+export function weekdayLabels() {
+  const fmt = new Intl.DateTimeFormat(getIntlLocale(), { weekday: "short" });
+  // 1 января 2024 — понедельник
+  return Array.from({ length: 7 }, (_, i) => fmt.format(new Date(2024, 0, 1 + i)));
+}
@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import { autoFormToPayload, hasAutoErrors, nextAutoRuns, validateAutoForm } from "./autoSchedule";
+
+const form = (patch) => ({
+  enabled: true,
+  mode: "interval",
+  interval: "60",
+  times: ["06:00"],
+  days: [0],
+  ...patch,
+});
+
+describe("validateAutoForm", () => {
+  it("accepts a valid schedule in every mode", () => {
+    for (const mode of ["interval", "daily", "weekly"]) {
+      expect(hasAutoErrors(validateAutoForm(form({ mode })))).toBe(false);
+    }
+  });
+
+  it("rejects fractional and out-of-range intervals", () => {
+    expect(validateAutoForm(form({ interval: "1.5" })).interval).not.toBe("");
+    expect(validateAutoForm(form({ interval: "0" })).interval).not.toBe("");
+    expect(validateAutoForm(form({ interval: String(7 * 24 * 60 + 1) })).interval).not.toBe("");
+  });
+
+  it("checks times and days only for the modes that use them", () => {
+    expect(validateAutoForm(form({ times: [] })).times).toBe("");
+    expect(validateAutoForm(form({ mode: "daily", times: [] })).times).not.toBe("");
+    expect(validateAutoForm(form({ mode: "daily", times: ["24:00"] })).times).not.toBe("");
+    expect(validateAutoForm(form({ mode: "daily", times: ["06:00", "06:00"] })).times).not.toBe("");
+    expect(validateAutoForm(form({ mode: "daily", days: [] })).days).toBe("");
+    expect(validateAutoForm(form({ mode: "weekly", days: [] })).days).not.toBe("");
+  });
+});
+
+describe("nextAutoRuns", () => {
+  // 19.10.2026 — понедельник
+  const now = new Date(2026, 9, 19, 12, 0);
+
+  it("puts an overdue run first and counts on from now", () => {
+    const payload = autoFormToPayload(form({ interval: "60" }));
+    const lastRun = new Date(2026, 9, 19, 9, 0).toISOString();
+
+    const runs = nextAutoRuns(payload, lastRun, { now, count: 3 });
+
+    expect(runs).toEqual([
+      { at: now, overdue: true },
+      { at: new Date(2026, 9, 19, 13, 0), overdue: false },
+      { at: new Date(2026, 9, 19, 14, 0), overdue: false },
+    ]);
+  });
+
+  it("counts from now without a last run", () => {
+    const payload = autoFormToPayload(form({ mode: "daily", times: ["18:00", "06:00"] }));
+
+    const runs = nextAutoRuns(payload, null, { now, count: 3 });
+
+    expect(runs.map((r) => r.at)).toEqual([
+      new Date(2026, 9, 19, 18, 0),
+      new Date(2026, 9, 20, 6, 0),
+      new Date(2026, 9, 20, 18, 0),
+    ]);
+  });
+
+  it("wraps weekly runs into the next week", () => {
+    // понедельник и воскресенье
+    const payload = autoFormToPayload(form({ mode: "weekly", days: [6, 0], times: ["06:00"] }));
+
+    const runs = nextAutoRuns(payload, null, { now, count: 3 });
+
+    expect(runs.map((r) => r.at)).toEqual([
+      new Date(2026, 9, 25, 6, 0),
+      new Date(2026, 9, 26, 6, 0),
+      new Date(2026, 10, 1, 6, 0),
+    ]);
+  });
+});
@@ -0,0 +1,72 @@
+import { t } from "../i18n";
+import { dateErrorText, toNum } from "./productUtils";
+
+/**
+ * Операции массового редактирования товаров.
+ * - set: установить поле в фиксированное значение;
+ * - priceAbs: изменить цену на абсолютную величину (+/-);
+ * - pricePct: изменить цену на процент (+/-).
+ */
+export const BULK_MODES = [
+  { value: "set", labelKey: "bulk.mode.set" },
+  { value: "priceAbs", labelKey: "bulk.mode.priceAbs" },
+  { value: "pricePct", labelKey: "bulk.mode.pricePct" },
+];
+
+// Подписи полей — productFieldLabel(value)
+export const BULK_FIELDS = [
+  { value: "price" },
+  { value: "shelfLife" },
+  { value: "manufactureDate" },
+  { value: "sellByDate" },
+];
+
+function roundPrice(v) {
+  return Math.max(0, Math.round(v * 100) / 100);
+}
+
+/**
+ * Проверка параметров операции.
+ * Возвращает "" если всё ок, иначе текст ошибки.
+ */
+export function validateBulkOp(op) {
+  const raw = String(op.value ?? "").trim();
+
+  if (op.mode === "set") {
+    if (op.field === "manufactureDate" || op.field === "sellByDate") {
+      return dateErrorText(raw);
+    }
+    if (!raw) return t("bulk.err.value");
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0) return t("bulk.err.number");
+    if (op.field === "shelfLife" && !Number.isInteger(n)) {
+      return t("bulk.err.shelfLife");
+    }
+    return "";
+  }
+
+  if (!raw) return t("bulk.err.delta");
+  if (!Number.isFinite(Number(raw))) return t("bulk.err.deltaNumber");
+  return "";
+}
+
+/**
+ * Поля для patchProductByPlu по одному товару.
+ * Отправляем только изменяемое поле.
+ */
+export function buildBulkFields(product, op) {
+  const raw = String(op.value ?? "").trim();
+
+  if (op.mode === "priceAbs") {
+    return { price: roundPrice(toNum(product?.price, 0) + Number(raw)) };
+  }
+
+  if (op.mode === "pricePct") {
+    const price = toNum(product?.price, 0);
+    return { price: roundPrice(price * (1 + Number(raw) / 100)) };
+  }
+
+  if (op.field === "price") return { price: roundPrice(Number(raw)) };
+  if (op.field === "shelfLife") return { shelfLife: Math.trunc(Number(raw)) };
+  return { [op.field]: raw };
+}
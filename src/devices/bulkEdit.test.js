@@ -0,0 +1,43 @@
+import { describe, expect, it } from "vitest";
+import { buildBulkFields, validateBulkOp } from "./bulkEdit";
+
+describe("validateBulkOp", () => {
+  it("requires a non-negative number for set price and an integer shelf life", () => {
+    expect(validateBulkOp({ mode: "set", field: "price", value: "12.5" })).toBe("");
+    expect(validateBulkOp({ mode: "set", field: "price", value: "" })).not.toBe("");
+    expect(validateBulkOp({ mode: "set", field: "price", value: "-1" })).not.toBe("");
+    expect(validateBulkOp({ mode: "set", field: "shelfLife", value: "1.5" })).not.toBe("");
+  });
+
+  it("checks set dates against DD-MM-YY", () => {
+    expect(validateBulkOp({ mode: "set", field: "sellByDate", value: "31-12-26" })).toBe("");
+    expect(validateBulkOp({ mode: "set", field: "sellByDate", value: "2026-12-31" })).not.toBe("");
+  });
+
+  it("allows negative price deltas but not empty ones", () => {
+    expect(validateBulkOp({ mode: "priceAbs", value: "-10" })).toBe("");
+    expect(validateBulkOp({ mode: "pricePct", value: " " })).not.toBe("");
+    expect(validateBulkOp({ mode: "pricePct", value: "abc" })).not.toBe("");
+  });
+});
+
+describe("buildBulkFields", () => {
+  const product = { pluNumber: 1, price: 99.99, shelfLife: 5 };
+
+  it("sends only the edited field", () => {
+    expect(buildBulkFields(product, { mode: "set", field: "shelfLife", value: "7" })).toEqual({
+      shelfLife: 7,
+    });
+    expect(
+      buildBulkFields(product, { mode: "set", field: "manufactureDate", value: " 01-10-26 " })
+    ).toEqual({ manufactureDate: "01-10-26" });
+  });
+
+  it("rounds changed prices to kopecks and never below zero", () => {
+    expect(buildBulkFields(product, { mode: "pricePct", value: "10" })).toEqual({ price: 109.99 });
+    expect(buildBulkFields(product, { mode: "pricePct", value: "-33.333" })).toEqual({
+      price: 66.66,
+    });
+    expect(buildBulkFields(product, { mode: "priceAbs", value: "-200" })).toEqual({ price: 0 });
+  });
+});
@@ -0,0 +1,139 @@
+import { patchProductByPlu } from "../api/devices";
+import { getCurrentUser } from "../utils/token";
+import { asArray, createDeviceStores, usePersistentStore } from "../utils/persistentStore";
+import { isNetworkError, isOnline } from "../offline/connection";
+import { enqueuePatch, hasPendingPatch } from "../offline/patchQueue";
+import { PRODUCT_FIELDS, productFieldValue } from "./productUtils";
+
+/**
+ * Журнал изменений товаров по устройству.
+ * - одна запись = одно поле одного PLU: { id, sessionId, plu, field, before, after, at, user, source };
+ * - before === null означает, что товара в кэше не было (создан импортом/копированием);
+ * - хранится в localStorage, чтобы переживать перезагрузку страницы;
+ * - сессия редактирования = вкладка браузера с момента загрузки приложения.
+ */
+
+const KEY_PREFIX = "change_journal_";
+const MAX_ENTRIES = 1000;
+
+export const SESSION_ID = `${Date.now().toString(36)}-${Math.random()
+  .toString(36)
+  .slice(2, 8)}`;
+
+const journalOf = createDeviceStores(KEY_PREFIX, [], asArray);
+
+function write(deviceId, entries) {
+  try {
+    journalOf(deviceId).set(entries.slice(-MAX_ENTRIES));
+  } catch {
+    // журнал вспомогательный: ошибка записи не должна ломать сохранение товара
+  }
+}
+
+export function getJournal(deviceId) {
+  return journalOf(deviceId).get();
+}
+
+export function clearJournal(deviceId) {
+  journalOf(deviceId).set(undefined);
+}
+
+/**
+ * Записать изменения товара в журнал.
+ * before — товар до изменения (или undefined, если его не было), fields — отправленные поля.
+ * user — автор изменения (для очереди без связи — тот, кто правил, а не кто отправил).
+ */
+export function recordProductChange(
+  deviceId,
+  plu,
+  before,
+  fields,
+  source = "edit",
+  user = getCurrentUser()
+) {
+  const after = { ...(before || {}), ...fields };
+  const at = new Date().toISOString();
+
+  const entries = [];
+  for (const { key: field } of PRODUCT_FIELDS) {
+    if (!(field in fields)) continue;
+    const prev = before ? productFieldValue(before, field) : null;
+    const next = productFieldValue(after, field);
+    if (prev === next) continue;
+
+    entries.push({
+      id: `${at}-${plu}-${field}-${Math.random().toString(36).slice(2, 6)}`,
+      sessionId: SESSION_ID,
+      plu: Number(plu),
+      field,
+      before: prev,
+      after: next,
+      at,
+      user,
+      source,
+    });
+  }
+
+  if (entries.length) write(deviceId, [...getJournal(deviceId), ...entries]);
+}
+
+/**
+ * patchProductByPlu + запись в журнал после успешного сохранения.
+ * Без связи изменение встаёт в очередь (offline/patchQueue.js) и возвращается { queued: true };
+ * в журнал оно попадёт при отправке. Изменение PLU, у которого уже есть
+ * неотправленные правки, тоже встаёт в очередь — за ними.
+ * Такой результат — «ещё не применено»: проверяйте его через isQueuedResult.
+ */
+export async function patchProductTracked(deviceId, plu, fields, before, source) {
+  const queue = () => {
+    enqueuePatch({ deviceId, plu, fields, before, source, user: getCurrentUser() });
+    return { queued: true };
+  };
+
+  if (!isOnline() || hasPendingPatch(deviceId, plu)) return queue();
+
+  let result;
+  try {
+    result = await patchProductByPlu(deviceId, plu, fields);
+  } catch (err) {
+    if (isNetworkError(err)) return queue();
+    throw err;
+  }
+
+  recordProductChange(deviceId, plu, before, fields, source);
+  return result;
+}
+
+/**
+ * Изменение только поставлено в очередь и на сервер ещё не попало.
+ */
+export function isQueuedResult(result) {
+  return !!result?.queued;
+}
+
+/**
+ * Поля для отката набора записей, сгруппированные по PLU.
+ * Для каждого поля берётся самое раннее значение before —
+ * так откат сессии возвращает состояние до её начала.
+ * Записи о создании товара (before === null) откатить нельзя.
+ */
+export function buildRevertPlan(entries) {
+  const byPlu = new Map();
+  const sorted = [...entries].sort((a, b) => a.at.localeCompare(b.at));
+
+  for (const e of sorted) {
+    if (e.before === null) continue;
+    const fields = byPlu.get(e.plu) || {};
+    if (!(e.field in fields)) fields[e.field] = e.before;
+    byPlu.set(e.plu, fields);
+  }
+
+  return [...byPlu.entries()].map(([plu, fields]) => ({ plu, fields }));
+}
+
+/**
+ * Хук: записи журнала устройства, обновляются при любой записи.
+ */
+export function useChangeJournal(deviceId) {
+  return usePersistentStore(journalOf(deviceId));
+}
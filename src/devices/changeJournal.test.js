@@ -0,0 +1,47 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { buildRevertPlan, getJournal, recordProductChange } from "./changeJournal";
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe("recordProductChange", () => {
+  it("writes one entry per actually changed field", () => {
+    const before = { pluNumber: 5, name: "Сыр", price: 350 };
+
+    recordProductChange(1, 5, before, { name: "Сыр", price: "400" }, "edit", "ivan");
+
+    expect(getJournal(1)).toMatchObject([
+      { plu: 5, field: "price", before: 350, after: 400, source: "edit", user: "ivan" },
+    ]);
+    expect(getJournal(2)).toEqual([]);
+  });
+
+  it("marks fields of a new product with before = null", () => {
+    recordProductChange(1, 7, undefined, { name: "Кефир" }, "import", "ivan");
+
+    expect(getJournal(1)).toMatchObject([{ plu: 7, field: "name", before: null, after: "Кефир" }]);
+  });
+});
+
+describe("buildRevertPlan", () => {
+  const entry = (plu, field, before, at) => ({ plu, field, before, after: "x", at });
+
+  it("restores the earliest value of each field per PLU", () => {
+    const plan = buildRevertPlan([
+      entry(5, "price", 360, "2026-10-19T10:05:00Z"),
+      entry(5, "price", 350, "2026-10-19T10:00:00Z"),
+      entry(5, "name", "Сыр", "2026-10-19T10:01:00Z"),
+      entry(6, "price", 90, "2026-10-19T10:02:00Z"),
+    ]);
+
+    expect(plan).toEqual([
+      { plu: 5, fields: { price: 350, name: "Сыр" } },
+      { plu: 6, fields: { price: 90 } },
+    ]);
+  });
+
+  it("skips entries that created a product", () => {
+    expect(buildRevertPlan([entry(7, "name", null, "2026-10-19T10:00:00Z")])).toEqual([]);
+  });
+});
@@ -0,0 +1,117 @@
+import { t } from "../i18n";
+
+/**
+ * Общая логика формы устройства: используется при создании (DevicesPage)
+ * и при редактировании настроек (DeviceSettingsModal).
+ */
+
+export const DEFAULT_DEVICE_FORM = {
+  name: "",
+  description: "",
+  ip: "",
+  port: 1111,
+  protocol: "TCP",
+  password: "1234",
+};
+
+export const EMPTY_DEVICE_ERRORS = { name: "", ip: "", port: "", password: "" };
+
+/**
+ * Валидируем IPv4.
+ */
+export function isValidIp(ip) {
+  const s = String(ip || "").trim();
+  const ipv4 =
+    /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/;
+  return ipv4.test(s);
+}
+
+/**
+ * Привести port к целому числу.
+ */
+export function parsePort(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return NaN;
+  return Math.trunc(n);
+}
+
+/**
+ * Проверка полей формы.
+ * Возвращает объект ошибок той же формы, что EMPTY_DEVICE_ERRORS.
+ * passwordOptional — при редактировании пустой пароль означает «не менять».
+ */
+export function validateDeviceForm(form, { passwordOptional = false } = {}) {
+  const e = { ...EMPTY_DEVICE_ERRORS };
+
+  if (!String(form.name || "").trim()) e.name = t("device.err.name");
+
+  if (!String(form.ip || "").trim()) e.ip = t("device.err.ipRequired");
+  else if (!isValidIp(form.ip)) e.ip = t("device.err.ipInvalid");
+
+  const portNum = parsePort(form.port);
+  if (!Number.isFinite(portNum) || portNum <= 0 || portNum > 65535) {
+    e.port = t("device.err.port");
+  }
+
+  const pwd = String(form.password || "").trim();
+  if (!pwd && !passwordOptional) e.password = t("device.err.password");
+
+  return e;
+}
+
+export function hasDeviceErrors(e) {
+  return !!(e.name || e.ip || e.port || e.password);
+}
+
+/**
+ * Нормализованный payload из значений формы.
+ * description: пустая строка превращается в undefined.
+ */
+export function normalizeDeviceForm(form) {
+  const descriptionTrimmed = String(form.description || "").trim();
+
+  return {
+    name: String(form.name || "").trim(),
+    ip: String(form.ip || "").trim(),
+    port: parsePort(form.port),
+    protocol: String(form.protocol || "TCP"),
+    password: String(form.password || "").trim(),
+    description: descriptionTrimmed ? descriptionTrimmed : undefined,
+  };
+}
+
+/**
+ * Значения формы из объекта устройства (для редактирования).
+ * Пароль backend может не возвращать — тогда поле остаётся пустым,
+ * а пустой пароль при сохранении не отправляется (см. diffDevicePayload).
+ */
+export function deviceToForm(device) {
+  return {
+    name: device?.name ?? "",
+    description: device?.description ?? "",
+    ip: device?.ip ?? "",
+    port: device?.port ?? DEFAULT_DEVICE_FORM.port,
+    protocol: device?.protocol || DEFAULT_DEVICE_FORM.protocol,
+    password: device?.password ?? "",
+  };
+}
+
+/**
+ * Только изменённые поля относительно текущего устройства.
+ * Очистка описания отправляется как пустая строка; пустой пароль — «не менять».
+ */
+export function diffDevicePayload(device, form) {
+  const next = normalizeDeviceForm(form);
+  const patch = {};
+
+  for (const key of ["name", "ip", "port", "protocol", "password"]) {
+    if (key === "password" && !next.password) continue;
+    if (next[key] !== device?.[key]) patch[key] = next[key];
+  }
+
+  const prevDescription = String(device?.description || "").trim();
+  const nextDescription = next.description ?? "";
+  if (nextDescription !== prevDescription) patch.description = nextDescription;
+
+  return patch;
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { diffDevicePayload, hasDeviceErrors, validateDeviceForm } from "./deviceForm";
+
+const device = {
+  id: 1,
+  name: "Весы 1",
+  description: "Гастрономия",
+  ip: "10.0.0.5",
+  port: 1111,
+  protocol: "TCP",
+  password: "1234",
+};
+
+const form = (patch) => ({ ...device, ...patch });
+
+describe("validateDeviceForm", () => {
+  it("checks name, IPv4 and port range", () => {
+    const e = validateDeviceForm(form({ name: " ", ip: "10.0.0.256", port: "70000" }));
+
+    expect(e.name).not.toBe("");
+    expect(e.ip).not.toBe("");
+    expect(e.port).not.toBe("");
+  });
+
+  it("requires a password only when creating", () => {
+    expect(validateDeviceForm(form({ password: "" })).password).not.toBe("");
+    expect(hasDeviceErrors(validateDeviceForm(form({ password: "" }), { passwordOptional: true }))).toBe(
+      false
+    );
+  });
+});
+
+describe("diffDevicePayload", () => {
+  it("sends only changed fields", () => {
+    expect(diffDevicePayload(device, form({ name: " Весы 2 ", port: "1112" }))).toEqual({
+      name: "Весы 2",
+      port: 1112,
+    });
+  });
+
+  it("leaves a blank password out and sends a cleared description as an empty string", () => {
+    expect(diffDevicePayload(device, form({ password: "  ", description: "" }))).toEqual({
+      description: "",
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { t } from "../i18n";
+
+/**
+ * Список устройств из ответа listDevices:
+ * backend может вернуть массив или { devices: [...] }.
+ */
+export function normalizeDevices(data) {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.devices)) return data.devices;
+  return [];
+}
+
+/**
+ * Имя устройства для UI (с запасным вариантом по id).
+ */
+export function deviceDisplayName(device) {
+  return device?.name || t("device.fallbackName", { id: device?.id });
+}
+
+/**
+ * Сортировки списка устройств.
+ * - name  — по имени;
+ * - ip    — по IP (по октетам, а не как строка: 10.0.0.9 < 10.0.0.10);
+ * - dirty — сначала устройства с незагруженными изменениями, внутри — по имени.
+ */
+export const DEVICE_SORTS = ["name", "ip", "dirty"];
+
+function ipKey(ip) {
+  return String(ip || "")
+    .split(".")
+    .map((x) => String(Number(x) || 0).padStart(3, "0"))
+    .join(".");
+}
+
+function byName(a, b) {
+  return deviceDisplayName(a).localeCompare(deviceDisplayName(b), undefined, {
+    numeric: true,
+    sensitivity: "base",
+  });
+}
+
+export function sortDevices(devices, sort) {
+  const list = [...devices];
+  if (sort === "ip") {
+    return list.sort((a, b) => ipKey(a.ip).localeCompare(ipKey(b.ip)) || byName(a, b));
+  }
+  if (sort === "dirty") {
+    return list.sort((a, b) => Number(!!b.cached_dirty) - Number(!!a.cached_dirty) || byName(a, b));
+  }
+  return list.sort(byName);
+}
+
+/**
+ * Поиск по имени, описанию и IP (без учёта регистра) и фильтр «только с изменениями».
+ */
+export function searchDevices(devices, query, { dirtyOnly = false } = {}) {
+  const q = String(query || "").trim().toLowerCase();
+
+  return devices.filter((d) => {
+    if (dirtyOnly && !d.cached_dirty) return false;
+    if (!q) return true;
+    return [d.name, d.description, d.ip].some((v) =>
+      String(v ?? "").toLowerCase().includes(q)
+    );
+  });
+}
@@ -0,0 +1,43 @@
+import { describe, expect, it } from "vitest";
+import { searchDevices, sortDevices } from "./deviceList";
+
+const devices = [
+  { id: 1, name: "Весы 10", ip: "10.0.0.10", description: "Гастрономия", cached_dirty: false },
+  { id: 2, name: "весы 9", ip: "10.0.0.9", description: "", cached_dirty: true },
+  { id: 3, name: "Касса", ip: "192.168.1.2", description: "Овощи", cached_dirty: false },
+];
+
+const ids = (list) => list.map((d) => d.id);
+
+describe("sortDevices", () => {
+  it("sorts names naturally and case-insensitively", () => {
+    expect(ids(sortDevices(devices, "name"))).toEqual([2, 1, 3]);
+  });
+
+  it("sorts IP addresses by octets", () => {
+    expect(ids(sortDevices([devices[2], devices[0], devices[1]], "ip"))).toEqual([2, 1, 3]);
+  });
+
+  it("puts devices with unsynced changes first", () => {
+    expect(ids(sortDevices(devices, "dirty"))).toEqual([2, 1, 3]);
+  });
+
+  it("does not mutate the input", () => {
+    const input = [...devices];
+    sortDevices(input, "ip");
+    expect(input).toEqual(devices);
+  });
+});
+
+describe("searchDevices", () => {
+  it("matches name, description and IP case-insensitively", () => {
+    expect(ids(searchDevices(devices, "ВЕСЫ"))).toEqual([1, 2]);
+    expect(ids(searchDevices(devices, "овощи"))).toEqual([3]);
+    expect(ids(searchDevices(devices, "192.168"))).toEqual([3]);
+  });
+
+  it("keeps only unsynced devices when asked", () => {
+    expect(ids(searchDevices(devices, "", { dirtyOnly: true }))).toEqual([2]);
+    expect(ids(searchDevices(devices, "касса", { dirtyOnly: true }))).toEqual([]);
+  });
+});
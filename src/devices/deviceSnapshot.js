@@ -0,0 +1,29 @@
+import { createDeviceStores } from "../utils/persistentStore";
+
+/**
+ * Снимок содержимого весов: товары, которые последний раз были
+ * прочитаны с устройства («Выгрузить») или записаны на него
+ * («Загрузить в весы»). Хранится в localStorage, чтобы перед
+ * загрузкой показать, что именно изменится на весах.
+ */
+
+const KEY_PREFIX = "device_snapshot_";
+
+const snapshotOf = createDeviceStores(KEY_PREFIX, null, (data) =>
+  Array.isArray(data?.products) ? data : null
+);
+
+/**
+ * Возвращает { savedAt, products } или null, если снимка нет.
+ */
+export function loadDeviceSnapshot(deviceId) {
+  return snapshotOf(deviceId).get();
+}
+
+export function saveDeviceSnapshot(deviceId, products) {
+  try {
+    snapshotOf(deviceId).set({ savedAt: new Date().toISOString(), products });
+  } catch {
+    // переполнение localStorage не должно ломать загрузку/выгрузку
+  }
+}
@@ -0,0 +1,139 @@
+import { asObject, createPersistentStore, usePersistentStore } from "../utils/persistentStore";
+
+/**
+ * Группы и теги устройств: магазин, отдел и свободные теги.
+ * Репозиторий: остальной код работает только через функции модуля.
+ * - backend полей для тегов не имеет, а description — текст для людей,
+ *   поэтому теги хранятся в localStorage: { [deviceId]: { store, department, tags } };
+ * - хук useDeviceTags обновляется при любой записи, в том числе из другой вкладки.
+ */
+
+const STORAGE_KEY = "device_tags";
+
+const EMPTY_TAGS = { store: "", department: "", tags: [] };
+
+/**
+ * Способы группировки списка устройств.
+ */
+export const DEVICE_GROUP_BY = ["none", "store", "department", "tag"];
+
+const tagsStore = createPersistentStore(STORAGE_KEY, {}, asObject);
+const readAll = tagsStore.get;
+const writeAll = tagsStore.set;
+
+function normalizeTags(value) {
+  const list = Array.isArray(value?.tags) ? value.tags : [];
+  return {
+    store: String(value?.store || "").trim(),
+    department: String(value?.department || "").trim(),
+    tags: [...new Set(list.map((x) => String(x).trim()).filter(Boolean))],
+  };
+}
+
+/**
+ * Теги устройства: { store, department, tags }.
+ */
+export function getDeviceTags(deviceId, all = readAll()) {
+  const value = all[String(Number(deviceId))];
+  return value ? normalizeTags(value) : EMPTY_TAGS;
+}
+
+export function saveDeviceTags(deviceId, value) {
+  const next = { ...readAll() };
+  const tags = normalizeTags(value);
+  const id = String(Number(deviceId));
+
+  if (!tags.store && !tags.department && !tags.tags.length) delete next[id];
+  else next[id] = tags;
+
+  writeAll(next);
+}
+
+/**
+ * Удалить теги устройства (после удаления самого устройства).
+ */
+export function removeDeviceTags(deviceId) {
+  const next = { ...readAll() };
+  delete next[String(Number(deviceId))];
+  writeAll(next);
+}
+
+/**
+ * Строка ввода "молочка, витрина 2" -> ["молочка", "витрина 2"].
+ */
+export function parseTagsInput(s) {
+  return String(s || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Все используемые значения для фильтров: { stores, departments, tags } (по алфавиту).
+ */
+export function collectTagValues(devices, all) {
+  const stores = new Set();
+  const departments = new Set();
+  const tags = new Set();
+
+  for (const d of devices) {
+    const x = getDeviceTags(d.id, all);
+    if (x.store) stores.add(x.store);
+    if (x.department) departments.add(x.department);
+    x.tags.forEach((tag) => tags.add(tag));
+  }
+
+  const sorted = (set) => [...set].sort((a, b) => a.localeCompare(b));
+  return { stores: sorted(stores), departments: sorted(departments), tags: sorted(tags) };
+}
+
+/**
+ * Фильтр устройств: { store, department, tag } — пустое значение не фильтрует.
+ */
+export function filterDevicesByTags(devices, all, { store, department, tag }) {
+  return devices.filter((d) => {
+    const x = getDeviceTags(d.id, all);
+    if (store && x.store !== store) return false;
+    if (department && x.department !== department) return false;
+    if (tag && !x.tags.includes(tag)) return false;
+    return true;
+  });
+}
+
+/**
+ * Группировка устройств: [{ key, devices }], key "" — устройства без значения.
+ * При группировке по тегу устройство попадает в группу каждого своего тега.
+ * by === "none" — одна группа со всеми устройствами.
+ */
+export function groupDevices(devices, all, by) {
+  if (by === "none") return [{ key: "", devices }];
+
+  const groups = new Map();
+  const add = (key, d) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(d);
+  };
+
+  for (const d of devices) {
+    const x = getDeviceTags(d.id, all);
+    if (by === "tag") {
+      if (x.tags.length) x.tags.forEach((tag) => add(tag, d));
+      else add("", d);
+    } else {
+      add(x[by], d);
+    }
+  }
+
+  // Группа «без значения» — в конце
+  return [...groups.entries()]
+    .sort(([a], [b]) => (!a ? 1 : !b ? -1 : a.localeCompare(b)))
+    .map(([key, list]) => ({ key, devices: list }));
+}
+
+/**
+ * Хук: теги всех устройств { [deviceId]: { store, department, tags } }.
+ * Значения читать через getDeviceTags(id, all).
+ */
+export function useDeviceTags() {
+  return usePersistentStore(tagsStore);
+}
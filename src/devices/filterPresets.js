@@ -0,0 +1,53 @@
+import { asArray, createDeviceStores, usePersistentStore } from "../utils/persistentStore";
+import { EMPTY_PRODUCT_FILTERS } from "./productFilters";
+
+/**
+ * Сохранённые наборы фильтров товаров — свои у каждого устройства.
+ * - запись: { name, filters }; имя уникально в пределах устройства (сохранение под тем же
+ *   именем перезаписывает набор);
+ * - хранится в localStorage, строка поиска в набор не входит.
+ */
+
+const KEY_PREFIX = "product_filter_presets_";
+const MAX_PRESETS = 30;
+
+function normalizePresets(data) {
+  return asArray(data)
+    ?.filter((p) => p && typeof p.name === "string" && p.filters)
+    .map((p) => ({ name: p.name, filters: { ...EMPTY_PRODUCT_FILTERS, ...p.filters } }));
+}
+
+const presetsOf = createDeviceStores(KEY_PREFIX, [], normalizePresets);
+
+function write(deviceId, presets) {
+  presetsOf(deviceId).set(presets.slice(-MAX_PRESETS));
+}
+
+export function getFilterPresets(deviceId) {
+  return presetsOf(deviceId).get();
+}
+
+/**
+ * Сохранить набор. Ошибку localStorage (переполнение) пробрасывает вызывающему.
+ */
+export function saveFilterPreset(deviceId, name, filters) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) return;
+
+  const rest = getFilterPresets(deviceId).filter((p) => p.name !== trimmed);
+  write(deviceId, [...rest, { name: trimmed, filters: { ...EMPTY_PRODUCT_FILTERS, ...filters } }]);
+}
+
+export function removeFilterPreset(deviceId, name) {
+  write(
+    deviceId,
+    getFilterPresets(deviceId).filter((p) => p.name !== name)
+  );
+}
+
+/**
+ * Хук: наборы фильтров устройства (в порядке сохранения).
+ */
+export function useFilterPresets(deviceId) {
+  return usePersistentStore(presetsOf(deviceId));
+}
@@ -0,0 +1,50 @@
+import { getCachedProducts } from "../api/devices";
+import { runDeviceJob } from "../jobs/deviceJobs";
+import { qk } from "../query/keys";
+import { invalidateDeviceProducts } from "../query/invalidate";
+import { runParallel, runSequential } from "../utils/batch";
+import { cachedProductsList } from "./productUtils";
+import { saveDeviceSnapshot } from "./deviceSnapshot";
+
+/**
+ * Действия над группой устройств:
+ * - fetch  — «Выгрузить» с весов в кэш;
+ * - upload — «Загрузить в весы» из кэша;
+ * - export — товары из кэшей всех устройств группы в один файл.
+ */
+export const GROUP_ACTIONS = ["fetch", "upload", "export"];
+
+/**
+ * Выгрузка/загрузка одного устройства (фоновая задача, ждём завершения)
+ * и снимок содержимого весов — как одноимённые кнопки на странице устройства.
+ */
+async function syncDevice(qc, action, device) {
+  const id = Number(device.id);
+
+  await runDeviceJob(id, action);
+
+  const fresh = await getCachedProducts(id);
+  qc.setQueryData(qk.productsCached(id), fresh);
+  saveDeviceSnapshot(id, cachedProductsList(fresh));
+  await invalidateDeviceProducts(qc, id);
+}
+
+/**
+ * fetch/upload по устройствам группы — строго по одному: каждое действие
+ * обращается к весам, а весы/backend не любят параллельные обращения.
+ */
+export function runGroupSync(qc, action, devices, { onItem } = {}) {
+  return runSequential(devices, (d) => syncDevice(qc, action, d), { onItem });
+}
+
+/**
+ * Товары из кэшей устройств группы (только чтение — можно параллельно).
+ * Результат — как у runParallel, result = список товаров.
+ */
+export function loadGroupProducts(devices, { onItem } = {}) {
+  return runParallel(
+    devices,
+    async (d) => cachedProductsList(await getCachedProducts(Number(d.id))),
+    { onItem }
+  );
+}
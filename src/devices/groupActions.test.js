@@ -0,0 +1,71 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { getCachedProducts } from "../api/devices";
+import { runDeviceJob } from "../jobs/deviceJobs";
+import { qk } from "../query/keys";
+import { loadDeviceSnapshot } from "./deviceSnapshot";
+import { loadGroupProducts, runGroupSync } from "./groupActions";
+
+vi.mock("../api/devices", () => ({ getCachedProducts: vi.fn() }));
+vi.mock("../jobs/deviceJobs", () => ({ runDeviceJob: vi.fn() }));
+
+const cacheOf = (products) => ({ products: { products } });
+
+function fakeQueryClient() {
+  return { setQueryData: vi.fn(), invalidateQueries: vi.fn(async () => {}) };
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  vi.clearAllMocks();
+  getCachedProducts.mockImplementation(async (id) => cacheOf([{ pluNumber: id }]));
+});
+
+describe("runGroupSync", () => {
+  it("syncs devices one at a time and keeps going after a failure", async () => {
+    let active = 0;
+    let maxActive = 0;
+    runDeviceJob.mockImplementation(async (id) => {
+      maxActive = Math.max(maxActive, ++active);
+      await Promise.resolve();
+      active--;
+      if (id === 2) throw new Error("весы не отвечают");
+    });
+    const qc = fakeQueryClient();
+
+    const results = await runGroupSync(qc, "fetch", [{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+    expect(maxActive).toBe(1);
+    expect(runDeviceJob.mock.calls).toEqual([
+      [1, "fetch"],
+      [2, "fetch"],
+      [3, "fetch"],
+    ]);
+    expect(results.map((r) => r.ok)).toEqual([true, false, true]);
+    expect(qc.setQueryData).toHaveBeenCalledWith(qk.productsCached(3), cacheOf([{ pluNumber: 3 }]));
+  });
+
+  it("saves the scale snapshot of each synced device", async () => {
+    runDeviceJob.mockResolvedValue({ status: "done" });
+
+    await runGroupSync(fakeQueryClient(), "upload", [{ id: "7" }]);
+
+    expect(loadDeviceSnapshot(7).products).toEqual([{ pluNumber: 7 }]);
+  });
+});
+
+describe("loadGroupProducts", () => {
+  it("returns each device's cached products in device order", async () => {
+    getCachedProducts.mockImplementation(async (id) => {
+      if (id === 2) throw new Error("нет связи");
+      return cacheOf([{ pluNumber: id }]);
+    });
+
+    const results = await loadGroupProducts([{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+    expect(results.map((r) => (r.ok ? r.result : null))).toEqual([
+      [{ pluNumber: 1 }],
+      null,
+      [{ pluNumber: 3 }],
+    ]);
+  });
+});
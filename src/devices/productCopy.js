@@ -0,0 +1,58 @@
+import { PRODUCT_FIELDS, getPlu, productFieldValue } from "./productUtils";
+
+/**
+ * План копирования товаров с другого устройства в кэш текущего.
+ * Каждый товар источника получает kind:
+ * - "added"     — PLU нет в кэше, отправляются все поля;
+ * - "changed"   — PLU есть и overwrite включён, отправляются отличающиеся поля;
+ * - "unchanged" — PLU есть, поля совпадают;
+ * - "skipped"   — PLU есть, но overwrite выключен.
+ * patch — поля для patchProductByPlu, before — товар в кэше (если был).
+ */
+export function buildCopyPlan(sourceProducts, targetProducts, { overwrite = false } = {}) {
+  const byPlu = new Map();
+  for (const p of targetProducts) {
+    const plu = getPlu(p);
+    if (plu != null) byPlu.set(Number(plu), p);
+  }
+
+  const plan = [];
+  for (const src of sourceProducts) {
+    // Number(null) === 0: товары без PLU отсеиваем вместе с нечисловыми
+    const plu = Number(getPlu(src));
+    if (!Number.isInteger(plu) || plu <= 0) continue;
+
+    const fields = Object.fromEntries(
+      PRODUCT_FIELDS.map(({ key }) => [key, productFieldValue(src, key)])
+    );
+
+    const existing = byPlu.get(plu);
+    if (!existing) {
+      plan.push({ plu, name: fields.name, kind: "added", patch: fields });
+      continue;
+    }
+
+    const patch = {};
+    for (const [key, after] of Object.entries(fields)) {
+      if (productFieldValue(existing, key) !== after) patch[key] = after;
+    }
+
+    const kind = !Object.keys(patch).length
+      ? "unchanged"
+      : overwrite
+        ? "changed"
+        : "skipped";
+    plan.push({ plu, name: fields.name, kind, patch, before: existing });
+  }
+
+  return plan.sort((a, b) => a.plu - b.plu);
+}
+
+/**
+ * Количество позиций плана по kind.
+ */
+export function countCopyPlan(plan) {
+  const counts = { added: 0, changed: 0, unchanged: 0, skipped: 0 };
+  for (const x of plan) counts[x.kind]++;
+  return counts;
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { buildCopyPlan, countCopyPlan } from "./productCopy";
+
+const source = [
+  { pluNumber: 3, name: "Сыр", price: 400, shelfLife: 30 },
+  { pluNumber: 1, name: "Хлеб", price: 50, shelfLife: 3 },
+  { pluNumber: 2, name: "Молоко", price: 90, shelfLife: 7 },
+  { name: "Без PLU", price: 10 },
+];
+const target = [
+  { pluNumber: 1, name: "Хлеб", price: 50, shelfLife: 3 },
+  { pluNumber: 3, name: "Сыр", price: 350, shelfLife: 30 },
+];
+
+describe("buildCopyPlan", () => {
+  it("adds missing PLUs with all fields and skips existing ones by default", () => {
+    const plan = buildCopyPlan(source, target);
+
+    expect(plan.map((x) => [x.plu, x.kind])).toEqual([
+      [1, "unchanged"],
+      [2, "added"],
+      [3, "skipped"],
+    ]);
+    expect(plan[1].patch).toMatchObject({ name: "Молоко", price: 90, shelfLife: 7 });
+  });
+
+  it("sends only the differing fields when overwriting", () => {
+    const plan = buildCopyPlan(source, target, { overwrite: true });
+    const cheese = plan.find((x) => x.plu === 3);
+
+    expect(cheese.kind).toBe("changed");
+    expect(cheese.patch).toEqual({ price: 400 });
+    expect(cheese.before).toBe(target[1]);
+  });
+
+  it("leaves products without a PLU out of the plan", () => {
+    expect(countCopyPlan(buildCopyPlan(source, []))).toEqual({
+      added: 3,
+      changed: 0,
+      unchanged: 0,
+      skipped: 0,
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { t } from "../i18n";
+import { toCsv } from "../utils/csv";
+import { writeXlsxBlob } from "../utils/spreadsheet";
+import { fileTimestamp, safeFileName } from "../utils/download";
+import { getPlu, getShelfLifeDays, maskDDMMYY, parseDDMMYY, toNum } from "./productUtils";
+
+export const EXPORT_FORMATS = [
+  { value: "csv", label: "CSV" },
+  { value: "xlsx", label: "XLSX" },
+  { value: "json", label: "JSON" },
+];
+
+export const CSV_SEPARATORS = [
+  { value: ";", labelKey: "export.sep.semicolon" },
+  { value: ",", labelKey: "export.sep.comma" },
+  { value: "\t", labelKey: "export.sep.tab" },
+];
+
+export const DATE_FORMATS = [
+  { value: "ddmmyy", label: "DD-MM-YY" },
+  { value: "iso", label: "ISO (YYYY-MM-DD)" },
+];
+
+const DATE_FIELDS = ["manufactureDate", "sellByDate"];
+
+// Заголовки совпадают с ключами импорта, чтобы экспорт можно было загрузить обратно
+const COLUMNS = [
+  { key: "pluNumber", get: (p) => getPlu(p) ?? "" },
+  { key: "name", get: (p) => p?.name ?? "" },
+  { key: "price", get: (p) => toNum(p?.price, 0) },
+  { key: "shelfLife", get: (p) => getShelfLifeDays(p) },
+  { key: "manufactureDate", get: (p) => p?.manufactureDate ?? "" },
+  { key: "sellByDate", get: (p) => p?.sellByDate ?? "" },
+];
+
+/**
+ * DD-MM-YY -> выбранный формат. Некорректные даты отдаём как есть.
+ */
+export function formatExportDate(v, dateFormat) {
+  const masked = maskDDMMYY(v || "");
+  if (!masked) return "";
+  if (dateFormat !== "iso") return masked;
+
+  const d = parseDDMMYY(masked);
+  return d ? d.toISOString().slice(0, 10) : String(v);
+}
+
+function toTable(products, dateFormat) {
+  const headers = COLUMNS.map((c) => c.key);
+  const rows = products.map((p) =>
+    COLUMNS.map((c) =>
+      DATE_FIELDS.includes(c.key) ? formatExportDate(c.get(p), dateFormat) : c.get(p)
+    )
+  );
+  return { headers, rows };
+}
+
+function tableBlob(headers, rows, { format, separator, bom }) {
+  if (format === "xlsx") {
+    return writeXlsxBlob(headers, rows, { sheetName: t("export.sheetName") });
+  }
+
+  const csv = toCsv([headers, ...rows], { separator });
+  // BOM нужен Excel, чтобы распознать UTF-8 и корректно показать кириллицу
+  const content = bom ? `\uFEFF${csv}` : csv;
+  return new Blob([content], { type: "text/csv;charset=utf-8" });
+}
+
+/**
+ * Сформировать файл экспорта.
+ * opts: { format, separator, bom, dateFormat, deviceName }
+ * Возвращает { blob, fileName }.
+ */
+export async function buildProductsExport(products, opts) {
+  const { format, separator = ";", bom = true, dateFormat = "ddmmyy", deviceName } = opts;
+  const baseName = `${safeFileName(deviceName, "device")}_${fileTimestamp()}`;
+
+  if (format === "json") {
+    // Товары как есть; меняем только формат дат, если выбран ISO
+    const data = products.map((p) => {
+      if (dateFormat !== "iso") return p;
+      const copy = { ...p };
+      for (const key of DATE_FIELDS) {
+        if (key in copy) copy[key] = formatExportDate(copy[key], dateFormat);
+      }
+      return copy;
+    });
+
+    return {
+      blob: new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }),
+      fileName: `${baseName}.json`,
+    };
+  }
+
+  const { headers, rows } = toTable(products, dateFormat);
+
+  return {
+    blob: await tableBlob(headers, rows, { format, separator, bom }),
+    fileName: `${baseName}.${format === "xlsx" ? "xlsx" : "csv"}`,
+  };
+}
+
+/**
+ * Экспорт товаров нескольких устройств в одну таблицу (CSV / XLSX).
+ * groups: [{ device, products }]; первые колонки — id и имя устройства,
+ * остальные совпадают с экспортом одного устройства.
+ * opts: { format, separator, bom, dateFormat, groupName }
+ */
+export async function buildDevicesExport(groups, opts) {
+  const { format, separator = ";", bom = true, dateFormat = "ddmmyy", groupName } = opts;
+  const baseName = `${safeFileName(groupName, "devices")}_${fileTimestamp()}`;
+
+  const headers = ["deviceId", "deviceName", ...COLUMNS.map((c) => c.key)];
+  const rows = groups.flatMap(({ device, products }) =>
+    toTable(products, dateFormat).rows.map((r) => [device.id, device.name ?? "", ...r])
+  );
+
+  return {
+    blob: await tableBlob(headers, rows, { format, separator, bom }),
+    fileName: `${baseName}.${format === "xlsx" ? "xlsx" : "csv"}`,
+  };
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import { buildProductsExport, formatExportDate } from "./productExport";
+
+// Blob в jsdom не умеет arrayBuffer() — читаем через FileReader
+function bytesOf(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+async function textOf(blob) {
+  // TextDecoder по умолчанию отбрасывает BOM — его проверяем по байтам
+  return new TextDecoder("utf-8", { ignoreBOM: true }).decode(await bytesOf(blob));
+}
+
+const products = [
+  { pluNumber: 1, name: 'Сыр "Российский"; 45%', price: 350, shelfLife: 30, sellByDate: "31-12-26" },
+  { pluNumber: 2, name: "Хлеб\nнарезной", price: 50 },
+];
+
+describe("buildProductsExport", () => {
+  it("starts CSV with a UTF-8 BOM by default and omits it on request", async () => {
+    const withBom = await buildProductsExport(products, { format: "csv", deviceName: "Весы" });
+    const withoutBom = await buildProductsExport(products, {
+      format: "csv",
+      bom: false,
+      deviceName: "Весы",
+    });
+
+    expect([...(await bytesOf(withBom.blob)).slice(0, 3)]).toEqual([0xef, 0xbb, 0xbf]);
+    expect((await textOf(withoutBom.blob)).startsWith("pluNumber;")).toBe(true);
+    expect(withBom.fileName).toMatch(/\.csv$/);
+  });
+
+  it("quotes values with separators, quotes and line breaks", async () => {
+    const { blob } = await buildProductsExport(products, {
+      format: "csv",
+      bom: false,
+      deviceName: "Весы",
+    });
+
+    expect((await textOf(blob)).split("\r\n")).toEqual([
+      "pluNumber;name;price;shelfLife;manufactureDate;sellByDate",
+      '1;"Сыр ""Российский""; 45%";350;30;;31-12-26',
+      '2;"Хлеб\nнарезной";50;0;;',
+    ]);
+  });
+
+  it("leaves values with the other separator unquoted", async () => {
+    const { blob } = await buildProductsExport([{ pluNumber: 3, name: "Сыр; твёрдый" }], {
+      format: "csv",
+      separator: ",",
+      bom: false,
+      deviceName: "Весы",
+    });
+
+    expect((await textOf(blob)).split("\r\n")[1]).toBe("3,Сыр; твёрдый,0,0,,");
+  });
+});
+
+describe("formatExportDate", () => {
+  it("converts DD-MM-YY to ISO only when asked", () => {
+    expect(formatExportDate("31-12-26", "ddmmyy")).toBe("31-12-26");
+    expect(formatExportDate("31-12-26", "iso")).toBe("2026-12-31");
+    expect(formatExportDate("", "iso")).toBe("");
+  });
+});
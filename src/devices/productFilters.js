@@ -0,0 +1,228 @@
+import { t } from "../i18n";
+import {
+  STATUS_KINDS,
+  getShelfLifeDays,
+  parseDDMMYY,
+  productStatusKind,
+  toNum,
+} from "./productUtils";
+
+/**
+ * Расширенные фильтры списка товаров устройства.
+ * - фильтры живут в URL (?status=expired&price_min=10…), чтобы на отфильтрованный
+ *   список можно было сослаться — в том числе со сводки;
+ * - значения хранятся строками, как их ввёл пользователь; неверное значение
+ *   (не число / не дата DD-MM-YY) фильтр не включает;
+ * - status "nodate" — товары без даты «Годен до» (в сводке они считаются OK,
+ *   поэтому входят и в "ok").
+ */
+
+export const PRODUCT_STATUS_FILTERS = [...STATUS_KINDS, "nodate"];
+
+export const EMPTY_PRODUCT_FILTERS = {
+  status: "all",
+  priceMin: "",
+  priceMax: "",
+  shelfMin: "",
+  shelfMax: "",
+  mfgFrom: "",
+  mfgTo: "",
+  sellFrom: "",
+  sellTo: "",
+  noName: false,
+  zeroPrice: false,
+};
+
+// поле фильтра -> параметр URL
+const PARAMS = {
+  status: "status",
+  priceMin: "price_min",
+  priceMax: "price_max",
+  shelfMin: "shelf_min",
+  shelfMax: "shelf_max",
+  mfgFrom: "mfg_from",
+  mfgTo: "mfg_to",
+  sellFrom: "sell_from",
+  sellTo: "sell_to",
+  noName: "no_name",
+  zeroPrice: "zero_price",
+};
+
+/**
+ * Фильтры из URLSearchParams (неизвестный статус — "all").
+ */
+export function productFiltersFromParams(params) {
+  const f = { ...EMPTY_PRODUCT_FILTERS };
+  for (const [field, param] of Object.entries(PARAMS)) {
+    const v = params.get(param);
+    if (v == null) continue;
+    if (typeof f[field] === "boolean") f[field] = v === "1";
+    else f[field] = v;
+  }
+  if (!PRODUCT_STATUS_FILTERS.includes(f.status)) f.status = "all";
+  return f;
+}
+
+/**
+ * Фильтры -> { параметр: значение | null } (null — убрать параметр из URL).
+ */
+export function productFiltersToParams(filters) {
+  const out = {};
+  for (const [field, param] of Object.entries(PARAMS)) {
+    const v = filters[field] ?? EMPTY_PRODUCT_FILTERS[field];
+    if (typeof v === "boolean") out[param] = v ? "1" : null;
+    else if (field === "status") out[param] = v === "all" ? null : v;
+    else out[param] = String(v).trim() ? String(v) : null;
+  }
+  return out;
+}
+
+function parseNumber(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) return null;
+  const n = Number(s.replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseDate(raw) {
+  const d = parseDDMMYY(String(raw ?? "").trim());
+  return d ? d.getTime() : null;
+}
+
+/**
+ * Текст ошибки для поля-границы (пустое значение — без ошибки).
+ */
+export function filterBoundError(raw, kind) {
+  const s = String(raw ?? "").trim();
+  if (!s) return "";
+  if (kind === "date") return parseDate(s) === null ? t("product.dateFormatError") : "";
+  return parseNumber(s) === null ? t("bulk.err.number") : "";
+}
+
+function inRange(v, min, max) {
+  if (v === null) return false;
+  if (min !== null && v < min) return false;
+  if (max !== null && v > max) return false;
+  return true;
+}
+
+function rangeFilter(id, minKey, maxKey, kind, valueOf) {
+  const parse = kind === "date" ? parseDate : parseNumber;
+  const bounds = (f) => [parse(f[minKey]), parse(f[maxKey])];
+
+  return {
+    id,
+    kind,
+    keys: [minKey, maxKey],
+    bounds,
+    active: (f) => bounds(f).some((b) => b !== null),
+    predicate: (f) => {
+      const [min, max] = bounds(f);
+      return (p) => inRange(valueOf(p), min, max);
+    },
+  };
+}
+
+/**
+ * Отдельные фильтры панели. Каждый снимается чипом независимо от остальных.
+ */
+export const PRODUCT_FILTER_DEFS = [
+  {
+    id: "status",
+    keys: ["status"],
+    active: (f) => f.status !== "all",
+    predicate: (f) =>
+      f.status === "nodate"
+        ? (p) => parseDate(p?.sellByDate) === null
+        : (p) => productStatusKind(p) === f.status,
+  },
+  rangeFilter("price", "priceMin", "priceMax", "number", (p) => toNum(p?.price, 0)),
+  rangeFilter("shelfLife", "shelfMin", "shelfMax", "number", (p) => getShelfLifeDays(p)),
+  rangeFilter("manufactureDate", "mfgFrom", "mfgTo", "date", (p) => parseDate(p?.manufactureDate)),
+  rangeFilter("sellByDate", "sellFrom", "sellTo", "date", (p) => parseDate(p?.sellByDate)),
+  {
+    id: "noName",
+    keys: ["noName"],
+    active: (f) => f.noName,
+    predicate: () => (p) => !String(p?.name ?? "").trim(),
+  },
+  {
+    id: "zeroPrice",
+    keys: ["zeroPrice"],
+    active: (f) => f.zeroPrice,
+    predicate: () => (p) => toNum(p?.price, 0) === 0,
+  },
+];
+
+export function activeProductFilters(filters) {
+  return PRODUCT_FILTER_DEFS.filter((def) => def.active(filters));
+}
+
+/**
+ * Патч, снимающий один фильтр.
+ */
+export function clearProductFilter(def) {
+  const patch = {};
+  for (const k of def.keys) patch[k] = EMPTY_PRODUCT_FILTERS[k];
+  return patch;
+}
+
+/**
+ * Товары, подходящие под все активные фильтры.
+ */
+export function filterProducts(products, filters) {
+  const predicates = activeProductFilters(filters).map((def) => def.predicate(filters));
+  if (!predicates.length) return products;
+  return products.filter((p) => predicates.every((fn) => fn(p)));
+}
+
+/**
+ * Сколько товаров подходит под каждый активный фильтр сам по себе: { [id]: count }.
+ */
+export function countPerProductFilter(products, filters) {
+  const counts = {};
+  for (const def of activeProductFilters(filters)) {
+    const fn = def.predicate(filters);
+    let n = 0;
+    for (const p of products) if (fn(p)) n++;
+    counts[def.id] = n;
+  }
+  return counts;
+}
+
+/**
+ * Количество товаров по вариантам фильтра статуса: { expired, soon, ok, nodate }.
+ */
+export function countByStatusFilter(products) {
+  const counts = Object.fromEntries(PRODUCT_STATUS_FILTERS.map((k) => [k, 0]));
+  for (const p of products) {
+    counts[productStatusKind(p)]++;
+    if (parseDate(p?.sellByDate) === null) counts.nodate++;
+  }
+  return counts;
+}
+
+function rangeText(min, max) {
+  if (min && max) return t("filters.range.between", { from: min, to: max });
+  if (min) return t("filters.range.from", { from: min });
+  return t("filters.range.to", { to: max });
+}
+
+/**
+ * Подпись чипа активного фильтра.
+ */
+export function productFilterLabel(def, filters) {
+  if (def.id === "status") {
+    return `${t("detail.statusFilter")}: ${t(`statusKind.${filters.status}`)}`;
+  }
+  if (def.id === "noName" || def.id === "zeroPrice") return t(`filters.${def.id}`);
+
+  // в подписи — только те границы, что реально участвуют в фильтре
+  const [minKey, maxKey] = def.keys;
+  const [min, max] = def.bounds(filters);
+  const text = rangeText(
+    min !== null ? filters[minKey].trim() : "",
+    max !== null ? filters[maxKey].trim() : ""
+  );
+  return `${t(`product.field.${def.id}`)}: ${text}`;
+}
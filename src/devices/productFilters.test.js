@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import {
+  EMPTY_PRODUCT_FILTERS,
+  activeProductFilters,
+  countPerProductFilter,
+  filterProducts,
+  productFiltersFromParams,
+  productFiltersToParams,
+} from "./productFilters";
+
+const filters = (patch) => ({ ...EMPTY_PRODUCT_FILTERS, ...patch });
+
+const products = [
+  { pluNumber: 1, name: "Хлеб", price: 50, manufactureDate: "01-10-26", sellByDate: "" },
+  { pluNumber: 2, name: "", price: 0, manufactureDate: "15-10-26", sellByDate: "20-10-26" },
+  { pluNumber: 3, name: "Сыр", price: "350.5", manufactureDate: "", sellByDate: "31-12-26" },
+];
+
+const plus = (list) => list.map((p) => p.pluNumber);
+
+describe("filterProducts", () => {
+  it("applies number ranges with inclusive bounds", () => {
+    expect(plus(filterProducts(products, filters({ priceMin: "0", priceMax: "50" })))).toEqual([1, 2]);
+    expect(plus(filterProducts(products, filters({ priceMin: "100" })))).toEqual([3]);
+  });
+
+  it("leaves products without the date out of a date range", () => {
+    expect(plus(filterProducts(products, filters({ mfgFrom: "01-10-26" })))).toEqual([1, 2]);
+    expect(plus(filterProducts(products, filters({ sellTo: "01-11-26" })))).toEqual([2]);
+  });
+
+  it("ignores invalid bounds instead of filtering everything out", () => {
+    const f = filters({ priceMin: "abc", sellFrom: "32-13-26" });
+
+    expect(activeProductFilters(f)).toEqual([]);
+    expect(filterProducts(products, f)).toBe(products);
+  });
+
+  it("combines filters and counts each one on its own", () => {
+    const f = filters({ status: "nodate", zeroPrice: true, noName: true });
+
+    expect(filterProducts(products, f)).toEqual([]);
+    expect(countPerProductFilter(products, f)).toEqual({ status: 1, noName: 1, zeroPrice: 1 });
+  });
+});
+
+describe("URL params", () => {
+  it("round-trips filters and drops empty values", () => {
+    const f = filters({ status: "expired", priceMin: "10", noName: true });
+    const params = productFiltersToParams(f);
+
+    expect(params).toMatchObject({ status: "expired", price_min: "10", no_name: "1", price_max: null });
+
+    const search = new URLSearchParams(
+      Object.entries(params).filter(([, v]) => v !== null)
+    );
+    expect(productFiltersFromParams(search)).toEqual(f);
+  });
+
+  it("falls back to all statuses for an unknown status", () => {
+    expect(productFiltersFromParams(new URLSearchParams("status=bogus")).status).toBe("all");
+  });
+});
@@ -0,0 +1,160 @@
+import { t } from "../i18n";
+import {
+  formatDDMMYY,
+  getPlu,
+  isDDMMYY,
+  productFieldLabel,
+  productFieldValue,
+} from "./productUtils";
+
+/**
+ * Поля товара, доступные для импорта из таблицы.
+ * aliases — варианты заголовков (русские и английские),
+ * по которым колонка сопоставляется автоматически.
+ */
+export const IMPORT_FIELDS = [
+  { key: "pluNumber", required: true, aliases: ["plu", "plunumber", "код", "plu номер", "plu number"] },
+  { key: "name", aliases: ["name", "название", "наименование", "товар", "product"] },
+  { key: "price", aliases: ["price", "цена"] },
+  { key: "shelfLife", aliases: ["shelflife", "срок", "срок годности", "shelf life"] },
+  { key: "manufactureDate", aliases: ["manufacturedate", "дата изготовления", "изготовлен", "manufacture date", "produced"] },
+  { key: "sellByDate", aliases: ["sellbydate", "годен до", "срок до", "sell by", "sell by date"] },
+];
+
+function normHeader(h) {
+  return String(h || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, " ")
+    .replace(/\s*\(.*\)$/, "");
+}
+
+/**
+ * Автоматическое сопоставление колонок по заголовкам.
+ * Возвращает { [fieldKey]: columnIndex | "" }.
+ */
+export function guessMapping(headers) {
+  const mapping = {};
+  const normalized = headers.map(normHeader);
+
+  for (const f of IMPORT_FIELDS) {
+    const idx = normalized.findIndex(
+      (h) => h === f.key.toLowerCase() || f.aliases.includes(h)
+    );
+    mapping[f.key] = idx >= 0 ? idx : "";
+  }
+
+  return mapping;
+}
+
+function cellText(v) {
+  if (v === null || v === undefined) return "";
+  return String(v).trim();
+}
+
+// Разбор дат и чисел: пустая ячейка — «не менять», value = undefined,
+// поле не попадает в патч
+function parseImportDate(v) {
+  if (v instanceof Date) return { value: formatDDMMYY(v), error: "" };
+
+  const s = cellText(v).replace(/[./]/g, "-");
+  if (!s) return { value: undefined, error: "" };
+  if (!isDDMMYY(s)) return { value: s, error: t("import.err.date") };
+  return { value: s, error: "" };
+}
+
+function parseImportNumber(v, { integer }) {
+  const s = cellText(v).replace(",", ".").replace(/\s/g, "");
+  if (!s) return { value: undefined, error: "" };
+  const n = Number(s);
+  if (!Number.isFinite(n) || n < 0) return { value: s, error: t("import.err.number") };
+  if (integer && !Number.isInteger(n)) return { value: s, error: t("import.err.integer") };
+  return { value: n, error: "" };
+}
+
+/**
+ * Разбор строк таблицы по сопоставлению колонок.
+ * Поле попадает в результат только если для него выбрана колонка —
+ * несопоставленные поля товара при импорте не трогаем. Пустая ячейка тоже
+ * означает «не менять»: не стирает название и даты и не обнуляет цену и срок.
+ *
+ * Возвращает массив { rowNumber, plu, fields, errors: string[] }.
+ */
+export function mapImportRows(rows, mapping) {
+  const seen = new Set();
+
+  return rows.map((row, i) => {
+    const errors = [];
+    const fields = {};
+    const has = (key) => mapping[key] !== "" && mapping[key] !== undefined;
+    const get = (key) => row[Number(mapping[key])];
+
+    // PLU: те же правила, что и в модалке редактирования — целое число > 0
+    const pluRaw = cellText(get("pluNumber"));
+    const pluNum = Number(pluRaw);
+    let plu = null;
+    if (!pluRaw) errors.push(t("import.err.pluEmpty"));
+    else if (!Number.isInteger(pluNum) || pluNum <= 0) errors.push(t("import.err.pluInvalid"));
+    else if (seen.has(pluNum)) errors.push(t("import.err.pluDuplicate"));
+    else {
+      plu = pluNum;
+      seen.add(pluNum);
+    }
+
+    const name = has("name") ? cellText(get("name")) : "";
+    if (name) fields.name = name;
+
+    for (const key of ["price", "shelfLife"]) {
+      if (!has(key)) continue;
+      const r = parseImportNumber(get(key), { integer: key === "shelfLife" });
+      if (r.error) errors.push(`${productFieldLabel(key)}: ${r.error}`);
+      if (r.value !== undefined) fields[key] = r.value;
+    }
+
+    for (const key of ["manufactureDate", "sellByDate"]) {
+      if (!has(key)) continue;
+      const r = parseImportDate(get(key));
+      if (r.error) errors.push(`${productFieldLabel(key)}: ${r.error}`);
+      if (r.value !== undefined) fields[key] = r.value;
+    }
+
+    // +2: заголовок и нумерация строк с единицы, как в редакторе таблиц
+    return { rowNumber: i + 2, plu, fields, errors };
+  });
+}
+
+/**
+ * Сравнение разобранных строк с текущим кэшем устройства.
+ * Каждая валидная строка получает kind: "added" | "changed" | "unchanged";
+ * changed содержит { field: { before, after } }, patch — поля для отправки.
+ * Строки с ошибками получают kind: "invalid".
+ */
+export function diffImport(rows, cachedProducts) {
+  const byPlu = new Map();
+  for (const p of cachedProducts) {
+    const plu = getPlu(p);
+    if (plu != null) byPlu.set(Number(plu), p);
+  }
+
+  return rows.map((r) => {
+    if (r.errors.length) return { ...r, kind: "invalid", changes: {}, patch: {} };
+
+    const existing = byPlu.get(r.plu);
+    if (!existing) {
+      return { ...r, kind: "added", changes: {}, patch: { ...r.fields } };
+    }
+
+    const changes = {};
+    const patch = {};
+    for (const [key, after] of Object.entries(r.fields)) {
+      const before = productFieldValue(existing, key);
+      if (before !== after) {
+        changes[key] = { before, after };
+        patch[key] = after;
+      }
+    }
+
+    const kind = Object.keys(patch).length ? "changed" : "unchanged";
+    return { ...r, kind, changes, patch, before: existing };
+  });
+}
@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { diffImport, mapImportRows } from "./productImport";
+
+const mapping = { pluNumber: 0, name: 1, price: 2, shelfLife: 3, manufactureDate: "", sellByDate: "" };
+
+describe("mapImportRows", () => {
+  it("leaves empty price and shelfLife cells out of the fields", () => {
+    const [row] = mapImportRows([[5, "Сыр", "", "  "]], mapping);
+
+    expect(row.errors).toEqual([]);
+    expect(row.fields).toEqual({ name: "Сыр" });
+  });
+
+  it("leaves empty name and date cells out of the fields", () => {
+    const dates = { ...mapping, manufactureDate: 4, sellByDate: 5 };
+    const [row] = mapImportRows([[5, "  ", "12", "7", "", null]], dates);
+
+    expect(row.errors).toEqual([]);
+    expect(row.fields).toEqual({ price: 12, shelfLife: 7 });
+  });
+
+  it("parses filled number cells", () => {
+    const [row] = mapImportRows([[5, "Сыр", "12,50", "7"]], mapping);
+
+    expect(row.fields).toEqual({ name: "Сыр", price: 12.5, shelfLife: 7 });
+  });
+});
+
+describe("diffImport", () => {
+  it("does not wipe existing values for empty number cells", () => {
+    const rows = mapImportRows([[5, "Сыр", "", ""]], mapping);
+    const cached = [{ pluNumber: 5, name: "Сыр", price: 350, shelfLife: 10 }];
+
+    const [diff] = diffImport(rows, cached);
+
+    expect(diff.kind).toBe("unchanged");
+    expect(diff.patch).toEqual({});
+  });
+
+  it("does not wipe the name and dates for empty cells", () => {
+    const dates = { ...mapping, manufactureDate: 4, sellByDate: 5 };
+    const rows = mapImportRows([[5, "", "400", "", "", ""]], dates);
+    const cached = [
+      { pluNumber: 5, name: "Сыр", price: 350, manufactureDate: "01-10-26", sellByDate: "11-10-26" },
+    ];
+
+    const [diff] = diffImport(rows, cached);
+
+    expect(diff.kind).toBe("changed");
+    expect(diff.patch).toEqual({ price: 400 });
+  });
+});
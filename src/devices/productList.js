@@ -0,0 +1,110 @@
+import {
+  STATUS_KINDS,
+  getPlu,
+  getShelfLifeDays,
+  parseDDMMYY,
+  productStatusKind,
+  toNum,
+} from "./productUtils";
+
+/**
+ * Список товаров устройства: вид (карточки / таблица), сортировка и стабильные ключи строк.
+ */
+
+export const PRODUCT_VIEWS = ["cards", "table"];
+
+// Колонки, по которым сортирует таблица (status — по важности, затем по «Годен до»)
+export const PRODUCT_SORT_KEYS = [
+  "pluNumber",
+  "name",
+  "price",
+  "shelfLife",
+  "manufactureDate",
+  "sellByDate",
+  "status",
+];
+
+export const SORT_DIRS = ["asc", "desc"];
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+// Товары без PLU получают ключ один раз на объект товара:
+// объект живёт, пока не перечитан кэш, — ключ не меняется при фильтрации и сортировке.
+const fallbackKeys = new WeakMap();
+let fallbackSeq = 0;
+
+/**
+ * Ключ товара для React: PLU, иначе постоянный ключ объекта.
+ */
+export function productKey(p) {
+  const plu = getPlu(p);
+  if (plu != null) return `plu:${plu}`;
+
+  if (!fallbackKeys.has(p)) fallbackKeys.set(p, `row:${++fallbackSeq}`);
+  return fallbackKeys.get(p);
+}
+
+function dateValue(s) {
+  const d = parseDDMMYY(s);
+  return d ? d.getTime() : null;
+}
+
+function sortValue(p, key) {
+  switch (key) {
+    case "pluNumber":
+      return String(getPlu(p) ?? "");
+    case "name":
+      return String(p?.name ?? "");
+    case "price":
+      return toNum(p?.price, 0);
+    case "shelfLife":
+      return getShelfLifeDays(p);
+    case "manufactureDate":
+    case "sellByDate":
+      return dateValue(p?.[key]);
+    case "status":
+      return STATUS_KINDS.indexOf(productStatusKind(p));
+    default:
+      return null;
+  }
+}
+
+function compareValues(a, b) {
+  if (typeof a === "string") return collator.compare(a, b);
+  return a - b;
+}
+
+/**
+ * Сортировка товаров. Значения считаются один раз на товар (на 10 000 PLU
+ * парсинг дат в компараторе заметно тормозит). Пустые даты — всегда в конце,
+ * при равенстве — по PLU. Без ключа сортировки — порядок кэша.
+ */
+export function sortProducts(products, { key, dir = "asc" }) {
+  if (!PRODUCT_SORT_KEYS.includes(key)) return products;
+  const sign = dir === "desc" ? -1 : 1;
+
+  const rows = products.map((p) => ({
+    p,
+    v: sortValue(p, key),
+    // статус внутри одной категории — по «Годен до»
+    v2: key === "status" ? dateValue(p?.sellByDate) : null,
+    plu: String(getPlu(p) ?? ""),
+  }));
+
+  rows.sort((a, b) => {
+    if (a.v === null || b.v === null) {
+      if (a.v !== b.v) return a.v === null ? 1 : -1;
+    } else {
+      const c = compareValues(a.v, b.v);
+      if (c) return c * sign;
+    }
+    if (a.v2 !== b.v2) {
+      if (a.v2 === null) return 1;
+      if (b.v2 === null) return -1;
+      return (a.v2 - b.v2) * sign;
+    }
+    return collator.compare(a.plu, b.plu);
+  });
+
+  return rows.map((r) => r.p);
+}
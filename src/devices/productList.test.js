@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { productKey, sortProducts } from "./productList";
+
+const plus = (list) => list.map((p) => p.pluNumber);
+
+describe("sortProducts", () => {
+  const products = [
+    { pluNumber: 10, name: "хлеб", price: 50, sellByDate: "" },
+    { pluNumber: 2, name: "Сыр", price: 350, sellByDate: "31-12-26" },
+    { pluNumber: 1, name: "Молоко", price: 50, sellByDate: "01-11-26" },
+  ];
+
+  it("keeps the cache order without a sort key", () => {
+    expect(sortProducts(products, { key: "" })).toBe(products);
+  });
+
+  it("sorts PLUs numerically and names case-insensitively", () => {
+    expect(plus(sortProducts(products, { key: "pluNumber" }))).toEqual([1, 2, 10]);
+    expect(plus(sortProducts(products, { key: "name" }))).toEqual([1, 2, 10]);
+    expect(plus(sortProducts(products, { key: "name", dir: "desc" }))).toEqual([10, 2, 1]);
+  });
+
+  it("breaks ties by PLU in both directions", () => {
+    expect(plus(sortProducts(products, { key: "price" }))).toEqual([1, 10, 2]);
+    expect(plus(sortProducts(products, { key: "price", dir: "desc" }))).toEqual([2, 1, 10]);
+  });
+
+  it("keeps empty dates last in both directions", () => {
+    expect(plus(sortProducts(products, { key: "sellByDate" }))).toEqual([1, 2, 10]);
+    expect(plus(sortProducts(products, { key: "sellByDate", dir: "desc" }))).toEqual([2, 1, 10]);
+  });
+});
+
+describe("productKey", () => {
+  it("uses the PLU and a stable per-object key without one", () => {
+    const noPlu = { name: "Без PLU" };
+
+    expect(productKey({ pluNumber: 5 })).toBe("plu:5");
+    expect(productKey(noPlu)).toBe(productKey(noPlu));
+    expect(productKey(noPlu)).not.toBe(productKey({ name: "Без PLU" }));
+  });
+});
@@ -0,0 +1,259 @@
+import { t } from "../i18n";
+
+/**
+ * Общие хелперы для работы с товарами из кэша устройства.
+ */
+
+export function safeArray(v) {
+  return Array.isArray(v) ? v : [];
+}
+
+export function fmtDate(v) {
+  if (!v) return "—";
+  return String(v);
+}
+
+export function toNum(v, def = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : def;
+}
+
+/**
+ * Ожидаемый формат: DD-MM-YY (например 01-01-26)
+ * Маска: берём только цифры, вставляем дефисы после 2 и 4.
+ */
+export function maskDDMMYY(raw) {
+  const digits = String(raw || "")
+    .replace(/\D/g, "")
+    .slice(0, 6);
+  const dd = digits.slice(0, 2);
+  const mm = digits.slice(2, 4);
+  const yy = digits.slice(4, 6);
+
+  if (digits.length <= 2) return dd;
+  if (digits.length <= 4) return `${dd}-${mm}`;
+  return `${dd}-${mm}-${yy}`;
+}
+
+export function parseDDMMYY(s) {
+  if (!s) return null;
+  const str = String(s).trim();
+  const m = str.match(/^(\d{2})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+
+  const dd = Number(m[1]);
+  const mm = Number(m[2]);
+  const yy = Number(m[3]) + 2000;
+
+  const d = new Date(Date.UTC(yy, mm - 1, dd, 0, 0, 0));
+  if (Number.isNaN(d.getTime())) return null;
+
+  // защита от "переползания" даты (31-02-26 и т.п.)
+  if (
+    d.getUTCFullYear() !== yy ||
+    d.getUTCMonth() !== mm - 1 ||
+    d.getUTCDate() !== dd
+  ) {
+    return null;
+  }
+  return d;
+}
+
+/**
+ * Обратное преобразование: Date (UTC) -> DD-MM-YY.
+ */
+export function formatDDMMYY(d) {
+  if (!(d instanceof Date) || Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(d.getUTCDate())}-${pad(d.getUTCMonth() + 1)}-${pad(
+    d.getUTCFullYear() % 100
+  )}`;
+}
+
+export function isDDMMYY(s) {
+  if (!s) return true; // пустое допускаем
+  return parseDDMMYY(s) !== null;
+}
+
+export function dateErrorText(s) {
+  if (!s) return "";
+  return isDDMMYY(s) ? "" : t("product.dateFormatError");
+}
+
+export function daysUntil(dateUtc) {
+  if (!dateUtc) return null;
+  const now = new Date();
+  const nowUtc = new Date(
+    Date.UTC(
+      now.getUTCFullYear(),
+      now.getUTCMonth(),
+      now.getUTCDate(),
+      0,
+      0,
+      0
+    )
+  );
+  const diffMs = dateUtc.getTime() - nowUtc.getTime();
+  return Math.floor(diffMs / (24 * 3600 * 1000));
+}
+
+/**
+ * Категории статуса срока годности (в порядке важности).
+ */
+export const STATUS_KINDS = ["expired", "soon", "ok"];
+
+// Сколько дней до «Годен до» считается «Скоро»
+export const SOON_DAYS = 2;
+
+/**
+ * Категория статуса товара: "expired" | "soon" | "ok".
+ * Товар без даты «Годен до» считается OK.
+ */
+export function productStatusKind(p) {
+  const d = daysUntil(parseDDMMYY(p?.sellByDate));
+  if (d === null) return "ok";
+  if (d < 0) return "expired";
+  if (d <= SOON_DAYS) return "soon";
+  return "ok";
+}
+
+const STATUS_CLS = { expired: "status-bad", soon: "status-warn", ok: "status-ok" };
+
+export function computeStatus(p) {
+  const kind = productStatusKind(p);
+  const label =
+    kind === "soon"
+      ? t("status.soon", { count: daysUntil(parseDDMMYY(p?.sellByDate)) })
+      : t(`status.${kind}`);
+  return { kind, cls: STATUS_CLS[kind], label };
+}
+
+/**
+ * Количество товаров по категориям статуса: { expired, soon, ok }.
+ */
+export function countByStatus(products) {
+  const counts = { expired: 0, soon: 0, ok: 0 };
+  for (const p of products) counts[productStatusKind(p)]++;
+  return counts;
+}
+
+/**
+ * В вашем JSON: PLU = pluNumber
+ * На всякий случай оставляем fallback'и для совместимости
+ */
+export function getPlu(product) {
+  const candidates = [
+    product?.pluNumber, // <-- ГЛАВНОЕ
+    product?.plu,
+    product?.product_key,
+    product?.productKey,
+    product?.code,
+    product?.id,
+  ];
+  const found = candidates.find(
+    (x) => x !== undefined && x !== null && String(x).trim() !== ""
+  );
+  return found ?? null;
+}
+
+/**
+ * У вас срок годности: shelfLife (а не shelfLifeInDays)
+ * Оставим функцию для нормализации.
+ */
+export function getShelfLifeDays(p) {
+  const candidates = [
+    p?.shelfLife, // <-- ГЛАВНОЕ
+    p?.shelfLifeInDays,
+  ];
+  const found = candidates.find((x) => x !== undefined && x !== null && x !== "");
+  return toNum(found, 0);
+}
+
+/**
+ * Список товаров из ответа getCachedProducts: { products: { products: [...] } }.
+ */
+export function cachedProductsList(data) {
+  const raw = data?.products || {};
+  return safeArray(raw.products);
+}
+
+/**
+ * Редактируемые поля товара (в порядке отображения).
+ * Подписи — в каталогах сообщений, см. productFieldLabel.
+ */
+export const PRODUCT_FIELDS = [
+  { key: "name" },
+  { key: "price" },
+  { key: "shelfLife" },
+  { key: "manufactureDate" },
+  { key: "sellByDate" },
+];
+
+/**
+ * Подпись поля товара в текущем языке (включая pluNumber).
+ */
+export function productFieldLabel(key) {
+  return t(`product.field.${key}`);
+}
+
+/**
+ * Нормализованное значение поля товара — для сравнения версий товара.
+ */
+export function productFieldValue(product, key) {
+  if (key === "name") return String(product?.name ?? "");
+  if (key === "price") return toNum(product?.price, 0);
+  if (key === "shelfLife") return getShelfLifeDays(product);
+  return maskDDMMYY(product?.[key] || "");
+}
+
+/**
+ * Сравнение двух списков товаров по PLU.
+ * Возвращает { added, removed, modified }:
+ * - added:    [{ plu, after }]            — есть только в after;
+ * - removed:  [{ plu, before }]           — есть только в before;
+ * - modified: [{ plu, before, after, fields: { key: { before, after } } }].
+ */
+export function diffProducts(beforeList, afterList) {
+  const index = (list) => {
+    const m = new Map();
+    for (const p of list) {
+      const plu = getPlu(p);
+      if (plu != null) m.set(String(plu), p);
+    }
+    return m;
+  };
+
+  const before = index(beforeList);
+  const after = index(afterList);
+
+  const added = [];
+  const removed = [];
+  const modified = [];
+
+  for (const [plu, a] of after) {
+    const b = before.get(plu);
+    if (!b) {
+      added.push({ plu, after: a });
+      continue;
+    }
+
+    const fields = {};
+    for (const { key } of PRODUCT_FIELDS) {
+      const bv = productFieldValue(b, key);
+      const av = productFieldValue(a, key);
+      if (bv !== av) fields[key] = { before: bv, after: av };
+    }
+    if (Object.keys(fields).length) modified.push({ plu, before: b, after: a, fields });
+  }
+
+  for (const [plu, b] of before) {
+    if (!after.has(plu)) removed.push({ plu, before: b });
+  }
+
+  const byPlu = (x, y) => Number(x.plu) - Number(y.plu);
+  return {
+    added: added.sort(byPlu),
+    removed: removed.sort(byPlu),
+    modified: modified.sort(byPlu),
+  };
+}
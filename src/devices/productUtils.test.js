@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { diffProducts } from "./productUtils";
+
+describe("diffProducts", () => {
+  it("splits products into added, removed and modified by PLU", () => {
+    const before = [
+      { pluNumber: 3, name: "Сыр", price: 350 },
+      { pluNumber: 1, name: "Хлеб", price: 50 },
+      { pluNumber: 2, name: "Молоко", price: 90 },
+    ];
+    const after = [
+      { pluNumber: 1, name: "Хлеб", price: 55 },
+      { pluNumber: 2, name: "Молоко", price: 90 },
+      { pluNumber: 4, name: "Кефир", price: 80 },
+    ];
+
+    const diff = diffProducts(before, after);
+
+    expect(diff.added.map((c) => c.plu)).toEqual(["4"]);
+    expect(diff.removed.map((c) => c.plu)).toEqual(["3"]);
+    expect(diff.modified).toHaveLength(1);
+    expect(diff.modified[0]).toMatchObject({ plu: "1", fields: { price: { before: 50, after: 55 } } });
+  });
+
+  it("compares normalized values, not raw field types", () => {
+    const diff = diffProducts(
+      [{ pluNumber: 1, price: "50", sellByDate: "31-12-26" }],
+      [{ plu: "1", price: 50, sellByDate: "31-12-26" }]
+    );
+
+    expect(diff).toEqual({ added: [], removed: [], modified: [] });
+  });
+
+  it("sorts each group by PLU number", () => {
+    const diff = diffProducts([], [{ pluNumber: 10 }, { pluNumber: 9 }, { pluNumber: 100 }]);
+
+    expect(diff.added.map((c) => c.plu)).toEqual(["9", "10", "100"]);
+  });
+});
@@ -0,0 +1,68 @@
+import { useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { invalidateDeviceProducts } from "../query/invalidate";
+import { extractErrorMessage } from "../utils/errors";
+import { runSequential } from "../utils/batch";
+import { isQueuedResult } from "./changeJournal";
+
+/**
+ * Пакетная запись товаров устройства (массовое редактирование, импорт, копирование):
+ * - task(item) выполняется по одному элементу через runSequential;
+ * - статус каждого элемента хранится в rows по ключу keyOf(item); изменение,
+ *   которое без связи только встало в очередь, получает статус "queued", а не "ok";
+ * - инвалидация кэша — один раз в конце прогона, затем onFinished({ total, failed, queued });
+ * - retryFailed(items) повторяет только элементы с ошибкой.
+ *
+ * Возвращает { rows, running, started, failedCount, run, retryFailed, rowOf }.
+ */
+export function useBatchRun(deviceId, { task, keyOf, onFinished }) {
+  const qc = useQueryClient();
+
+  // { [key]: { status, message } }
+  const [rows, setRows] = useState({});
+  const [running, setRunning] = useState(false);
+
+  async function run(items) {
+    setRunning(true);
+    setRows((prev) => {
+      const next = { ...prev };
+      for (const x of items) next[keyOf(x)] = { status: "pending", message: "" };
+      return next;
+    });
+
+    const results = await runSequential(items, task, {
+      onItem: (i, state) => {
+        const key = keyOf(items[i]);
+        setRows((prev) => ({
+          ...prev,
+          [key]: {
+            status: isQueuedResult(state.result) ? "queued" : state.status,
+            message: state.error ? extractErrorMessage(state.error).message : "",
+          },
+        }));
+      },
+    });
+
+    await invalidateDeviceProducts(qc, deviceId);
+    setRunning(false);
+
+    const failed = results.filter((r) => !r.ok).length;
+    const queued = results.filter((r) => r.ok && isQueuedResult(r.result)).length;
+    onFinished?.({ total: results.length, failed, queued });
+  }
+
+  function retryFailed(items) {
+    const failed = items.filter((x) => rows[keyOf(x)]?.status === "error");
+    if (failed.length) run(failed);
+  }
+
+  return {
+    rows,
+    running,
+    started: Object.keys(rows).length > 0,
+    failedCount: Object.values(rows).filter((r) => r.status === "error").length,
+    run,
+    retryFailed,
+    rowOf: (x) => rows[keyOf(x)] || { status: "pending" },
+  };
+}
@@ -0,0 +1,53 @@
+import React from "react";
+import { useI18n } from "../i18n";
+import { utcToLocal } from "../utils/datetime";
+import { useDeviceHealth } from "./deviceHealth";
+import { useOutages } from "./outageLog";
+
+const DOT = {
+  online: "badge-dot-success",
+  offline: "badge-dot-danger",
+  unknown: "badge-dot-muted",
+  checking: "badge-dot-muted",
+};
+
+/**
+ * Индикатор связи с весами (запускает опрос устройства).
+ * Для недоступных весов показывает, с какого момента нет связи.
+ */
+export function HealthBadge({ deviceId }) {
+  const { t } = useI18n();
+  const healthQ = useDeviceHealth(deviceId);
+  const outages = useOutages(deviceId);
+
+  const data = healthQ.data;
+  const status = data?.status || "checking";
+  const open = outages.length && outages[outages.length - 1].end === null
+    ? outages[outages.length - 1]
+    : null;
+
+  let text;
+  if (status === "online") {
+    text = data.latencyMs != null
+      ? t("health.onlineLatency", { ms: data.latencyMs })
+      : t("health.online");
+  } else if (status === "offline") {
+    text = open ? t("health.offlineSince", { at: utcToLocal(open.start) }) : t("health.offline");
+  } else {
+    text = t(`health.${status}`);
+  }
+
+  const title = [
+    data?.checkedAt ? t("health.checkedAt", { at: utcToLocal(data.checkedAt) }) : "",
+    data?.error || "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return (
+    <span className={`badge health-${status}`} title={title}>
+      <span className={`badge-dot ${DOT[status]}`} />
+      <span className="badge-text">{text}</span>
+    </span>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+import { useI18n } from "../i18n";
+import { utcToLocal } from "../utils/datetime";
+import { clearOutages, useOutages } from "./outageLog";
+
+function durationMinutes(start, end) {
+  const ms = new Date(end).getTime() - new Date(start).getTime();
+  return Math.max(1, Math.round(ms / 60000));
+}
+
+/**
+ * Последние пропадания связи с весами (по данным опроса состояния).
+ */
+export function OutageHistory({ deviceId }) {
+  const { t } = useI18n();
+  const outages = useOutages(deviceId);
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="card">
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          gap: 12,
+          flexWrap: "wrap",
+        }}
+      >
+        <div className="card-title" style={{ margin: 0 }}>
+          {t("health.outages")}
+        </div>
+
+        <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+          <span className="sub">{t("health.outagesCount", { count: outages.length })}</span>
+          {open && outages.length ? (
+            <button className="btn-ghost" type="button" onClick={() => clearOutages(deviceId)}>
+              {t("common.clear")}
+            </button>
+          ) : null}
+          <button className="btn-ghost" type="button" onClick={() => setOpen((v) => !v)}>
+            {open ? t("common.hide") : t("common.show")}
+          </button>
+        </div>
+      </div>
+
+      {open ? (
+        outages.length === 0 ? (
+          <div className="sub" style={{ marginTop: 12 }}>
+            {t("health.noOutages")}
+          </div>
+        ) : (
+          <div className="table-wrap" style={{ marginTop: 12 }}>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>{t("health.col.start")}</th>
+                  <th>{t("health.col.end")}</th>
+                  <th>{t("health.col.duration")}</th>
+                  <th>{t("health.col.error")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...outages].reverse().map((o) => (
+                  <tr key={o.start} className={o.end ? "" : "row-invalid"}>
+                    <td>{utcToLocal(o.start)}</td>
+                    <td>{o.end ? utcToLocal(o.end) : t("health.ongoing")}</td>
+                    <td>
+                      {o.end
+                        ? t("health.minutes", { count: durationMinutes(o.start, o.end) })
+                        : "—"}
+                    </td>
+                    <td>{o.error || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { getDeviceStatus } from "../api/devices";
+import { qk } from "../query/keys";
+import { extractErrorMessage } from "../utils/errors";
+import { recordHealthCheck } from "./outageLog";
+
+/**
+ * Опрос связи с весами.
+ * - status: "online" | "offline" | "unknown";
+ * - unknown — backend не умеет проверять связь (404/405): опрос прекращается,
+ *   иначе все весы выглядели бы недоступными;
+ * - пока весы недоступны, интервал опроса удваивается (до HEALTH_MAX_BACKOFF_MS),
+ *   чтобы не держать запросы, которые всё равно упрутся в таймаут.
+ */
+
+export const HEALTH_POLL_MS = 30000;
+export const HEALTH_MAX_BACKOFF_MS = 5 * 60000;
+
+async function checkDeviceHealth(deviceId, prev) {
+  const started = performance.now();
+  const checkedAt = new Date().toISOString();
+
+  try {
+    const data = await getDeviceStatus(deviceId);
+    const online = data?.online !== false;
+    return {
+      status: online ? "online" : "offline",
+      latencyMs: Number.isFinite(data?.latency_ms)
+        ? data.latency_ms
+        : Math.round(performance.now() - started),
+      checkedAt,
+      error: online ? "" : String(data?.detail || ""),
+      failures: online ? 0 : (prev?.failures || 0) + 1,
+    };
+  } catch (err) {
+    const { status, message } = extractErrorMessage(err);
+
+    // 401 обрабатывает SessionManager — это не пропадание связи
+    if (status === 401) throw err;
+    if (status === 404 || status === 405) {
+      return { status: "unknown", latencyMs: null, checkedAt, error: "", failures: 0 };
+    }
+
+    return {
+      status: "offline",
+      latencyMs: null,
+      checkedAt,
+      error: message,
+      failures: (prev?.failures || 0) + 1,
+    };
+  }
+}
+
+/**
+ * Интервал следующей проверки по последнему результату.
+ */
+export function healthPollInterval(data) {
+  if (!data) return HEALTH_POLL_MS;
+  if (data.status === "unknown") return false;
+  if (data.status === "online") return HEALTH_POLL_MS;
+  return Math.min(HEALTH_POLL_MS * 2 ** (data.failures - 1), HEALTH_MAX_BACKOFF_MS);
+}
+
+/**
+ * Хук: состояние связи устройства. Карточки списка и страница устройства
+ * используют один query key — запрос на устройство один.
+ */
+export function useDeviceHealth(deviceId, { enabled = true } = {}) {
+  const qc = useQueryClient();
+  const queryKey = qk.health(deviceId);
+
+  return useQuery({
+    queryKey,
+    queryFn: async () => {
+      const result = await checkDeviceHealth(deviceId, qc.getQueryData(queryKey));
+      recordHealthCheck(deviceId, result);
+      return result;
+    },
+    enabled,
+    refetchInterval: (query) => healthPollInterval(query.state.data),
+    // Данные опроса свежие до следующей проверки
+    staleTime: HEALTH_POLL_MS,
+  });
+}
@@ -0,0 +1,20 @@
+import { describe, expect, it } from "vitest";
+import { HEALTH_MAX_BACKOFF_MS, HEALTH_POLL_MS, healthPollInterval } from "./deviceHealth";
+
+describe("healthPollInterval", () => {
+  it("polls at the base interval until the first answer and while online", () => {
+    expect(healthPollInterval(undefined)).toBe(HEALTH_POLL_MS);
+    expect(healthPollInterval({ status: "online", failures: 0 })).toBe(HEALTH_POLL_MS);
+  });
+
+  it("doubles the interval per failure up to the cap", () => {
+    expect(healthPollInterval({ status: "offline", failures: 1 })).toBe(HEALTH_POLL_MS);
+    expect(healthPollInterval({ status: "offline", failures: 2 })).toBe(HEALTH_POLL_MS * 2);
+    expect(healthPollInterval({ status: "offline", failures: 3 })).toBe(HEALTH_POLL_MS * 4);
+    expect(healthPollInterval({ status: "offline", failures: 20 })).toBe(HEALTH_MAX_BACKOFF_MS);
+  });
+
+  it("stops polling when the backend cannot check the scales", () => {
+    expect(healthPollInterval({ status: "unknown", failures: 0 })).toBe(false);
+  });
+});
@@ -0,0 +1,53 @@
+import { asArray, createDeviceStores, usePersistentStore } from "../utils/persistentStore";
+
+/**
+ * История пропаданий связи с весами по устройству.
+ * - одна запись = один период без связи: { start, end, error }, end === null — связь ещё не вернулась;
+ * - хранится в localStorage (последние MAX_OUTAGES), чтобы переживать перезагрузку страницы;
+ * - пишется из опроса состояния (deviceHealth.js), а не из обычных запросов к весам.
+ */
+
+const KEY_PREFIX = "device_outages_";
+const MAX_OUTAGES = 20;
+
+const outagesOf = createDeviceStores(KEY_PREFIX, [], asArray);
+
+function write(deviceId, outages) {
+  try {
+    outagesOf(deviceId).set(outages.slice(-MAX_OUTAGES));
+  } catch {
+    // история вспомогательная: ошибка записи не должна ломать опрос
+  }
+}
+
+export function getOutages(deviceId) {
+  return outagesOf(deviceId).get();
+}
+
+export function clearOutages(deviceId) {
+  outagesOf(deviceId).set(undefined);
+}
+
+/**
+ * Учесть результат проверки связи:
+ * offline открывает период (если он ещё не открыт), online — закрывает.
+ */
+export function recordHealthCheck(deviceId, { status, checkedAt, error }) {
+  const id = Number(deviceId);
+  const outages = getOutages(id);
+  const last = outages[outages.length - 1];
+  const open = last && last.end === null;
+
+  if (status === "offline" && !open) {
+    write(id, [...outages, { start: checkedAt, end: null, error: error || "" }]);
+  } else if (status === "online" && open) {
+    write(id, [...outages.slice(0, -1), { ...last, end: checkedAt }]);
+  }
+}
+
+/**
+ * Хук: периоды без связи устройства (от старых к новым).
+ */
+export function useOutages(deviceId) {
+  return usePersistentStore(outagesOf(deviceId));
+}
@@ -0,0 +1,43 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { getOutages, recordHealthCheck } from "./outageLog";
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+const check = (status, checkedAt, error = "") => recordHealthCheck(1, { status, checkedAt, error });
+
+describe("recordHealthCheck", () => {
+  it("opens one outage per offline period and closes it when the scales answer", () => {
+    check("online", "t0");
+    check("offline", "t1", "timeout");
+    check("offline", "t2", "timeout");
+    check("online", "t3");
+
+    expect(getOutages(1)).toEqual([{ start: "t1", end: "t3", error: "timeout" }]);
+  });
+
+  it("keeps the outage open while the scales stay offline", () => {
+    check("offline", "t1");
+
+    expect(getOutages(1)).toEqual([{ start: "t1", end: null, error: "" }]);
+    expect(getOutages(2)).toEqual([]);
+  });
+
+  it("ignores unknown status", () => {
+    check("unknown", "t1");
+
+    expect(getOutages(1)).toEqual([]);
+  });
+
+  it("keeps only the latest outages", () => {
+    for (let i = 0; i < 25; i++) {
+      check("offline", `s${i}`);
+      check("online", `e${i}`);
+    }
+
+    const outages = getOutages(1);
+    expect(outages).toHaveLength(20);
+    expect(outages[0].start).toBe("s5");
+  });
+});
@@ -0,0 +1,102 @@
+import { useCallback, useSyncExternalStore } from "react";
+import ru from "./messages/ru";
+import en from "./messages/en";
+
+/**
+ * Минимальный слой интернационализации без внешних зависимостей.
+ * - каталоги сообщений: плоские ключи -> строка или объект плюральных форм
+ *   ({ one, few, many, other } по правилам Intl.PluralRules);
+ * - подстановки: "{name}" -> params.name; для плюралов число берётся из params.count;
+ * - выбранный язык хранится в localStorage и применяется без перезагрузки.
+ */
+
+export const LOCALES = [
+  { value: "ru", label: "RU", intl: "ru-RU" },
+  { value: "en", label: "EN", intl: "en-GB" },
+];
+
+const CATALOGS = { ru, en };
+const DEFAULT_LOCALE = "ru";
+const LOCALE_KEY = "locale";
+
+const listeners = new Set();
+
+function readLocale() {
+  try {
+    const v = localStorage.getItem(LOCALE_KEY);
+    return CATALOGS[v] ? v : DEFAULT_LOCALE;
+  } catch {
+    return DEFAULT_LOCALE;
+  }
+}
+
+let currentLocale = readLocale();
+
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Тег локали для Intl.* (даты, числа).
+ */
+export function getIntlLocale(locale = currentLocale) {
+  return LOCALES.find((l) => l.value === locale)?.intl || locale;
+}
+
+export function setLocale(locale) {
+  if (!CATALOGS[locale] || locale === currentLocale) return;
+  currentLocale = locale;
+  try {
+    localStorage.setItem(LOCALE_KEY, locale);
+  } catch {
+    // язык просто не запомнится
+  }
+  document.documentElement.lang = locale;
+  listeners.forEach((l) => l());
+}
+
+function interpolate(str, params) {
+  return str.replace(/\{(\w+)\}/g, (m, name) =>
+    params[name] === undefined || params[name] === null ? m : String(params[name])
+  );
+}
+
+/**
+ * Перевод ключа в текущей (или указанной) локали.
+ * Нет перевода -> берём русский каталог, затем сам ключ.
+ */
+export function translate(locale, key, params = {}) {
+  let msg = CATALOGS[locale]?.[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+  if (msg === undefined) return key;
+
+  if (typeof msg === "object") {
+    const form = new Intl.PluralRules(getIntlLocale(locale)).select(Number(params.count) || 0);
+    msg = msg[form] ?? msg.other;
+  }
+
+  return interpolate(msg, params);
+}
+
+/**
+ * Перевод вне React-компонентов (валидация, хелперы).
+ */
+export function t(key, params) {
+  return translate(currentLocale, key, params);
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Хук для компонентов: перерисовывает компонент при смене языка.
+ */
+export function useI18n() {
+  const locale = useSyncExternalStore(subscribe, getLocale);
+  // t стабилен в пределах языка — его можно указывать в зависимостях useMemo/useEffect
+  const tr = useCallback((key, params) => translate(locale, key, params), [locale]);
+  return { locale, setLocale, t: tr };
+}
+
+document.documentElement.lang = currentLocale;
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { translate } from "./index";
+import ru from "./messages/ru";
+import en from "./messages/en";
+
+describe("message catalogs", () => {
+  it("have the same keys in both languages", () => {
+    expect(Object.keys(en).sort()).toEqual(Object.keys(ru).sort());
+  });
+
+  it("give every plural message an other form", () => {
+    for (const catalog of [ru, en]) {
+      for (const msg of Object.values(catalog)) {
+        if (typeof msg === "object") expect(msg.other).toBeTypeOf("string");
+      }
+    }
+  });
+});
+
+describe("translate", () => {
+  it("picks the plural form by count and substitutes params", () => {
+    expect(translate("ru", "session.expiringDesc", { count: 1 })).toMatch(/^Осталось ~1 минута\./);
+    expect(translate("ru", "session.expiringDesc", { count: 3 })).toMatch(/^Осталось ~3 минуты\./);
+    expect(translate("ru", "session.expiringDesc", { count: 5 })).toMatch(/^Осталось ~5 минут\./);
+  });
+
+  it("falls back to Russian, then to the key itself", () => {
+    expect(translate("de", "session.relogin")).toBe("Войти снова");
+    expect(translate("en", "no.such.key")).toBe("no.such.key");
+  });
+
+  it("leaves unknown placeholders as they are", () => {
+    expect(translate("ru", "session.expiringDesc")).toMatch(/^Осталось ~\{count\} минут\./);
+  });
+});
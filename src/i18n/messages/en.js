@@ -0,0 +1,629 @@
+/**
+ * Английский каталог сообщений.
+ * Плюральные формы — по Intl.PluralRules("en"): one / other.
+ */
+const en = {
+  // ===== общее =====
+  "common.add": "Add",
+  "common.apply": "Apply",
+  "common.back": "Back",
+  "common.cancel": "Cancel",
+  "common.clear": "Clear",
+  "common.close": "Close",
+  "common.delete": "Delete",
+  "common.hide": "Hide",
+  "common.show": "Show",
+  "common.loading": "Loading...",
+  "common.no": "No",
+  "common.yes": "Yes",
+  "common.yesNoToggle": "Yes/No toggle",
+  "common.noChanges": "No changes",
+  "common.retry": "Retry",
+  "common.save": "Save",
+
+  "errors.request": "Request failed",
+  "errors.unknown": "Unknown error",
+  "errors.validation": "Validation error",
+
+  // ===== шапка и сессия =====
+  "layout.language": "Language",
+  "layout.logout": "Log out",
+
+  "notifications.title": "Notifications",
+  "notifications.empty": "No notifications yet",
+
+  "session.expired": "Your session has expired. Please log in again.",
+  "session.expiringTitle": "Session is about to expire",
+  "session.expiringDesc": {
+    one: "About {count} minute left. Save your changes and log in again.",
+    other: "About {count} minutes left. Save your changes and log in again.",
+  },
+  "session.relogin": "Log in again",
+
+  // ===== авторизация =====
+  "auth.loginTitle": "Sign in to your account",
+  "auth.registerTitle": "Create an account",
+  "auth.login": "Sign in",
+  "auth.register": "Sign up",
+  "auth.password": "Password",
+  "auth.password2": "Repeat password",
+  "auth.pwPlaceholder": "At least 8 characters",
+  "auth.pwHelp": "Letters and digits. 72 characters max. No spaces.",
+  "auth.next": "Continue",
+  "auth.createAccount": "Create account",
+  "auth.showPassword": "Show password",
+  "auth.hidePassword": "Hide password",
+  "auth.enterEmail": "Enter your email",
+  "auth.invalidEmail": "Invalid email",
+  "auth.enterPassword": "Enter your password",
+  "auth.repeatPassword": "Repeat the password",
+  "auth.passwordsMismatch": "Passwords do not match",
+  "auth.pwTooShort": "Password must be at least 8 characters long",
+  "auth.pwTooLong": "Password is too long. Please make it shorter.",
+  "auth.pwSpaces": "Password must not contain spaces",
+  "auth.pwLettersDigits": "Password must contain letters and digits",
+  "auth.checkForm": "Please check the form fields",
+  "auth.registered": "Registration complete. You can sign in now.",
+
+  // ===== устройства =====
+  "devices.title": "My devices",
+  "devices.subtitle": "Devices are visible only to the account owner",
+  "devices.add": "Add device",
+  "devices.list": "Devices",
+  "devices.search": "Search",
+  "devices.searchPlaceholder": "Name, description or IP",
+  "devices.sort": "Sort",
+  "devices.sort.name": "By name",
+  "devices.sort.ip": "By IP",
+  "devices.sort.dirty": "Unsynced first",
+  "devices.dirtyOnly": "Only with unsynced changes",
+  "devices.empty": "No devices yet. Click “Add device”.",
+  "devices.loadError": "Failed to load devices",
+  "devices.added": "Device added",
+  "devices.addError": "Failed to add device",
+  "devices.deleted": "Device deleted",
+  "devices.deleteError": "Failed to delete device",
+  "devices.deleteTitle": "Delete device",
+  "devices.deleteConfirm": "Delete device \"{name}\"?",
+  "devices.descriptionHelp": "May be left empty — the field will not be sent to the backend.",
+  "devices.ownerHint": "The device will be available only to your account.",
+
+  "device.fallbackName": "Device #{id}",
+  "device.dirty": "Has changes",
+  "device.dirtyHint": "The cache has changes",
+  "device.field.name": "Name",
+  "device.field.description": "Description",
+  "device.field.ip": "IP",
+  "device.field.port": "Port",
+  "device.field.protocol": "Protocol",
+  "device.field.password": "Password",
+  "device.passwordHelp": "Password is required. Default: 1234",
+  "device.err.name": "Enter the device name",
+  "device.err.ipRequired": "Enter the IP address (IPv4)",
+  "device.err.ipInvalid": "Invalid IPv4 address",
+  "device.err.port": "Port must be in the range 1..65535",
+  "device.err.password": "Password is required (default 1234)",
+
+  "settings.title": "Device settings",
+  "settings.descriptionHelp": "Clear the field to remove the description.",
+  "settings.passwordHelp": "Leave empty to keep the current password.",
+  "settings.onlyChanged": "Only changed fields are sent to the backend.",
+  "settings.saved": "Device settings saved",
+  "settings.saveError": "Failed to save settings",
+
+  // ===== группы и теги устройств =====
+  "tags.title": "Groups and tags",
+  "tags.edit": "Tags",
+  "tags.store": "Store",
+  "tags.department": "Department",
+  "tags.tags": "Tags",
+  "tags.tag": "Tag",
+  "tags.tagsHelp": "Comma-separated, e.g.: showcase, dairy",
+  "tags.tagsHelpKnown": "Comma-separated. Already used: {tags}",
+  "tags.localHint": "Tags are stored in this browser and are not sent to the backend.",
+  "tags.saved": "Tags saved",
+  "tags.saveError": "Could not save tags in the browser",
+  "groups.groupBy": "Group by",
+  "groups.by.none": "No grouping",
+  "groups.by.store": "Store",
+  "groups.by.department": "Department",
+  "groups.by.tag": "Tag",
+  "groups.any": "— any —",
+  "groups.all": "All devices",
+  "groups.empty": "Not set",
+  "groups.nothingFound": "No devices match the selected filters",
+  "groups.count": {
+    one: "{count} device",
+    other: "{count} devices",
+  },
+  "groups.action.fetch": "Fetch all",
+  "groups.action.upload": "Upload all to scales",
+  "groups.action.export": "Export",
+  "groups.actionSubtitle": "{group} · devices: {count}",
+  "groups.hint.fetch": "Products will be read from every scale in the group into the cache, one device at a time.",
+  "groups.hint.upload": "Each device's cache in the group will be uploaded to the scales.",
+  "groups.hint.export":
+    "Products from the group's device caches will be collected into one file with device columns.",
+  "groups.run": "Run",
+  "groups.done": {
+    one: "Done: {count} device",
+    other: "Done: {count} devices",
+  },
+  "groups.partial": "Done {done} of {total}, errors: {failed}",
+
+  // ===== страница устройства =====
+  "detail.deviceError": "Failed to load device",
+  "detail.synced": "Synced",
+  "detail.syncedHint": "Changes have been applied to the device",
+  "detail.dirty": "Has pending changes",
+  "detail.dirtyHint": "The cache has changes that are not yet applied to the device",
+  "detail.settings": "Settings",
+  "detail.fetch": "Fetch",
+  "detail.fetched": "Products fetched",
+  "detail.fetchError": "Fetch failed",
+  "detail.upload": "Upload to scale",
+  "detail.uploaded": "Products uploaded to the scale",
+  "detail.uploadError": "Upload failed",
+  "detail.products": "Products",
+  "detail.import": "Import",
+  "detail.export": "Export",
+  "detail.search": "Search (PLU / Name)",
+  "detail.statusFilter": "Status",
+  "detail.statusAll": "All",
+  "detail.cacheLoading": "Loading cache...",
+  "detail.cacheError": "Cache error",
+  "detail.noProducts": "No products",
+  "detail.view": "View",
+  "detail.view.cards": "Cards",
+  "detail.view.table": "Table",
+  "detail.showMore": "Show {count} more",
+  "detail.hiddenCount": {
+    one: "{count} more product hidden",
+    other: "{count} more products hidden",
+  },
+  "detail.productSaved": "Product updated (cache)",
+  "detail.productSaveError": "Failed to update product",
+  "detail.autoSaved": "Auto-update settings saved",
+  "detail.autoSaveError": "Failed to save auto-update settings",
+  "detail.fixDates": "Fix the dates before saving",
+  "detail.invalidPlu": "Invalid PLU",
+
+  "auto.title": "Shelf-life auto-update",
+  "auto.error": "Auto-update error",
+  "auto.enabled": "Enabled",
+  "auto.interval": "Interval (min)",
+  "auto.lastRun": "Last run",
+  "auto.never": "Never run",
+  "auto.mode": "Mode",
+  "auto.mode.interval": "Interval",
+  "auto.mode.daily": "Times of day",
+  "auto.mode.weekly": "Days of week",
+  "auto.times": "Run times",
+  "auto.timeN": "Run time {n}",
+  "auto.addTime": "+ Add time",
+  "auto.removeTime": "Remove time",
+  "auto.days": "Days of week",
+  "auto.nextRuns": "Next runs",
+  "auto.preview.disabled": "Auto-update is off — nothing will run",
+  "auto.preview.invalid": "Fix the schedule to see the next runs",
+  "auto.preview.overdue": "Now (a run is already due)",
+  "auto.unsaved": "The schedule has unsaved changes",
+  "auto.err.interval": "A whole number of minutes from 1 to {max}",
+  "auto.err.noTimes": "Add at least one run time",
+  "auto.err.time": "Enter the time as HH:MM",
+  "auto.err.duplicateTime": "Duplicate run time",
+  "auto.err.noDays": "Select at least one day of the week",
+
+  "selection.count": "Selected: {count}",
+  "selection.all": "Select all ({count})",
+  "selection.clear": "Clear selection",
+  "selection.edit": "Edit selected",
+  "selection.select": "Select PLU {plu}",
+
+  "filters.show": "Filters",
+  "filters.hide": "Hide filters",
+  "filters.remove": "Remove filter “{name}”",
+  "filters.clearAll": "Clear filters",
+  "filters.found": "Showing {count} of {total}",
+  "filters.min": "from",
+  "filters.max": "to",
+  "filters.range.between": "{from} – {to}",
+  "filters.range.from": "from {from}",
+  "filters.range.to": "up to {to}",
+  "filters.missing": "Missing fields:",
+  "filters.noName": "No name",
+  "filters.zeroPrice": "Zero price",
+  "filters.presets": "Filter presets",
+  "filters.applyPreset": "Apply preset…",
+  "filters.noPresets": "No presets yet",
+  "filters.presetName": "Preset name",
+  "filters.savePreset": "Save preset",
+  "filters.deletePreset": "Delete preset",
+  "filters.presetSaved": "Preset “{name}” saved",
+  "filters.presetSaveError": "Failed to save the filter preset",
+
+  // ===== этикетка =====
+  "label.title": "Label preview",
+  "label.prefix": "Barcode prefix",
+  "label.testWeight": "Test weight, kg",
+  "label.print": "Print test label",
+  "label.pricePerKg": "Price per kg",
+  "label.weight": "Weight, kg",
+  "label.total": "Total",
+  "label.made": "Made",
+  "label.sellBy": "Best before",
+  "label.shelfLife": "Shelf life, days: {days}",
+  "label.hint": "Barcode: prefix + PLU (5 digits) + weight in grams (5 digits) + check digit. The weight is a test value — the scale fills in the real one when weighing.",
+  "label.err.prefix": "The prefix must be {length} digits",
+  "label.err.plu": "The PLU does not fit into the barcode (up to {length} digits)",
+  "label.err.weight": "Weight must be a number from 0 to {max} kg",
+  "scan.hint": "Barcode scanner: scan a label or a PLU to open the product",
+  "scan.unknown": "Could not recognize code {code}",
+  "scan.createConfirm": "There is no product with PLU {plu} on this device. Create it?",
+
+  // ===== сводка по весам =====
+  "nav.devices": "Devices",
+  "nav.dashboard": "Dashboard",
+  "nav.report": "Expiry",
+  "nav.catalog": "Catalog",
+
+  "report.title": "Expiry report",
+  "report.subtitle": {
+    one: "Expired and expiring within {count} day",
+    other: "Expired and expiring within {count} days",
+  },
+  "report.days": "Expires within, days",
+  "report.includeExpired": "Include expired",
+  "report.print": "Print",
+  "report.csv": "CSV",
+  "report.empty": "No products expire in the selected period",
+  "report.items": {
+    one: "{count} product",
+    other: "{count} products",
+  },
+  "report.today": "Today",
+  "report.daysLeft": {
+    one: "{count} day",
+    other: "{count} days",
+  },
+  "report.expiredFor": {
+    one: "Expired {count} day ago",
+    other: "Expired {count} days ago",
+  },
+  "report.col.device": "Device",
+  "report.col.daysLeft": "Left",
+  "report.col.daysLeftNum": "Days left",
+
+  "dashboard.title": "Fleet dashboard",
+  "dashboard.subtitle": "Shelf life and sync status across all devices",
+  "dashboard.loadedAt": "Data as of {at}",
+  "dashboard.loading": "Loading device caches...",
+  "dashboard.refresh": "Refresh",
+  "dashboard.byDevice": "By device",
+  "dashboard.devices": "Devices",
+  "dashboard.products": "Products",
+  "dashboard.soon": "Soon",
+  "dashboard.dirty": "With pending changes",
+  "dashboard.autoOff": "auto-update off",
+  "dashboard.col.device": "Device",
+  "dashboard.col.sync": "Sync",
+  "dashboard.col.lastRun": "Last auto-update",
+
+  // ===== товары =====
+  "product.noName": "(untitled)",
+  "product.dateFormatError": "Date format: DD-MM-YY, e.g. 01-01-26",
+  "product.field.pluNumber": "PLU",
+  "product.field.name": "Name",
+  "product.field.price": "Price",
+  "product.field.shelfLife": "Shelf life (days)",
+  "product.field.manufactureDate": "Manufacture date",
+  "product.field.sellByDate": "Sell by",
+
+  "status.ok": "OK",
+  "status.expired": "Expired",
+  "statusKind.expired": "Expired",
+  "statusKind.soon": "Soon",
+  "statusKind.ok": "OK",
+  "statusKind.nodate": "No date",
+  "status.soon": {
+    one: "Soon ({count} day)",
+    other: "Soon ({count} days)",
+  },
+
+  "edit.title": "Edit product",
+  "edit.newTitle": "New product",
+  "edit.manufactureDate": "Manufacture date (DD-MM-YY)",
+  "edit.sellByDate": "Sell by (DD-MM-YY)",
+  "edit.dateHelp": "Type 6 digits — dashes are inserted automatically",
+  "edit.cacheHint":
+    "Changes are saved to the cache. To apply them to the device, click “Upload to scale”.",
+
+  // ===== пакетные операции =====
+  "batch.done": "Done {done} of {total}",
+  "batch.failed": {
+    one: "{count} error",
+    other: "{count} errors",
+  },
+  "batch.queued": "queued: {count}",
+  "batch.queuedResult": "Saved {done} of {total}, waiting for connection in the queue: {queued}",
+  "batch.retryFailed": "Retry failed ({count})",
+  "batch.status.pending": "Pending",
+  "batch.status.running": "Saving...",
+  "batch.status.ok": "Done",
+  "batch.status.error": "Error",
+  "batch.status.queued": "Queued (offline)",
+
+  "bulk.title": "Bulk edit products",
+  "bulk.subtitle": "Selected products: {count}",
+  "bulk.operation": "Operation",
+  "bulk.field": "Field",
+  "bulk.mode.set": "Set value",
+  "bulk.mode.priceAbs": "Price ± amount",
+  "bulk.mode.pricePct": "Price ± %",
+  "bulk.value": "Value",
+  "bulk.valueDate": "Value (DD-MM-YY)",
+  "bulk.deltaAbs": "Price change (e.g. 10 or -5)",
+  "bulk.deltaPct": "Price change, % (e.g. 10 or -15)",
+  "bulk.clearDateHelp": "Leave empty to clear the date",
+  "bulk.err.value": "Enter a value",
+  "bulk.err.number": "Value must be a number ≥ 0",
+  "bulk.err.shelfLife": "Shelf life must be a whole number of days",
+  "bulk.err.delta": "Enter the change amount",
+  "bulk.err.deltaNumber": "Change amount must be a number",
+  "bulk.done": {
+    one: "{count} product changed (cache)",
+    other: "{count} products changed (cache)",
+  },
+  "bulk.partial": "Changed {done} of {total}, errors: {failed}",
+
+  // ===== импорт / экспорт =====
+  "import.title": "Import products",
+  "import.subtitle": "CSV or XLSX",
+  "import.file": "File (.csv, .xlsx)",
+  "import.fileHelp": "The first row holds headers. The CSV separator is detected automatically.",
+  "import.reading": "Reading file...",
+  "import.readError": "Could not read the file",
+  "import.column": "Column {n}",
+  "import.mappingHint":
+    "Rows in file: {count}. Map the columns to product fields. Unmapped fields are left unchanged.",
+  "import.skipColumn": "— do not import —",
+  "import.pluRequired": "The PLU column is required",
+  "import.check": "Review",
+  "import.apply": "Apply ({count})",
+  "import.kind.allCount": "All ({count})",
+  "import.kind.added": "New",
+  "import.kind.changed": "Changed",
+  "import.kind.unchanged": "Unchanged",
+  "import.kind.invalid": "Error",
+  "import.col.row": "Row",
+  "import.col.status": "Status",
+  "import.col.data": "Data",
+  "import.previewHint":
+    "Rows with errors or without changes will be skipped. Changes are saved to the cache — then click “Upload to scale”.",
+  "import.done": {
+    one: "{count} product imported (cache)",
+    other: "{count} products imported (cache)",
+  },
+  "import.partial": "Imported {done} of {total}, errors: {failed}",
+  "import.err.fileType": "Only .csv and .xlsx files are supported",
+  "import.err.fileEmpty": "The file contains no data",
+  "import.err.date": "date format DD-MM-YY",
+  "import.err.number": "a number ≥ 0 expected",
+  "import.err.integer": "a whole number expected",
+  "import.err.pluEmpty": "PLU: empty",
+  "import.err.pluInvalid": "PLU: invalid value",
+  "import.err.pluDuplicate": "PLU: duplicated in the file",
+
+  "export.title": "Export products",
+  "export.scope": "What to export",
+  "export.scope.all": "All products ({count})",
+  "export.scope.filtered": "Filtered ({count})",
+  "export.scope.selected": "Selected ({count})",
+  "export.format": "Format",
+  "export.dateFormat": "Date format",
+  "export.separator": "CSV separator",
+  "export.sep.semicolon": "Semicolon (;)",
+  "export.sep.comma": "Comma (,)",
+  "export.sep.tab": "Tab",
+  "export.bom": "UTF-8 BOM (for correct Cyrillic in Excel)",
+  "export.empty": "No products to export",
+  "export.download": "Download",
+  "export.error": "Export failed",
+  "export.sheetName": "Products",
+
+  // ===== копирование с другого устройства =====
+  "copy.open": "Copy from…",
+  "copy.title": "Copy products",
+  "copy.subtitle": "From another device's cache into this one",
+  "copy.source": "Source device",
+  "copy.sourcePlaceholder": "— select a device —",
+  "copy.sourceEmpty": "The source cache has no products",
+  "copy.overwrite": "Overwrite products that already exist on this device",
+  "copy.checkAll": "Check all",
+  "copy.summary":
+    "Checked {selected} of {total}: new {added}, to overwrite {changed}, skipped {skipped}",
+  "copy.col.result": "Result",
+  "copy.kind.added": "New",
+  "copy.kind.changed": "Overwrite",
+  "copy.kind.unchanged": "No changes",
+  "copy.kind.skipped": "Skip (already exists)",
+  "copy.apply": "Copy ({count})",
+  "copy.done": {
+    one: "{count} product copied (cache)",
+    other: "{count} products copied (cache)",
+  },
+  "copy.partial": "Copied {done} of {total}, errors: {failed}",
+
+  // ===== мастер-каталог =====
+  "catalog.title": "Master catalog",
+  "catalog.subtitle": "One product list for several scales",
+  "catalog.updatedAt": "Changed {at}",
+  "catalog.products": "Catalog products ({count})",
+  "catalog.empty": "The catalog is empty — add products",
+  "catalog.addProduct": "Add product",
+  "catalog.editProduct": "Product PLU {plu}",
+  "catalog.edit": "Edit",
+  "catalog.removeConfirm": "Remove PLU {plu} from the catalog? The product stays on the scales.",
+  "catalog.productHint": "Empty fields are published too: the value on the scales will be cleared.",
+  "catalog.saveError": "Could not save the catalog in the browser",
+  "catalog.err.pluExists": "This PLU is already in the catalog",
+  "catalog.devices": "Catalog devices: {selected} of {total}",
+  "catalog.publish": "Publishing",
+  "catalog.uploadAfter": "Upload to the scales after writing the cache",
+  "catalog.publishHint":
+    "Each device's cache is compared with the catalog; only new PLUs and differing fields are written. Products missing from the catalog are left alone.",
+  "catalog.publishTo": "Publish to {count}",
+  "catalog.publishConfirm": "Publish the catalog to the selected devices ({count})?",
+  "catalog.published": {
+    one: "Catalog published to {count} device",
+    other: "Catalog published to {count} devices",
+  },
+  "catalog.publishPartial": "Published with errors: {bad} of {total} devices",
+  "catalog.col.result": "Result",
+  "catalog.col.changes": "Changes",
+  "catalog.col.upload": "Upload",
+  "catalog.col.errors": "Errors",
+  "catalog.status.ok": "Success",
+  "catalog.status.partial": "Partial",
+  "catalog.status.failed": "Failed",
+  "catalog.applied": "Written {done} of {total}",
+  "catalog.appliedQueued": "Written {done} of {total}, queued: {queued}",
+  "catalog.upToDate": "No changes",
+  "catalog.uploaded": "Uploaded",
+  "catalog.uploadSkipped": "Skipped due to errors",
+  "catalog.uploadSkippedQueued": "Skipped: changes are waiting for connection",
+
+  // ===== проверка перед загрузкой =====
+  "review.title": "Review before uploading to the scale",
+  "review.subtitle": "Compared with the scale contents as of {at}",
+  "review.noSnapshotTitle": "Scale contents unknown",
+  "review.noSnapshot":
+    "There is no data on what is currently stored on the scale. Click “Fetch” to read products from the device, or upload the cache without review.",
+  "review.noChanges": "The cache matches the scale contents — nothing to upload.",
+  "review.summary":
+    "New: {added} · Removed: {removed} · Changed: {modified}. Changes to upload: {included} of {total}.",
+  "review.col.include": "Upload",
+  "review.col.change": "Change",
+  "review.col.fields": "Fields",
+  "review.kind.added": "New",
+  "review.kind.removed": "Not in cache",
+  "review.kind.modified": "Changed",
+  "review.addedLocked": "A new product cannot be excluded: removing from the cache is not supported",
+  "review.excludeAndUpload": "Exclude {count} and upload",
+  "review.excludedHint": "Unchecked changes will be reverted in the cache to the scale state.",
+  "review.queuePending":
+    "Changes to PLU {plus} have not reached the server yet (see “Offline changes”). Upload will be available once they are sent or discarded.",
+  "review.revertFailed": "Could not revert changes, upload cancelled:",
+
+  // ===== связь с весами =====
+  "health.online": "Online",
+  "health.onlineLatency": "Online · {ms} ms",
+  "health.offline": "Offline",
+  "health.offlineSince": "Offline since {at}",
+  "health.checking": "Checking connection...",
+  "health.unknown": "Not monitored",
+  "health.checkedAt": "Checked {at}",
+  "health.outages": "Connection outages",
+  "health.outagesCount": "Entries: {count}",
+  "health.noOutages": "No outages recorded",
+  "health.ongoing": "ongoing",
+  "health.minutes": {
+    one: "{count} minute",
+    other: "{count} minutes",
+  },
+  "health.col.start": "Started",
+  "health.col.end": "Restored",
+  "health.col.duration": "Duration",
+  "health.col.error": "Error",
+
+  // ===== история изменений =====
+  "history.title": "Change history",
+  "history.entries": "Entries: {count}",
+  "history.empty": "No changes yet",
+  "history.clearConfirm": "Clear the change journal of this device?",
+  "history.session": "Session of {at}",
+  "history.current": "(current)",
+  "history.changes": {
+    one: "{count} change",
+    other: "{count} changes",
+  },
+  "history.revertSession": "Revert session",
+  "history.revertSessionConfirm": "Revert all changes of this session?",
+  "history.revert": "Revert",
+  "history.reverted": "Changes reverted (cache)",
+  "history.revertPartial": "Reverted {done} of {total}, errors: {failed}",
+  "history.createdLocked": "A created product cannot be reverted: deletion is not supported",
+  "history.newProduct": "new product",
+  "history.col.time": "Time",
+  "history.col.user": "User",
+  "history.col.field": "Field",
+  "history.col.change": "Before → after",
+  "history.col.source": "Source",
+  "history.source.edit": "Edit",
+  "history.source.bulk": "Bulk edit",
+  "history.source.import": "Import",
+  "history.source.revert": "Revert",
+  "history.source.upload": "Excluded on upload",
+  "history.source.copy": "Copy",
+  "history.source.catalog": "Master catalog",
+
+  // ===== без связи =====
+  "offline.staleTitle": "No connection to the server",
+  "offline.staleDesc": "Showing data as of {at}. Changes will be sent when the connection is back",
+  "offline.noData": "No connection to the server and no saved data",
+  "offline.queued": "Offline: the change is saved and will be sent later",
+  "offline.queuedCount": {
+    one: "{count} change queued",
+    other: "{count} changes queued",
+  },
+  "offline.synced": "Offline changes sent: {count}",
+  "offline.problems": "Offline changes: {count} conflicts or errors. Check the device page",
+  "offline.title": "Offline changes",
+  "offline.sendNow": "Send now",
+  "offline.sendError": "Failed to send the change",
+  "offline.col.time": "Made at",
+  "offline.col.changes": "Changes",
+  "offline.col.status": "Status",
+  "offline.status.pending": "Waiting",
+  "offline.status.conflict": "Conflict",
+  "offline.status.failed": "Error",
+  "offline.conflictHint": "The product was changed on the server while offline",
+  "offline.server": "server",
+  "offline.mine": "mine",
+  "offline.missingOnServer": "no product",
+  "offline.applyMine": "Apply mine",
+  "offline.discard": "Discard",
+  "offline.discardConfirm": "Discard the change to PLU {plu}? Server values stay as they are.",
+
+  // ===== фоновые задачи =====
+  "jobs.kind.fetch": "Fetching from scales",
+  "jobs.kind.upload": "Uploading to scales",
+  "jobs.status.queued": "Queued",
+  "jobs.status.running": "Running",
+  "jobs.status.done": "Done",
+  "jobs.status.failed": "Failed",
+  "jobs.status.canceled": "Canceled",
+  "jobs.progress": "{done} of {total} ({percent}%)",
+  "jobs.cancel": "Cancel",
+  "jobs.canceled": "Job canceled",
+  "jobs.lost": "The server no longer knows this job — check the data and try again",
+  "jobs.interrupted": "The job was interrupted by a page reload — check the data and try again",
+  "jobs.localHint": "The server does not support background jobs: keep this page open until the job finishes",
+
+  // ===== mock API =====
+  "mock.title": "Mock API",
+  "mock.demoUser": "Sign in: {email} / {password}",
+  "mock.latency": "Response delay, ms",
+  "mock.unauthorized": "Respond 401",
+  "mock.validation": "Respond 422 to writes",
+  "mock.deviceTimeout": "Scales not responding",
+  "mock.mode.off": "Off",
+  "mock.mode.next": "Once",
+  "mock.mode.all": "Always",
+  "mock.mode.random": "Sometimes",
+  "mock.reset": "Reset data",
+  "mock.resetConfirm": "Restore the demo devices and products? All changes in the mock API will be lost.",
+  "mock.resetDone": "Mock API data reset",
+};
+
+export default en;
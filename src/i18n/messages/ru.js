@@ -0,0 +1,663 @@
+/**
+ * Русский каталог сообщений (язык по умолчанию).
+ * Плюральные формы — по Intl.PluralRules("ru"): one / few / many / other.
+ */
+const ru = {
+  // ===== общее =====
+  "common.add": "Добавить",
+  "common.apply": "Применить",
+  "common.back": "Назад",
+  "common.cancel": "Отмена",
+  "common.clear": "Очистить",
+  "common.close": "Закрыть",
+  "common.delete": "Удалить",
+  "common.hide": "Скрыть",
+  "common.show": "Показать",
+  "common.loading": "Загрузка...",
+  "common.no": "Нет",
+  "common.yes": "Да",
+  "common.yesNoToggle": "Переключатель Да/Нет",
+  "common.noChanges": "Изменений нет",
+  "common.retry": "Повторить",
+  "common.save": "Сохранить",
+
+  "errors.request": "Ошибка запроса",
+  "errors.unknown": "Неизвестная ошибка",
+  "errors.validation": "Ошибка валидации данных",
+
+  // ===== шапка и сессия =====
+  "layout.language": "Язык",
+  "layout.logout": "Выйти",
+
+  "notifications.title": "Уведомления",
+  "notifications.empty": "Уведомлений пока нет",
+
+  "session.expired": "Сессия истекла. Войдите снова.",
+  "session.expiringTitle": "Сессия скоро истечёт",
+  "session.expiringDesc": {
+    one: "Осталось ~{count} минута. Сохраните изменения и войдите снова.",
+    few: "Осталось ~{count} минуты. Сохраните изменения и войдите снова.",
+    many: "Осталось ~{count} минут. Сохраните изменения и войдите снова.",
+    other: "Осталось ~{count} минуты. Сохраните изменения и войдите снова.",
+  },
+  "session.relogin": "Войти снова",
+
+  // ===== авторизация =====
+  "auth.loginTitle": "Войдите в аккаунт",
+  "auth.registerTitle": "Создайте аккаунт",
+  "auth.login": "Вход",
+  "auth.register": "Регистрация",
+  "auth.password": "Пароль",
+  "auth.password2": "Повтор пароля",
+  "auth.pwPlaceholder": "Минимум 8 символов",
+  "auth.pwHelp": "Буквы и цифры. Максимум 72 символа. Без пробелов.",
+  "auth.next": "Далее",
+  "auth.createAccount": "Создать аккаунт",
+  "auth.showPassword": "Показать пароль",
+  "auth.hidePassword": "Скрыть пароль",
+  "auth.enterEmail": "Введите email",
+  "auth.invalidEmail": "Некорректный email",
+  "auth.enterPassword": "Введите пароль",
+  "auth.repeatPassword": "Повторите пароль",
+  "auth.passwordsMismatch": "Пароли не совпадают",
+  "auth.pwTooShort": "Пароль должен быть не короче 8 символов",
+  "auth.pwTooLong": "Пароль слишком длинный. Сделайте пароль короче.",
+  "auth.pwSpaces": "Пароль не должен содержать пробелы",
+  "auth.pwLettersDigits": "Пароль должен содержать буквы и цифры",
+  "auth.checkForm": "Проверьте поля формы",
+  "auth.registered": "Регистрация успешна. Теперь выполните вход.",
+
+  // ===== устройства =====
+  "devices.title": "Мои устройства",
+  "devices.subtitle": "Устройства доступны только владельцу аккаунта",
+  "devices.add": "Добавить устройство",
+  "devices.list": "Список устройств",
+  "devices.search": "Поиск",
+  "devices.searchPlaceholder": "Имя, описание или IP",
+  "devices.sort": "Сортировка",
+  "devices.sort.name": "По имени",
+  "devices.sort.ip": "По IP",
+  "devices.sort.dirty": "Сначала с изменениями",
+  "devices.dirtyOnly": "Только с незагруженными изменениями",
+  "devices.empty": "Устройств пока нет. Нажмите “Добавить устройство”.",
+  "devices.loadError": "Ошибка загрузки устройств",
+  "devices.added": "Устройство добавлено",
+  "devices.addError": "Ошибка добавления устройства",
+  "devices.deleted": "Устройство удалено",
+  "devices.deleteError": "Ошибка удаления",
+  "devices.deleteTitle": "Удалить устройство",
+  "devices.deleteConfirm": "Удалить устройство \"{name}\"?",
+  "devices.descriptionHelp": "Можно оставить пустым — поле не будет отправлено на backend.",
+  "devices.ownerHint": "Устройство будет доступно только вашему аккаунту.",
+
+  "device.fallbackName": "Устройство #{id}",
+  "device.dirty": "Есть изменения",
+  "device.dirtyHint": "В кэше есть изменения",
+  "device.field.name": "Имя",
+  "device.field.description": "Описание",
+  "device.field.ip": "IP",
+  "device.field.port": "Порт",
+  "device.field.protocol": "Протокол",
+  "device.field.password": "Пароль",
+  "device.passwordHelp": "Пароль обязателен. По умолчанию: 1234",
+  "device.err.name": "Укажите имя устройства",
+  "device.err.ipRequired": "Укажите IP-адрес (IPv4)",
+  "device.err.ipInvalid": "Некорректный IPv4-адрес",
+  "device.err.port": "Порт должен быть в диапазоне 1..65535",
+  "device.err.password": "Пароль обязателен (по умолчанию 1234)",
+
+  "settings.title": "Настройки устройства",
+  "settings.descriptionHelp": "Очистите поле, чтобы удалить описание.",
+  "settings.passwordHelp": "Оставьте пустым, чтобы не менять пароль.",
+  "settings.onlyChanged": "На backend отправляются только изменённые поля.",
+  "settings.saved": "Настройки устройства сохранены",
+  "settings.saveError": "Ошибка сохранения настроек",
+
+  // ===== группы и теги устройств =====
+  "tags.title": "Группы и теги",
+  "tags.edit": "Теги",
+  "tags.store": "Магазин",
+  "tags.department": "Отдел",
+  "tags.tags": "Теги",
+  "tags.tag": "Тег",
+  "tags.tagsHelp": "Через запятую, например: витрина, молочка",
+  "tags.tagsHelpKnown": "Через запятую. Уже используются: {tags}",
+  "tags.localHint": "Теги хранятся в этом браузере и не отправляются на backend.",
+  "tags.saved": "Теги сохранены",
+  "tags.saveError": "Не удалось сохранить теги в браузере",
+  "groups.groupBy": "Группировать",
+  "groups.by.none": "Без группировки",
+  "groups.by.store": "По магазину",
+  "groups.by.department": "По отделу",
+  "groups.by.tag": "По тегу",
+  "groups.any": "— любой —",
+  "groups.all": "Все устройства",
+  "groups.empty": "Без значения",
+  "groups.nothingFound": "Нет устройств под выбранные фильтры",
+  "groups.count": {
+    one: "{count} устройство",
+    few: "{count} устройства",
+    many: "{count} устройств",
+    other: "{count} устройства",
+  },
+  "groups.action.fetch": "Выгрузить все",
+  "groups.action.upload": "Загрузить все в весы",
+  "groups.action.export": "Экспорт",
+  "groups.actionSubtitle": "{group} · устройств: {count}",
+  "groups.hint.fetch": "Товары будут прочитаны с каждых весов группы в кэш — по одному устройству.",
+  "groups.hint.upload": "Кэш каждого устройства группы будет загружен в весы.",
+  "groups.hint.export":
+    "Товары из кэшей устройств группы будут собраны в один файл с колонками устройства.",
+  "groups.run": "Запустить",
+  "groups.done": {
+    one: "Готово: {count} устройство",
+    few: "Готово: {count} устройства",
+    many: "Готово: {count} устройств",
+    other: "Готово: {count} устройства",
+  },
+  "groups.partial": "Готово {done} из {total}, ошибок: {failed}",
+
+  // ===== страница устройства =====
+  "detail.deviceError": "Ошибка загрузки устройства",
+  "detail.synced": "Синхронизировано",
+  "detail.syncedHint": "Изменения применены на устройство",
+  "detail.dirty": "Есть незагруженные изменения",
+  "detail.dirtyHint": "В кэше есть изменения, которые ещё не применены на устройстве",
+  "detail.settings": "Настройки",
+  "detail.fetch": "Выгрузить",
+  "detail.fetched": "Товары выгружены",
+  "detail.fetchError": "Ошибка выгрузки",
+  "detail.upload": "Загрузить в весы",
+  "detail.uploaded": "Товары загружены в весы",
+  "detail.uploadError": "Ошибка загрузки",
+  "detail.products": "Товары",
+  "detail.import": "Импорт",
+  "detail.export": "Экспорт",
+  "detail.search": "Поиск (PLU / Название)",
+  "detail.statusFilter": "Статус",
+  "detail.statusAll": "Все",
+  "detail.cacheLoading": "Загрузка кэша...",
+  "detail.cacheError": "Ошибка кэша",
+  "detail.noProducts": "Нет товаров",
+  "detail.view": "Вид",
+  "detail.view.cards": "Карточки",
+  "detail.view.table": "Таблица",
+  "detail.showMore": "Показать ещё {count}",
+  "detail.hiddenCount": {
+    one: "ещё {count} товар скрыт",
+    few: "ещё {count} товара скрыто",
+    many: "ещё {count} товаров скрыто",
+    other: "ещё {count} товара скрыто",
+  },
+  "detail.productSaved": "Товар обновлён (кэш)",
+  "detail.productSaveError": "Ошибка обновления товара",
+  "detail.autoSaved": "Настройки автообновления сохранены",
+  "detail.autoSaveError": "Ошибка настройки автообновления",
+  "detail.fixDates": "Исправьте даты перед сохранением",
+  "detail.invalidPlu": "Некорректный PLU",
+
+  "auto.title": "Автообновление сроков годности",
+  "auto.error": "Ошибка автообновления",
+  "auto.enabled": "Включено",
+  "auto.interval": "Интервал (мин)",
+  "auto.lastRun": "Последний запуск",
+  "auto.never": "Ещё не запускалось",
+  "auto.mode": "Режим",
+  "auto.mode.interval": "Интервал",
+  "auto.mode.daily": "По времени",
+  "auto.mode.weekly": "По дням недели",
+  "auto.times": "Время запуска",
+  "auto.timeN": "Время запуска {n}",
+  "auto.addTime": "+ Добавить время",
+  "auto.removeTime": "Убрать время",
+  "auto.days": "Дни недели",
+  "auto.nextRuns": "Ближайшие запуски",
+  "auto.preview.disabled": "Автообновление выключено — запусков не будет",
+  "auto.preview.invalid": "Исправьте расписание, чтобы увидеть ближайшие запуски",
+  "auto.preview.overdue": "Сейчас (запуск уже должен был пройти)",
+  "auto.unsaved": "Расписание изменено, но не сохранено",
+  "auto.err.interval": "Целое число минут от 1 до {max}",
+  "auto.err.noTimes": "Добавьте хотя бы одно время запуска",
+  "auto.err.time": "Укажите время в формате ЧЧ:ММ",
+  "auto.err.duplicateTime": "Время запуска повторяется",
+  "auto.err.noDays": "Выберите хотя бы один день недели",
+
+  "selection.count": "Выбрано: {count}",
+  "selection.all": "Выбрать все ({count})",
+  "selection.clear": "Снять выбор",
+  "selection.edit": "Изменить выбранные",
+  "selection.select": "Выбрать PLU {plu}",
+
+  "filters.show": "Фильтры",
+  "filters.hide": "Скрыть фильтры",
+  "filters.remove": "Убрать фильтр «{name}»",
+  "filters.clearAll": "Сбросить фильтры",
+  "filters.found": "Показано {count} из {total}",
+  "filters.min": "от",
+  "filters.max": "до",
+  "filters.range.between": "{from} – {to}",
+  "filters.range.from": "от {from}",
+  "filters.range.to": "до {to}",
+  "filters.missing": "Незаполненные поля:",
+  "filters.noName": "Без названия",
+  "filters.zeroPrice": "Нулевая цена",
+  "filters.presets": "Наборы фильтров",
+  "filters.applyPreset": "Применить набор…",
+  "filters.noPresets": "Наборов пока нет",
+  "filters.presetName": "Название набора",
+  "filters.savePreset": "Сохранить набор",
+  "filters.deletePreset": "Удалить набор",
+  "filters.presetSaved": "Набор «{name}» сохранён",
+  "filters.presetSaveError": "Не удалось сохранить набор фильтров",
+
+  // ===== этикетка =====
+  "label.title": "Превью этикетки",
+  "label.prefix": "Префикс штрихкода",
+  "label.testWeight": "Тестовый вес, кг",
+  "label.print": "Печать тестовой этикетки",
+  "label.pricePerKg": "Цена за кг",
+  "label.weight": "Вес, кг",
+  "label.total": "Стоимость",
+  "label.made": "Изг.",
+  "label.sellBy": "Годен до",
+  "label.shelfLife": "Срок годности, дн: {days}",
+  "label.hint": "Штрихкод: префикс + PLU (5 цифр) + вес в граммах (5 цифр) + контрольная цифра. Вес тестовый — настоящий подставляют весы при взвешивании.",
+  "label.err.prefix": "Префикс — {length} цифры",
+  "label.err.plu": "PLU не помещается в штрихкод (до {length} цифр)",
+  "label.err.weight": "Вес — число от 0 до {max} кг",
+  "scan.hint": "Сканер штрихкодов: отсканируйте этикетку или PLU, чтобы открыть товар",
+  "scan.unknown": "Не удалось распознать код {code}",
+  "scan.createConfirm": "Товара с PLU {plu} нет на устройстве. Создать его?",
+
+  // ===== сводка по весам =====
+  "nav.devices": "Устройства",
+  "nav.dashboard": "Сводка",
+  "nav.report": "Сроки",
+  "nav.catalog": "Каталог",
+
+  "report.title": "Отчёт по срокам годности",
+  "report.subtitle": {
+    one: "Просроченные и истекающие в течение {count} дня",
+    few: "Просроченные и истекающие в течение {count} дней",
+    many: "Просроченные и истекающие в течение {count} дней",
+    other: "Просроченные и истекающие в течение {count} дня",
+  },
+  "report.days": "Истекает в течение, дней",
+  "report.includeExpired": "Включать просроченные",
+  "report.print": "Печать",
+  "report.csv": "CSV",
+  "report.empty": "Нет товаров, истекающих в выбранный период",
+  "report.items": {
+    one: "{count} товар",
+    few: "{count} товара",
+    many: "{count} товаров",
+    other: "{count} товара",
+  },
+  "report.today": "Сегодня",
+  "report.daysLeft": {
+    one: "{count} день",
+    few: "{count} дня",
+    many: "{count} дней",
+    other: "{count} дня",
+  },
+  "report.expiredFor": {
+    one: "Просрочен на {count} день",
+    few: "Просрочен на {count} дня",
+    many: "Просрочен на {count} дней",
+    other: "Просрочен на {count} дня",
+  },
+  "report.col.device": "Устройство",
+  "report.col.daysLeft": "Осталось",
+  "report.col.daysLeftNum": "Осталось дней",
+
+  "dashboard.title": "Сводка по весам",
+  "dashboard.subtitle": "Сроки годности и синхронизация по всем устройствам",
+  "dashboard.loadedAt": "Данные на {at}",
+  "dashboard.loading": "Загрузка кэшей устройств...",
+  "dashboard.refresh": "Обновить",
+  "dashboard.byDevice": "По устройствам",
+  "dashboard.devices": "Устройств",
+  "dashboard.products": "Товаров",
+  "dashboard.soon": "Скоро",
+  "dashboard.dirty": "С незагруженными изменениями",
+  "dashboard.autoOff": "автообновление выключено",
+  "dashboard.col.device": "Устройство",
+  "dashboard.col.sync": "Синхронизация",
+  "dashboard.col.lastRun": "Последнее автообновление",
+
+  // ===== товары =====
+  "product.noName": "(без названия)",
+  "product.dateFormatError": "Формат даты: DD-MM-YY, например 01-01-26",
+  "product.field.pluNumber": "PLU",
+  "product.field.name": "Название",
+  "product.field.price": "Цена",
+  "product.field.shelfLife": "Срок годности (дн)",
+  "product.field.manufactureDate": "Дата изготовления",
+  "product.field.sellByDate": "Годен до",
+
+  "status.ok": "OK",
+  "status.expired": "Просрочен",
+  "statusKind.expired": "Просрочен",
+  "statusKind.soon": "Скоро",
+  "statusKind.ok": "OK",
+  "statusKind.nodate": "Без даты",
+  "status.soon": {
+    one: "Скоро ({count} день)",
+    few: "Скоро ({count} дня)",
+    many: "Скоро ({count} дней)",
+    other: "Скоро ({count} дня)",
+  },
+
+  "edit.title": "Редактирование товара",
+  "edit.newTitle": "Новый товар",
+  "edit.manufactureDate": "Дата изготовления (DD-MM-YY)",
+  "edit.sellByDate": "Годен до (DD-MM-YY)",
+  "edit.dateHelp": "Введите 6 цифр — дефисы подставятся автоматически",
+  "edit.cacheHint":
+    "Изменения сохраняются в кэш. Чтобы применить их на устройство, нажмите “Загрузить в весы”.",
+
+  // ===== пакетные операции =====
+  "batch.done": "Готово {done} из {total}",
+  "batch.failed": {
+    one: "{count} ошибка",
+    few: "{count} ошибки",
+    many: "{count} ошибок",
+    other: "{count} ошибки",
+  },
+  "batch.queued": "в очереди: {count}",
+  "batch.queuedResult": "Сохранено {done} из {total}, ждут связи в очереди: {queued}",
+  "batch.retryFailed": "Повторить неудачные ({count})",
+  "batch.status.pending": "Ожидает",
+  "batch.status.running": "Сохранение...",
+  "batch.status.ok": "Готово",
+  "batch.status.error": "Ошибка",
+  "batch.status.queued": "В очереди (нет связи)",
+
+  "bulk.title": "Массовое изменение товаров",
+  "bulk.subtitle": "Выбрано товаров: {count}",
+  "bulk.operation": "Операция",
+  "bulk.field": "Поле",
+  "bulk.mode.set": "Установить значение",
+  "bulk.mode.priceAbs": "Цена ± сумма",
+  "bulk.mode.pricePct": "Цена ± %",
+  "bulk.value": "Значение",
+  "bulk.valueDate": "Значение (DD-MM-YY)",
+  "bulk.deltaAbs": "Изменение цены (например 10 или -5)",
+  "bulk.deltaPct": "Изменение цены, % (например 10 или -15)",
+  "bulk.clearDateHelp": "Оставьте пустым, чтобы очистить дату",
+  "bulk.err.value": "Укажите значение",
+  "bulk.err.number": "Значение должно быть числом ≥ 0",
+  "bulk.err.shelfLife": "Срок годности — целое число дней",
+  "bulk.err.delta": "Укажите величину изменения",
+  "bulk.err.deltaNumber": "Величина изменения должна быть числом",
+  "bulk.done": {
+    one: "Изменён {count} товар (кэш)",
+    few: "Изменено {count} товара (кэш)",
+    many: "Изменено {count} товаров (кэш)",
+    other: "Изменено {count} товара (кэш)",
+  },
+  "bulk.partial": "Изменено {done} из {total}, ошибок: {failed}",
+
+  // ===== импорт / экспорт =====
+  "import.title": "Импорт товаров",
+  "import.subtitle": "CSV или XLSX",
+  "import.file": "Файл (.csv, .xlsx)",
+  "import.fileHelp": "Первая строка — заголовки. Разделитель CSV определяется автоматически.",
+  "import.reading": "Чтение файла...",
+  "import.readError": "Не удалось прочитать файл",
+  "import.column": "Колонка {n}",
+  "import.mappingHint":
+    "Строк в файле: {count}. Сопоставьте колонки с полями товара. Несопоставленные поля не изменяются.",
+  "import.skipColumn": "— не импортировать —",
+  "import.pluRequired": "Колонка PLU обязательна",
+  "import.check": "Проверить",
+  "import.apply": "Применить ({count})",
+  "import.kind.allCount": "Все ({count})",
+  "import.kind.added": "Новый",
+  "import.kind.changed": "Изменён",
+  "import.kind.unchanged": "Без изменений",
+  "import.kind.invalid": "Ошибка",
+  "import.col.row": "Строка",
+  "import.col.status": "Статус",
+  "import.col.data": "Данные",
+  "import.previewHint":
+    "Строки с ошибками и без изменений будут пропущены. Изменения сохраняются в кэш — затем нажмите “Загрузить в весы”.",
+  "import.done": {
+    one: "Импортирован {count} товар (кэш)",
+    few: "Импортировано {count} товара (кэш)",
+    many: "Импортировано {count} товаров (кэш)",
+    other: "Импортировано {count} товара (кэш)",
+  },
+  "import.partial": "Импортировано {done} из {total}, ошибок: {failed}",
+  "import.err.fileType": "Поддерживаются только файлы .csv и .xlsx",
+  "import.err.fileEmpty": "Файл не содержит данных",
+  "import.err.date": "формат даты DD-MM-YY",
+  "import.err.number": "ожидается число ≥ 0",
+  "import.err.integer": "ожидается целое число",
+  "import.err.pluEmpty": "PLU: пусто",
+  "import.err.pluInvalid": "PLU: некорректное значение",
+  "import.err.pluDuplicate": "PLU: повторяется в файле",
+
+  "export.title": "Экспорт товаров",
+  "export.scope": "Что выгружать",
+  "export.scope.all": "Все товары ({count})",
+  "export.scope.filtered": "Отфильтрованные ({count})",
+  "export.scope.selected": "Выбранные ({count})",
+  "export.format": "Формат",
+  "export.dateFormat": "Формат дат",
+  "export.separator": "Разделитель CSV",
+  "export.sep.semicolon": "Точка с запятой (;)",
+  "export.sep.comma": "Запятая (,)",
+  "export.sep.tab": "Табуляция",
+  "export.bom": "UTF-8 BOM (для корректной кириллицы в Excel)",
+  "export.empty": "Нет товаров для экспорта",
+  "export.download": "Скачать",
+  "export.error": "Ошибка экспорта",
+  "export.sheetName": "Товары",
+
+  // ===== копирование с другого устройства =====
+  "copy.open": "Копировать с…",
+  "copy.title": "Копирование товаров",
+  "copy.subtitle": "Из кэша другого устройства в кэш этого",
+  "copy.source": "Устройство-источник",
+  "copy.sourcePlaceholder": "— выберите устройство —",
+  "copy.sourceEmpty": "В кэше источника нет товаров",
+  "copy.overwrite": "Перезаписывать товары, которые уже есть на этом устройстве",
+  "copy.checkAll": "Отметить все",
+  "copy.summary":
+    "Отмечено {selected} из {total}: новых {added}, изменится {changed}, пропущено {skipped}",
+  "copy.col.result": "Результат",
+  "copy.kind.added": "Новый",
+  "copy.kind.changed": "Перезапись",
+  "copy.kind.unchanged": "Без изменений",
+  "copy.kind.skipped": "Пропуск (уже есть)",
+  "copy.apply": "Копировать ({count})",
+  "copy.done": {
+    one: "Скопирован {count} товар (кэш)",
+    few: "Скопировано {count} товара (кэш)",
+    many: "Скопировано {count} товаров (кэш)",
+    other: "Скопировано {count} товара (кэш)",
+  },
+  "copy.partial": "Скопировано {done} из {total}, ошибок: {failed}",
+
+  // ===== мастер-каталог =====
+  "catalog.title": "Мастер-каталог",
+  "catalog.subtitle": "Общий список товаров для нескольких весов",
+  "catalog.updatedAt": "Изменён {at}",
+  "catalog.products": "Товары каталога ({count})",
+  "catalog.empty": "Каталог пуст — добавьте товары",
+  "catalog.addProduct": "Добавить товар",
+  "catalog.editProduct": "Товар PLU {plu}",
+  "catalog.edit": "Изменить",
+  "catalog.removeConfirm": "Удалить PLU {plu} из каталога? На весах товар останется.",
+  "catalog.productHint": "Пустые поля тоже публикуются: на весах значение будет очищено.",
+  "catalog.saveError": "Не удалось сохранить каталог в браузере",
+  "catalog.err.pluExists": "Такой PLU уже есть в каталоге",
+  "catalog.devices": "Устройства каталога: {selected} из {total}",
+  "catalog.publish": "Публикация",
+  "catalog.uploadAfter": "После записи в кэш загрузить в весы",
+  "catalog.publishHint":
+    "Для каждого устройства кэш сравнивается с каталогом, записываются только новые PLU и отличающиеся поля. Товары, которых нет в каталоге, не трогаются.",
+  "catalog.publishTo": "Опубликовать на {count}",
+  "catalog.publishConfirm": "Опубликовать каталог на выбранные устройства ({count})?",
+  "catalog.published": {
+    one: "Каталог опубликован на {count} устройство",
+    few: "Каталог опубликован на {count} устройства",
+    many: "Каталог опубликован на {count} устройств",
+    other: "Каталог опубликован на {count} устройства",
+  },
+  "catalog.publishPartial": "Публикация с ошибками: {bad} из {total} устройств",
+  "catalog.col.result": "Итог",
+  "catalog.col.changes": "Изменения",
+  "catalog.col.upload": "Загрузка в весы",
+  "catalog.col.errors": "Ошибки",
+  "catalog.status.ok": "Успешно",
+  "catalog.status.partial": "Частично",
+  "catalog.status.failed": "Ошибка",
+  "catalog.applied": "Записано {done} из {total}",
+  "catalog.appliedQueued": "Записано {done} из {total}, в очереди: {queued}",
+  "catalog.upToDate": "Без изменений",
+  "catalog.uploaded": "Загружено",
+  "catalog.uploadSkipped": "Пропущена из-за ошибок",
+  "catalog.uploadSkippedQueued": "Пропущена: изменения ждут связи",
+
+  // ===== проверка перед загрузкой =====
+  "review.title": "Проверка перед загрузкой в весы",
+  "review.subtitle": "Сравнение с содержимым весов от {at}",
+  "review.noSnapshotTitle": "Содержимое весов неизвестно",
+  "review.noSnapshot":
+    "Нет данных о том, что сейчас записано на весах. Нажмите “Выгрузить”, чтобы получить товары с устройства, или загрузите кэш без проверки.",
+  "review.noChanges": "Кэш совпадает с содержимым весов — изменений для загрузки нет.",
+  "review.summary":
+    "Новых: {added} · Удалённых: {removed} · Изменённых: {modified}. Будет загружено изменений: {included} из {total}.",
+  "review.col.include": "Загрузить",
+  "review.col.change": "Изменение",
+  "review.col.fields": "Поля",
+  "review.kind.added": "Новый",
+  "review.kind.removed": "Нет в кэше",
+  "review.kind.modified": "Изменён",
+  "review.addedLocked": "Новый товар нельзя исключить: удаление из кэша не поддерживается",
+  "review.excludeAndUpload": "Исключить {count} и загрузить",
+  "review.excludedHint": "Снятые изменения будут откачены в кэше до состояния на весах.",
+  "review.queuePending":
+    "Изменения PLU {plus} ещё не отправлены на сервер (см. «Изменения без связи»). Загрузка в весы станет доступна после их отправки или отмены.",
+  "review.revertFailed": "Не удалось откатить изменения, загрузка отменена:",
+
+  // ===== связь с весами =====
+  "health.online": "В сети",
+  "health.onlineLatency": "В сети · {ms} мс",
+  "health.offline": "Нет связи",
+  "health.offlineSince": "Нет связи с {at}",
+  "health.checking": "Проверка связи...",
+  "health.unknown": "Связь не проверяется",
+  "health.checkedAt": "Проверено {at}",
+  "health.outages": "Пропадания связи",
+  "health.outagesCount": "Записей: {count}",
+  "health.noOutages": "Пропаданий связи не было",
+  "health.ongoing": "продолжается",
+  "health.minutes": {
+    one: "{count} минута",
+    few: "{count} минуты",
+    many: "{count} минут",
+    other: "{count} минуты",
+  },
+  "health.col.start": "Начало",
+  "health.col.end": "Восстановлена",
+  "health.col.duration": "Длительность",
+  "health.col.error": "Ошибка",
+
+  // ===== история изменений =====
+  "history.title": "История изменений",
+  "history.entries": "Записей: {count}",
+  "history.empty": "Изменений пока нет",
+  "history.clearConfirm": "Очистить журнал изменений этого устройства?",
+  "history.session": "Сессия от {at}",
+  "history.current": "(текущая)",
+  "history.changes": {
+    one: "{count} изменение",
+    few: "{count} изменения",
+    many: "{count} изменений",
+    other: "{count} изменения",
+  },
+  "history.revertSession": "Откатить сессию",
+  "history.revertSessionConfirm": "Откатить все изменения этой сессии?",
+  "history.revert": "Откатить",
+  "history.reverted": "Изменения откачены (кэш)",
+  "history.revertPartial": "Откачено {done} из {total}, ошибок: {failed}",
+  "history.createdLocked": "Созданный товар нельзя откатить: удаление не поддерживается",
+  "history.newProduct": "новый товар",
+  "history.col.time": "Время",
+  "history.col.user": "Пользователь",
+  "history.col.field": "Поле",
+  "history.col.change": "Было → стало",
+  "history.col.source": "Источник",
+  "history.source.edit": "Редактирование",
+  "history.source.bulk": "Массовое изменение",
+  "history.source.import": "Импорт",
+  "history.source.revert": "Откат",
+  "history.source.upload": "Исключено при загрузке",
+  "history.source.copy": "Копирование",
+  "history.source.catalog": "Мастер-каталог",
+
+  // ===== без связи =====
+  "offline.staleTitle": "Нет связи с сервером",
+  "offline.staleDesc": "Показаны данные на {at}. Изменения отправятся, когда связь вернётся",
+  "offline.noData": "Нет связи с сервером, сохранённых данных нет",
+  "offline.queued": "Нет связи: изменение сохранено и будет отправлено позже",
+  "offline.queuedCount": {
+    one: "В очереди {count} изменение",
+    few: "В очереди {count} изменения",
+    many: "В очереди {count} изменений",
+    other: "В очереди {count} изменения",
+  },
+  "offline.synced": "Отправлено изменений, сделанных без связи: {count}",
+  "offline.problems": "Изменения без связи: конфликтов и ошибок — {count}. Проверьте страницу устройства",
+  "offline.title": "Изменения без связи",
+  "offline.sendNow": "Отправить сейчас",
+  "offline.sendError": "Не удалось отправить изменение",
+  "offline.col.time": "Сделано",
+  "offline.col.changes": "Изменения",
+  "offline.col.status": "Статус",
+  "offline.status.pending": "Ждёт отправки",
+  "offline.status.conflict": "Конфликт",
+  "offline.status.failed": "Ошибка",
+  "offline.conflictHint": "Пока не было связи, товар изменили на сервере",
+  "offline.server": "на сервере",
+  "offline.mine": "моё",
+  "offline.missingOnServer": "товара нет",
+  "offline.applyMine": "Применить моё",
+  "offline.discard": "Отменить",
+  "offline.discardConfirm": "Отменить изменение PLU {plu}? Значения на сервере останутся прежними.",
+
+  // ===== фоновые задачи =====
+  "jobs.kind.fetch": "Выгрузка с весов",
+  "jobs.kind.upload": "Загрузка в весы",
+  "jobs.status.queued": "В очереди",
+  "jobs.status.running": "Выполняется",
+  "jobs.status.done": "Готово",
+  "jobs.status.failed": "Ошибка",
+  "jobs.status.canceled": "Отменено",
+  "jobs.progress": "{done} из {total} ({percent}%)",
+  "jobs.cancel": "Отменить",
+  "jobs.canceled": "Задача отменена",
+  "jobs.lost": "Сервер больше не знает об этой задаче — проверьте данные и повторите",
+  "jobs.interrupted": "Задача прервана перезагрузкой страницы — проверьте данные и повторите",
+  "jobs.localHint": "Сервер не поддерживает фоновые задачи: не закрывайте и не перезагружайте страницу до завершения",
+
+  // ===== mock API =====
+  "mock.title": "Mock API",
+  "mock.demoUser": "Вход: {email} / {password}",
+  "mock.latency": "Задержка ответа, мс",
+  "mock.unauthorized": "Ответ 401",
+  "mock.validation": "Ответ 422 на запись",
+  "mock.deviceTimeout": "Весы не отвечают",
+  "mock.mode.off": "Выключено",
+  "mock.mode.next": "Один раз",
+  "mock.mode.all": "Всегда",
+  "mock.mode.random": "Иногда",
+  "mock.reset": "Сбросить данные",
+  "mock.resetConfirm": "Вернуть демо-устройства и товары? Все изменения в mock API пропадут.",
+  "mock.resetDone": "Данные mock API сброшены",
+};
+
+export default ru;
@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from "react";
+import { useI18n } from "../i18n";
+import { formatNumber } from "../utils/format";
+import { jobProgress } from "./deviceJobs";
+import { isLocalJobId } from "./localJobs";
+
+// Прошедшее время: 0:42, 12:05, 1:02:03
+function formatElapsed(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Строка текущей задачи в шапке устройства: что выполняется, прогресс,
+ * прошедшее время и отмена. Без известного total полоса «бегущая».
+ * Локальная задача (backend без задач) живёт только в этой вкладке — предупреждаем.
+ */
+export function DeviceJobStatus({ job, startedAt, canceling, onCancel }) {
+  const { t } = useI18n();
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const progress = jobProgress(job);
+
+  return (
+    <div className="job-status" role="status">
+      <div className="job-status-line">
+        <b>{t(`jobs.kind.${job.kind}`)}</b>
+        <span className="sub">
+          {progress === null
+            ? t(`jobs.status.${job.status}`)
+            : t("jobs.progress", {
+                done: formatNumber(job.done),
+                total: formatNumber(job.total),
+                percent: Math.floor(progress * 100),
+              })}
+        </span>
+        {startedAt ? (
+          <span className="sub job-elapsed">{formatElapsed(now - startedAt)}</span>
+        ) : null}
+        <button
+          className="btn-ghost"
+          type="button"
+          onClick={onCancel}
+          disabled={canceling || job.status === "canceled"}
+        >
+          {canceling ? "..." : t("jobs.cancel")}
+        </button>
+      </div>
+
+      <div className={`progress ${progress === null ? "progress-indeterminate" : ""}`}>
+        <div
+          className="progress-bar"
+          style={progress === null ? undefined : { width: `${progress * 100}%` }}
+        />
+      </div>
+
+      {isLocalJobId(job.id) ? <div className="sub">{t("jobs.localHint")}</div> : null}
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import { asObject, createPersistentStore, usePersistentStore } from "../utils/persistentStore";
+
+/**
+ * Текущая задача выгрузки/загрузки по устройству — в localStorage, чтобы после
+ * перезагрузки страница подхватила незавершённую задачу и продолжила опрос.
+ * { [deviceId]: { id, kind, startedAt } }, startedAt — ms по часам браузера.
+ */
+
+const STORAGE_KEY = "device_jobs";
+
+const store = createPersistentStore(STORAGE_KEY, {}, asObject);
+const readAll = store.get;
+
+function writeAll(all) {
+  try {
+    store.set(all);
+  } catch {
+    // без записи задача просто не переживёт перезагрузку
+  }
+}
+
+export function getActiveJob(deviceId, all = readAll()) {
+  return all[String(Number(deviceId))] || null;
+}
+
+export function setActiveJob(deviceId, record) {
+  writeAll({ ...readAll(), [String(Number(deviceId))]: record });
+}
+
+/**
+ * Снять задачу устройства, если она всё ещё текущая (jobId совпадает).
+ */
+export function clearActiveJob(deviceId, jobId) {
+  const id = String(Number(deviceId));
+  const all = readAll();
+  if (all[id]?.id !== jobId) return;
+
+  const next = { ...all };
+  delete next[id];
+  writeAll(next);
+}
+
+/**
+ * Хук: текущая задача устройства или null.
+ */
+export function useActiveJob(deviceId) {
+  const all = usePersistentStore(store);
+  return getActiveJob(deviceId, all);
+}
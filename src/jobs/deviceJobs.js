@@ -0,0 +1,112 @@
+import { cancelDeviceJob, getDeviceJob, startDeviceJob } from "../api/devices";
+import { t } from "../i18n";
+import { isNetworkError } from "../offline/connection";
+import { cancelLocalJob, getLocalJob, isLocalJobId, startLocalJob } from "./localJobs";
+
+/**
+ * «Выгрузить» и «Загрузить в весы» как фоновые задачи:
+ * запуск -> опрос статуса раз в JOB_POLL_MS -> done | failed | canceled.
+ * Если backend не знает /devices/{id}/jobs (404 Not Found / 405), задачи выполняются
+ * локально (localJobs.js) — интерфейс тот же, только без прогресса.
+ */
+
+export const JOB_KINDS = ["fetch", "upload"];
+export const JOB_STATUSES = ["queued", "running", "done", "failed", "canceled"];
+export const JOB_POLL_MS = 1000;
+// Сколько ошибок связи подряд терпим при опросе, прежде чем сдаться
+const MAX_POLL_ERRORS = 30;
+
+const FINISHED = new Set(["done", "failed", "canceled"]);
+
+// Запоминаем, что задач на backend нет, чтобы не спрашивать при каждом запуске
+let jobsUnsupported = false;
+
+function isMissingRoute(err) {
+  const status = err?.response?.status;
+  return status === 405 || (status === 404 && err.response.data?.detail === "Not Found");
+}
+
+/**
+ * Ответ backend -> { id, kind, status, done, total, error }.
+ * done/total = null, если прогресс неизвестен.
+ */
+export function normalizeJob(data) {
+  const done = Number(data?.done);
+  const total = Number(data?.total);
+  return {
+    id: String(data?.id ?? ""),
+    kind: JOB_KINDS.includes(data?.kind) ? data.kind : null,
+    status: JOB_STATUSES.includes(data?.status) ? data.status : "running",
+    done: data?.done != null && Number.isFinite(done) ? done : null,
+    total: Number.isFinite(total) && total > 0 ? total : null,
+    error: data?.error ? String(data.error) : "",
+  };
+}
+
+export function isJobFinished(job) {
+  return !!job && FINISHED.has(job.status);
+}
+
+/**
+ * Доля выполненного 0..1 или null, если прогресс неизвестен.
+ */
+export function jobProgress(job) {
+  if (!job?.total || job.done == null) return null;
+  return Math.min(1, Math.max(0, job.done / job.total));
+}
+
+export async function startJob(deviceId, kind) {
+  if (!jobsUnsupported) {
+    try {
+      return normalizeJob(await startDeviceJob(deviceId, kind));
+    } catch (err) {
+      if (!isMissingRoute(err)) throw err;
+      jobsUnsupported = true;
+    }
+  }
+  return startLocalJob(deviceId, kind);
+}
+
+/**
+ * Статус задачи. Задача, которую backend уже не знает (404), считается потерянной.
+ */
+export async function getJob(deviceId, jobId) {
+  if (isLocalJobId(jobId)) return getLocalJob(jobId);
+
+  try {
+    return normalizeJob(await getDeviceJob(deviceId, jobId));
+  } catch (err) {
+    if (err?.response?.status !== 404) throw err;
+    return normalizeJob({ id: jobId, status: "failed", error: t("jobs.lost") });
+  }
+}
+
+export async function cancelJob(deviceId, jobId) {
+  if (isLocalJobId(jobId)) return cancelLocalJob(jobId);
+  return normalizeJob(await cancelDeviceJob(deviceId, jobId));
+}
+
+/**
+ * Запустить задачу и дождаться завершения (групповые действия, публикация каталога).
+ * onProgress(job) вызывается после каждого опроса. Ошибка задачи — исключение с её текстом.
+ */
+export async function runDeviceJob(deviceId, kind, { onProgress } = {}) {
+  let job = await startJob(deviceId, kind);
+  let errors = 0;
+
+  while (!isJobFinished(job)) {
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_MS));
+
+    try {
+      job = await getJob(deviceId, job.id);
+      errors = 0;
+    } catch (err) {
+      // связь мигнула — задача на backend продолжается, опрашиваем дальше
+      if (!isNetworkError(err) || ++errors >= MAX_POLL_ERRORS) throw err;
+    }
+    onProgress?.(job);
+  }
+
+  if (job.status !== "done") throw new Error(job.error || t(`jobs.status.${job.status}`));
+  return job;
+}
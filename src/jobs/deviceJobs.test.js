@@ -0,0 +1,85 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { getDeviceJob, startDeviceJob } from "../api/devices";
+import { JOB_POLL_MS, jobProgress, normalizeJob, runDeviceJob } from "./deviceJobs";
+
+vi.mock("../api/devices", () => ({
+  cancelDeviceJob: vi.fn(),
+  fetchProducts: vi.fn(),
+  getDeviceJob: vi.fn(),
+  startDeviceJob: vi.fn(),
+  uploadCache: vi.fn(),
+}));
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.clearAllMocks();
+});
+
+describe("normalizeJob", () => {
+  it("keeps known values and drops unknown ones", () => {
+    expect(normalizeJob({ id: 7, kind: "upload", status: "done", done: "10", total: 10 })).toEqual({
+      id: "7",
+      kind: "upload",
+      status: "done",
+      done: 10,
+      total: 10,
+      error: "",
+    });
+    expect(normalizeJob({ id: 1, kind: "sync", status: "weird", total: 0 })).toMatchObject({
+      kind: null,
+      status: "running",
+      done: null,
+      total: null,
+    });
+  });
+});
+
+describe("jobProgress", () => {
+  it("is null without a known total and clamped to 0..1", () => {
+    expect(jobProgress({ done: 5, total: null })).toBeNull();
+    expect(jobProgress({ done: null, total: 10 })).toBeNull();
+    expect(jobProgress({ done: 5, total: 10 })).toBe(0.5);
+    expect(jobProgress({ done: 15, total: 10 })).toBe(1);
+  });
+});
+
+describe("runDeviceJob", () => {
+  it("polls until the job finishes and reports progress", async () => {
+    vi.useFakeTimers();
+    startDeviceJob.mockResolvedValue({ id: 1, kind: "fetch", status: "queued" });
+    getDeviceJob
+      .mockResolvedValueOnce({ id: 1, kind: "fetch", status: "running", done: 1, total: 2 })
+      .mockResolvedValueOnce({ id: 1, kind: "fetch", status: "done", done: 2, total: 2 });
+    const onProgress = vi.fn();
+
+    const run = runDeviceJob(1, "fetch", { onProgress });
+    await vi.advanceTimersByTimeAsync(JOB_POLL_MS * 2);
+
+    await expect(run).resolves.toMatchObject({ status: "done" });
+    expect(onProgress.mock.calls.map(([job]) => job.done)).toEqual([1, 2]);
+  });
+
+  it("rejects with the job error when it fails", async () => {
+    vi.useFakeTimers();
+    startDeviceJob.mockResolvedValue({ id: 2, kind: "upload", status: "running" });
+    getDeviceJob.mockResolvedValue({ id: 2, kind: "upload", status: "failed", error: "весы заняты" });
+
+    const run = runDeviceJob(1, "upload");
+    const assertion = expect(run).rejects.toThrow("весы заняты");
+    await vi.advanceTimersByTimeAsync(JOB_POLL_MS);
+    await assertion;
+  });
+
+  it("keeps polling through short network errors", async () => {
+    vi.useFakeTimers();
+    startDeviceJob.mockResolvedValue({ id: 3, kind: "fetch", status: "running" });
+    getDeviceJob
+      .mockRejectedValueOnce(new Error("Network Error"))
+      .mockResolvedValueOnce({ id: 3, kind: "fetch", status: "done" });
+
+    const run = runDeviceJob(1, "fetch");
+    await vi.advanceTimersByTimeAsync(JOB_POLL_MS * 2);
+
+    await expect(run).resolves.toMatchObject({ status: "done" });
+  });
+});
@@ -0,0 +1,63 @@
+import { fetchProducts, uploadCache } from "../api/devices";
+import { t } from "../i18n";
+import { extractErrorMessage } from "../utils/errors";
+
+/**
+ * Локальная замена задач для backend без /devices/{id}/jobs: задача — это прежний
+ * блокирующий запрос, но без 15-секундного CONNECTION_TIMEOUT и с отменой.
+ * - прогресс неизвестен (done/total = null);
+ * - отмена прекращает ожидание ответа, но не работу backend с весами;
+ * - задачи живут в памяти вкладки: после перезагрузки результат неизвестен.
+ */
+
+const LOCAL_PREFIX = "local-";
+// Сколько ждём блокирующий ответ — с запасом для больших каталогов
+export const LOCAL_JOB_TIMEOUT_MS = 10 * 60 * 1000;
+
+const jobs = new Map(); // id -> { job, controller }
+
+export function isLocalJobId(id) {
+  return String(id).startsWith(LOCAL_PREFIX);
+}
+
+export function startLocalJob(deviceId, kind) {
+  const id = `${LOCAL_PREFIX}${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  const controller = new AbortController();
+  const entry = {
+    controller,
+    job: { id, kind, status: "running", done: null, total: null, error: "" },
+  };
+  jobs.set(id, entry);
+
+  const config = { signal: controller.signal, timeout: LOCAL_JOB_TIMEOUT_MS };
+  const request = kind === "fetch" ? fetchProducts(deviceId, config) : uploadCache(deviceId, config);
+
+  request.then(
+    () => {
+      entry.job = { ...entry.job, status: "done" };
+    },
+    (err) => {
+      entry.job = controller.signal.aborted
+        ? { ...entry.job, status: "canceled" }
+        : { ...entry.job, status: "failed", error: extractErrorMessage(err).message };
+    }
+  );
+
+  return { ...entry.job };
+}
+
+/**
+ * Статус локальной задачи. Неизвестный id — задача из вкладки до перезагрузки.
+ */
+export function getLocalJob(id) {
+  const entry = jobs.get(id);
+  if (!entry) {
+    return { id, kind: null, status: "failed", done: null, total: null, error: t("jobs.interrupted") };
+  }
+  return { ...entry.job };
+}
+
+export function cancelLocalJob(id) {
+  jobs.get(id)?.controller.abort();
+  return getLocalJob(id);
+}
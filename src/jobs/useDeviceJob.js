@@ -0,0 +1,76 @@
+import { useEffect, useRef, useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { qk } from "../query/keys";
+import { clearActiveJob, setActiveJob, useActiveJob } from "./activeJobs";
+import { JOB_POLL_MS, cancelJob, getJob, isJobFinished, startJob } from "./deviceJobs";
+
+/**
+ * Хук страницы устройства: текущая задача выгрузки/загрузки.
+ * - задача запоминается в activeJobs и после перезагрузки подхватывается снова;
+ * - статус опрашивается раз в JOB_POLL_MS, пока задача не завершится;
+ * - onFinished(job) вызывается один раз на задачу (done | failed | canceled),
+ *   onError(err) — если не удалось запустить или отменить.
+ *
+ * Возвращает { job, startedAt, start(kind), cancel(), starting, canceling }.
+ */
+export function useDeviceJob(deviceId, { onFinished, onError } = {}) {
+  const qc = useQueryClient();
+  const record = useActiveJob(deviceId);
+  const [starting, setStarting] = useState(false);
+  const [canceling, setCanceling] = useState(false);
+
+  // актуальные колбэки без перезапуска эффектов
+  const callbacksRef = useRef({ onFinished, onError });
+  useEffect(() => {
+    callbacksRef.current = { onFinished, onError };
+  });
+
+  const jobQ = useQuery({
+    queryKey: qk.deviceJob(deviceId, record?.id),
+    queryFn: () => getJob(deviceId, record.id),
+    enabled: !!record,
+    refetchInterval: (query) => (isJobFinished(query.state.data) ? false : JOB_POLL_MS),
+  });
+
+  // Задача завершилась: снимаем её и сообщаем странице (в StrictMode эффект срабатывает дважды)
+  const handledRef = useRef(null);
+  useEffect(() => {
+    if (!record || !isJobFinished(jobQ.data) || handledRef.current === record.id) return;
+    handledRef.current = record.id;
+
+    clearActiveJob(deviceId, record.id);
+    qc.removeQueries({ queryKey: qk.deviceJob(deviceId, record.id) });
+    callbacksRef.current.onFinished?.({ ...jobQ.data, kind: record.kind });
+  }, [deviceId, record, jobQ.data, qc]);
+
+  async function start(kind) {
+    setStarting(true);
+    try {
+      const job = await startJob(deviceId, kind);
+      qc.setQueryData(qk.deviceJob(deviceId, job.id), job);
+      setActiveJob(deviceId, { id: job.id, kind, startedAt: Date.now() });
+    } catch (err) {
+      callbacksRef.current.onError?.(err, kind);
+    } finally {
+      setStarting(false);
+    }
+  }
+
+  async function cancel() {
+    if (!record) return;
+    setCanceling(true);
+    try {
+      qc.setQueryData(qk.deviceJob(deviceId, record.id), await cancelJob(deviceId, record.id));
+    } catch (err) {
+      callbacksRef.current.onError?.(err, record.kind);
+    } finally {
+      setCanceling(false);
+    }
+  }
+
+  const job = record
+    ? { status: "queued", done: null, total: null, error: "", ...jobQ.data, kind: record.kind }
+    : null;
+
+  return { job, startedAt: record?.startedAt ?? null, start, cancel, starting, canceling };
+}
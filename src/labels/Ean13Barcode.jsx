@@ -0,0 +1,68 @@
+import React from "react";
+import { encodeEan13 } from "./ean13";
+
+// Поля по краям (в модулях) — чтобы сканер видел начало и конец кода
+const QUIET = 9;
+const BAR_HEIGHT = 50;
+const GUARD_EXTRA = 5;
+const TEXT_SIZE = 9;
+
+// Модули защитных штрихов (начало, середина, конец) тянутся ниже остальных
+function isGuard(i) {
+  return i < 3 || (i >= 45 && i < 50) || i >= 92;
+}
+
+/**
+ * EAN-13 в SVG. Размер задаётся снаружи через width/height — масштабируется без потерь.
+ */
+export function Ean13Barcode({ code, className = "" }) {
+  const bits = encodeEan13(code);
+  const width = QUIET * 2 + bits.length;
+  const height = BAR_HEIGHT + TEXT_SIZE + 2;
+
+  // соседние «1» объединяем в один прямоугольник
+  const bars = [];
+  for (let i = 0; i < bits.length; i++) {
+    if (bits[i] !== "1") continue;
+    let w = 1;
+    while (bits[i + w] === "1" && isGuard(i + w) === isGuard(i)) w++;
+    bars.push({ x: QUIET + i, w, guard: isGuard(i) });
+    i += w - 1;
+  }
+
+  // цифры стоят под обычными штрихами, между удлинёнными защитными
+  const textY = BAR_HEIGHT + TEXT_SIZE;
+
+  return (
+    <svg
+      className={className}
+      viewBox={`0 0 ${width} ${height}`}
+      shapeRendering="crispEdges"
+      role="img"
+      aria-label={code}
+    >
+      <rect x="0" y="0" width={width} height={height} fill="#fff" />
+      {bars.map((b) => (
+        <rect
+          key={b.x}
+          x={b.x}
+          y="0"
+          width={b.w}
+          height={b.guard ? BAR_HEIGHT + GUARD_EXTRA : BAR_HEIGHT}
+          fill="#000"
+        />
+      ))}
+      <g fontFamily="monospace" fontSize={TEXT_SIZE} textAnchor="middle" fill="#000">
+        <text x={QUIET - 4} y={textY}>
+          {code[0]}
+        </text>
+        <text x={QUIET + 3 + 21} y={textY} textLength="38">
+          {code.slice(1, 7)}
+        </text>
+        <text x={QUIET + 50 + 21} y={textY} textLength="38">
+          {code.slice(7)}
+        </text>
+      </g>
+    </svg>
+  );
+}
@@ -0,0 +1,113 @@
+import React, { useRef } from "react";
+import { useI18n } from "../i18n";
+import { formatNumber, formatPrice, formatProductDate } from "../utils/format";
+import { toNum } from "../devices/productUtils";
+import { Ean13Barcode } from "./Ean13Barcode";
+import { WEIGHT_PREFIX_LENGTH, weightBarcode } from "./ean13";
+import { saveLabelSettings, useLabelSettings } from "./labelSettings";
+import { printLabel } from "./printLabel";
+
+function parseWeightKg(raw) {
+  const n = Number(String(raw ?? "").trim().replace(",", "."));
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+/**
+ * Превью ценника весового товара по значениям формы (обновляется при вводе).
+ * values — { plu, name, price, shelfLife, manufactureDate, sellByDate } как в форме редактирования.
+ * Вес на этикетке тестовый: настоящий подставляют весы при взвешивании.
+ */
+export function LabelPreview({ deviceId, values }) {
+  const { t } = useI18n();
+  const labelRef = useRef(null);
+  const settings = useLabelSettings(deviceId);
+
+  const weightKg = parseWeightKg(settings.testWeight);
+  const price = toNum(String(values.price ?? "").replace(",", "."), 0);
+  const { code, error } = weightBarcode({
+    prefix: settings.prefix,
+    plu: values.plu,
+    weightGrams: weightKg * 1000,
+  });
+
+  const name = String(values.name || "").trim() || t("product.noName");
+
+  return (
+    <div className="label-preview">
+      <div className="label-preview-controls">
+        <div className="field">
+          <div className="label">{t("label.prefix")}</div>
+          <input
+            className="input"
+            value={settings.prefix}
+            inputMode="numeric"
+            maxLength={WEIGHT_PREFIX_LENGTH}
+            onChange={(e) =>
+              saveLabelSettings(deviceId, { prefix: e.target.value.replace(/\D/g, "") })
+            }
+          />
+        </div>
+        <div className="field">
+          <div className="label">{t("label.testWeight")}</div>
+          <input
+            className="input"
+            value={settings.testWeight}
+            inputMode="decimal"
+            onChange={(e) => saveLabelSettings(deviceId, { testWeight: e.target.value })}
+          />
+        </div>
+        <button
+          className="btn"
+          type="button"
+          disabled={!!error}
+          onClick={() => printLabel(labelRef.current, name)}
+        >
+          {t("label.print")}
+        </button>
+      </div>
+
+      <div ref={labelRef} className="shelf-label">
+        <div className="shelf-label-name">{name}</div>
+
+        <div className="shelf-label-prices">
+          <div>
+            <div className="shelf-label-key">{t("label.pricePerKg")}</div>
+            <div className="shelf-label-val">{formatPrice(price)}</div>
+          </div>
+          <div>
+            <div className="shelf-label-key">{t("label.weight")}</div>
+            <div className="shelf-label-val">
+              {Number.isNaN(weightKg)
+                ? "—"
+                : formatNumber(weightKg, { minimumFractionDigits: 3, maximumFractionDigits: 3 })}
+            </div>
+          </div>
+          <div>
+            <div className="shelf-label-key">{t("label.total")}</div>
+            <div className="shelf-label-val shelf-label-total">
+              {Number.isNaN(weightKg) ? "—" : formatPrice(price * weightKg)}
+            </div>
+          </div>
+        </div>
+
+        <div className="shelf-label-dates">
+          <span>
+            {t("label.made")}: {formatProductDate(values.manufactureDate)}
+          </span>
+          <span>
+            {t("label.sellBy")}: {formatProductDate(values.sellByDate)}
+          </span>
+          <span>{t("label.shelfLife", { days: toNum(values.shelfLife, 0) })}</span>
+        </div>
+
+        {code ? (
+          <Ean13Barcode code={code} className="shelf-label-barcode" />
+        ) : (
+          <div className="shelf-label-barcode-error">{error}</div>
+        )}
+      </div>
+
+      <div className="help">{t("label.hint")}</div>
+    </div>
+  );
+}
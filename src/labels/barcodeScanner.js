@@ -0,0 +1,114 @@
+import { useEffect, useRef } from "react";
+import { WEIGHT_PLU_LENGTH, WEIGHT_PREFIX_LENGTH, ean13CheckDigit } from "./ean13";
+
+/**
+ * Сканер штрихкодов в режиме клавиатуры (keyboard wedge): код «печатается»
+ * очередью нажатий с интервалом в единицы миллисекунд и завершается Enter.
+ * - человек так быстро не печатает — по интервалу сканер и отличаем;
+ * - нажатия в полях ввода не трогаем: там сканер работает как обычная клавиатура;
+ * - Enter, завершивший скан, гасим, чтобы он не «нажал» кнопку или карточку в фокусе.
+ */
+
+// Максимальная пауза между символами одного скана
+export const SCAN_MAX_GAP_MS = 50;
+// «Голый» PLU: от 1 до 6 цифр. Короткий скан от случайного нажатия отличает
+// интервал (Enter сразу за цифрой), а не длина — иначе PLU 1..99 не отсканировать.
+export const SCAN_MIN_LENGTH = 1;
+export const PLAIN_PLU_MAX_LENGTH = 6;
+
+const PLAIN_PLU_RE = new RegExp(`^\\d{${SCAN_MIN_LENGTH},${PLAIN_PLU_MAX_LENGTH}}$`);
+
+function isEditable(el) {
+  if (!el || !(el instanceof Element)) return false;
+  if (el.isContentEditable) return true;
+  return !!el.closest("input, textarea, select, [contenteditable='true']");
+}
+
+/**
+ * Отсканированная строка -> { plu } | null.
+ * Понимает весовой EAN-13 с префиксом устройства (префикс + PLU + вес + контрольная цифра)
+ * и «голый» PLU (SCAN_MIN_LENGTH..PLAIN_PLU_MAX_LENGTH цифр).
+ */
+export function decodeScannedCode(raw, { prefix }) {
+  const code = String(raw || "").trim();
+
+  if (/^\d{13}$/.test(code)) {
+    if (ean13CheckDigit(code.slice(0, 12)) !== Number(code[12])) return null;
+    if (code.slice(0, WEIGHT_PREFIX_LENGTH) !== String(prefix)) return null;
+
+    const plu = Number(code.slice(WEIGHT_PREFIX_LENGTH, WEIGHT_PREFIX_LENGTH + WEIGHT_PLU_LENGTH));
+    return plu > 0 ? { plu } : null;
+  }
+
+  if (PLAIN_PLU_RE.test(code)) {
+    const plu = Number(code);
+    return plu > 0 ? { plu } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Накопление нажатий одного скана. push(key, now) возвращает код, когда
+ * скан завершён Enter, иначе null. Пауза больше SCAN_MAX_GAP_MS начинает скан заново.
+ */
+export function createScanBuffer() {
+  let buffer = "";
+  let lastAt = 0;
+
+  return {
+    push(key, now) {
+      if (now - lastAt > SCAN_MAX_GAP_MS) buffer = "";
+      lastAt = now;
+
+      if (key === "Enter") {
+        const code = buffer;
+        buffer = "";
+        return code.length >= SCAN_MIN_LENGTH ? code : null;
+      }
+
+      if (key.length === 1) buffer += key;
+      else if (key !== "Shift") buffer = "";
+      return null;
+    },
+    reset() {
+      buffer = "";
+    },
+  };
+}
+
+/**
+ * Хук: глобальный слушатель сканера. onScan(code) получает строку без Enter.
+ * enabled === false — слушатель снят (например, пока открыто модальное окно).
+ */
+export function useBarcodeScanner(onScan, { enabled = true } = {}) {
+  // актуальный колбэк без переподписки на каждый рендер
+  const onScanRef = useRef(onScan);
+  useEffect(() => {
+    onScanRef.current = onScan;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const scanner = createScanBuffer();
+
+    function onKeyDown(e) {
+      if (e.ctrlKey || e.altKey || e.metaKey || isEditable(e.target)) {
+        scanner.reset();
+        return;
+      }
+
+      const code = scanner.push(e.key, e.timeStamp || performance.now());
+      if (code !== null) {
+        e.preventDefault();
+        e.stopPropagation();
+        onScanRef.current(code);
+      }
+    }
+
+    // capture — раньше обработчиков карточек и кнопок в фокусе
+    window.addEventListener("keydown", onKeyDown, true);
+    return () => window.removeEventListener("keydown", onKeyDown, true);
+  }, [enabled]);
+}
@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { SCAN_MAX_GAP_MS, createScanBuffer, decodeScannedCode } from "./barcodeScanner";
+
+// Нажатия подряд с интервалом gap, начиная с момента start
+function scan(buffer, keys, { start = 1000, gap = 5 } = {}) {
+  let result = null;
+  keys.forEach((key, i) => {
+    result = buffer.push(key, start + i * gap);
+  });
+  return result;
+}
+
+describe("barcode scanner", () => {
+  it("scans and decodes one- and two-digit PLUs", () => {
+    expect(scan(createScanBuffer(), ["7", "Enter"])).toBe("7");
+    expect(scan(createScanBuffer(), ["4", "2", "Enter"])).toBe("42");
+
+    expect(decodeScannedCode("7", { prefix: "21" })).toEqual({ plu: 7 });
+    expect(decodeScannedCode("42", { prefix: "21" })).toEqual({ plu: 42 });
+  });
+
+  it("ignores slow typing", () => {
+    expect(scan(createScanBuffer(), ["7", "Enter"], { gap: SCAN_MAX_GAP_MS + 1 })).toBe(null);
+  });
+
+  it("rejects plain codes longer than a PLU", () => {
+    expect(decodeScannedCode("1234567", { prefix: "21" })).toBe(null);
+  });
+});
@@ -0,0 +1,80 @@
+import { t } from "../i18n";
+
+/**
+ * EAN-13 для весового товара: префикс (2 цифры) + PLU (5) + вес в граммах (5) + контрольная цифра.
+ * Так кодируют этикетки весы: префикс 20–29 зарезервирован под внутренние коды магазина.
+ */
+
+export const WEIGHT_PREFIX_LENGTH = 2;
+export const WEIGHT_PLU_LENGTH = 5;
+export const WEIGHT_VALUE_LENGTH = 5;
+export const MAX_WEIGHT_GRAMS = 10 ** WEIGHT_VALUE_LENGTH - 1;
+
+// Наборы L (нечётные), G (чётные) и R для цифр 0–9
+const L_CODES = [
+  "0001101", "0011001", "0010011", "0111101", "0100011",
+  "0110001", "0101111", "0111011", "0110111", "0001011",
+];
+const R_CODES = L_CODES.map((c) => [...c].map((b) => (b === "1" ? "0" : "1")).join(""));
+const G_CODES = R_CODES.map((c) => [...c].reverse().join(""));
+
+// Первая цифра кодируется чередованием наборов L/G в левой половине
+const PARITY = [
+  "LLLLLL", "LLGLGG", "LLGGLG", "LLGGGL", "LGLLGG",
+  "LGGLLG", "LGGGLL", "LGLGLG", "LGLGGL", "LGGLGL",
+];
+
+/**
+ * Контрольная цифра по первым 12 цифрам.
+ */
+export function ean13CheckDigit(digits12) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(digits12[i]) * (i % 2 ? 3 : 1);
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * 13 цифр -> 95 модулей ("1" — штрих, "0" — пробел).
+ */
+export function encodeEan13(code) {
+  const digits = [...code].map(Number);
+  const parity = PARITY[digits[0]];
+
+  let bits = "101";
+  for (let i = 1; i <= 6; i++) {
+    bits += (parity[i - 1] === "L" ? L_CODES : G_CODES)[digits[i]];
+  }
+  bits += "01010";
+  for (let i = 7; i <= 12; i++) bits += R_CODES[digits[i]];
+  bits += "101";
+
+  return bits;
+}
+
+/**
+ * Код весового товара. Результат: { code, error } — code === "" при ошибке.
+ */
+export function weightBarcode({ prefix, plu, weightGrams }) {
+  const p = String(prefix ?? "").trim();
+  const pluStr = String(plu ?? "").trim();
+  const grams = Math.round(Number(weightGrams));
+
+  if (!new RegExp(`^\\d{${WEIGHT_PREFIX_LENGTH}}$`).test(p)) {
+    return { code: "", error: t("label.err.prefix", { length: WEIGHT_PREFIX_LENGTH }) };
+  }
+  if (!/^\d+$/.test(pluStr) || pluStr.length > WEIGHT_PLU_LENGTH) {
+    return { code: "", error: t("label.err.plu", { length: WEIGHT_PLU_LENGTH }) };
+  }
+  if (!Number.isFinite(grams) || grams < 0 || grams > MAX_WEIGHT_GRAMS) {
+    return { code: "", error: t("label.err.weight", { max: MAX_WEIGHT_GRAMS / 1000 }) };
+  }
+
+  const digits12 =
+    p +
+    pluStr.padStart(WEIGHT_PLU_LENGTH, "0") +
+    String(grams).padStart(WEIGHT_VALUE_LENGTH, "0");
+
+  return { code: digits12 + ean13CheckDigit(digits12), error: "" };
+}
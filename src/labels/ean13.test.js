@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { ean13CheckDigit, encodeEan13, weightBarcode } from "./ean13";
+
+describe("ean13CheckDigit", () => {
+  it("matches known codes", () => {
+    expect(ean13CheckDigit("400638133393")).toBe(1);
+    expect(ean13CheckDigit("590123412345")).toBe(7);
+    expect(ean13CheckDigit("200000000000")).toBe(8);
+  });
+});
+
+describe("encodeEan13", () => {
+  it("wraps 95 modules in start, centre and end guards", () => {
+    const bits = encodeEan13("5901234123457");
+
+    expect(bits).toHaveLength(95);
+    expect(bits.slice(0, 3)).toBe("101");
+    expect(bits.slice(45, 50)).toBe("01010");
+    expect(bits.slice(92)).toBe("101");
+  });
+
+  it("encodes the first digit through the L/G parity of the left half", () => {
+    // 5 -> LGGLLG: 9 в наборе L, 0 и 1 — в наборе G
+    const bits = encodeEan13("5901234123457");
+
+    expect(bits.slice(3, 10)).toBe("0001011");
+    expect(bits.slice(10, 17)).toBe("0100111");
+    expect(bits.slice(17, 24)).toBe("0110011");
+    // правая половина всегда в наборе R: последняя цифра 7
+    expect(bits.slice(85, 92)).toBe("1000100");
+  });
+});
+
+describe("weightBarcode", () => {
+  it("builds prefix + PLU + grams + check digit", () => {
+    expect(weightBarcode({ prefix: "21", plu: 42, weightGrams: 1234.4 })).toEqual({
+      code: "2100042012349",
+      error: "",
+    });
+  });
+
+  it("rejects a PLU longer than five digits and weights over the limit", () => {
+    expect(weightBarcode({ prefix: "21", plu: 123456, weightGrams: 1 }).code).toBe("");
+    expect(weightBarcode({ prefix: "21", plu: 1, weightGrams: 100000 }).code).toBe("");
+  });
+});
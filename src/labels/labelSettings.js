@@ -0,0 +1,39 @@
+import { asObject, createPersistentStore, usePersistentStore } from "../utils/persistentStore";
+
+/**
+ * Настройки этикетки по устройству: префикс весового штрихкода и тестовый вес.
+ * Backend этих полей не хранит — localStorage: { [deviceId]: { prefix, testWeight } }.
+ */
+
+const STORAGE_KEY = "label_settings";
+
+export const DEFAULT_LABEL_SETTINGS = { prefix: "21", testWeight: "1.000" };
+
+const store = createPersistentStore(STORAGE_KEY, {}, asObject);
+
+/**
+ * Настройки этикетки устройства (недостающие поля — по умолчанию).
+ */
+export function getLabelSettings(deviceId, all = store.get()) {
+  return { ...DEFAULT_LABEL_SETTINGS, ...all[String(Number(deviceId))] };
+}
+
+export function saveLabelSettings(deviceId, patch) {
+  const id = String(Number(deviceId));
+  const all = store.get();
+  const next = { ...all, [id]: { ...getLabelSettings(id, all), ...patch } };
+
+  try {
+    store.set(next);
+  } catch {
+    // настройка вспомогательная: без записи просто не переживёт перезагрузку
+  }
+}
+
+/**
+ * Хук: настройки этикетки устройства.
+ */
+export function useLabelSettings(deviceId) {
+  const all = usePersistentStore(store);
+  return getLabelSettings(deviceId, all);
+}
@@ -0,0 +1,50 @@
+/**
+ * Печать тестовой этикетки: разметка уходит в скрытый iframe вместе со стилями
+ * приложения, чтобы на печать не попали страница и модальное окно.
+ * Размер страницы — как у этикетки (LABEL_WIDTH_MM x LABEL_HEIGHT_MM).
+ */
+
+export const LABEL_WIDTH_MM = 58;
+export const LABEL_HEIGHT_MM = 40;
+
+export function printLabel(node, title = "") {
+  const frame = document.createElement("iframe");
+  frame.setAttribute("aria-hidden", "true");
+  frame.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0;";
+  document.body.appendChild(frame);
+
+  const doc = frame.contentDocument;
+  const styles = [...document.querySelectorAll('style, link[rel="stylesheet"]')]
+    .map((el) => el.outerHTML)
+    .join("\n");
+
+  doc.open();
+  doc.write(`<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title></title>
+${styles}
+<style>
+  @page { size: ${LABEL_WIDTH_MM}mm ${LABEL_HEIGHT_MM}mm; margin: 0; }
+  html, body { height: auto; margin: 0; padding: 0; background: #fff; color: #000; }
+  .shelf-label { box-shadow: none; border: 0; border-radius: 0; }
+</style>
+</head>
+<body>${node.outerHTML}</body>
+</html>`);
+  doc.close();
+  doc.title = title;
+
+  const win = frame.contentWindow;
+  const cleanup = () => setTimeout(() => frame.remove(), 0);
+  win.addEventListener("afterprint", cleanup);
+
+  // стили из <link> должны загрузиться до печати
+  const print = () => {
+    win.focus();
+    win.print();
+  };
+  if (doc.readyState === "complete") setTimeout(print, 50);
+  else win.addEventListener("load", print);
+}
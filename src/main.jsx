@@ -3,21 +3,32 @@ import ReactDOM from "react-dom/client";
 import { BrowserRouter } from "react-router-dom";
 import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
 import App from "./App";
+import { NotificationProvider } from "./components/NotificationProvider";
+import { persistQueryCache, restoreQueryCache } from "./offline/queryPersist";
 import "./index.css";
 
 const queryClient = new QueryClient({
   defaultOptions: {
     queries: { refetchOnWindowFocus: false, retry: 0 },
-    mutations: { retry: 0 },
+    // Без сети мутации не ставятся на паузу: изменения товаров уходят в офлайн-очередь
+    mutations: { retry: 0, networkMode: "always" },
   },
 });
 
-ReactDOM.createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <QueryClientProvider client={queryClient}>
-      <BrowserRouter>
-        <App />
-      </BrowserRouter>
-    </QueryClientProvider>
-  </React.StrictMode>
-);
+// Последние известные данные из IndexedDB — до первого рендера (но не дольше
+// RESTORE_TIMEOUT_MS), чтобы без связи страница сразу показала их, а не ошибку.
+restoreQueryCache(queryClient).finally(() => {
+  persistQueryCache(queryClient);
+
+  ReactDOM.createRoot(document.getElementById("root")).render(
+    <React.StrictMode>
+      <QueryClientProvider client={queryClient}>
+        <BrowserRouter>
+          <NotificationProvider>
+            <App />
+          </NotificationProvider>
+        </BrowserRouter>
+      </QueryClientProvider>
+    </React.StrictMode>
+  );
+});
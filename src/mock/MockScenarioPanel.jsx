@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { useNotify } from "../components/notify";
+import { useI18n } from "../i18n";
+import { MOCK_DEMO_USER, resetMockDb } from "./mockDb";
+import {
+  DEVICE_TIMEOUT_MODES,
+  MOCK_MAX_LATENCY_MS,
+  SCENARIO_ONCE_MODES,
+  setMockScenarios,
+  useMockScenarios,
+} from "./scenarios";
+
+/**
+ * Плавающая панель сценариев mock API (только при VITE_MOCK_API=1):
+ * задержка, 401, 422, «весы не отвечают» и сброс демо-данных.
+ */
+export function MockScenarioPanel() {
+  const qc = useQueryClient();
+  const show = useNotify();
+  const { t } = useI18n();
+  const scenarios = useMockScenarios();
+  const [open, setOpen] = useState(false);
+
+  function modeSelect(key, modes) {
+    return (
+      <div className="field">
+        <div className="label">{t(`mock.${key}`)}</div>
+        <select
+          className="select"
+          value={scenarios[key]}
+          onChange={(e) => setMockScenarios({ [key]: e.target.value })}
+        >
+          {modes.map((m) => (
+            <option key={m} value={m}>
+              {t(`mock.mode.${m}`)}
+            </option>
+          ))}
+        </select>
+      </div>
+    );
+  }
+
+  function reset() {
+    if (!window.confirm(t("mock.resetConfirm"))) return;
+    resetMockDb();
+    qc.invalidateQueries();
+    show(t("mock.resetDone"), "success");
+  }
+
+  const active =
+    scenarios.unauthorized !== "off" ||
+    scenarios.validation !== "off" ||
+    scenarios.deviceTimeout !== "off";
+
+  return (
+    <div className={`mock-panel ${open ? "open" : ""}`}>
+      <button
+        className={`mock-panel-toggle ${active ? "active" : ""}`}
+        type="button"
+        aria-expanded={open ? "true" : "false"}
+        onClick={() => setOpen((v) => !v)}
+      >
+        {t("mock.title")}
+      </button>
+
+      {open ? (
+        <div className="mock-panel-body">
+          <div className="sub">
+            {t("mock.demoUser", MOCK_DEMO_USER)}
+          </div>
+
+          <div className="field">
+            <div className="label">{t("mock.latency")}</div>
+            <input
+              className="input"
+              type="number"
+              min="0"
+              max={MOCK_MAX_LATENCY_MS}
+              step="100"
+              value={scenarios.latencyMs}
+              onChange={(e) =>
+                setMockScenarios({
+                  latencyMs: Math.min(Math.max(0, Number(e.target.value) || 0), MOCK_MAX_LATENCY_MS),
+                })
+              }
+            />
+          </div>
+
+          {modeSelect("unauthorized", SCENARIO_ONCE_MODES)}
+          {modeSelect("validation", SCENARIO_ONCE_MODES)}
+          {modeSelect("deviceTimeout", DEVICE_TIMEOUT_MODES)}
+
+          <button className="btn-warn" type="button" onClick={reset}>
+            {t("mock.reset")}
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
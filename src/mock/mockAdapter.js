@@ -0,0 +1,140 @@
+import { AxiosError, CanceledError } from "axios";
+import {
+  MOCK_DEVICE_TIMEOUT_MS,
+  getMockScenarios,
+  rollDeviceTimeout,
+  takeScenario,
+} from "./scenarios";
+import {
+  DEVICE_TIMEOUT_DETAIL,
+  matchMockRoute,
+  userFromAuthHeader,
+  validationError,
+} from "./mockRoutes";
+
+/**
+ * Axios adapter mock API (VITE_MOCK_API=1, см. api/http.js): запросы не уходят в сеть,
+ * а обрабатываются в браузере (mockRoutes.js). Interceptors http-клиента работают как обычно:
+ * токен добавляется, на 401 срабатывает SessionManager, состояние связи обновляется.
+ *
+ * Порядок обработки: задержка -> сценарий 401 -> сценарий 422 -> сценарий «весы не отвечают»
+ * -> обработчик. Таймаут запроса (config.timeout) и отмена (config.signal) соблюдаются.
+ */
+
+const WRITE_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+// deadline — момент, когда истекает config.timeout всего запроса (Infinity — без таймаута)
+function wait(ms, config, deadline) {
+  return new Promise((resolve, reject) => {
+    const { signal, timeout } = config;
+    if (signal?.aborted) {
+      reject(new CanceledError(null, config));
+      return;
+    }
+
+    const left = deadline - Date.now();
+    const timedOut = ms > left;
+    const timer = setTimeout(
+      () => {
+        signal?.removeEventListener("abort", onAbort);
+        if (!timedOut) {
+          resolve();
+          return;
+        }
+        reject(
+          new AxiosError(`timeout of ${timeout}ms exceeded`, AxiosError.ECONNABORTED, config)
+        );
+      },
+      timedOut ? Math.max(0, left) : ms
+    );
+
+    function onAbort() {
+      clearTimeout(timer);
+      reject(new CanceledError(null, config));
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function parseBody(data) {
+  if (data == null || data === "") return null;
+  if (data instanceof URLSearchParams) return Object.fromEntries(data);
+  if (typeof data !== "string") return data;
+
+  try {
+    return JSON.parse(data);
+  } catch {
+    return Object.fromEntries(new URLSearchParams(data));
+  }
+}
+
+function jitter(ms) {
+  return Math.round(ms * (0.75 + Math.random() * 0.5));
+}
+
+// Сценарий 422: ошибка на первое поле тела запроса
+function scenarioValidationError(body) {
+  const [key = "body"] = Object.keys(body || {});
+  const inner = body?.[key] && typeof body[key] === "object" ? Object.keys(body[key])[0] : null;
+  const loc = inner ? ["body", key, inner] : ["body", key];
+  const input = inner ? body[key][inner] : body?.[key];
+  return validationError(loc, "Mock scenario: value is not valid", input);
+}
+
+async function handle(config) {
+  const method = String(config.method || "get").toUpperCase();
+  const path = String(config.url || "").split("?")[0];
+  const body = parseBody(config.data);
+  const scenarios = getMockScenarios();
+  const deadline = config.timeout > 0 ? Date.now() + Number(config.timeout) : Infinity;
+
+  await wait(jitter(Number(scenarios.latencyMs) || 0), config, deadline);
+
+  const route = matchMockRoute(method, path);
+  if (!route) return { status: 404, data: { detail: "Not Found" } };
+
+  let user = null;
+  if (route.auth) {
+    user = userFromAuthHeader(config.headers?.get?.("Authorization"));
+    if (!user || takeScenario("unauthorized")) {
+      return { status: 401, data: { detail: "Not authenticated" } };
+    }
+    if (WRITE_METHODS.has(method) && takeScenario("validation")) {
+      return scenarioValidationError(body);
+    }
+  }
+
+  if (route.device && rollDeviceTimeout()) {
+    await wait(MOCK_DEVICE_TIMEOUT_MS, config, deadline);
+    return { status: 504, data: { detail: DEVICE_TIMEOUT_DETAIL } };
+  }
+
+  const result = route.handler({ method, body, user, params: route.params });
+  if (result.delayMs) await wait(result.delayMs, config, deadline);
+  return result;
+}
+
+export async function mockAdapter(config) {
+  const { status, data } = await handle(config);
+
+  // Ответ не должен делить объекты с данными mock: их правят страницы и кэш React Query
+  const response = {
+    data: data == null ? data : JSON.parse(JSON.stringify(data)),
+    status,
+    statusText: String(status),
+    headers: {},
+    config,
+    request: null,
+  };
+
+  const validate = config.validateStatus;
+  if (!validate || validate(status)) return response;
+
+  throw new AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response
+  );
+}
@@ -0,0 +1,132 @@
+import { formatDDMMYY } from "../devices/productUtils";
+
+/**
+ * Данные mock API: пользователи, устройства, кэш товаров на «сервере», содержимое «весов»
+ * настройки автообновления и фоновые задачи обмена с весами. Живут в памяти и сохраняются в localStorage,
+ * чтобы переживать перезагрузку страницы; resetMockDb() возвращает демо-данные.
+ *
+ * Структура:
+ * { users: [{ email, password }], nextDeviceId, devices: [device],
+ *   cache: { [deviceId]: [product] }, scales: { [deviceId]: [product] },
+ *   auto: { [deviceId]: autoUpdate }, nextJobId, jobs: { [jobId]: job } }
+ */
+
+// Версия в ключе меняется вместе со структурой: данные старой структуры
+// (v1 — без jobs) не читаются, и mock стартует с демо-данных
+const STORAGE_KEY = "mock_api_db_v2";
+
+export const MOCK_DEMO_USER = { email: "demo@example.com", password: "demo1234" };
+
+const DEMO_NAMES = [
+  "Говядина вырезка",
+  "Свинина шея",
+  "Куриное филе",
+  "Фарш домашний",
+  "Сыр Российский",
+  "Сыр Гауда",
+  "Колбаса докторская",
+  "Ветчина",
+  "Яблоки Голден",
+  "Бананы",
+  "Томаты",
+  "Огурцы",
+  "Картофель",
+  "Морковь",
+  "Лук репчатый",
+  "Конфеты весовые",
+  "Печенье овсяное",
+  "Орехи грецкие",
+  "Сельдь слабосолёная",
+  "Скумбрия копчёная",
+];
+
+function dayOffset(days) {
+  const now = new Date();
+  return formatDDMMYY(
+    new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + days))
+  );
+}
+
+// Детерминированные демо-товары: часть просрочена, часть скоро истекает, часть без дат
+function demoProducts(count, seed) {
+  const list = [];
+  for (let i = 0; i < count; i++) {
+    const n = i + seed;
+    const shelfLife = 2 + (n % 12);
+    const made = -(n % 9);
+    const name = DEMO_NAMES[n % DEMO_NAMES.length];
+
+    list.push({
+      pluNumber: i + 1,
+      name: count > DEMO_NAMES.length ? `${name} ${Math.floor(i / DEMO_NAMES.length) + 1}` : name,
+      price: Math.round((79 + ((n * 37) % 900)) * 100) / 100,
+      shelfLife,
+      manufactureDate: n % 11 === 0 ? "" : dayOffset(made),
+      sellByDate: n % 11 === 0 ? "" : dayOffset(made + shelfLife - (n % 5 === 0 ? 12 : 0)),
+    });
+  }
+  return list;
+}
+
+function device(id, name, ip, description) {
+  return {
+    id,
+    name,
+    description,
+    ip,
+    port: 1111,
+    protocol: "TCP",
+    password: "1234",
+    cached_dirty: false,
+  };
+}
+
+function seed() {
+  const devices = [
+    device(1, "Мясной отдел", "192.168.1.21", "Магазин №1"),
+    device(2, "Овощи и фрукты", "192.168.1.22", "Магазин №1"),
+    device(3, "Склад (большой каталог)", "192.168.2.10", "Распределительный центр"),
+  ];
+  const scales = { 1: demoProducts(20, 0), 2: demoProducts(12, 8), 3: demoProducts(2000, 3) };
+
+  return {
+    users: [{ ...MOCK_DEMO_USER }],
+    nextDeviceId: 4,
+    devices,
+    cache: JSON.parse(JSON.stringify(scales)),
+    scales,
+    auto: {},
+    nextJobId: 1,
+    jobs: {},
+  };
+}
+
+let db = null;
+
+export function getMockDb() {
+  if (!db) {
+    try {
+      db = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    } catch {
+      db = null;
+    }
+    if (!db || !Array.isArray(db.devices)) db = seed();
+  }
+  return db;
+}
+
+export function saveMockDb() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(getMockDb()));
+  } catch {
+    // не влезло в localStorage — данные останутся только в памяти до перезагрузки
+  }
+}
+
+/**
+ * Вернуть демо-данные (пользователи тоже сбрасываются).
+ */
+export function resetMockDb() {
+  db = seed();
+  saveMockDb();
+}
@@ -0,0 +1,448 @@
+import { getPlu, isDDMMYY } from "../devices/productUtils";
+import { AUTO_MAX_INTERVAL, AUTO_MODES } from "../devices/autoSchedule";
+import { getMockDb, saveMockDb } from "./mockDb";
+import { MOCK_DEVICE_TIMEOUT_MS, rollDeviceTimeout } from "./scenarios";
+
+/**
+ * Обработчики mock API: те же пути, коды и формы ответов, что у FastAPI backend
+ * (src/api/auth.js, src/api/devices.js). Обработчик получает
+ * { method, body, user, params } и возвращает { status, data, delayMs? };
+ * delayMs — дополнительное время «обмена с весами».
+ */
+
+const TOKEN_TTL_S = 60 * 60;
+// Время обмена с весами на один товар (выгрузка и загрузка)
+const DEVICE_MS_PER_PRODUCT = 2;
+
+export const DEVICE_TIMEOUT_DETAIL = "Device did not respond (timeout)";
+
+const DEVICE_KEYS = ["name", "description", "ip", "port", "protocol", "password"];
+const REQUIRED_DEVICE_KEYS = ["name", "ip", "port", "password"];
+
+const ok = (data, status = 200) => ({ status, data });
+const fail = (status, detail) => ({ status, data: { detail } });
+
+/**
+ * Ответ 422 в формате FastAPI: detail = [{ type, loc, msg, input }].
+ */
+export function validationError(loc, msg, input) {
+  return { status: 422, data: { detail: [{ type: "value_error", loc, msg, input }] } };
+}
+
+function b64url(obj) {
+  return btoa(JSON.stringify(obj)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function issueToken(email) {
+  const exp = Math.floor(Date.now() / 1000) + TOKEN_TTL_S;
+  return `${b64url({ alg: "none", typ: "JWT" })}.${b64url({ sub: email, exp })}.mock`;
+}
+
+/**
+ * Пользователь по заголовку Authorization (null — нет токена, он чужой или истёк).
+ */
+export function userFromAuthHeader(header) {
+  const m = /^Bearer\s+(.+)$/.exec(String(header || ""));
+  if (!m) return null;
+
+  try {
+    const part = m[1].split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    const payload = JSON.parse(atob(part));
+    if (!(payload.exp * 1000 > Date.now())) return null;
+    return getMockDb().users.find((u) => u.email === payload.sub) || null;
+  } catch {
+    return null;
+  }
+}
+
+function findDevice(id) {
+  return getMockDb().devices.find((d) => d.id === Number(id));
+}
+
+function withDevice(handler) {
+  return (req) => {
+    const device = findDevice(req.params[0]);
+    if (!device) return fail(404, "Device not found");
+    return handler(req, device);
+  };
+}
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+// ===== auth =====
+
+function register({ body }) {
+  const email = String(body?.email || "").trim().toLowerCase();
+  const password = String(body?.password || "");
+
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+    return validationError(["body", "email"], "value is not a valid email address", body?.email);
+  }
+  if (!password) return validationError(["body", "password"], "Field required", password);
+
+  const db = getMockDb();
+  if (db.users.some((u) => u.email === email)) return fail(400, "Email already registered");
+
+  db.users.push({ email, password });
+  saveMockDb();
+  return ok({ id: db.users.length, email }, 201);
+}
+
+function login({ body }) {
+  const email = String(body?.username || "").trim().toLowerCase();
+  const user = getMockDb().users.find((u) => u.email === email);
+  if (!user || user.password !== String(body?.password || "")) {
+    return fail(401, "Incorrect email or password");
+  }
+  return ok({ access_token: issueToken(user.email), token_type: "bearer" });
+}
+
+// ===== устройства =====
+
+function validateDevice(body, { partial }) {
+  for (const key of REQUIRED_DEVICE_KEYS) {
+    const v = body?.[key];
+    if (!partial && (v === undefined || v === null || String(v).trim() === "")) {
+      return validationError(["body", key], "Field required", v);
+    }
+  }
+  if (body?.port !== undefined) {
+    const port = Number(body.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      return validationError(["body", "port"], "Input should be a valid port", body.port);
+    }
+  }
+  return null;
+}
+
+function pickDevice(body) {
+  const out = {};
+  for (const key of DEVICE_KEYS) {
+    if (body?.[key] !== undefined) out[key] = key === "port" ? Number(body.port) : body[key];
+  }
+  return out;
+}
+
+function listDevices() {
+  return ok(clone(getMockDb().devices));
+}
+
+function createDevice({ body }) {
+  const error = validateDevice(body, { partial: false });
+  if (error) return error;
+
+  const db = getMockDb();
+  const device = {
+    id: db.nextDeviceId++,
+    description: "",
+    protocol: "TCP",
+    ...pickDevice(body),
+    cached_dirty: false,
+  };
+  db.devices.push(device);
+  db.cache[device.id] = [];
+  db.scales[device.id] = [];
+  saveMockDb();
+  return ok(clone(device), 201);
+}
+
+const getDevice = withDevice((req, device) => ok(clone(device)));
+
+const updateDevice = withDevice(({ body }, device) => {
+  const error = validateDevice(body, { partial: true });
+  if (error) return error;
+
+  Object.assign(device, pickDevice(body));
+  saveMockDb();
+  return ok(clone(device));
+});
+
+const deleteDevice = withDevice((req, device) => {
+  const db = getMockDb();
+  db.devices = db.devices.filter((d) => d.id !== device.id);
+  delete db.cache[device.id];
+  delete db.scales[device.id];
+  delete db.auto[device.id];
+  for (const job of Object.values(db.jobs)) {
+    if (job.device_id === device.id) delete db.jobs[job.id];
+  }
+  saveMockDb();
+  return ok(null, 204);
+});
+
+// ===== товары =====
+
+// Обмен с весами: fetch — весы -> кэш, upload — кэш -> весы. Возвращает число товаров.
+function exchangeProducts(device, kind) {
+  const db = getMockDb();
+  const [from, to] = kind === "fetch" ? ["scales", "cache"] : ["cache", "scales"];
+  const products = clone(db[from][device.id] || []);
+  db[to][device.id] = products;
+  device.cached_dirty = false;
+  saveMockDb();
+  return products.length;
+}
+
+const fetchProducts = withDevice((req, device) => {
+  const count = exchangeProducts(device, "fetch");
+  return {
+    ...ok({ status: "ok", products_count: count }),
+    delayMs: count * DEVICE_MS_PER_PRODUCT,
+  };
+});
+
+const getCachedProducts = withDevice((req, device) => {
+  const products = getMockDb().cache[device.id] || [];
+  return ok({ device_id: device.id, products: { products: clone(products) } });
+});
+
+function validateProductFields(fields) {
+  if (!fields || typeof fields !== "object") {
+    return validationError(["body", "fields"], "Field required", fields);
+  }
+
+  const loc = (key) => ["body", "fields", key];
+  if ("price" in fields && !(Number(fields.price) >= 0)) {
+    return validationError(loc("price"), "Input should be greater than or equal to 0", fields.price);
+  }
+  const shelfLife = Number(fields.shelfLife);
+  if ("shelfLife" in fields && !(Number.isInteger(shelfLife) && shelfLife >= 0)) {
+    return validationError(loc("shelfLife"), "Input should be a valid integer", fields.shelfLife);
+  }
+  for (const key of ["manufactureDate", "sellByDate"]) {
+    if (key in fields && !isDDMMYY(fields[key])) {
+      return validationError(loc(key), "Date should be in DD-MM-YY format", fields[key]);
+    }
+  }
+  return null;
+}
+
+const patchProduct = withDevice(({ body, params }, device) => {
+  const plu = Number(decodeURIComponent(params[1]));
+  if (!Number.isInteger(plu) || plu <= 0) {
+    return validationError(["path", "plu"], "Input should be a valid integer", params[1]);
+  }
+
+  const fields = body?.fields;
+  const error = validateProductFields(fields);
+  if (error) return error;
+
+  const db = getMockDb();
+  const list = db.cache[device.id] || (db.cache[device.id] = []);
+  let product = list.find((p) => Number(getPlu(p)) === plu);
+  if (!product) {
+    product = {
+      pluNumber: plu,
+      name: "",
+      price: 0,
+      shelfLife: 0,
+      manufactureDate: "",
+      sellByDate: "",
+    };
+    list.push(product);
+  }
+
+  Object.assign(product, fields);
+  device.cached_dirty = true;
+  saveMockDb();
+  return ok(clone(product));
+});
+
+const uploadCache = withDevice((req, device) => {
+  const count = exchangeProducts(device, "upload");
+  return {
+    ...ok({ status: "ok", products_count: count }),
+    delayMs: count * DEVICE_MS_PER_PRODUCT,
+  };
+});
+
+// ===== фоновые задачи =====
+//
+// Задача не выполняется в фоне по-настоящему: её состояние досчитывается по часам
+// при каждом обращении (advanceJob), поэтому переживает перезагрузку страницы.
+// Результат обмена применяется в момент завершения.
+
+const JOB_KINDS = ["fetch", "upload"];
+const JOB_PUBLIC_KEYS = [
+  "id",
+  "device_id",
+  "kind",
+  "status",
+  "done",
+  "total",
+  "started_at",
+  "finished_at",
+  "error",
+];
+
+function jobView(job) {
+  return Object.fromEntries(JOB_PUBLIC_KEYS.map((key) => [key, job[key]]));
+}
+
+function finishJob(job, status, error = null) {
+  Object.assign(job, { status, error, finished_at: new Date().toISOString() });
+}
+
+// Досчитать состояние задачи к текущему моменту. true — если что-то поменялось.
+function advanceJob(job, device) {
+  if (job.status !== "running") return false;
+
+  const elapsed = Date.now() - job.started_ms;
+  if (job.fails_at_ms && elapsed >= job.fails_at_ms) {
+    finishJob(job, "failed", DEVICE_TIMEOUT_DETAIL);
+    return true;
+  }
+
+  if (elapsed >= job.total * DEVICE_MS_PER_PRODUCT) {
+    exchangeProducts(device, job.kind);
+    job.done = job.total;
+    finishJob(job, "done");
+    return true;
+  }
+
+  const done = Math.floor(elapsed / DEVICE_MS_PER_PRODUCT);
+  if (done === job.done) return false;
+  job.done = done;
+  return true;
+}
+
+function findJob(device, jobId) {
+  const job = getMockDb().jobs[jobId];
+  return job && job.device_id === device.id ? job : null;
+}
+
+const startJob = withDevice(({ body }, device) => {
+  if (!JOB_KINDS.includes(body?.kind)) {
+    return validationError(["body", "kind"], `Input should be ${JOB_KINDS.join(" or ")}`, body?.kind);
+  }
+
+  const db = getMockDb();
+  const busy = Object.values(db.jobs).some((job) => {
+    if (job.device_id !== device.id) return false;
+    advanceJob(job, device);
+    return job.status === "running";
+  });
+  if (busy) return fail(409, "Device is busy with another job");
+
+  const source = body.kind === "fetch" ? db.scales : db.cache;
+  const now = Date.now();
+  const job = {
+    id: String(db.nextJobId++),
+    device_id: device.id,
+    kind: body.kind,
+    status: "running",
+    done: 0,
+    total: (source[device.id] || []).length,
+    started_at: new Date(now).toISOString(),
+    finished_at: null,
+    error: null,
+    started_ms: now,
+    // сценарий «весы не отвечают»: задача упадёт по таймауту ожидания весов
+    fails_at_ms: rollDeviceTimeout() ? MOCK_DEVICE_TIMEOUT_MS : null,
+  };
+  db.jobs[job.id] = job;
+  advanceJob(job, device);
+  saveMockDb();
+  return ok(jobView(job), 202);
+});
+
+const getJob = withDevice(({ params }, device) => {
+  const job = findJob(device, decodeURIComponent(params[1]));
+  if (!job) return fail(404, "Job not found");
+
+  if (advanceJob(job, device)) saveMockDb();
+  return ok(jobView(job));
+});
+
+const cancelJob = withDevice(({ params }, device) => {
+  const job = findJob(device, decodeURIComponent(params[1]));
+  if (!job) return fail(404, "Job not found");
+
+  advanceJob(job, device);
+  if (job.status === "running") finishJob(job, "canceled");
+  saveMockDb();
+  return ok(jobView(job));
+});
+
+// ===== автообновление =====
+
+function defaultAutoUpdate() {
+  return {
+    enabled: false,
+    mode: "interval",
+    interval_minutes: 60,
+    times: [],
+    days: [],
+    last_run_utc: null,
+  };
+}
+
+const getAutoUpdate = withDevice((req, device) =>
+  ok({ ...defaultAutoUpdate(), ...getMockDb().auto[device.id] })
+);
+
+const setAutoUpdate = withDevice(({ body }, device) => {
+  const interval = Number(body?.interval_minutes);
+  if (!Number.isInteger(interval) || interval < 1 || interval > AUTO_MAX_INTERVAL) {
+    return validationError(
+      ["body", "interval_minutes"],
+      `Input should be between 1 and ${AUTO_MAX_INTERVAL}`,
+      body?.interval_minutes
+    );
+  }
+  if (body?.mode !== undefined && !AUTO_MODES.includes(body.mode)) {
+    return validationError(["body", "mode"], `Input should be ${AUTO_MODES.join(", ")}`, body.mode);
+  }
+
+  const db = getMockDb();
+  const next = { ...defaultAutoUpdate(), ...db.auto[device.id], ...body };
+  db.auto[device.id] = next;
+  saveMockDb();
+  return ok(next);
+});
+
+// ===== связь с весами =====
+
+const getDeviceStatus = withDevice(() =>
+  ok({ online: true, latency_ms: 15 + Math.round(Math.random() * 40) })
+);
+
+/**
+ * Таблица маршрутов: [метод, путь, обработчик, { auth, device }].
+ * auth — нужен токен; device — запрос идёт к весам (сценарий «весы не отвечают»).
+ */
+export const MOCK_ROUTES = [
+  ["POST", /^\/auth\/register$/, register, { auth: false }],
+  ["POST", /^\/auth\/login$/, login, { auth: false }],
+  ["GET", /^\/devices$/, listDevices],
+  ["POST", /^\/devices$/, createDevice],
+  ["GET", /^\/devices\/(\d+)$/, getDevice],
+  ["PUT", /^\/devices\/(\d+)$/, updateDevice],
+  ["DELETE", /^\/devices\/(\d+)$/, deleteDevice],
+  ["GET", /^\/devices\/(\d+)\/products$/, fetchProducts, { device: true }],
+  ["GET", /^\/devices\/(\d+)\/products\/cached$/, getCachedProducts],
+  ["PATCH", /^\/devices\/(\d+)\/products\/([^/]+)$/, patchProduct],
+  ["POST", /^\/devices\/(\d+)\/upload$/, uploadCache, { device: true }],
+  ["POST", /^\/devices\/(\d+)\/jobs$/, startJob],
+  ["GET", /^\/devices\/(\d+)\/jobs\/([^/]+)$/, getJob],
+  ["POST", /^\/devices\/(\d+)\/jobs\/([^/]+)\/cancel$/, cancelJob],
+  ["GET", /^\/devices\/(\d+)\/auto-update$/, getAutoUpdate],
+  ["PUT", /^\/devices\/(\d+)\/auto-update$/, setAutoUpdate],
+  ["GET", /^\/devices\/(\d+)\/status$/, getDeviceStatus, { device: true }],
+];
+
+/**
+ * Маршрут по методу и пути: { handler, params, auth, device } или null.
+ */
+export function matchMockRoute(method, path) {
+  for (const [m, re, handler, opts = {}] of MOCK_ROUTES) {
+    if (m !== method) continue;
+    const match = re.exec(path);
+    if (match) {
+      return { handler, params: match.slice(1), auth: opts.auth !== false, device: !!opts.device };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,59 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { MOCK_DEMO_USER, getMockDb, resetMockDb } from "./mockDb";
+import { matchMockRoute, userFromAuthHeader } from "./mockRoutes";
+
+function call(method, path, body) {
+  const route = matchMockRoute(method, path);
+  return route.handler({ method, body, user: null, params: route.params });
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  resetMockDb();
+});
+
+describe("matchMockRoute", () => {
+  it("matches method and path and extracts params", () => {
+    expect(matchMockRoute("PATCH", "/devices/3/products/42")).toMatchObject({
+      params: ["3", "42"],
+      auth: true,
+      device: false,
+    });
+    expect(matchMockRoute("GET", "/devices/3/status")).toMatchObject({ device: true });
+    expect(matchMockRoute("POST", "/auth/login")).toMatchObject({ auth: false });
+    expect(matchMockRoute("DELETE", "/devices/3/products/42")).toBeNull();
+  });
+});
+
+describe("mock handlers", () => {
+  it("logs the demo user in with a token the mock accepts", () => {
+    const res = call("POST", "/auth/login", {
+      username: MOCK_DEMO_USER.email,
+      password: MOCK_DEMO_USER.password,
+    });
+
+    expect(res.status).toBe(200);
+    expect(userFromAuthHeader(`Bearer ${res.data.access_token}`)).toMatchObject({
+      email: MOCK_DEMO_USER.email,
+    });
+    expect(call("POST", "/auth/login", { username: MOCK_DEMO_USER.email, password: "x" }).status).toBe(
+      401
+    );
+  });
+
+  it("validates product patches like FastAPI and marks the cache dirty", () => {
+    const device = getMockDb().devices[0];
+
+    const bad = call("PATCH", `/devices/${device.id}/products/5`, { fields: { sellByDate: "2026-12-31" } });
+    expect(bad.status).toBe(422);
+    expect(bad.data.detail[0].loc).toEqual(["body", "fields", "sellByDate"]);
+
+    const good = call("PATCH", `/devices/${device.id}/products/5`, { fields: { price: 99 } });
+    expect(good).toMatchObject({ status: 200, data: { pluNumber: 5, price: 99 } });
+    expect(getMockDb().devices[0].cached_dirty).toBe(true);
+  });
+
+  it("answers 404 for unknown devices", () => {
+    expect(call("GET", "/devices/999/products/cached").status).toBe(404);
+  });
+});
@@ -0,0 +1,68 @@
+import { asObject, createPersistentStore, usePersistentStore } from "../utils/persistentStore";
+
+/**
+ * Сценарии mock API (переключаются в MockScenarioPanel, хранятся в localStorage):
+ * - latencyMs     — задержка каждого ответа;
+ * - unauthorized  — 401 на запросы с токеном: "off" | "next" (один раз) | "all";
+ * - validation    — 422 на запросы записи: "off" | "next" | "all";
+ * - deviceTimeout — весы не отвечают (обмен с весами, фоновые задачи и проверка связи):
+ *                   "off" | "random" (примерно каждый третий запрос) | "all".
+ * "next" после срабатывания возвращается в "off".
+ */
+
+const STORAGE_KEY = "mock_api_scenarios";
+
+export const SCENARIO_ONCE_MODES = ["off", "next", "all"];
+export const DEVICE_TIMEOUT_MODES = ["off", "random", "all"];
+export const MOCK_MAX_LATENCY_MS = 30000;
+// Сколько backend ждёт весы, прежде чем ответить 504 (меньше таймаута проверки связи)
+export const MOCK_DEVICE_TIMEOUT_MS = 3000;
+const RANDOM_TIMEOUT_SHARE = 1 / 3;
+
+export const DEFAULT_MOCK_SCENARIOS = {
+  latencyMs: 300,
+  unauthorized: "off",
+  validation: "off",
+  deviceTimeout: "off",
+};
+
+const store = createPersistentStore(STORAGE_KEY, DEFAULT_MOCK_SCENARIOS, (data) =>
+  asObject(data) ? { ...DEFAULT_MOCK_SCENARIOS, ...data } : null
+);
+const read = store.get;
+
+export function getMockScenarios() {
+  return read();
+}
+
+export function setMockScenarios(patch) {
+  try {
+    store.set({ ...read(), ...patch });
+  } catch {
+    // сценарии — инструмент разработчика: без записи просто не переживут перезагрузку
+  }
+}
+
+/**
+ * Сработал ли сценарий "next" | "all" для очередного запроса ("next" при этом сбрасывается).
+ */
+export function takeScenario(key) {
+  const mode = read()[key];
+  if (mode === "next") setMockScenarios({ [key]: "off" });
+  return mode === "next" || mode === "all";
+}
+
+/**
+ * Не ответят ли весы на очередное обращение (сценарий deviceTimeout).
+ */
+export function rollDeviceTimeout() {
+  const mode = read().deviceTimeout;
+  return mode === "all" || (mode === "random" && Math.random() < RANDOM_TIMEOUT_SHARE);
+}
+
+/**
+ * Хук: текущие сценарии mock API.
+ */
+export function useMockScenarios() {
+  return usePersistentStore(store);
+}
@@ -0,0 +1,57 @@
+import { useEffect, useRef } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { listDevices } from "../api/devices";
+import { useNotify } from "../components/notify";
+import { useI18n } from "../i18n";
+import { qk } from "../query/keys";
+import { useOnline } from "./connection";
+import { usePatchQueue } from "./patchQueue";
+import { replayPatchQueue } from "./replay";
+
+// Как часто без связи проверяем, не вернулся ли backend
+export const OFFLINE_PROBE_MS = 30000;
+
+/**
+ * Фоновая синхронизация офлайн-очереди (монтируется в Layout для вошедшего пользователя):
+ * - без связи раз в OFFLINE_PROBE_MS перезапрашивает список устройств —
+ *   первый же ответ сервера возвращает состояние «в сети» (см. api/http.js);
+ * - при наличии связи и неотправленных изменений отправляет очередь и сообщает итог.
+ */
+export function OfflineSync() {
+  const qc = useQueryClient();
+  const notify = useNotify();
+  const { t } = useI18n();
+  const online = useOnline();
+  const queue = usePatchQueue();
+
+  const pending = queue.filter((e) => e.status === "pending").length;
+
+  // Во время отправки очередь уменьшается и эффект срабатывает снова —
+  // replayPatchQueue вернёт тот же промис, итог сообщаем один раз
+  const replayRef = useRef(null);
+
+  useEffect(() => {
+    if (online) return undefined;
+
+    const timer = setInterval(() => {
+      qc.fetchQuery({ queryKey: qk.devices(), queryFn: listDevices }).catch(() => {});
+    }, OFFLINE_PROBE_MS);
+
+    return () => clearInterval(timer);
+  }, [online, qc]);
+
+  useEffect(() => {
+    if (!online || pending === 0) return;
+
+    const replay = replayPatchQueue(qc);
+    if (replay === replayRef.current) return;
+    replayRef.current = replay;
+
+    replay.then(({ sent, conflicts, failed }) => {
+      if (sent) notify(t("offline.synced", { count: sent }), "success");
+      if (conflicts + failed) notify(t("offline.problems", { count: conflicts + failed }), "error");
+    });
+  }, [online, pending, qc, notify, t]);
+
+  return null;
+}
@@ -0,0 +1,163 @@
+import React, { useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { useNotify } from "../components/notify";
+import { useI18n } from "../i18n";
+import { productFieldLabel, productFieldValue } from "../devices/productUtils";
+import { extractErrorMessage } from "../utils/errors";
+import { utcToLocal } from "../utils/datetime";
+import { useOnline } from "./connection";
+import { updateQueuedPatch } from "./patchQueue";
+import { applyQueuedPatchAnyway, discardQueuedPatch, replayPatchQueue } from "./replay";
+
+function fmtValue(v) {
+  if (v === "" || v === null || v === undefined) return "—";
+  return String(v);
+}
+
+/**
+ * Изменения устройства, сделанные без связи: ожидающие отправки, конфликты и ошибки.
+ * Конфликт показывает по каждому полю значение до правки, на сервере и наше;
+ * решение — применить наше значение поверх серверного или отказаться от правки.
+ */
+export function PatchQueuePanel({ entries }) {
+  const qc = useQueryClient();
+  const show = useNotify();
+  const { t } = useI18n();
+  const online = useOnline();
+  const [busy, setBusy] = useState(false);
+
+  if (!entries.length) return null;
+
+  async function run(action) {
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      const { message } = extractErrorMessage(err);
+      show(message || t("offline.sendError"), "error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function retry(entry) {
+    updateQueuedPatch(entry.id, { status: "pending", conflicts: [], server: null, error: "" });
+  }
+
+  function discard(entry) {
+    if (!window.confirm(t("offline.discardConfirm", { plu: entry.plu }))) return;
+    run(() => discardQueuedPatch(qc, entry));
+  }
+
+  return (
+    <div className="card offline-queue">
+      <div className="offline-queue-head">
+        <div className="card-title" style={{ margin: 0 }}>
+          {t("offline.title")}
+        </div>
+        <span className="sub">{t("offline.queuedCount", { count: entries.length })}</span>
+        <button
+          className="btn"
+          type="button"
+          disabled={busy || !online || !entries.some((e) => e.status === "pending")}
+          onClick={() => run(() => replayPatchQueue(qc))}
+        >
+          {t("offline.sendNow")}
+        </button>
+      </div>
+
+      <div className="table-wrap">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>{t("offline.col.time")}</th>
+              <th>PLU</th>
+              <th>{t("offline.col.changes")}</th>
+              <th>{t("offline.col.status")}</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((e) => (
+              <tr key={e.id} className={`offline-${e.status}`}>
+                <td>{utcToLocal(e.queuedAt)}</td>
+                <td>{e.plu}</td>
+                <td>
+                  {e.status === "conflict" ? (
+                    <div className="offline-conflicts">
+                      <div className="sub">{t("offline.conflictHint")}</div>
+                      {e.conflicts.map((c) => (
+                        <div key={c.field}>
+                          <b>{productFieldLabel(c.field)}:</b>{" "}
+                          <span className="diff-before">{fmtValue(c.before)}</span>
+                          {" · "}
+                          {t("offline.server")}:{" "}
+                          {e.server ? fmtValue(c.server) : t("offline.missingOnServer")}
+                          {" · "}
+                          {t("offline.mine")}: <span className="diff-after">{fmtValue(c.mine)}</span>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    Object.keys(e.fields).map((field) => (
+                      <div key={field}>
+                        <b>{productFieldLabel(field)}:</b>{" "}
+                        {e.before ? (
+                          <span className="diff-before">
+                            {fmtValue(productFieldValue(e.before, field))}
+                          </span>
+                        ) : (
+                          <span className="sub">{t("history.newProduct")}</span>
+                        )}{" "}
+                        →{" "}
+                        <span className="diff-after">
+                          {fmtValue(productFieldValue(e.fields, field))}
+                        </span>
+                      </div>
+                    ))
+                  )}
+                  {e.status === "failed" && e.error ? (
+                    <div className="field-error">{e.error}</div>
+                  ) : null}
+                </td>
+                <td>{t(`offline.status.${e.status}`)}</td>
+                <td>
+                  <div className="offline-actions">
+                    {e.status === "conflict" ? (
+                      <button
+                        className="btn-warn"
+                        type="button"
+                        disabled={busy || !online}
+                        onClick={() => run(() => applyQueuedPatchAnyway(qc, e))}
+                      >
+                        {t("offline.applyMine")}
+                      </button>
+                    ) : null}
+                    {e.status === "failed" ? (
+                      <button
+                        className="btn-ghost"
+                        type="button"
+                        disabled={busy}
+                        onClick={() => retry(e)}
+                      >
+                        {t("common.retry")}
+                      </button>
+                    ) : null}
+                    <button
+                      className="btn-ghost"
+                      type="button"
+                      disabled={busy}
+                      onClick={() => discard(e)}
+                    >
+                      {t("offline.discard")}
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
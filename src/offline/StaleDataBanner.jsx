@@ -0,0 +1,24 @@
+import React from "react";
+import { useI18n } from "../i18n";
+import { utcToLocal } from "../utils/datetime";
+
+/**
+ * Плашка «нет связи — данные устаревшие» над списком устройств и страницей устройства.
+ * updatedAt — когда данные были получены с сервера (ms), queued — сколько изменений ждут отправки.
+ */
+export function StaleDataBanner({ updatedAt, queued }) {
+  const { t } = useI18n();
+
+  return (
+    <div className="notice-bar offline-bar" role="status">
+      <div className="notice-left">
+        <span className="badge-dot" />
+        <span className="notice-title">{t("offline.staleTitle")}</span>
+        <span className="notice-desc">
+          {updatedAt ? t("offline.staleDesc", { at: utcToLocal(updatedAt) }) : ""}
+        </span>
+      </div>
+      {queued ? <span className="sub">{t("offline.queuedCount", { count: queued })}</span> : null}
+    </div>
+  );
+}
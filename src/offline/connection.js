@@ -0,0 +1,47 @@
+import { useSyncExternalStore } from "react";
+
+/**
+ * Есть ли связь с backend.
+ * navigator.onLine не видит «Wi-Fi есть, сервер недоступен», поэтому состояние
+ * обновляют и события браузера, и ответы http-клиента (см. api/http.js):
+ * - ответ сервера (в том числе с ошибкой) — связь есть;
+ * - запрос упал без ответа — связи нет.
+ */
+
+const listeners = new Set();
+let online = typeof navigator === "undefined" ? true : navigator.onLine !== false;
+
+export function isOnline() {
+  return online;
+}
+
+export function setOnline(value) {
+  if (online === !!value) return;
+  online = !!value;
+  listeners.forEach((l) => l());
+}
+
+/**
+ * Ошибка сети: запрос не дошёл до сервера или ответ не пришёл (таймаут).
+ * Отменённые запросы (AbortController) связью не считаются.
+ */
+export function isNetworkError(err) {
+  return !!err && !err.response && err.code !== "ERR_CANCELED";
+}
+
+if (typeof window !== "undefined") {
+  window.addEventListener("online", () => setOnline(true));
+  window.addEventListener("offline", () => setOnline(false));
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Хук: true, пока backend доступен.
+ */
+export function useOnline() {
+  return useSyncExternalStore(subscribe, isOnline);
+}
@@ -0,0 +1,62 @@
+/**
+ * Минимальная обёртка IndexedDB на промисах: одна база, одно хранилище «ключ -> значение».
+ * localStorage для кэша товаров не подходит — 10 000 товаров не влезают в его лимит.
+ */
+
+const DB_NAME = "web_scales";
+const DB_VERSION = 1;
+const STORE = "kv";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+    // неудачное открытие не кэшируем: следующий вызов попробует снова
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+async function run(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const result = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(result?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function idbSet(key, value) {
+  return run("readwrite", (store) => store.put(value, key));
+}
+
+export function idbDelete(key) {
+  return run("readwrite", (store) => store.delete(key));
+}
+
+export function idbClear() {
+  return run("readwrite", (store) => store.clear());
+}
+
+/**
+ * Все значения хранилища.
+ */
+export function idbGetAll() {
+  return run("readonly", (store) => store.getAll());
+}
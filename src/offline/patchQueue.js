@@ -0,0 +1,99 @@
+import { getPlu } from "../devices/productUtils";
+import { asArray, createPersistentStore, usePersistentStore } from "../utils/persistentStore";
+
+/**
+ * Очередь изменений товаров, сделанных без связи с backend.
+ * - одна запись = один вызов patchProductByPlu:
+ *   { id, deviceId, plu, fields, before, source, user, queuedAt, status, conflicts, server, error };
+ * - status: "pending" — ждёт отправки, "conflict" — товар на сервере изменился,
+ *   "failed" — сервер отклонил изменение; решение по двум последним принимает пользователь;
+ * - хранится в localStorage и переживает перезагрузку и повторный вход;
+ * - порядок записей = порядок отправки (см. replay.js).
+ */
+
+const STORAGE_KEY = "offline_patch_queue";
+
+export const QUEUE_STATUSES = ["pending", "conflict", "failed"];
+
+const store = createPersistentStore(STORAGE_KEY, [], asArray);
+const readAll = store.get;
+
+// В отличие от журнала, ошибку записи не глотаем: иначе изменение молча потеряется
+function writeAll(entries) {
+  store.set(entries.length ? entries : undefined);
+}
+
+export function getPatchQueue() {
+  return readAll();
+}
+
+/**
+ * Поставить изменение в очередь. Бросает, если localStorage недоступен или переполнен.
+ */
+export function enqueuePatch({ deviceId, plu, fields, before, source, user }) {
+  const queuedAt = new Date().toISOString();
+  const entry = {
+    id: `${queuedAt}-${plu}-${Math.random().toString(36).slice(2, 6)}`,
+    deviceId: Number(deviceId),
+    plu: Number(plu),
+    fields,
+    before: before ?? null,
+    source,
+    user: user || "",
+    queuedAt,
+    status: "pending",
+    conflicts: [],
+    server: null,
+    error: "",
+  };
+
+  writeAll([...readAll(), entry]);
+  return entry;
+}
+
+export function updateQueuedPatch(id, patch) {
+  writeAll(readAll().map((e) => (e.id === id ? { ...e, ...patch } : e)));
+}
+
+export function removeQueuedPatch(id) {
+  writeAll(readAll().filter((e) => e.id !== id));
+}
+
+/**
+ * Есть ли неотправленное изменение этого PLU (ждёт отправки, конфликт или ошибка):
+ * новое изменение встаёт за ним, чтобы не обогнать его при отправке.
+ */
+export function hasPendingPatch(deviceId, plu) {
+  return readAll().some((e) => e.deviceId === Number(deviceId) && e.plu === Number(plu));
+}
+
+/**
+ * Товары кэша с наложенными неотправленными изменениями устройства (по порядку очереди).
+ * Товары, которых в кэше нет (созданные без связи), добавляются в конец.
+ */
+export function applyQueuedPatches(products, entries) {
+  const byPlu = new Map();
+  for (const e of entries) {
+    if (e.status !== "pending") continue;
+    byPlu.set(e.plu, { ...byPlu.get(e.plu), ...e.fields });
+  }
+  if (!byPlu.size) return products;
+
+  const list = products.map((p) => {
+    const plu = Number(getPlu(p));
+    const fields = byPlu.get(plu);
+    if (!fields) return p;
+    byPlu.delete(plu);
+    return { ...p, ...fields };
+  });
+
+  for (const [plu, fields] of byPlu) list.push({ pluNumber: plu, ...fields });
+  return list;
+}
+
+/**
+ * Хук: вся очередь (записи всех устройств).
+ */
+export function usePatchQueue() {
+  return usePersistentStore(store);
+}
@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { applyQueuedPatches } from "./patchQueue";
+
+const entry = (plu, fields, status = "pending") => ({ plu, fields, status });
+
+describe("applyQueuedPatches", () => {
+  const products = [
+    { pluNumber: 1, name: "Хлеб", price: 50 },
+    { pluNumber: 2, name: "Молоко", price: 90 },
+  ];
+
+  it("returns the same list when nothing is pending", () => {
+    expect(applyQueuedPatches(products, [])).toBe(products);
+    expect(applyQueuedPatches(products, [entry(1, { price: 1 }, "conflict")])).toBe(products);
+  });
+
+  it("applies pending edits in queue order", () => {
+    const list = applyQueuedPatches(products, [
+      entry(1, { price: 55 }),
+      entry(1, { price: 60, name: "Батон" }),
+    ]);
+
+    expect(list[0]).toEqual({ pluNumber: 1, name: "Батон", price: 60 });
+    expect(list[1]).toBe(products[1]);
+  });
+
+  it("appends products created while offline", () => {
+    const list = applyQueuedPatches(products, [entry(7, { name: "Кефир" })]);
+
+    expect(list).toHaveLength(3);
+    expect(list[2]).toEqual({ pluNumber: 7, name: "Кефир" });
+  });
+});
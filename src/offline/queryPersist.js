@@ -0,0 +1,97 @@
+import { qk } from "../query/keys";
+import { isAuthed } from "../utils/token";
+import { idbClear, idbDelete, idbGetAll, idbSet } from "./idb";
+
+/**
+ * Сохранение кэша React Query в IndexedDB, чтобы без связи страница показывала
+ * последние известные данные, а не пустоту.
+ * - сохраняются только список устройств, устройство и кэш товаров;
+ * - при старте данные подкладываются в кэш со старым updatedAt: они сразу «устаревшие»,
+ *   и при наличии связи запросы перезапрашиваются как обычно;
+ * - записи старше PERSIST_MAX_AGE_MS не восстанавливаются;
+ * - при выходе и истечении сессии сохранённое удаляется вместе с кэшем (clearQueryCache).
+ */
+
+export const PERSIST_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// Сколько первый рендер ждёт IndexedDB: она может зависнуть (обновление версии
+// в другой вкладке, приватный режим) — тогда стартуем без сохранённых данных
+export const RESTORE_TIMEOUT_MS = 1500;
+
+const PERSISTED_ROOTS = new Set([
+  qk.devices()[0],
+  qk.device(0)[0],
+  qk.productsCached(0)[0],
+]);
+
+function isPersisted(queryKey) {
+  return Array.isArray(queryKey) && PERSISTED_ROOTS.has(queryKey[0]);
+}
+
+function storageKey(queryKey) {
+  return `query:${JSON.stringify(queryKey)}`;
+}
+
+/**
+ * Восстановить сохранённые запросы в кэш. Вызывается до первого рендера.
+ * Ошибки IndexedDB (приватный режим, нет места) и ответ дольше RESTORE_TIMEOUT_MS
+ * не мешают запуску: приложение стартует без сохранённых данных.
+ */
+export async function restoreQueryCache(qc, now = Date.now()) {
+  if (!isAuthed()) return;
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), RESTORE_TIMEOUT_MS);
+  });
+
+  let rows;
+  try {
+    rows = await Promise.race([idbGetAll(), timeout]);
+  } catch {
+    return;
+  } finally {
+    clearTimeout(timer);
+  }
+  // опоздавший ответ не подкладываем: запросы к этому времени уже пошли
+  if (!rows) return;
+
+  for (const row of rows) {
+    if (!row || !isPersisted(row.queryKey)) continue;
+
+    if (!(now - row.updatedAt <= PERSIST_MAX_AGE_MS)) {
+      idbDelete(storageKey(row.queryKey)).catch(() => {});
+      continue;
+    }
+
+    qc.setQueryData(row.queryKey, row.data, { updatedAt: row.updatedAt });
+  }
+}
+
+/**
+ * Подписка на кэш: каждый успешный ответ (и оптимистичная правка) сохраняется.
+ * Возвращает функцию отписки.
+ */
+export function persistQueryCache(qc) {
+  return qc.getQueryCache().subscribe((event) => {
+    if (event.type !== "updated" || event.action.type !== "success") return;
+
+    const { queryKey, state } = event.query;
+    if (!isPersisted(queryKey) || !isAuthed()) return;
+
+    idbSet(storageKey(queryKey), {
+      queryKey,
+      data: state.data,
+      updatedAt: state.dataUpdatedAt,
+    }).catch(() => {
+      // без сохранения приложение работает как раньше — только без офлайн-данных
+    });
+  });
+}
+
+/**
+ * Очистить кэш React Query вместе с сохранённой копией (выход, истечение сессии).
+ */
+export function clearQueryCache(qc) {
+  qc.clear();
+  idbClear().catch(() => {});
+}
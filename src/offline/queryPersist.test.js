@@ -0,0 +1,40 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { idbGetAll } from "./idb";
+import { RESTORE_TIMEOUT_MS, restoreQueryCache } from "./queryPersist";
+
+vi.mock("./idb", () => ({
+  idbClear: vi.fn(),
+  idbDelete: vi.fn(),
+  idbGetAll: vi.fn(),
+  idbSet: vi.fn(),
+}));
+
+vi.mock("../utils/token", () => ({ isAuthed: () => true }));
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("restoreQueryCache", () => {
+  it("restores fresh rows into the query cache", async () => {
+    const now = Date.now();
+    idbGetAll.mockResolvedValue([{ queryKey: ["devices"], data: [1], updatedAt: now - 1000 }]);
+    const qc = { setQueryData: vi.fn() };
+
+    await restoreQueryCache(qc, now);
+
+    expect(qc.setQueryData).toHaveBeenCalledWith(["devices"], [1], { updatedAt: now - 1000 });
+  });
+
+  it("gives up when IndexedDB never answers", async () => {
+    vi.useFakeTimers();
+    idbGetAll.mockReturnValue(new Promise(() => {}));
+    const qc = { setQueryData: vi.fn() };
+
+    const restored = restoreQueryCache(qc);
+    await vi.advanceTimersByTimeAsync(RESTORE_TIMEOUT_MS);
+
+    await expect(restored).resolves.toBeUndefined();
+    expect(qc.setQueryData).not.toHaveBeenCalled();
+  });
+});
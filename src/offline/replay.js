@@ -0,0 +1,146 @@
+import { getCachedProducts, patchProductByPlu } from "../api/devices";
+import { recordProductChange } from "../devices/changeJournal";
+import { PRODUCT_FIELDS, cachedProductsList, getPlu, productFieldValue } from "../devices/productUtils";
+import { invalidateDeviceProducts } from "../query/invalidate";
+import { extractErrorMessage } from "../utils/errors";
+import { isNetworkError } from "./connection";
+import { getPatchQueue, removeQueuedPatch, updateQueuedPatch } from "./patchQueue";
+
+/**
+ * Отправка очереди изменений после восстановления связи.
+ * - записи уходят строго по порядку очереди, по одной;
+ * - перед первой записью устройства перечитываем его кэш с сервера и дальше ведём
+ *   рабочую копию: несколько правок одного PLU сравниваются с уже отправленными;
+ * - конфликт — поле на сервере отличается и от значения до правки, и от нового значения:
+ *   кто-то изменил товар, пока мы были без связи; такая запись ждёт решения пользователя;
+ * - после конфликта или ошибки остальные записи того же PLU не отправляются, пока
+ *   пользователь не решит судьбу первой: иначе они лягут поверх неё не по порядку;
+ * - снова пропала связь (или истекла сессия) — останавливаемся, остаток уйдёт в следующий раз.
+ */
+
+const FIELD_KEYS = new Set(PRODUCT_FIELDS.map((f) => f.key));
+
+/**
+ * Конфликтующие поля записи очереди: [{ field, before, server, mine }].
+ * server — товар на сервере (undefined, если его там нет).
+ */
+export function findConflicts(entry, server) {
+  const mine = { ...entry.before, ...entry.fields };
+  const conflicts = [];
+
+  for (const field of Object.keys(entry.fields)) {
+    if (!FIELD_KEYS.has(field)) continue;
+
+    const before = entry.before ? productFieldValue(entry.before, field) : null;
+    const current = server ? productFieldValue(server, field) : null;
+    const next = productFieldValue(mine, field);
+    if (current === before || current === next) continue;
+
+    conflicts.push({ field, before, server: current, mine: next });
+  }
+
+  return conflicts;
+}
+
+async function loadServerProducts(deviceId) {
+  const data = await getCachedProducts(deviceId);
+  return new Map(cachedProductsList(data).map((p) => [Number(getPlu(p)), p]));
+}
+
+async function sendQueuedPatch(entry, server) {
+  await patchProductByPlu(entry.deviceId, entry.plu, entry.fields);
+  recordProductChange(entry.deviceId, entry.plu, server, entry.fields, entry.source, entry.user);
+  removeQueuedPatch(entry.id);
+}
+
+// PLU, у которых есть запись с конфликтом или ошибкой: "deviceId:plu"
+function blockedKeys(entries) {
+  return new Set(entries.filter((e) => e.status !== "pending").map(queueKey));
+}
+
+function queueKey(entry) {
+  return `${entry.deviceId}:${entry.plu}`;
+}
+
+function shouldStop(err) {
+  return isNetworkError(err) || err?.response?.status === 401;
+}
+
+async function replay(qc) {
+  const result = { sent: 0, conflicts: 0, failed: 0, stopped: false };
+  const attempted = new Set();
+  const servers = new Map(); // deviceId -> Map(plu -> товар на сервере)
+  const touched = new Set();
+
+  // Очередь перечитывается на каждом шаге: записи, добавленные во время отправки, тоже уйдут
+  for (;;) {
+    const queue = getPatchQueue();
+    const blocked = blockedKeys(queue);
+    const entry = queue.find(
+      (e) => e.status === "pending" && !attempted.has(e.id) && !blocked.has(queueKey(e))
+    );
+    if (!entry) break;
+    attempted.add(entry.id);
+
+    try {
+      if (!servers.has(entry.deviceId)) {
+        servers.set(entry.deviceId, await loadServerProducts(entry.deviceId));
+      }
+      const products = servers.get(entry.deviceId);
+      const server = products.get(entry.plu);
+
+      const conflicts = findConflicts(entry, server);
+      if (conflicts.length) {
+        updateQueuedPatch(entry.id, { status: "conflict", conflicts, server: server ?? null });
+        result.conflicts += 1;
+        continue;
+      }
+
+      await sendQueuedPatch(entry, server);
+      products.set(entry.plu, { ...(server || { pluNumber: entry.plu }), ...entry.fields });
+      touched.add(entry.deviceId);
+      result.sent += 1;
+    } catch (err) {
+      if (shouldStop(err)) {
+        result.stopped = true;
+        break;
+      }
+      updateQueuedPatch(entry.id, { status: "failed", error: extractErrorMessage(err).message });
+      result.failed += 1;
+    }
+  }
+
+  await Promise.all([...touched].map((id) => invalidateDeviceProducts(qc, id)));
+  return result;
+}
+
+let running = null;
+
+/**
+ * Отправить очередь. Повторный вызов во время отправки возвращает тот же промис.
+ * Результат: { sent, conflicts, failed, stopped }.
+ */
+export function replayPatchQueue(qc) {
+  if (!running) {
+    running = replay(qc).finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+/**
+ * Отправить запись с конфликтом или ошибкой как есть, перезаписав значения на сервере.
+ */
+export async function applyQueuedPatchAnyway(qc, entry) {
+  await sendQueuedPatch(entry, entry.server ?? entry.before ?? undefined);
+  await invalidateDeviceProducts(qc, entry.deviceId);
+}
+
+/**
+ * Отказаться от записи: значения на сервере остаются, оптимистичные правки в кэше сбрасываются.
+ */
+export async function discardQueuedPatch(qc, entry) {
+  removeQueuedPatch(entry.id);
+  await invalidateDeviceProducts(qc, entry.deviceId);
+}
@@ -0,0 +1,90 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { getCachedProducts, patchProductByPlu } from "../api/devices";
+import { enqueuePatch, getPatchQueue, hasPendingPatch, updateQueuedPatch } from "./patchQueue";
+import { findConflicts, replayPatchQueue } from "./replay";
+
+vi.mock("../api/devices", () => ({
+  getCachedProducts: vi.fn(),
+  patchProductByPlu: vi.fn(),
+}));
+
+const qc = { invalidateQueries: async () => {} };
+
+function serverHas(products) {
+  getCachedProducts.mockResolvedValue({ products: { products } });
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  vi.clearAllMocks();
+  patchProductByPlu.mockResolvedValue({});
+});
+
+describe("replayPatchQueue", () => {
+  it("holds later edits of a PLU back after a conflict", async () => {
+    serverHas([{ pluNumber: 5, name: "Сыр", price: 400 }]);
+    enqueuePatch({ deviceId: 1, plu: 5, fields: { price: 350 }, before: { pluNumber: 5, price: 300 } });
+    enqueuePatch({ deviceId: 1, plu: 5, fields: { name: "Сыр твёрдый" }, before: { pluNumber: 5, name: "Сыр" } });
+
+    const result = await replayPatchQueue(qc);
+
+    expect(result).toMatchObject({ sent: 0, conflicts: 1 });
+    expect(patchProductByPlu).not.toHaveBeenCalled();
+    expect(getPatchQueue().map((e) => e.status)).toEqual(["conflict", "pending"]);
+  });
+
+  it("holds later edits of a PLU back after a rejected edit", async () => {
+    serverHas([{ pluNumber: 5, price: 300 }, { pluNumber: 6, price: 100 }]);
+    patchProductByPlu.mockRejectedValueOnce({ response: { status: 422, data: {} } });
+    enqueuePatch({ deviceId: 1, plu: 5, fields: { price: -1 }, before: { pluNumber: 5, price: 300 } });
+    enqueuePatch({ deviceId: 1, plu: 5, fields: { price: 360 }, before: { pluNumber: 5, price: -1 } });
+    enqueuePatch({ deviceId: 1, plu: 6, fields: { price: 120 }, before: { pluNumber: 6, price: 100 } });
+
+    const result = await replayPatchQueue(qc);
+
+    expect(result).toMatchObject({ sent: 1, failed: 1 });
+    expect(patchProductByPlu).toHaveBeenCalledTimes(2);
+    expect(patchProductByPlu).toHaveBeenLastCalledWith(1, 6, { price: 120 });
+    expect(getPatchQueue().map((e) => [e.plu, e.status])).toEqual([
+      [5, "failed"],
+      [5, "pending"],
+    ]);
+  });
+});
+
+describe("hasPendingPatch", () => {
+  it("counts conflicted and failed entries as unsent", () => {
+    const entry = enqueuePatch({ deviceId: 1, plu: 5, fields: { price: 1 }, before: null });
+    updateQueuedPatch(entry.id, { status: "conflict" });
+
+    expect(hasPendingPatch(1, 5)).toBe(true);
+    expect(hasPendingPatch(1, 6)).toBe(false);
+  });
+});
+
+describe("findConflicts", () => {
+  const entry = {
+    fields: { price: 360, name: "Сыр твёрдый" },
+    before: { pluNumber: 5, name: "Сыр", price: 350 },
+  };
+
+  it("accepts a server that still has the old or already has the new values", () => {
+    expect(findConflicts(entry, { pluNumber: 5, name: "Сыр", price: 350 })).toEqual([]);
+    expect(findConflicts(entry, { pluNumber: 5, name: "Сыр твёрдый", price: 360 })).toEqual([]);
+  });
+
+  it("reports fields changed on the server to a third value", () => {
+    expect(findConflicts(entry, { pluNumber: 5, name: "Сыр", price: 400 })).toEqual([
+      { field: "price", before: 350, server: 400, mine: 360 },
+    ]);
+  });
+
+  it("ignores unknown fields and treats a missing product as empty", () => {
+    const created = { fields: { name: "Кефир", extra: 1 }, before: null };
+
+    expect(findConflicts(created, undefined)).toEqual([]);
+    expect(findConflicts(created, { pluNumber: 9, name: "Ряженка" })).toEqual([
+      { field: "name", before: null, server: "Ряженка", mine: "Кефир" },
+    ]);
+  });
+});
@@ -8,7 +8,10 @@ import { qk } from "./keys";
  * Инвалидация списка устройств после create / delete.
  */
 export async function invalidateDevicesList(qc) {
-  await qc.invalidateQueries({ queryKey: qk.devices() });
+  await Promise.all([
+    qc.invalidateQueries({ queryKey: qk.devices() }),
+    qc.invalidateQueries({ queryKey: qk.fleet() }),
+  ]);
 }
 
 /**
@@ -20,6 +23,7 @@ export async function invalidateDeviceAll(qc, deviceId) {
   await Promise.all([
     qc.invalidateQueries({ queryKey: qk.device(id) }),
     qc.invalidateQueries({ queryKey: qk.devices() }),
+    qc.invalidateQueries({ queryKey: qk.fleet() }),
   ]);
 }
 
@@ -28,6 +32,7 @@ export async function invalidateDeviceAll(qc, deviceId) {
  * - кэш товаров
  * - само устройство (cached_dirty)
  * - список устройств
+ * - сводка по устройствам
  */
 export async function invalidateDeviceProducts(qc, deviceId) {
   const id = Number(deviceId);
@@ -36,6 +41,7 @@ export async function invalidateDeviceProducts(qc, deviceId) {
     qc.invalidateQueries({ queryKey: qk.productsCached(id) }),
     qc.invalidateQueries({ queryKey: qk.device(id) }),
     qc.invalidateQueries({ queryKey: qk.devices() }),
+    qc.invalidateQueries({ queryKey: qk.fleet() }),
   ]);
 }
 
@@ -49,5 +55,6 @@ export async function invalidateDeviceAutoUpdate(qc, deviceId) {
     qc.invalidateQueries({ queryKey: qk.autoUpdate(id) }),
     qc.invalidateQueries({ queryKey: qk.device(id) }),
     qc.invalidateQueries({ queryKey: qk.devices() }),
+    qc.invalidateQueries({ queryKey: qk.fleet() }),
   ]);
 }
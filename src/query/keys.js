@@ -14,4 +14,19 @@ export const qk = {
 
   // Настройки автообновления сроков годности
   autoUpdate: (deviceId) => ["autoUpdate", Number(deviceId)],
+
+  // Данные по всем устройствам (префикс для инвалидации)
+  fleet: () => ["fleet"],
+
+  // Сводка по всем устройствам (дашборд)
+  fleetSummary: () => ["fleet", "summary"],
+
+  // Товары всех устройств (отчёт по срокам годности)
+  fleetProducts: () => ["fleet", "products"],
+
+  // Связь с весами (опрос состояния)
+  health: (deviceId) => ["health", Number(deviceId)],
+
+  // Фоновая задача выгрузки/загрузки (опрос статуса)
+  deviceJob: (deviceId, jobId) => ["deviceJob", Number(deviceId), String(jobId)],
 };
\ No newline at end of file
@@ -0,0 +1,44 @@
+import { qk } from "./keys";
+import { getPlu } from "../devices/productUtils";
+
+/**
+ * Оптимистичные обновления кэша React Query.
+ * Каждая функция возвращает снимок предыдущих данных для отката.
+ */
+
+/**
+ * Применить поля к товару в qk.productsCached(deviceId).
+ * Структура ответа getCachedProducts: { products: { products: [...] } }.
+ */
+export async function optimisticPatchProduct(qc, deviceId, plu, fields) {
+  const key = qk.productsCached(deviceId);
+
+  // Отменяем текущий refetch, чтобы он не перезаписал оптимистичные данные
+  await qc.cancelQueries({ queryKey: key });
+
+  const previous = qc.getQueryData(key);
+
+  qc.setQueryData(key, (old) => {
+    const list = old?.products?.products;
+    if (!Array.isArray(list)) return old;
+
+    return {
+      ...old,
+      products: {
+        ...old.products,
+        products: list.map((p) =>
+          Number(getPlu(p)) === Number(plu) ? { ...p, ...fields } : p
+        ),
+      },
+    };
+  });
+
+  return previous;
+}
+
+/**
+ * Откат к снимку, полученному из optimisticPatchProduct.
+ */
+export function rollbackProducts(qc, deviceId, previous) {
+  qc.setQueryData(qk.productsCached(deviceId), previous);
+}
@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest";
+import { QueryClient } from "@tanstack/react-query";
+import { qk } from "./keys";
+import { optimisticPatchProduct, rollbackProducts } from "./optimistic";
+
+const cached = {
+  device_id: 1,
+  products: { products: [{ pluNumber: 5, price: 350 }, { pluNumber: 6, price: 90 }] },
+};
+
+describe("optimisticPatchProduct", () => {
+  it("patches the product in the cache and rolls back to the snapshot", async () => {
+    const qc = new QueryClient();
+    qc.setQueryData(qk.productsCached(1), cached);
+
+    const previous = await optimisticPatchProduct(qc, 1, "5", { price: 400 });
+
+    expect(qc.getQueryData(qk.productsCached(1)).products.products).toEqual([
+      { pluNumber: 5, price: 400 },
+      { pluNumber: 6, price: 90 },
+    ]);
+    expect(previous).toEqual(cached);
+
+    rollbackProducts(qc, 1, previous);
+    expect(qc.getQueryData(qk.productsCached(1))).toEqual(cached);
+  });
+
+  it("leaves an unloaded cache alone", async () => {
+    const qc = new QueryClient();
+
+    expect(await optimisticPatchProduct(qc, 1, 5, { price: 400 })).toBeUndefined();
+    expect(qc.getQueryData(qk.productsCached(1))).toBeUndefined();
+  });
+});
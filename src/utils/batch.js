@@ -0,0 +1,60 @@
+/**
+ * Последовательный прогон задач по списку элементов.
+ * - задачи выполняются строго по одной (весы/backend не любят параллельные записи);
+ * - ошибка одного элемента не прерывает остальные;
+ * - onItem(index, state) вызывается при старте и завершении каждого элемента,
+ *   state = { status: "running" | "ok" | "error", result?, error? }.
+ *
+ * Возвращает массив результатов: { item, ok, result?, error? }.
+ */
+export async function runSequential(items, task, { onItem } = {}) {
+  const results = [];
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    onItem?.(i, { status: "running" });
+
+    try {
+      const result = await task(item, i);
+      results.push({ item, ok: true, result });
+      onItem?.(i, { status: "ok", result });
+    } catch (error) {
+      results.push({ item, ok: false, error });
+      onItem?.(i, { status: "error", error });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Параллельный прогон с ограничением числа одновременных задач.
+ * Подходит для чтения (например, кэшей всех устройств), но не для записи.
+ * onItem и результаты — той же формы, что у runSequential;
+ * порядок результатов совпадает с порядком items.
+ */
+export async function runParallel(items, task, { concurrency = 4, onItem } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      const item = items[i];
+      onItem?.(i, { status: "running" });
+
+      try {
+        const result = await task(item, i);
+        results[i] = { item, ok: true, result };
+        onItem?.(i, { status: "ok", result });
+      } catch (error) {
+        results[i] = { item, ok: false, error };
+        onItem?.(i, { status: "error", error });
+      }
+    }
+  }
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { runParallel, runSequential } from "./batch";
+
+const task = async (x) => {
+  if (x < 0) throw new Error("negative");
+  return x * 2;
+};
+
+describe.each([
+  ["runSequential", runSequential],
+  ["runParallel", runParallel],
+])("%s", (_, run) => {
+  it("reports the task result to onItem and in the results", async () => {
+    const states = [];
+    const results = await run([1, -1, 3], task, { onItem: (i, state) => states.push([i, state]) });
+
+    expect(results.map((r) => [r.item, r.ok, r.result])).toEqual([
+      [1, true, 2],
+      [-1, false, undefined],
+      [3, true, 6],
+    ]);
+    expect(states.filter(([, s]) => s.status === "ok")).toEqual([
+      [0, { status: "ok", result: 2 }],
+      [2, { status: "ok", result: 6 }],
+    ]);
+    expect(states.find(([i, s]) => i === 1 && s.status === "error")[1].error.message).toBe(
+      "negative"
+    );
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Минимальный CSV-парсер (RFC 4180):
+ * - поля в кавычках, экранирование кавычек удвоением, переводы строк внутри кавычек;
+ * - разделитель определяется по первой строке (";", "," или табуляция),
+ *   если не передан явно;
+ * - BOM в начале файла отбрасывается.
+ *
+ * Возвращает массив строк, каждая строка — массив значений (string).
+ * Полностью пустые строки пропускаются.
+ */
+export function parseCsv(text, { separator } = {}) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const sep = separator || detectSeparator(src);
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === sep) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((v) => String(v).trim() !== ""));
+}
+
+function detectSeparator(src) {
+  const firstLine = src.split(/\r?\n/, 1)[0] || "";
+  const candidates = [";", ",", "\t"];
+  let best = ";";
+  let bestCount = 0;
+
+  for (const c of candidates) {
+    const count = firstLine.split(c).length - 1;
+    if (count > bestCount) {
+      best = c;
+      bestCount = count;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Сериализация в CSV.
+ * Значения с разделителем, кавычками или переводом строки берутся в кавычки.
+ * Строки разделяются CRLF — так CSV корректно открывается в Excel.
+ */
+export function toCsv(rows, { separator = ";" } = {}) {
+  const escape = (v) => {
+    const s = v === null || v === undefined ? "" : String(v);
+    if (s.includes(separator) || /["\r\n]/.test(s)) {
+      return `"${s.replace(/"/g, '""')}"`;
+    }
+    return s;
+  };
+
+  return rows.map((r) => r.map(escape).join(separator)).join("\r\n");
+}
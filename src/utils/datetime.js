@@ -1,13 +1,29 @@
+import { getIntlLocale } from "../i18n";
+
+/**
+ * ISO-время в UTC -> локальные дата и время в формате текущего языка.
+ */
 export function utcToLocal(isoUtc) {
   if (!isoUtc) return "";
 
   const d = new Date(isoUtc);
   if (Number.isNaN(d.getTime())) return "";
 
-  const pad = (n) => String(n).padStart(2, "0");
+  return new Intl.DateTimeFormat(getIntlLocale(), {
+    dateStyle: "short",
+    timeStyle: "medium",
+  }).format(d);
+}
 
-  return (
-    `${pad(d.getDate())}-${pad(d.getMonth() + 1)}-${d.getFullYear()} ` +
-    `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`
-  );
+/**
+ * Дата -> день недели, дата и время без секунд (для расписаний).
+ */
+export function formatScheduleTime(date) {
+  return new Intl.DateTimeFormat(getIntlLocale(), {
+    weekday: "short",
+    day: "2-digit",
+    month: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(date);
 }
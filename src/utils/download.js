@@ -0,0 +1,36 @@
+/**
+ * Скачивание Blob как файла через временную ссылку.
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Даём браузеру начать загрузку до освобождения URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Метка времени для имени файла: YYYYMMDD-HHMMSS (локальное время).
+ */
+export function fileTimestamp(d = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-` +
+    `${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`
+  );
+}
+
+/**
+ * Убираем из имени файла символы, недопустимые в Windows/macOS.
+ */
+export function safeFileName(s, fallback = "export") {
+  const clean = String(s || "")
+    .replace(/[\\/:*?"<>|]+/g, "_")
+    .replace(/\s+/g, "_")
+    .replace(/^[._]+|[._]+$/g, "");
+  return clean || fallback;
+}
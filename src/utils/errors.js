@@ -0,0 +1,51 @@
+import { t } from "../i18n";
+
+/**
+ * Извлечь человекочитаемую строку ошибки из axios/FastAPI.
+ * Важно: возвращаем СТРОКУ, чтобы React не пытался отрендерить объект.
+ */
+export function extractErrorMessage(err) {
+  const status = err?.response?.status;
+  const data = err?.response?.data;
+  const detail = data?.detail;
+
+  if (typeof detail === "string" && detail.trim()) {
+    return { status, message: detail.trim() };
+  }
+
+  // FastAPI 422: detail = [{loc, msg, type, ...}, ...]
+  if (Array.isArray(detail) && detail.length) {
+    const parts = detail
+      .map((x) => {
+        const loc = Array.isArray(x?.loc) ? x.loc.join(".") : "";
+        const msg = x?.msg ? String(x.msg) : "";
+        if (loc && msg) return `${loc}: ${msg}`;
+        return msg || "";
+      })
+      .filter(Boolean);
+
+    if (parts.length) return { status, message: parts.join("; ") };
+
+    try {
+      return { status, message: JSON.stringify(detail) };
+    } catch {
+      return { status, message: t("errors.validation") };
+    }
+  }
+
+  if (detail && typeof detail === "object") {
+    try {
+      return { status, message: JSON.stringify(detail) };
+    } catch {
+      // ignore
+    }
+  }
+
+  if (typeof data === "string" && data.trim()) {
+    return { status, message: data.trim() };
+  }
+
+  if (err?.message) return { status, message: String(err.message) };
+
+  return { status, message: t("errors.unknown") };
+}
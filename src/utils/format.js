@@ -0,0 +1,35 @@
+import { getIntlLocale } from "../i18n";
+import { parseDDMMYY } from "../devices/productUtils";
+
+/**
+ * Форматирование чисел и дат для отображения в текущем языке.
+ * Значения в формах и при отправке на backend не форматируются.
+ */
+
+export function formatNumber(v, options) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return "—";
+  return new Intl.NumberFormat(getIntlLocale(), options).format(n);
+}
+
+/**
+ * Цена: всегда два знака после запятой, без символа валюты —
+ * валюта задаётся на весах, а не в приложении.
+ */
+export function formatPrice(v) {
+  return formatNumber(v, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Дата товара (DD-MM-YY) в коротком формате текущего языка.
+ * Нераспознанное значение показываем как есть.
+ */
+export function formatProductDate(v) {
+  if (!v) return "—";
+  const d = parseDDMMYY(v);
+  if (!d) return String(v);
+  return new Intl.DateTimeFormat(getIntlLocale(), {
+    dateStyle: "short",
+    timeZone: "UTC",
+  }).format(d);
+}
@@ -0,0 +1,85 @@
+import { useSyncExternalStore } from "react";
+
+/**
+ * JSON-значение в localStorage с подпиской — общий каркас хранилищ модулей
+ * (журнал изменений, теги устройств, очередь без связи и т.д.).
+ * - normalize(data) приводит прочитанные данные к нужной форме; нет значения
+ *   или JSON не разбирается — fallback;
+ * - get() возвращает тот же объект, пока строка в localStorage не изменилась,
+ *   поэтому подходит для useSyncExternalStore;
+ * - set(value) пишет и оповещает подписчиков, value === undefined удаляет ключ.
+ *   Ошибку записи (переполнение localStorage) set пробрасывает: глотать её или
+ *   показывать пользователю, решает модуль;
+ * - изменения из других вкладок приходят через событие storage.
+ *
+ * Возвращает { get, set, subscribe }; в компонентах — usePersistentStore(store).
+ */
+export function createPersistentStore(key, fallback, normalize = (data) => data) {
+  const listeners = new Set();
+  let cached = { raw: null, value: fallback };
+
+  function get() {
+    const raw = localStorage.getItem(key);
+    if (raw === cached.raw) return cached.value;
+
+    let value = fallback;
+    try {
+      if (raw !== null) value = normalize(JSON.parse(raw)) ?? fallback;
+    } catch {
+      value = fallback;
+    }
+
+    cached = { raw, value };
+    return value;
+  }
+
+  function set(value) {
+    if (value === undefined) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(value));
+    listeners.forEach((l) => l());
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+
+    const onStorage = (e) => {
+      if (e.key === key || e.key === null) listener();
+    };
+    window.addEventListener("storage", onStorage);
+
+    return () => {
+      listeners.delete(listener);
+      window.removeEventListener("storage", onStorage);
+    };
+  }
+
+  return { get, set, subscribe };
+}
+
+/**
+ * Хранилища с ключом по устройству: `${prefix}${deviceId}`.
+ * Хранилище устройства создаётся один раз и переиспользуется.
+ */
+export function createDeviceStores(prefix, fallback, normalize) {
+  const stores = new Map();
+
+  return (deviceId) => {
+    const id = Number(deviceId);
+    if (!stores.has(id)) stores.set(id, createPersistentStore(`${prefix}${id}`, fallback, normalize));
+    return stores.get(id);
+  };
+}
+
+/**
+ * Хук: текущее значение хранилища, обновляется при любой записи.
+ */
+export function usePersistentStore(store) {
+  return useSyncExternalStore(store.subscribe, store.get);
+}
+
+/**
+ * Нормализаторы для типичных форм данных.
+ */
+export const asArray = (data) => (Array.isArray(data) ? data : null);
+export const asObject = (data) =>
+  data && typeof data === "object" && !Array.isArray(data) ? data : null;
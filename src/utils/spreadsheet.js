@@ -0,0 +1,89 @@
+import { t } from "../i18n";
+import { parseCsv } from "./csv";
+
+/**
+ * Чтение табличного файла (CSV или XLSX) в единый вид:
+ * { headers: string[], rows: Array<Array<string | number | Date | null>> }
+ *
+ * Первая непустая строка считается заголовком.
+ * exceljs подгружается динамически, чтобы не раздувать основной бандл.
+ */
+export async function readSpreadsheetFile(file) {
+  const name = String(file?.name || "").toLowerCase();
+
+  let table;
+  if (name.endsWith(".xlsx")) {
+    table = await readXlsx(file);
+  } else if (name.endsWith(".csv") || name.endsWith(".txt")) {
+    table = parseCsv(await file.text());
+  } else {
+    throw new Error(t("import.err.fileType"));
+  }
+
+  if (!table.length) throw new Error(t("import.err.fileEmpty"));
+
+  const [header, ...rows] = table;
+  return {
+    headers: header.map((h, i) => String(h ?? "").trim() || t("import.column", { n: i + 1 })),
+    rows,
+  };
+}
+
+async function readXlsx(file) {
+  const { default: ExcelJS } = await import("exceljs");
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(await file.arrayBuffer());
+
+  const ws = wb.worksheets[0];
+  if (!ws) return [];
+
+  const table = [];
+  ws.eachRow({ includeEmpty: false }, (row) => {
+    // row.values — 1-based массив, нулевой элемент пустой
+    const values = row.values.slice(1).map(cellValue);
+    if (values.some((v) => v !== null && String(v).trim() !== "")) table.push(values);
+  });
+
+  return table;
+}
+
+/**
+ * Приведение значения ячейки exceljs к примитиву:
+ * формулы -> результат, rich text -> склеенный текст, гиперссылки -> текст.
+ */
+function cellValue(v) {
+  if (v === undefined || v === null) return null;
+  if (v instanceof Date) return v;
+  if (typeof v !== "object") return v;
+  if ("result" in v) return cellValue(v.result);
+  if (Array.isArray(v.richText)) return v.richText.map((t) => t.text).join("");
+  if ("text" in v) return String(v.text);
+  return String(v);
+}
+
+/**
+ * Формирование XLSX из заголовков и строк.
+ * Возвращает Blob, готовый к скачиванию.
+ */
+export async function writeXlsxBlob(headers, rows, { sheetName = "Sheet1" } = {}) {
+  const { default: ExcelJS } = await import("exceljs");
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet(sheetName);
+
+  ws.addRow(headers);
+  ws.getRow(1).font = { bold: true };
+  for (const r of rows) ws.addRow(r);
+
+  ws.columns.forEach((col, i) => {
+    const width = rows.reduce(
+      (max, r) => Math.max(max, String(r[i] ?? "").length),
+      String(headers[i] ?? "").length
+    );
+    col.width = Math.min(Math.max(width + 2, 8), 60);
+  });
+
+  const buf = await wb.xlsx.writeBuffer();
+  return new Blob([buf], {
+    type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  });
+}
@@ -12,6 +12,54 @@ export function clearToken() {
   localStorage.removeItem(TOKEN_KEY);
 }
 
+/**
+ * Токен считается действующим, пока не истёк срок из claim exp.
+ */
 export function isAuthed() {
-  return !!getToken();
+  return !!getToken() && !isTokenExpired();
+}
+
+/**
+ * Payload JWT без проверки подписи — только для отображения в UI.
+ * Возвращает объект или null, если токена нет или он не разбирается.
+ */
+export function getTokenPayload() {
+  const token = getToken();
+  if (!token) return null;
+
+  try {
+    const part = token.split(".")[1];
+    const b64 = part.replace(/-/g, "+").replace(/_/g, "/");
+    const json = decodeURIComponent(
+      atob(b64.padEnd(b64.length + ((4 - (b64.length % 4)) % 4), "="))
+        .split("")
+        .map((c) => `%${c.charCodeAt(0).toString(16).padStart(2, "0")}`)
+        .join("")
+    );
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Идентификатор текущего пользователя (email из sub) для журналов.
+ */
+export function getCurrentUser() {
+  const payload = getTokenPayload();
+  return payload?.sub ? String(payload.sub) : "";
+}
+
+/**
+ * Момент истечения токена (мс, epoch) по claim exp или null,
+ * если токена нет или exp не указан.
+ */
+export function getTokenExpiresAt() {
+  const exp = Number(getTokenPayload()?.exp);
+  return Number.isFinite(exp) && exp > 0 ? exp * 1000 : null;
+}
+
+export function isTokenExpired(now = Date.now()) {
+  const expiresAt = getTokenExpiresAt();
+  return expiresAt !== null && expiresAt <= now;
 }